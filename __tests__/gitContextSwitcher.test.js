@@ -15,6 +15,7 @@ const mockPathPatternToRegex = jest.fn().mockReturnValue(/\/.*/);
 
 jest.mock("../lib/utils/pathUtils.js", () => ({
   pathPatternToRegex: mockPathPatternToRegex,
+  normalizePathPattern: (pattern) => pattern,
 }));
 
 jest.mock("../lib/services/FileSystem.js");
@@ -25,6 +26,11 @@ jest.mock("../lib/models/Context.js");
 // Now import the modules that depend on the mocks
 import { createGitContextSwitcher } from "../lib/gitContextSwitcher.js";
 import { Context } from "../lib/models/Context.js";
+import { EXIT_CODES, GitContextError } from "../lib/utils/exitCodes.js";
+import path from "path";
+
+// Keep the real factory for tests that need actual Context instances
+const realFromObject = Context.fromObject;
 
 describe("GitContextSwitcher", () => {
   let switcher;
@@ -56,7 +62,32 @@ describe("GitContextSwitcher", () => {
     mockFileSystem.importContexts = jest.fn().mockResolvedValue([]);
     mockFileSystem.readContextConfig = jest.fn().mockResolvedValue("");
     mockFileSystem.deleteContextConfig = jest.fn().mockResolvedValue();
-    mockFileSystem.backupGitConfig = jest.fn().mockResolvedValue("");
+    mockFileSystem.renameContextConfig = jest.fn().mockResolvedValue(null);
+    mockFileSystem.listContextConfigs = jest.fn().mockResolvedValue([]);
+    mockFileSystem.createBackup = jest
+      .fn()
+      .mockResolvedValue({ id: "20250102T030405678Z" });
+    mockFileSystem.listBackups = jest.fn().mockResolvedValue([]);
+    mockFileSystem.readBackup = jest.fn().mockResolvedValue(new Map());
+    mockFileSystem.readConfigurationFiles = jest
+      .fn()
+      .mockResolvedValue(new Map());
+    mockFileSystem.restoreBackup = jest.fn().mockResolvedValue([]);
+    mockFileSystem.deleteBackup = jest.fn().mockResolvedValue();
+    mockFileSystem.listJournal = jest.fn().mockResolvedValue([]);
+    mockFileSystem.loadTemplates = jest.fn().mockResolvedValue([]);
+    mockFileSystem.readTemplate = jest.fn().mockResolvedValue({});
+    mockFileSystem.saveTemplate = jest
+      .fn()
+      .mockImplementation(async (template) =>
+        path.join(mockFileSystem.templatesDirPath, `${template.name}.json`)
+      );
+    mockFileSystem.deleteTemplate = jest.fn().mockResolvedValue();
+    mockFileSystem.undoLastOperation = jest.fn().mockResolvedValue(null);
+    mockFileSystem.enableDryRun = jest.fn();
+    mockFileSystem.getDryRunChanges = jest.fn().mockResolvedValue([]);
+    // Transactions write straight through the mocked file system
+    mockFileSystem.runTransaction = jest.fn((fn) => fn(mockFileSystem));
 
     // Setup all needed mock methods on GitService
     mockGitService.checkInstalled = jest.fn().mockResolvedValue(true);
@@ -64,18 +95,35 @@ describe("GitContextSwitcher", () => {
     mockGitService.getRepositoryUrl = jest.fn().mockResolvedValue("");
     mockGitService.detectContextFromUrl = jest.fn().mockReturnValue(null);
     mockGitService.removeConditionalIncludes = jest.fn().mockReturnValue("");
+    mockGitService.replaceConditionalIncludes = jest.fn().mockReturnValue("");
+    mockGitService.hasManagedBlock = jest.fn().mockReturnValue(true);
+    mockGitService.removeLegacyIncludes = jest
+      .fn()
+      .mockReturnValue({ content: "", sections: [] });
     mockGitService.generateConditionalIncludes = jest.fn().mockReturnValue("");
+    mockGitService.extractConditionalIncludes = jest.fn().mockReturnValue("");
+    mockGitService.isInsideWorkTree = jest.fn().mockResolvedValue(false);
+    mockGitService.getRepositoryState = jest.fn().mockResolvedValue(null);
+    mockGitService.getEffectiveConfig = jest.fn().mockResolvedValue({});
 
     // Setup all needed mock methods on UI
     mockUI.displayHeader = jest.fn();
     mockUI.displaySuccess = jest.fn();
     mockUI.displayError = jest.fn();
     mockUI.displayWarning = jest.fn();
+    mockUI.displayValue = jest.fn();
+    mockUI.displayDoctorReport = jest.fn();
+    mockUI.displayStatus = jest.fn();
+    mockUI.displayBackups = jest.fn();
+    mockUI.displayHistory = jest.fn();
+    mockUI.displayDiff = jest.fn();
     mockUI.displayContexts = jest.fn();
     mockUI.displayContextsList = jest.fn();
     mockUI.displayActiveContext = jest.fn();
     mockUI.displayContextsWithUrlPatterns = jest.fn();
     mockUI.displayTemplates = jest.fn();
+    mockUI.displayContextConfig = jest.fn();
+    mockUI.displayStructured = jest.fn();
     mockUI.getContextFromUser = jest.fn().mockResolvedValue({});
     mockUI.getContextsFromUser = jest.fn().mockResolvedValue([]);
     mockUI.selectContextToRemove = jest.fn().mockResolvedValue(null);
@@ -129,9 +177,6 @@ describe("GitContextSwitcher", () => {
       const mockContext2 = { name: "personal", toConfigFileContent: jest.fn() };
       const mockContexts = [mockContext1, mockContext2];
 
-      mockFileSystem.backupGitConfig.mockResolvedValue(
-        "/path/to/backup.gitconfig"
-      );
       mockUI.getContextsFromUser.mockResolvedValue(mockContexts);
       mockFileSystem.saveContextConfig.mockResolvedValue();
       mockFileSystem.saveContexts.mockResolvedValue();
@@ -140,7 +185,7 @@ describe("GitContextSwitcher", () => {
       await switcher.runSetupWizard();
 
       // Assert
-      expect(mockFileSystem.backupGitConfig).toHaveBeenCalled();
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith("setup");
       expect(mockUI.getContextsFromUser).toHaveBeenCalled();
       expect(mockFileSystem.saveContextConfig).toHaveBeenCalledTimes(2);
       expect(mockFileSystem.saveContexts).toHaveBeenCalledWith(mockContexts);
@@ -154,12 +199,14 @@ describe("GitContextSwitcher", () => {
     test("should display contexts list", async () => {
       // Arrange
       const mockContextObjs = [
-        { name: "work", pathPattern: "~/work/**" },
-        { name: "personal", pathPattern: "~/personal/**" },
+        { name: "work", pathPatterns: ["~/work/**"] },
+        { name: "personal", pathPatterns: ["~/personal/**"] },
       ];
 
       mockFileSystem.loadContexts.mockResolvedValue(mockContextObjs);
-      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
+      Context.fromObject = jest
+        .fn()
+        .mockImplementation((obj) => ({ ...obj, toObject: () => obj }));
       mockFileSystem.readContextConfig.mockResolvedValue("user.name=Test User");
 
       // Act
@@ -177,6 +224,43 @@ describe("GitContextSwitcher", () => {
       );
     });
 
+    test("should print the contexts in the requested format instead", async () => {
+      // Arrange
+      const work = {
+        name: "work",
+        pathPatterns: ["~/work/"],
+        gitConfig: { "user.email": "me@work.com" },
+        urlPatterns: [],
+      };
+      mockFileSystem.loadContexts.mockResolvedValue([work]);
+      Context.fromObject = jest
+        .fn()
+        .mockImplementation((obj) => ({ ...obj, toObject: () => obj }));
+
+      // Act
+      const result = await switcher.listContexts({ format: "table" });
+
+      // Assert
+      const expected = [
+        {
+          ...work,
+          effectiveGitConfig: work.gitConfig,
+          configFile: `${mockFileSystem.gitConfigDirPath}/work.gitconfig`,
+        },
+      ];
+      expect(result).toEqual(expected);
+      expect(mockUI.displayStructured).toHaveBeenCalledWith(expected, "table", [
+        {
+          name: "work",
+          pathPatterns: ["~/work/"],
+          userEmail: "me@work.com",
+          urlPatterns: [],
+        },
+      ]);
+      expect(mockUI.displayContextsList).not.toHaveBeenCalled();
+      expect(mockUI.displayContextConfig).not.toHaveBeenCalled();
+    });
+
     test("should display error if loading contexts fails", async () => {
       // Arrange
       mockFileSystem.loadContexts.mockRejectedValue(
@@ -199,7 +283,7 @@ describe("GitContextSwitcher", () => {
       const existingContexts = [];
       const newContext = {
         name: "work",
-        pathPattern: "~/work/**",
+        pathPatterns: ["~/work/**"],
         validate: jest.fn().mockReturnValue({ isValid: true }),
         toConfigFileContent: jest.fn().mockReturnValue("user.name=Work User"),
       };
@@ -225,6 +309,58 @@ describe("GitContextSwitcher", () => {
       );
     });
 
+    test("should write all files in one transaction", async () => {
+      // Arrange
+      const newContext = {
+        name: "work",
+        pathPatterns: ["~/work/**"],
+        validate: jest.fn().mockReturnValue({ isValid: true }),
+        toConfigFileContent: jest.fn().mockReturnValue("user.name=Work User"),
+      };
+      mockUI.getContextFromUser.mockResolvedValue(newContext);
+      mockFileSystem.runTransaction.mockRejectedValue(
+        new Error("No space left on device")
+      );
+
+      // Act
+      const result = await switcher.addContext();
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockFileSystem.runTransaction).toHaveBeenCalledTimes(1);
+      expect(mockUI.displaySuccess).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "No space left on device"
+      );
+    });
+
+    test("should check for duplicates against the contexts read while holding the locks", async () => {
+      // Arrange: another command adds the same name before the locks are
+      // taken
+      const newContext = {
+        name: "work",
+        pathPatterns: ["~/work/**"],
+        validate: jest.fn().mockReturnValue({ isValid: true }),
+        toConfigFileContent: jest.fn().mockReturnValue("user.name=Work User"),
+      };
+      mockFileSystem.loadContexts.mockResolvedValue([]);
+      mockUI.getContextFromUser.mockResolvedValue(newContext);
+      mockFileSystem.runTransaction.mockImplementation((fn) => {
+        mockFileSystem.loadContexts.mockResolvedValue([{ name: "work" }]);
+        return fn(mockFileSystem);
+      });
+
+      // Act
+      const result = await switcher.addContext();
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "work" already exists'
+      );
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+    });
+
     test("should display error if context with same name already exists", async () => {
       // Arrange
       const existingContexts = [{ name: "work" }];
@@ -264,360 +400,2986 @@ describe("GitContextSwitcher", () => {
         "Invalid context: Missing required field"
       );
     });
-  });
 
-  describe("removeContext", () => {
-    test("should display warning if no contexts are configured", async () => {
+    test("should build the context from command line options without prompting", async () => {
       // Arrange
-      mockFileSystem.loadContexts.mockResolvedValue([]);
+      Context.fromObject = realFromObject;
+      const options = {
+        name: "work",
+        path: "~/work/**",
+        userName: "Work User",
+        email: "work@example.com",
+        signingKey: "ABC123",
+        urlPattern: ["github.com/acme-corp/*", "gitlab.com/acme/*"],
+        description: "Work projects",
+      };
 
       // Act
-      await switcher.removeContext();
+      const context = await switcher.addContext(options);
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalledWith(
-        "No contexts configured yet. Nothing to remove."
+      expect(mockUI.getContextFromUser).not.toHaveBeenCalled();
+      expect(context).toBeInstanceOf(Context);
+      expect(context.name).toBe("work");
+      expect(context.description).toBe("Work projects");
+      expect(context.pathPatterns).toEqual(["~/work/**"]);
+      expect(context.urlPatterns).toEqual([
+        "github.com/acme-corp/*",
+        "gitlab.com/acme/*",
+      ]);
+      expect(context.gitConfig).toEqual({
+        "user.name": "Work User",
+        "user.email": "work@example.com",
+        "user.signingkey": "ABC123",
+        "gpg.format": "openpgp",
+        "commit.gpgsign": "true",
+        "tag.gpgsign": "false",
+      });
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "work",
+        context.toConfigFileContent()
       );
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([context]);
     });
 
-    test("should remove context successfully", async () => {
-      // Arrange
-      const contexts = [{ name: "work" }, { name: "personal" }];
+    test("should fail instead of prompting when required options are missing", async () => {
+      // Act
+      const result = await switcher.addContext({
+        name: "work",
+        urlPattern: [],
+      });
 
-      mockFileSystem.loadContexts.mockResolvedValue(contexts);
-      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
-      mockUI.selectContextToRemove.mockResolvedValue("work");
-      mockFileSystem.deleteContextConfig.mockResolvedValue();
-      mockFileSystem.saveContexts.mockResolvedValue();
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.getContextFromUser).not.toHaveBeenCalled();
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Missing required option(s): --path, --user-name, --email"
+      );
+    });
+
+    test("should accept include conditions instead of a path pattern", async () => {
+      // Arrange
+      Context.fromObject = realFromObject;
 
       // Act
-      await switcher.removeContext();
+      const context = await switcher.addContext({
+        name: "acme",
+        userName: "Work User",
+        email: "work@acme.example",
+        urlPattern: [],
+        includeIf: [" hasconfig:remote.*.url:git@github.com:acme/** "],
+      });
 
       // Assert
-      expect(mockFileSystem.deleteContextConfig).toHaveBeenCalledWith("work");
-      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([
-        { name: "personal" },
+      expect(context.pathPatterns).toEqual([]);
+      expect(context.includeConditions).toEqual([
+        "hasconfig:remote.*.url:git@github.com:acme/**",
       ]);
-      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
-        'Context "work" removed successfully!'
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([context]);
+    });
+
+    test("should reject an invalid context name given as an option", async () => {
+      // Act
+      const result = await switcher.addContext({
+        name: "work;rm -rf",
+        path: "~/work/**",
+        userName: "Work User",
+        email: "work@example.com",
+      });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Context name can only contain letters, numbers, hyphens, and underscores"
       );
     });
 
-    test("should do nothing if no context is selected for removal", async () => {
+    test("should apply a template when building the context from options", async () => {
       // Arrange
-      const contexts = [{ name: "work" }];
-
-      mockFileSystem.loadContexts.mockResolvedValue(contexts);
-      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
-      mockUI.selectContextToRemove.mockResolvedValue(null);
+      Context.fromObject = realFromObject;
+      Context.getTemplates = jest.fn().mockReturnValue([
+        {
+          name: "work",
+          description: "Work projects",
+          gitConfig: {
+            "user.name": "",
+            "user.email": "",
+            "commit.gpgsign": "true",
+          },
+          urlPatterns: ["github.com/*/work-*"],
+        },
+      ]);
 
       // Act
-      await switcher.removeContext();
+      const context = await switcher.addContext({
+        name: "acme",
+        path: "~/acme/**",
+        userName: "Acme User",
+        email: "me@acme.example",
+        template: "work",
+        urlPattern: [],
+      });
 
       // Assert
-      expect(mockFileSystem.deleteContextConfig).not.toHaveBeenCalled();
-      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+      expect(context.description).toBe("Work projects");
+      expect(context.urlPatterns).toEqual(["github.com/*/work-*"]);
+      // No signing key was given, so auto-signing is turned off
+      expect(context.gitConfig["commit.gpgsign"]).toBe("false");
     });
   });
 
-  describe("applyContext", () => {
-    test("should display warning if no contexts are configured", async () => {
+  describe("editContext", () => {
+    const storedContext = {
+      name: "work",
+      description: "Work projects",
+      pathPatterns: ["~/work/**"],
+      gitConfig: {
+        "user.name": "Work User",
+        "user.email": "wrok@example.com",
+      },
+      urlPatterns: ["github.com/acme-corp/*"],
+    };
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+    });
+
+    test("should display error if the context does not exist", async () => {
       // Arrange
-      mockFileSystem.loadContexts.mockResolvedValue([]);
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
 
       // Act
-      await switcher.applyContext();
+      const result = await switcher.editContext("missing");
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalledWith(
-        "No contexts configured yet. Run setup to configure contexts."
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "missing" not found'
       );
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
     });
 
-    test("should find and display matching context for current directory", async () => {
+    test("should pre-fill the prompts with the current context", async () => {
       // Arrange
-      const contexts = [
-        { name: "work", pathPattern: "/work/**" },
-        { name: "personal", pathPattern: "/personal/**" },
-      ];
-
-      mockFileSystem.loadContexts.mockResolvedValue(contexts);
-      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
-      mockPathPatternToRegex.mockReturnValue(/\/work\/.*/);
-      mockGitService.getActiveConfig.mockResolvedValue("user.name=Work User");
-
-      // Mock process.cwd()
-      const originalCwd = process.cwd;
-      process.cwd = jest.fn().mockReturnValue("/work/project");
+      const other = { name: "personal" };
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext, other]);
+      mockUI.getContextFromUser.mockImplementation(async (existing) =>
+        Context.fromObject({
+          ...existing.toObject(),
+          gitConfig: {
+            ...existing.gitConfig,
+            "user.email": "work@example.com",
+          },
+        })
+      );
 
       // Act
-      await switcher.applyContext();
+      const result = await switcher.editContext("work");
 
       // Assert
-      expect(mockUI.displayActiveContext).toHaveBeenCalledWith(
-        contexts[0],
-        mockFileSystem.gitConfigDirPath,
-        "user.name=Work User"
+      expect(mockUI.getContextFromUser).toHaveBeenCalledWith(
+        expect.objectContaining({
+          name: "work",
+          userEmail: "wrok@example.com",
+          urlPatterns: ["github.com/acme-corp/*"],
+        })
+      );
+      expect(result.userEmail).toBe("work@example.com");
+      expect(result.urlPatterns).toEqual(["github.com/acme-corp/*"]);
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "work",
+        result.toConfigFileContent()
+      );
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([result, other]);
+      expect(mockGitService.generateConditionalIncludes).toHaveBeenCalledWith(
+        [result, other],
+        mockFileSystem.gitConfigDirPath
       );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        'Context "work" updated successfully!'
+      );
+    });
 
-      // Restore process.cwd
-      process.cwd = originalCwd;
+    test("should keep changes committed while the prompts were open", async () => {
+      // Arrange: a config set and a path add land while the user answers
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
+      mockUI.getContextFromUser.mockImplementation(async (existing) => {
+        mockFileSystem.loadContexts.mockResolvedValue([
+          {
+            ...storedContext,
+            pathPatterns: ["~/work/**", "/srv/work/**"],
+            gitConfig: { ...storedContext.gitConfig, "pull.rebase": "true" },
+          },
+        ]);
+        return Context.fromObject({
+          ...existing.toObject(),
+          description: "Acme work",
+          gitConfig: {
+            ...existing.gitConfig,
+            "user.email": "work@example.com",
+          },
+        });
+      });
+
+      // Act
+      const result = await switcher.editContext("work");
+
+      // Assert
+      expect(result.description).toBe("Acme work");
+      expect(result.pathPatterns).toEqual(["~/work/**", "/srv/work/**"]);
+      expect(result.gitConfig).toEqual({
+        "user.name": "Work User",
+        "user.email": "work@example.com",
+        "pull.rebase": "true",
+      });
     });
-  });
 
-  describe("detectContextFromUrl", () => {
-    test("should display warning if no contexts are configured", async () => {
+    test("should apply command line options without prompting", async () => {
       // Arrange
-      mockFileSystem.loadContexts.mockResolvedValue([]);
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
 
       // Act
-      await switcher.detectContextFromUrl();
+      const result = await switcher.editContext("work", {
+        email: "work@example.com",
+        urlPattern: [],
+      });
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalledWith(
-        "No contexts configured yet. Run setup to configure contexts."
-      );
+      expect(mockUI.getContextFromUser).not.toHaveBeenCalled();
+      expect(result.gitConfig).toEqual({
+        "user.name": "Work User",
+        "user.email": "work@example.com",
+      });
+      // Settings that were not given on the command line are kept
+      expect(result.description).toBe("Work projects");
+      expect(result.pathPatterns).toEqual(["~/work/**"]);
+      expect(result.urlPatterns).toEqual(["github.com/acme-corp/*"]);
     });
 
-    test("should display warning if no repository URL is found", async () => {
+    test("should set and remove the SSH key from command line options", async () => {
       // Arrange
-      const contexts = [{ name: "work" }];
-
-      mockFileSystem.loadContexts.mockResolvedValue(contexts);
-      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
-      mockGitService.getRepositoryUrl.mockResolvedValue(null);
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
 
       // Act
-      await switcher.detectContextFromUrl();
+      const withKey = await switcher.editContext("work", {
+        sshKey: "~/.ssh/id_work",
+      });
+      mockFileSystem.loadContexts.mockResolvedValue([withKey.toObject()]);
+      const withoutKey = await switcher.editContext("work", { sshKey: "" });
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalledWith(
-        "No git repository found in the current directory, or no remote URL configured."
+      expect(withKey.sshKey).toBe("~/.ssh/id_work");
+      expect(mockFileSystem.saveContextConfig).toHaveBeenNthCalledWith(
+        1,
+        "work",
+        expect.stringContaining(
+          "sshCommand = ssh -i ~/.ssh/id_work -o IdentitiesOnly=yes"
+        )
       );
+      expect(withoutKey.sshKey).toBeNull();
+      expect(withoutKey.toObject()).not.toHaveProperty("sshKey");
     });
 
-    test("should find and display matching context for repository URL", async () => {
+    test("should switch to SSH signing from command line options", async () => {
       // Arrange
-      const contexts = [{ name: "work" }, { name: "personal" }];
-      const repoUrl = "github.com/user/repo";
-      const matchedContext = { name: "work" };
-
-      mockFileSystem.loadContexts.mockResolvedValue(contexts);
-      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
-      mockGitService.getRepositoryUrl.mockResolvedValue(repoUrl);
-      mockGitService.detectContextFromUrl.mockReturnValue(matchedContext);
-      mockGitService.getActiveConfig.mockResolvedValue("user.name=Work User");
+      mockFileSystem.loadContexts.mockResolvedValue([
+        {
+          ...storedContext,
+          gitConfig: {
+            ...storedContext.gitConfig,
+            "user.signingkey": "ABC123",
+            "commit.gpgsign": "false",
+          },
+        },
+      ]);
 
       // Act
-      await switcher.detectContextFromUrl();
+      const result = await switcher.editContext("work", {
+        signingKey: "~/.ssh/id_ed25519.pub",
+        signingFormat: "ssh",
+        allowedSigners: "~/.ssh/allowed_signers",
+        signTags: true,
+      });
 
       // Assert
-      expect(mockGitService.detectContextFromUrl).toHaveBeenCalledWith(
-        contexts,
-        repoUrl
-      );
-      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
-        `Repository URL "${repoUrl}" matches context: work`
-      );
-      expect(mockUI.displayActiveContext).toHaveBeenCalledWith(
-        matchedContext,
-        mockFileSystem.gitConfigDirPath,
-        "user.name=Work User"
-      );
+      expect(result.gitConfig).toEqual({
+        "user.name": "Work User",
+        "user.email": "wrok@example.com",
+        "user.signingkey": "~/.ssh/id_ed25519.pub",
+        "gpg.format": "ssh",
+        "gpg.ssh.allowedSignersFile": "~/.ssh/allowed_signers",
+        "commit.gpgsign": "true",
+        "tag.gpgsign": "true",
+      });
     });
-  });
 
-  describe("exportContexts", () => {
-    test("should display warning if no contexts are configured", async () => {
+    test("should reject a signing key that doesn't match the format", async () => {
       // Arrange
-      mockFileSystem.loadContexts.mockResolvedValue([]);
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
 
       // Act
-      await switcher.exportContexts();
+      const result = await switcher.editContext("work", {
+        signingKey: "~/.ssh/id_ed25519.pub",
+      });
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalledWith(
-        "No contexts configured yet. Nothing to export."
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Invalid context: GPG key should be a hexadecimal value"
       );
     });
 
-    test("should export contexts successfully", async () => {
+    test("should not save an edited context that fails validation", async () => {
       // Arrange
-      const contexts = [{ name: "work" }, { name: "personal" }];
-      const exportPath = "/path/to/export.json";
-
-      mockFileSystem.loadContexts.mockResolvedValue(contexts);
-      mockUI.getExportPath.mockResolvedValue(exportPath);
-      mockFileSystem.exportContexts.mockResolvedValue(exportPath);
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
 
       // Act
-      await switcher.exportContexts();
+      const result = await switcher.editContext("work", {
+        email: "not-an-email",
+      });
 
       // Assert
-      expect(mockFileSystem.exportContexts).toHaveBeenCalledWith(
-        contexts,
-        exportPath
-      );
-      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
-        `Contexts exported successfully to ${exportPath}`
-      );
-      expect(mockUI.displayContextsWithUrlPatterns).toHaveBeenCalledWith(
-        contexts,
-        mockFileSystem.gitConfigDirPath
+      expect(result).toBeNull();
+      expect(mockFileSystem.saveContextConfig).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Invalid context: Please enter a valid email address"
       );
     });
   });
 
-  describe("importContexts", () => {
-    test("should display warning if no contexts found in import file", async () => {
-      // Arrange
-      const importPath = "/path/to/import.json";
+  describe("context config", () => {
+    const storedContext = {
+      name: "work",
+      pathPatterns: ["~/work/**"],
+      gitConfig: {
+        "user.name": "Work User",
+        "user.email": "work@example.com",
+        "core.sshCommand": "ssh -i ~/.ssh/work",
+      },
+    };
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
+    });
 
-      mockUI.getImportPath.mockResolvedValue(importPath);
-      mockFileSystem.importContexts.mockResolvedValue([]);
+    test("should get a value regardless of key case", async () => {
+      // Act
+      const value = await switcher.getContextConfig("work", "core.sshcommand");
+
+      // Assert
+      expect(value).toBe("ssh -i ~/.ssh/work");
+      expect(mockUI.displayValue).toHaveBeenCalledWith("ssh -i ~/.ssh/work");
+    });
 
+    test("should list every value when no key is given", async () => {
       // Act
-      await switcher.importContexts();
+      await switcher.getContextConfig("work");
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalledWith(
-        "No contexts found in the import file."
+      expect(mockUI.displayValue).toHaveBeenCalledTimes(3);
+      expect(mockUI.displayValue).toHaveBeenCalledWith(
+        "core.sshCommand=ssh -i ~/.ssh/work"
       );
     });
 
-    test("should import valid contexts and display warnings for invalid ones", async () => {
-      // Arrange
-      const importPath = "/path/to/import.json";
-      const importedContexts = [
-        { name: "work" },
-        { name: "personal" },
-        { name: "invalid" },
-      ];
+    test("should return null for a key that is not set", async () => {
+      // Act
+      const value = await switcher.getContextConfig("work", "pull.rebase");
 
-      mockUI.getImportPath.mockResolvedValue(importPath);
-      mockFileSystem.importContexts.mockResolvedValue(importedContexts);
+      // Assert
+      expect(value).toBeNull();
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        'Key "pull.rebase" is not set for context "work".'
+      );
+    });
+
+    test("should print values in the requested format", async () => {
+      // Act
+      await switcher.getContextConfig("work", "user.email", { format: "json" });
+      const missing = await switcher.getContextConfig("work", "pull.rebase", {
+        format: "json",
+      });
+
+      // Assert
+      expect(mockUI.displayStructured).toHaveBeenCalledTimes(1);
+      expect(mockUI.displayStructured).toHaveBeenCalledWith(
+        { key: "user.email", value: "work@example.com" },
+        "json",
+        [{ key: "user.email", value: "work@example.com" }]
+      );
+      expect(missing).toBeNull();
+      expect(mockUI.displayWarning).not.toHaveBeenCalled();
+      expect(mockUI.displayValue).not.toHaveBeenCalled();
+    });
+
+    test("should set a new value and rewrite the context config", async () => {
+      // Act
+      const result = await switcher.setContextConfig(
+        "work",
+        "pull.rebase",
+        "true"
+      );
+
+      // Assert
+      expect(result.gitConfig["pull.rebase"]).toBe("true");
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "work",
+        expect.stringContaining("[pull]\n    rebase = true\n")
+      );
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([result]);
+    });
+
+    test("should build on the contexts read while holding the locks", async () => {
+      // Arrange: another command adds a context and changes this one before
+      // the locks are taken
+      const personal = { name: "personal", pathPatterns: ["~/personal/**"] };
+      const changed = {
+        ...storedContext,
+        gitConfig: { ...storedContext.gitConfig, "commit.gpgSign": "true" },
+      };
+      mockFileSystem.runTransaction.mockImplementation((fn) => {
+        mockFileSystem.loadContexts.mockResolvedValue([changed, personal]);
+        return fn(mockFileSystem);
+      });
+
+      // Act
+      const result = await switcher.setContextConfig(
+        "work",
+        "pull.rebase",
+        "true"
+      );
+
+      // Assert
+      expect(result.gitConfig["commit.gpgSign"]).toBe("true");
+      expect(result.gitConfig["pull.rebase"]).toBe("true");
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([
+        result,
+        personal,
+      ]);
+    });
+
+    test("should overwrite an existing key spelled in another case", async () => {
+      // Act
+      const result = await switcher.setContextConfig(
+        "work",
+        "CORE.sshCommand",
+        "ssh -i ~/.ssh/id_work"
+      );
+
+      // Assert
+      expect(result.gitConfig).toEqual({
+        "user.name": "Work User",
+        "user.email": "work@example.com",
+        "core.sshCommand": "ssh -i ~/.ssh/id_work",
+      });
+    });
+
+    test("should reject an invalid key", async () => {
+      // Act
+      const result = await switcher.setContextConfig("work", "nodot", "x");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Invalid git config key: nodot"
+      );
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+    });
+
+    test("should unset a value", async () => {
+      // Act
+      const result = await switcher.unsetContextConfig(
+        "work",
+        "core.sshCommand"
+      );
+
+      // Assert
+      expect(result.gitConfig).not.toHaveProperty("core.sshCommand");
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([result]);
+    });
+
+    test("should display error when unsetting a missing key", async () => {
+      // Act
+      const result = await switcher.unsetContextConfig("work", "pull.rebase");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Key "pull.rebase" is not set for context "work"'
+      );
+    });
+
+    test("should display error for an unknown context", async () => {
+      // Act
+      const result = await switcher.setContextConfig("missing", "a.b", "c");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "missing" not found'
+      );
+    });
+  });
+
+  describe("path patterns", () => {
+    const storedContext = {
+      name: "work",
+      pathPatterns: ["~/work/**"],
+      gitConfig: { "user.name": "Work User", "user.email": "work@example.com" },
+    };
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue([storedContext]);
+    });
+
+    test("should add a path pattern and rewrite the includes", async () => {
+      // Act
+      const result = await switcher.addPathPattern("work", " /srv/work/** ");
+
+      // Assert
+      expect(result.pathPatterns).toEqual(["~/work/**", "/srv/work/**"]);
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith("path add");
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([result]);
+      expect(mockGitService.generateConditionalIncludes).toHaveBeenCalledWith(
+        [result],
+        mockFileSystem.gitConfigDirPath
+      );
+    });
+
+    test("should reject a path pattern the context already has", async () => {
+      // Act
+      const result = await switcher.addPathPattern("work", "~/work/**");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "work" already has path pattern "~/work/**"'
+      );
+      expect(switcher.exitCode).toBe(EXIT_CODES.CONFLICT);
+    });
+
+    test("should remove a path pattern", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...storedContext, pathPatterns: ["~/work/**", "/srv/work/**"] },
+      ]);
+
+      // Act
+      const result = await switcher.removePathPattern("work", "~/work/**");
+
+      // Assert
+      expect(result.pathPatterns).toEqual(["/srv/work/**"]);
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith("path remove");
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([result]);
+    });
+
+    test("should report a path pattern the context doesn't have", async () => {
+      // Act
+      const result = await switcher.removePathPattern("work", "/srv/work/**");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(switcher.exitCode).toBe(EXIT_CODES.NO_MATCH);
+    });
+
+    test("should keep the only condition a context is included by", async () => {
+      // Act
+      const result = await switcher.removePathPattern("work", "~/work/**");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        expect.stringContaining("the context would never apply")
+      );
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+    });
+
+    test("should remove the last path pattern of a context with URL patterns", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...storedContext, urlPatterns: ["github.com/acme/*"] },
+      ]);
+
+      // Act
+      const result = await switcher.removePathPattern("work", "~/work/**");
+
+      // Assert
+      expect(result.pathPatterns).toEqual([]);
+    });
+
+    test("should match a directory against every path pattern", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...storedContext, pathPatterns: ["~/work/**", "/srv/work/**"] },
+      ]);
+      mockPathPatternToRegex.mockImplementation(
+        (pattern) => new RegExp(`^${pattern.replace("**", ".*")}`)
+      );
+      jest.spyOn(process, "cwd").mockReturnValue("/srv/work/api");
+
+      // Act
+      const result = await switcher.applyContext({ format: "json" });
+
+      // Assert
+      expect(result.context).toBe("work");
+      process.cwd.mockRestore();
+      mockPathPatternToRegex.mockReset().mockReturnValue(/\/.*/);
+    });
+  });
+
+  describe("overlapping path patterns", () => {
+    const code = {
+      name: "code",
+      pathPatterns: ["/code/**"],
+      gitConfig: { "user.name": "Me", "user.email": "me@example.com" },
+    };
+    const client = {
+      name: "client",
+      pathPatterns: ["/code/client-x/**"],
+      gitConfig: { "user.name": "Me", "user.email": "me@client.com" },
+    };
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      mockPathPatternToRegex.mockImplementation(
+        (pattern) => new RegExp(`^${pattern.replace("**", ".*")}`)
+      );
+      jest.spyOn(process, "cwd").mockReturnValue("/code/client-x/api");
+    });
+
+    afterEach(() => {
+      process.cwd.mockRestore();
+      mockPathPatternToRegex.mockReset().mockReturnValue(/\/.*/);
+    });
+
+    test("should apply the most specific context wherever it is in the file", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([client, code]);
+
+      // Act
+      const result = await switcher.applyContext({ format: "json" });
+
+      // Assert
+      expect(result.context).toBe("client");
+    });
+
+    test("should apply the highest priority before the most specific", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        client,
+        { ...code, priority: 1 },
+      ]);
+
+      // Act
+      const result = await switcher.applyContext({ format: "json" });
+
+      // Assert
+      expect(result.context).toBe("code");
+    });
+
+    test("should apply the later context on a tie, like git", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        client,
+        { ...code, name: "other", pathPatterns: ["/code/client-x/**"] },
+      ]);
+
+      // Act
+      const result = await switcher.applyContext({ format: "json" });
+
+      // Assert
+      expect(result.context).toBe("other");
+    });
+
+    test("should warn about overlapping patterns when adding a context", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([code]);
+
+      // Act
+      await switcher.addContext({
+        name: "client",
+        path: ["/code/client-x/**"],
+        userName: "Me",
+        email: "me@client.com",
+      });
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        'Path pattern "/code/client-x/**" overlaps "/code/**" of context "code"; "client" wins where both match. Use --priority to change this.'
+      );
+    });
+
+    test("should name the winner by priority when warning", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([{ ...code, priority: 1 }]);
+
+      // Act
+      await switcher.addContext({
+        name: "client",
+        path: ["/code/client-x/**"],
+        userName: "Me",
+        email: "me@client.com",
+      });
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        expect.stringContaining('"code" wins where both match')
+      );
+    });
+
+    test("should warn about an overlapping pattern added to a context", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([code, client]);
+
+      // Act
+      await switcher.addPathPattern("code", "/code/client-x/tools/**");
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledTimes(1);
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        'Path pattern "/code/client-x/tools/**" overlaps "/code/client-x/**" of context "client"; "code" wins where both match. Use --priority to change this.'
+      );
+    });
+
+    test("should not warn about patterns that don't overlap", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([code]);
+
+      // Act
+      await switcher.addContext({
+        name: "client",
+        path: ["/clients/**"],
+        userName: "Me",
+        email: "me@client.com",
+      });
+
+      // Assert
+      expect(mockUI.displayWarning).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("default context", () => {
+    const work = {
+      name: "work",
+      pathPatterns: ["/work/**"],
+      gitConfig: { "user.name": "Work User", "user.email": "work@example.com" },
+    };
+    const personal = {
+      name: "personal",
+      pathPatterns: ["/personal/**"],
+      gitConfig: { "user.name": "Me", "user.email": "me@example.com" },
+    };
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+    });
+
+    test("should make a context the default and clear the previous one", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...work, isDefault: true },
+        personal,
+      ]);
+
+      // Act
+      const result = await switcher.setDefaultContext("personal");
+
+      // Assert
+      expect(result).toEqual({ default: "personal" });
+      const [saved] = mockFileSystem.saveContexts.mock.calls[0];
+      expect(saved.map((context) => context.isDefault)).toEqual([false, true]);
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith("default");
+    });
+
+    test("should show the current default", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        work,
+        { ...personal, isDefault: true },
+      ]);
+
+      // Act
+      const result = await switcher.setDefaultContext();
+
+      // Assert
+      expect(result).toEqual({ default: "personal" });
+      expect(mockUI.displayValue).toHaveBeenCalledWith("personal");
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+    });
+
+    test("should exit with no match when no default is set", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([work]);
+
+      // Act
+      const result = await switcher.setDefaultContext();
+
+      // Assert
+      expect(result).toEqual({ default: null });
+      expect(switcher.exitCode).toBe(EXIT_CODES.NO_MATCH);
+    });
+
+    test("should clear the default", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...personal, isDefault: true },
+      ]);
+
+      // Act
+      const result = await switcher.setDefaultContext(undefined, {
+        unset: true,
+      });
+
+      // Assert
+      expect(result).toEqual({ default: null });
+      const [saved] = mockFileSystem.saveContexts.mock.calls[0];
+      expect(saved[0].isDefault).toBe(false);
+    });
+
+    test("should reject a context together with --unset", async () => {
+      // Act
+      const result = await switcher.setDefaultContext("work", { unset: true });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(switcher.exitCode).toBe(EXIT_CODES.VALIDATION);
+    });
+
+    test("should add a default context without a path pattern", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...work, isDefault: true },
+      ]);
+
+      // Act
+      const result = await switcher.addContext({
+        name: "personal",
+        userName: "Me",
+        email: "me@example.com",
+        default: true,
+      });
+
+      // Assert
+      expect(result.isDefault).toBe(true);
+      expect(result.pathPatterns).toEqual([]);
+      const [saved] = mockFileSystem.saveContexts.mock.calls[0];
+      expect(saved.map((context) => context.isDefault)).toEqual([false, true]);
+    });
+
+    test("should let the default context lose its last path pattern", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...personal, isDefault: true },
+      ]);
+
+      // Act
+      const result = await switcher.removePathPattern(
+        "personal",
+        "/personal/**"
+      );
+
+      // Assert
+      expect(result.pathPatterns).toEqual([]);
+    });
+
+    test("should apply the default context where nothing matches", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        work,
+        { ...personal, isDefault: true },
+      ]);
+      jest.spyOn(process, "cwd").mockReturnValue("/tmp/scratch");
+
+      // Act
+      const result = await switcher.applyContext();
+
+      // Assert
+      expect(result.context).toBe("personal");
+      expect(result.fallback).toBe(true);
+      expect(switcher.exitCode).toBe(EXIT_CODES.SUCCESS);
+      expect(mockUI.displayActiveContext).toHaveBeenCalledWith(
+        expect.objectContaining({ name: "personal" }),
+        mockFileSystem.gitConfigDirPath,
+        expect.anything(),
+        true
+      );
+      process.cwd.mockRestore();
+    });
+
+    test("should prefer a matching context over the default", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        work,
+        { ...personal, isDefault: true },
+      ]);
+      mockPathPatternToRegex.mockImplementation(
+        (pattern) => new RegExp(`^${pattern.replace("**", ".*")}`)
+      );
+      jest.spyOn(process, "cwd").mockReturnValue("/work/api");
+
+      // Act
+      const result = await switcher.applyContext({ format: "json" });
+
+      // Assert
+      expect(result.context).toBe("work");
+      expect(result.fallback).toBe(false);
+      process.cwd.mockRestore();
+      mockPathPatternToRegex.mockReset().mockReturnValue(/\/.*/);
+    });
+
+    test("should expect the default context in status and see past its include", async () => {
+      // Arrange
+      const dir = "/home/user/.gitconfig.d";
+      mockFileSystem.gitConfigDirPath = dir;
+      mockFileSystem.loadContexts.mockResolvedValue([
+        work,
+        { ...personal, isDefault: true },
+      ]);
+      mockGitService.isInsideWorkTree.mockResolvedValue(true);
+      const entry = (file, value) => ({
+        scope: "global",
+        origin: `file:${file}`,
+        file,
+        value,
+      });
+
+      // Act: outside every path, git only includes the default
+      jest.spyOn(process, "cwd").mockReturnValue("/tmp/scratch");
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [entry(`${dir}/personal.gitconfig`, "Me")],
+        "user.email": [entry(`${dir}/personal.gitconfig`, "me@example.com")],
+      });
+      const outside = await switcher.showStatus({ format: "json" });
+
+      // Act: a matching context's include comes after the default's
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [
+          entry(`${dir}/personal.gitconfig`, "Me"),
+          entry(`${dir}/work.gitconfig`, "Work User"),
+        ],
+      });
+      const inside = await switcher.showStatus({ format: "json" });
+
+      // Assert
+      expect(outside.expectedContext).toBe("personal");
+      expect(outside.fallback).toBe(true);
+      expect(outside.appliedContext).toBe("personal");
+      expect(outside.mismatches).toEqual([]);
+      expect(inside.appliedContext).toBe("work");
+      process.cwd.mockRestore();
+    });
+  });
+
+  describe("extended contexts", () => {
+    const base = {
+      name: "base",
+      pathPatterns: ["/code/**"],
+      gitConfig: {
+        "user.name": "Me",
+        "user.email": "me@example.com",
+        "pull.rebase": "true",
+      },
+    };
+    const client = {
+      name: "client",
+      pathPatterns: ["/code/client/**"],
+      extends: "base",
+      gitConfig: { "user.email": "me@client.com" },
+    };
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+    });
+
+    test("should add a context that inherits its identity", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([base]);
+
+      // Act
+      const result = await switcher.addContext({
+        name: "client",
+        path: ["/code/client/**"],
+        email: "me@client.com",
+        extends: "base",
+      });
+
+      // Assert
+      expect(result.extends).toBe("base");
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "client",
+        expect.stringContaining("path = base.gitconfig")
+      );
+    });
+
+    test("should reject extending an unknown context", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([base]);
+
+      // Act
+      const result = await switcher.addContext({
+        name: "client",
+        path: ["/code/client/**"],
+        extends: "missing",
+      });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Invalid context: Context "client" extends unknown context "missing"'
+      );
+      expect(switcher.exitCode).toBe(EXIT_CODES.VALIDATION);
+    });
+
+    test("should reject an edit that makes contexts extend each other", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([base, client]);
+
+      // Act
+      const result = await switcher.editContext("base", { extends: "client" });
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Invalid context: Contexts extend each other in a cycle: base -> client -> base"
+      );
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+    });
+
+    test("should point contexts at the new name when renaming", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([base, client]);
+
+      // Act
+      await switcher.renameContext("base", "shared");
+
+      // Assert
+      const [saved] = mockFileSystem.saveContexts.mock.calls[0];
+      expect(saved[1].extends).toBe("shared");
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "client",
+        expect.stringContaining("path = shared.gitconfig")
+      );
+    });
+
+    test("should refuse to remove a context that others extend", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([base, client]);
+      mockUI.selectContextToRemove.mockResolvedValue("base");
+
+      // Act
+      await switcher.removeContext();
+
+      // Assert
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "base" is extended by client; change or remove those first'
+      );
+      expect(switcher.exitCode).toBe(EXIT_CODES.CONFLICT);
+      expect(mockFileSystem.deleteContextConfig).not.toHaveBeenCalled();
+    });
+
+    test("should list the effective configuration", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([base, client]);
+
+      // Act
+      const result = await switcher.listContexts();
+
+      // Assert
+      expect(result[1].effectiveGitConfig).toEqual({
+        "user.name": "Me",
+        "pull.rebase": "true",
+        "user.email": "me@client.com",
+      });
+      expect(mockUI.displayContextConfig).toHaveBeenCalledWith(
+        "[user]\n" +
+          "    name = Me\n" +
+          "    email = me@client.com\n" +
+          "\n" +
+          "[pull]\n" +
+          "    rebase = true\n",
+        "Effective configuration (extends base)"
+      );
+    });
+
+    test("should expect inherited values in status", async () => {
+      // Arrange
+      const dir = "/home/user/.gitconfig.d";
+      const entry = (file, value) => ({
+        scope: "global",
+        origin: `file:${file}`,
+        file,
+        value,
+      });
+      mockFileSystem.gitConfigDirPath = dir;
+      mockFileSystem.loadContexts.mockResolvedValue([base, client]);
+      mockGitService.isInsideWorkTree.mockResolvedValue(true);
+      mockPathPatternToRegex.mockImplementation(
+        (pattern) => new RegExp(`^${pattern.replace("**", ".*")}`)
+      );
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [entry(`${dir}/base.gitconfig`, "Someone Else")],
+        "user.email": [entry(`${dir}/client.gitconfig`, "me@client.com")],
+      });
+      jest.spyOn(process, "cwd").mockReturnValue("/code/client/api");
+
+      // Act
+      const status = await switcher.showStatus({ format: "json" });
+
+      // Assert
+      expect(status.expectedContext).toBe("client");
+      expect(status.appliedContext).toBe("client");
+      expect(status.mismatches).toEqual([
+        `user.name is "Someone Else" from file:${dir}/base.gitconfig, but context "client" sets "Me"`,
+      ]);
+      process.cwd.mockRestore();
+      mockPathPatternToRegex.mockReset().mockReturnValue(/\/.*/);
+    });
+  });
+
+  describe("runDoctor", () => {
+    const work = {
+      name: "work",
+      pathPatterns: ["~/work/**"],
+      gitConfig: { "user.name": "Work User", "user.email": "work@example.com" },
+    };
+    const client = {
+      name: "client",
+      pathPatterns: ["~/work/client/**"],
+      gitConfig: { "user.name": "Me", "user.email": "me@client.example" },
+    };
+    const includes = '[includeIf "gitdir:~/work/**"]\n    path = work';
+
+    const statuses = (report) =>
+      Object.fromEntries(report.checks.map((c) => [c.name, c.status]));
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue([work]);
+      mockFileSystem.readContextConfig.mockImplementation(async () =>
+        realFromObject(work).toConfigFileContent()
+      );
+      mockFileSystem.listContextConfigs.mockResolvedValue(["work"]);
+      mockGitService.generateConditionalIncludes.mockReturnValue(includes);
+      mockGitService.extractConditionalIncludes.mockReturnValue(
+        includes + "\n\n"
+      );
+    });
+
+    test("should report a healthy installation", async () => {
+      // Act
+      const report = await switcher.runDoctor();
+
+      // Assert
+      expect(report.healthy).toBe(true);
+      expect(statuses(report)).toEqual({
+        Git: "pass",
+        "Contexts file": "pass",
+        "Context config files": "pass",
+        "Orphaned config files": "pass",
+        "Conditional includes": "pass",
+        "Path patterns": "pass",
+      });
+      expect(mockFileSystem.loadContexts).toHaveBeenCalledWith({
+        strict: true,
+      });
+      expect(mockUI.displayDoctorReport).toHaveBeenCalledWith(report.checks);
+    });
+
+    test("should print the report in the requested format", async () => {
+      // Act
+      const report = await switcher.runDoctor({ format: "yaml" });
+
+      // Assert
+      expect(mockUI.displayStructured).toHaveBeenCalledWith(
+        { healthy: true, checks: report.checks },
+        "yaml",
+        report.checks
+      );
+      expect(mockUI.displayDoctorReport).not.toHaveBeenCalled();
+    });
+
+    test("should report problems without changing anything", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([work, client]);
+      mockFileSystem.readContextConfig.mockResolvedValue(null);
+      mockFileSystem.listContextConfigs.mockResolvedValue(["old"]);
+      mockGitService.extractConditionalIncludes.mockReturnValue("");
+      mockGitService.checkInstalled.mockRejectedValue(
+        new Error("Git is not installed")
+      );
+
+      // Act
+      const report = await switcher.runDoctor();
+
+      // Assert
+      expect(report.healthy).toBe(false);
+      expect(statuses(report)).toEqual({
+        Git: "fail",
+        "Contexts file": "pass",
+        "Context config files": "fail",
+        "Orphaned config files": "warn",
+        "Conditional includes": "fail",
+        "Path patterns": "warn",
+      });
+      const overlap = report.checks.find((c) => c.name === "Path patterns");
+      expect(overlap.details).toEqual([
+        "work (~/work/**) and client (~/work/client/**)",
+      ]);
+      expect(mockFileSystem.saveContextConfig).not.toHaveBeenCalled();
+      expect(mockFileSystem.deleteContextConfig).not.toHaveBeenCalled();
+      expect(mockFileSystem.writeGitConfig).not.toHaveBeenCalled();
+    });
+
+    test("should repair what it can with fix", async () => {
+      // Arrange
+      mockFileSystem.readContextConfig.mockResolvedValue("[user]\n");
+      mockFileSystem.listContextConfigs.mockResolvedValue(["work", "old"]);
+      mockGitService.extractConditionalIncludes.mockReturnValue("");
+
+      // Act
+      const report = await switcher.runDoctor({ fix: true });
+
+      // Assert
+      expect(report.healthy).toBe(true);
+      expect(report.checks.filter((c) => c.fixed).map((c) => c.name)).toEqual([
+        "Context config files",
+        "Orphaned config files",
+        "Conditional includes",
+      ]);
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "work",
+        realFromObject(work).toConfigFileContent()
+      );
+      expect(mockFileSystem.deleteContextConfig).toHaveBeenCalledWith("old");
+      expect(mockFileSystem.writeGitConfig).toHaveBeenCalled();
+    });
+
+    test("should stage every repair in one transaction after the backup", async () => {
+      // Arrange
+      const transaction = {
+        loadContexts: jest.fn().mockResolvedValue([work]),
+        readContextConfig: jest.fn().mockResolvedValue("[user]\n"),
+        saveContextConfig: jest.fn().mockResolvedValue(),
+        listContextConfigs: jest.fn().mockResolvedValue(["work", "old"]),
+        deleteContextConfig: jest.fn().mockResolvedValue(),
+        readGitConfig: jest.fn().mockResolvedValue("[core]\n"),
+        writeGitConfig: jest.fn().mockResolvedValue(),
+      };
+      mockFileSystem.runTransaction.mockImplementation((fn) => fn(transaction));
+      mockGitService.extractConditionalIncludes.mockReturnValue("");
+
+      // Act
+      const report = await switcher.runDoctor({ fix: true });
+
+      // Assert
+      expect(report.healthy).toBe(true);
+      expect(mockFileSystem.runTransaction).toHaveBeenCalledWith(
+        expect.any(Function),
+        "doctor --fix"
+      );
+      expect(transaction.loadContexts).toHaveBeenCalledWith({ strict: true });
+      expect(transaction.saveContextConfig).toHaveBeenCalledWith(
+        "work",
+        realFromObject(work).toConfigFileContent()
+      );
+      expect(transaction.deleteContextConfig).toHaveBeenCalledWith("old");
+      expect(transaction.writeGitConfig).toHaveBeenCalled();
+      expect(mockFileSystem.saveContextConfig).not.toHaveBeenCalled();
+      expect(mockFileSystem.deleteContextConfig).not.toHaveBeenCalled();
+      expect(mockFileSystem.writeGitConfig).not.toHaveBeenCalled();
+      expect(
+        mockFileSystem.createBackup.mock.invocationCallOrder[0]
+      ).toBeLessThan(transaction.saveContextConfig.mock.invocationCallOrder[0]);
+    });
+
+    test("should only read the files without fix", async () => {
+      // Act
+      await switcher.runDoctor();
+
+      // Assert
+      expect(mockFileSystem.runTransaction).not.toHaveBeenCalled();
+      expect(mockFileSystem.createBackup).not.toHaveBeenCalled();
+    });
+
+    test("should report and migrate includes outside the managed block", async () => {
+      // Arrange
+      mockGitService.hasManagedBlock.mockReturnValue(false);
+      mockGitService.extractConditionalIncludes.mockReturnValue("");
+      mockGitService.removeLegacyIncludes.mockReturnValue({
+        content: "[core]\n",
+        sections: ['[includeIf "gitdir:~/work/**"]'],
+      });
+
+      // Act
+      const report = await switcher.runDoctor({ fix: true });
+
+      // Assert
+      const check = report.checks.find(
+        (c) => c.name === "Conditional includes"
+      );
+      expect(check.status).toBe("fail");
+      expect(check.fixed).toBe(true);
+      expect(check.details).toEqual([
+        'unmanaged: [includeIf "gitdir:~/work/**"]',
+        `missing: [includeIf "gitdir:~/work/**"]`,
+        "missing: path = work",
+      ]);
+      expect(mockGitService.replaceConditionalIncludes).toHaveBeenCalledWith(
+        "[core]\n",
+        includes
+      );
+    });
+
+    test("should report damaged managed block markers", async () => {
+      // Arrange
+      mockGitService.extractConditionalIncludes.mockImplementation(() => {
+        throw new Error("The managed block markers are damaged");
+      });
+
+      // Act
+      const report = await switcher.runDoctor({ fix: true });
+
+      // Assert
+      const check = report.checks.find(
+        (c) => c.name === "Conditional includes"
+      );
+      expect(check.status).toBe("fail");
+      expect(check.fixable).toBe(false);
+      expect(check.message).toBe("The managed block markers are damaged");
+      expect(report.healthy).toBe(false);
+      expect(mockFileSystem.writeGitConfig).not.toHaveBeenCalled();
+    });
+
+    test("should fail on invalid contexts", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...work, gitConfig: { "user.email": "not-an-email" } },
+        { description: "no name" },
+      ]);
+
+      // Act
+      const report = await switcher.runDoctor();
+
+      // Assert
+      const check = report.checks.find((c) => c.name === "Contexts file");
+      expect(check.status).toBe("fail");
+      expect(check.details).toEqual([
+        "work: Please enter a valid email address",
+        "(unnamed): Context requires a name",
+      ]);
+    });
+
+    test.each([
+      [{}, "a JSON object"],
+      [null, "null"],
+      ["work", "a JSON string"],
+    ])(
+      "should report a contexts file holding %p instead of a list",
+      async (content, description) => {
+        // Arrange
+        mockFileSystem.loadContexts.mockResolvedValue(content);
+
+        // Act
+        const report = await switcher.runDoctor();
+
+        // Assert
+        expect(report.healthy).toBe(false);
+        expect(statuses(report)).toEqual({
+          Git: "pass",
+          "Contexts file": "fail",
+        });
+        const check = report.checks.find((c) => c.name === "Contexts file");
+        expect(check.message).toBe(
+          `${mockFileSystem.configFilePath} holds ${description} instead of a list of contexts`
+        );
+        expect(check.fixable).toBe(true);
+        expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+      }
+    );
+
+    test("should replace a contexts file that isn't a list on fix", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue({});
+
+      // Act
+      const report = await switcher.runDoctor({ fix: true });
+
+      // Assert
+      expect(report.healthy).toBe(true);
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith("doctor --fix");
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([]);
+      expect(report.checks.find((c) => c.name === "Contexts file").fixed).toBe(
+        true
+      );
+    });
+
+    test("should stop when the contexts file can't be read", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockRejectedValue(
+        new Error("Invalid JSON in config file: Unexpected token")
+      );
+
+      // Act
+      const report = await switcher.runDoctor({ fix: true });
+
+      // Assert
+      expect(report.healthy).toBe(false);
+      expect(statuses(report)).toEqual({
+        Git: "pass",
+        "Contexts file": "fail",
+      });
+      expect(mockFileSystem.writeGitConfig).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("showStatus", () => {
+    const work = {
+      name: "work",
+      pathPatterns: ["/work/**"],
+      gitConfig: { "user.name": "Work User", "user.email": "work@example.com" },
+    };
+    let originalCwd;
+    let workFile;
+
+    const entry = (file, value) => ({
+      scope: "global",
+      origin: `file:${file}`,
+      file,
+      value,
+    });
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue([work]);
+      mockFileSystem.gitConfigDirPath = "/home/user/.gitconfig.d";
+      workFile = "/home/user/.gitconfig.d/work.gitconfig";
+      originalCwd = process.cwd;
+      process.cwd = jest.fn().mockReturnValue("/work/project");
+      mockGitService.isInsideWorkTree.mockResolvedValue(true);
+    });
+
+    afterEach(() => {
+      process.cwd = originalCwd;
+    });
+
+    test("should report the applied context when it matches", async () => {
+      // Arrange
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [
+          entry("/home/user/.gitconfig", "Global User"),
+          entry(workFile, "Work User"),
+        ],
+        "user.email": [entry(workFile, "work@example.com")],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.expectedContext).toBe("work");
+      expect(status.appliedContext).toBe("work");
+      expect(status.mismatches).toEqual([]);
+      expect(status.values.find((v) => v.key === "user.name").value).toBe(
+        "Work User"
+      );
+      expect(status.values.find((v) => v.key === "user.signingkey").value).toBe(
+        null
+      );
+      expect(mockUI.displayStatus).toHaveBeenCalledWith(status);
+    });
+
+    test("should report the context whose file holds the effective identity", async () => {
+      // Arrange: a nested context's includes are read after the outer one's
+      const client = {
+        name: "client",
+        pathPatterns: ["/work/client/**"],
+        gitConfig: {
+          "user.name": "Client User",
+          "user.email": "me@client.example.com",
+        },
+      };
+      const clientFile = "/home/user/.gitconfig.d/client.gitconfig";
+      mockFileSystem.loadContexts.mockResolvedValue([work, client]);
+      process.cwd.mockReturnValue("/work/client/project");
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [
+          entry(workFile, "Work User"),
+          entry(clientFile, "Client User"),
+        ],
+        "user.email": [
+          entry(workFile, "work@example.com"),
+          entry(clientFile, "me@client.example.com"),
+        ],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.expectedContext).toBe("client");
+      expect(status.appliedContext).toBe("client");
+      expect(status.mismatches).toEqual([]);
+      expect(switcher.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test("should report the extending context when its identity is inherited", async () => {
+      // Arrange
+      const base = {
+        name: "base",
+        pathPatterns: ["/base/**"],
+        gitConfig: {
+          "user.name": "Base User",
+          "user.email": "base@example.com",
+        },
+      };
+      const baseFile = "/home/user/.gitconfig.d/base.gitconfig";
+      mockFileSystem.loadContexts.mockResolvedValue([
+        base,
+        { name: "work", pathPatterns: ["/work/**"], extends: "base" },
+      ]);
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [entry(baseFile, "Base User")],
+        "user.email": [entry(baseFile, "base@example.com")],
+        "core.sshCommand": [entry(workFile, "ssh -i ~/.ssh/work")],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.appliedContext).toBe("work");
+      expect(status.mismatches).toEqual([]);
+    });
+
+    test("should expect the context a URL pattern matches the remote with", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...work, urlPatterns: ["github.com/acme/*"] },
+      ]);
+      process.cwd.mockReturnValue("/other/r");
+      mockGitService.getRepositoryState.mockResolvedValue({
+        gitDir: "/other/r/.git",
+        branch: "main",
+        remoteUrls: ["https://github.com/acme/x.git"],
+      });
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [entry(workFile, "Work User")],
+        "user.email": [entry(workFile, "work@example.com")],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.expectedContext).toBe("work");
+      expect(status.appliedContext).toBe("work");
+      expect(status.mismatches).toEqual([]);
+      expect(switcher.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test("should not report a context mismatch for a condition it can't evaluate", async () => {
+      // Arrange: the branch couldn't be read
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { ...work, pathPatterns: [], includeConditions: ["onbranch:main"] },
+      ]);
+      mockGitService.getRepositoryState.mockResolvedValue({
+        gitDir: "/work/project/.git",
+        branch: null,
+        remoteUrls: [],
+      });
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [entry(workFile, "Work User")],
+        "user.email": [entry(workFile, "work@example.com")],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.expectedContext).toBeNull();
+      expect(status.appliedContext).toBe("work");
+      expect(status.uncertain).toBe(true);
+      expect(status.mismatches).toEqual([]);
+      expect(switcher.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test("should report a value overridden after the context", async () => {
+      // Arrange
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [
+          entry(workFile, "Work User"),
+          entry("/work/project/.git/config", "Someone Else"),
+        ],
+        "user.email": [entry(workFile, "work@example.com")],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.appliedContext).toBe("work");
+      expect(status.mismatches).toHaveLength(1);
+      expect(status.mismatches[0]).toContain('user.name is "Someone Else"');
+    });
+
+    test("should report when no context is applied", async () => {
+      // Arrange
+      mockGitService.getEffectiveConfig.mockResolvedValue({
+        "user.name": [entry("/home/user/.gitconfig", "Global User")],
+      });
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.appliedContext).toBeNull();
+      expect(status.mismatches).toEqual([
+        'Expected context "work", but git applies none',
+      ]);
+    });
+
+    test("should not report mismatches outside a repository", async () => {
+      // Arrange
+      mockGitService.isInsideWorkTree.mockResolvedValue(false);
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status.insideRepository).toBe(false);
+      expect(status.mismatches).toEqual([]);
+    });
+
+    test("should display an error when git fails", async () => {
+      // Arrange
+      mockGitService.getEffectiveConfig.mockRejectedValue(
+        new Error("Failed to get git configuration: fatal")
+      );
+
+      // Act
+      const status = await switcher.showStatus();
+
+      // Assert
+      expect(status).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Failed to get git configuration: fatal"
+      );
+    });
+  });
+
+  describe("renameContext", () => {
+    const storedContexts = [
+      {
+        name: "work",
+        pathPatterns: ["~/work/**"],
+        gitConfig: { "user.email": "work@example.com" },
+      },
+      { name: "personal", pathPatterns: ["~/personal/**"] },
+    ];
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue(storedContexts);
+      mockFileSystem.renameContextConfig.mockResolvedValue(
+        "/mock/home/.gitconfig.d/job.gitconfig"
+      );
+    });
+
+    test("should rename the context, its config file and includes", async () => {
+      // Act
+      const result = await switcher.renameContext("work", "job");
+
+      // Assert
+      expect(result.name).toBe("job");
+      expect(result.userEmail).toBe("work@example.com");
+      expect(mockFileSystem.renameContextConfig).toHaveBeenCalledWith(
+        "work",
+        "job"
+      );
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([
+        result,
+        storedContexts[1],
+      ]);
+      expect(mockGitService.generateConditionalIncludes).toHaveBeenCalledWith(
+        [result, storedContexts[1]],
+        mockFileSystem.gitConfigDirPath
+      );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        'Context "work" renamed to "job" successfully!'
+      );
+    });
+
+    test("should write a fresh config file if the old one is missing", async () => {
+      // Arrange
+      mockFileSystem.renameContextConfig.mockResolvedValue(null);
+
+      // Act
+      const result = await switcher.renameContext("work", "job");
+
+      // Assert
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalledWith(
+        "job",
+        result.toConfigFileContent()
+      );
+    });
+
+    test("should reject an invalid new name", async () => {
+      // Act
+      const result = await switcher.renameContext("work", "../job");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockFileSystem.renameContextConfig).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Context name can only contain letters, numbers, hyphens, and underscores"
+      );
+    });
+
+    test("should refuse to rename onto an existing context", async () => {
+      // Act
+      const result = await switcher.renameContext("work", "personal");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockFileSystem.renameContextConfig).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "personal" already exists'
+      );
+    });
+
+    test("should display error if the context does not exist", async () => {
+      // Act
+      await switcher.renameContext("missing", "job");
+
+      // Assert
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Context "missing" not found'
+      );
+    });
+
+    test("should make all changes in one transaction", async () => {
+      // Act
+      await switcher.renameContext("work", "job");
+
+      // Assert
+      expect(mockFileSystem.runTransaction).toHaveBeenCalledTimes(1);
+      expect(mockFileSystem.writeGitConfig).toHaveBeenCalled();
+    });
+
+    test("should report an error if the transaction fails", async () => {
+      // Arrange
+      mockFileSystem.runTransaction.mockRejectedValue(new Error("Disk full"));
+
+      // Act
+      const result = await switcher.renameContext("work", "job");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockUI.displaySuccess).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith("Disk full");
+    });
+  });
+
+  describe("removeContext", () => {
+    test("should display warning if no contexts are configured", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.removeContext();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No contexts configured yet. Nothing to remove."
+      );
+    });
+
+    test("should remove context successfully", async () => {
+      // Arrange
+      const contexts = [{ name: "work" }, { name: "personal" }];
+
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
+      mockUI.selectContextToRemove.mockResolvedValue("work");
+      mockFileSystem.deleteContextConfig.mockResolvedValue();
+      mockFileSystem.saveContexts.mockResolvedValue();
+
+      // Act
+      await switcher.removeContext();
+
+      // Assert
+      expect(mockFileSystem.deleteContextConfig).toHaveBeenCalledWith("work");
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([
+        { name: "personal" },
+      ]);
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        'Context "work" removed successfully!'
+      );
+    });
+
+    test("should do nothing if no context is selected for removal", async () => {
+      // Arrange
+      const contexts = [{ name: "work" }];
+
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
+      mockUI.selectContextToRemove.mockResolvedValue(null);
+
+      // Act
+      await switcher.removeContext();
+
+      // Assert
+      expect(mockFileSystem.deleteContextConfig).not.toHaveBeenCalled();
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("applyContext", () => {
+    test("should display warning if no contexts are configured", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.applyContext();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No contexts configured yet. Run setup to configure contexts."
+      );
+    });
+
+    test("should find and display matching context for current directory", async () => {
+      // Arrange
+      const contexts = [
+        { name: "work", pathPatterns: ["/work/**"] },
+        { name: "personal", pathPatterns: ["/personal/**"] },
+      ];
+
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
+      mockPathPatternToRegex.mockReturnValue(/\/work\/.*/);
+      mockGitService.getActiveConfig.mockResolvedValue("user.name=Work User");
+
+      // Mock process.cwd()
+      const originalCwd = process.cwd;
+      process.cwd = jest.fn().mockReturnValue("/work/project");
+
+      // Act
+      await switcher.applyContext();
+
+      // Assert
+      expect(mockUI.displayActiveContext).toHaveBeenCalledWith(
+        contexts[0],
+        mockFileSystem.gitConfigDirPath,
+        "user.name=Work User",
+        false
+      );
+
+      // Restore process.cwd
+      process.cwd = originalCwd;
+    });
+
+    test("should match URL patterns against the repository's remotes", async () => {
+      // Arrange
+      const contexts = [
+        { name: "work", pathPatterns: [], urlPatterns: ["github.com/acme/*"] },
+      ];
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      mockGitService.getRepositoryState.mockResolvedValue({
+        gitDir: "/other/r/.git",
+        branch: "main",
+        remoteUrls: ["git@github.com:acme/x.git"],
+      });
+      const originalCwd = process.cwd;
+      process.cwd = jest.fn().mockReturnValue("/other/r");
+
+      // Act
+      const result = await switcher.applyContext();
+
+      // Assert
+      expect(result.context).toBe("work");
+      expect(result.uncertain).toBe(false);
+      expect(mockUI.displayWarning).not.toHaveBeenCalled();
+
+      process.cwd = originalCwd;
+    });
+  });
+
+  describe("detectContextFromUrl", () => {
+    test("should display warning if no contexts are configured", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.detectContextFromUrl();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No contexts configured yet. Run setup to configure contexts."
+      );
+    });
+
+    test("should display warning if no repository URL is found", async () => {
+      // Arrange
+      const contexts = [{ name: "work" }];
+
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
+      mockGitService.getRepositoryUrl.mockResolvedValue(null);
+
+      // Act
+      await switcher.detectContextFromUrl();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No git repository found in the current directory, or no remote URL configured."
+      );
+    });
+
+    test("should find and display matching context for repository URL", async () => {
+      // Arrange
+      const contexts = [{ name: "work" }, { name: "personal" }];
+      const repoUrl = "github.com/user/repo";
+      const matchedContext = { name: "work" };
+
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      Context.fromObject = jest.fn().mockImplementation((obj) => obj);
+      mockGitService.getRepositoryUrl.mockResolvedValue(repoUrl);
+      mockGitService.detectContextFromUrl.mockReturnValue(matchedContext);
+      mockGitService.getActiveConfig.mockResolvedValue("user.name=Work User");
+
+      // Act
+      await switcher.detectContextFromUrl();
+
+      // Assert
+      expect(mockGitService.detectContextFromUrl).toHaveBeenCalledWith(
+        contexts,
+        repoUrl
+      );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        `Repository URL "${repoUrl}" matches context: work`
+      );
+      expect(mockUI.displayActiveContext).toHaveBeenCalledWith(
+        matchedContext,
+        mockFileSystem.gitConfigDirPath,
+        "user.name=Work User"
+      );
+    });
+  });
+
+  describe("exportContexts", () => {
+    test("should display warning if no contexts are configured", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.exportContexts();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No contexts configured yet. Nothing to export."
+      );
+    });
+
+    test("should export contexts successfully", async () => {
+      // Arrange
+      const contexts = [{ name: "work" }, { name: "personal" }];
+      const exportPath = "/path/to/export.json";
+
+      mockFileSystem.loadContexts.mockResolvedValue(contexts);
+      mockUI.getExportPath.mockResolvedValue(exportPath);
+      mockFileSystem.exportContexts.mockResolvedValue(exportPath);
+
+      // Act
+      await switcher.exportContexts();
+
+      // Assert
+      expect(mockFileSystem.exportContexts).toHaveBeenCalledWith(
+        contexts,
+        exportPath
+      );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        `Contexts exported successfully to ${exportPath}`
+      );
+      expect(mockUI.displayContextsWithUrlPatterns).toHaveBeenCalledWith(
+        contexts,
+        mockFileSystem.gitConfigDirPath
+      );
+    });
+  });
+
+  describe("importContexts", () => {
+    test("should display warning if no contexts found in import file", async () => {
+      // Arrange
+      const importPath = "/path/to/import.json";
+
+      mockUI.getImportPath.mockResolvedValue(importPath);
+      mockFileSystem.importContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.importContexts();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No contexts found in the import file."
+      );
+    });
+
+    test("should import valid contexts and display warnings for invalid ones", async () => {
+      // Arrange
+      const importPath = "/path/to/import.json";
+      const importedContexts = [
+        { name: "work" },
+        { name: "personal" },
+        { name: "invalid" },
+      ];
+
+      mockUI.getImportPath.mockResolvedValue(importPath);
+      mockFileSystem.importContexts.mockResolvedValue(importedContexts);
+
+      // Mock Context.fromObject and validate to make some contexts valid and others invalid
+      Context.fromObject = jest.fn().mockImplementation((obj) => {
+        if (obj.name === "invalid") {
+          return {
+            name: obj.name,
+            validate: () => ({ isValid: false, errors: ["Invalid context"] }),
+          };
+        }
+        return {
+          name: obj.name,
+          validate: () => ({ isValid: true }),
+          toConfigFileContent: () => `user.name=${obj.name}`,
+        };
+      });
+
+      mockUI.selectContextsToImport.mockResolvedValue({
+        selectedContexts: [
+          { name: "work", toConfigFileContent: () => "user.name=Work User" },
+        ],
+        confirmation: true,
+      });
+
+      mockFileSystem.loadContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.importContexts();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalled();
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([
+        { name: "work", toConfigFileContent: expect.any(Function) },
+      ]);
+      expect(mockFileSystem.saveContextConfig).toHaveBeenCalled();
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Imported 1 contexts."
+      );
+    });
+
+    test("should handle duplicate contexts by replacing them if confirmed", async () => {
+      // Arrange
+      const importPath = "/path/to/import.json";
+      const importedContexts = [{ name: "work" }, { name: "personal" }];
+      const existingContexts = [{ name: "work" }, { name: "other" }];
+
+      mockUI.getImportPath.mockResolvedValue(importPath);
+      mockFileSystem.importContexts.mockResolvedValue(importedContexts);
+
+      // Mock Context.fromObject to return objects with validate and toConfigFileContent methods
+      Context.fromObject = jest.fn().mockImplementation((obj) => ({
+        ...obj,
+        validate: () => ({ isValid: true }),
+        toConfigFileContent: () => `user.name=${obj.name}`,
+      }));
+
+      mockUI.selectContextsToImport.mockResolvedValue({
+        selectedContexts: importedContexts.map((obj) =>
+          Context.fromObject(obj)
+        ),
+        confirmation: true,
+      });
+
+      mockFileSystem.loadContexts.mockResolvedValue(existingContexts);
+
+      mockUI.confirmReplaceDuplicates.mockResolvedValue({
+        replaceExisting: true,
+      });
+
+      // Act
+      await switcher.importContexts();
 
-      // Mock Context.fromObject and validate to make some contexts valid and others invalid
-      Context.fromObject = jest.fn().mockImplementation((obj) => {
-        if (obj.name === "invalid") {
-          return {
-            name: obj.name,
-            validate: () => ({ isValid: false, errors: ["Invalid context"] }),
-          };
-        }
-        return {
-          name: obj.name,
-          validate: () => ({ isValid: true }),
-          toConfigFileContent: () => `user.name=${obj.name}`,
-        };
+      // Assert
+      expect(mockUI.confirmReplaceDuplicates).toHaveBeenCalledWith(["work"]);
+      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith(
+        expect.arrayContaining([
+          expect.objectContaining({ name: "other" }),
+          expect.objectContaining({ name: "work" }),
+          expect.objectContaining({ name: "personal" }),
+        ])
+      );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Imported 2 contexts (replaced 1 existing contexts)."
+      );
+    });
+
+    test("should let an imported default take over from the current one", async () => {
+      // Arrange
+      Context.fromObject = realFromObject;
+      const imported = Context.fromObject({
+        name: "personal",
+        pathPatterns: ["~/personal/**"],
+        isDefault: true,
+      });
+      mockUI.getImportPath.mockResolvedValue("/path/to/import.json");
+      mockFileSystem.importContexts.mockResolvedValue([imported.toObject()]);
+      mockUI.selectContextsToImport.mockResolvedValue({
+        selectedContexts: [imported],
+        confirmation: true,
+      });
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { name: "work", pathPatterns: ["~/work/**"], isDefault: true },
+      ]);
+
+      // Act
+      await switcher.importContexts();
+
+      // Assert
+      const saved = mockFileSystem.saveContexts.mock.calls.at(0).at(0);
+      expect(saved.filter((c) => c.isDefault).map((c) => c.name)).toEqual([
+        "personal",
+      ]);
+    });
+
+    test("should reject importing several default contexts", async () => {
+      // Arrange
+      Context.fromObject = realFromObject;
+      const imported = ["work", "personal"].map((name) =>
+        Context.fromObject({
+          name,
+          pathPatterns: [`~/${name}/**`],
+          isDefault: true,
+        })
+      );
+      mockUI.getImportPath.mockResolvedValue("/path/to/import.json");
+      mockFileSystem.importContexts.mockResolvedValue(
+        imported.map((context) => context.toObject())
+      );
+      mockUI.selectContextsToImport.mockResolvedValue({
+        selectedContexts: imported,
+        confirmation: true,
+      });
+
+      // Act
+      await switcher.importContexts();
+
+      // Assert
+      expect(mockFileSystem.saveContexts).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Invalid context "work": Only one context can be the default, and "personal" already is'
+      );
+      expect(switcher.exitCode).toBe(EXIT_CODES.VALIDATION);
+    });
+  });
+
+  describe("listTemplates", () => {
+    test("should display available templates", async () => {
+      // Arrange
+      const templates = [
+        { name: "work", description: "Work template" },
+        { name: "personal", description: "Personal template" },
+      ];
+
+      Context.getTemplates = jest.fn().mockReturnValue(templates);
+
+      // Act
+      await switcher.listTemplates();
+
+      // Assert
+      expect(Context.getTemplates).toHaveBeenCalled();
+      expect(mockUI.displayTemplates).toHaveBeenCalledWith(templates);
+    });
+
+    test("should display error if getting templates fails", async () => {
+      // Arrange
+      Context.getTemplates = jest.fn().mockImplementation(() => {
+        throw new Error("Failed to get templates");
+      });
+
+      // Act
+      await switcher.listTemplates();
+
+      // Assert
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        "Failed to get templates"
+      );
+    });
+
+    test("should let template files replace built-in templates", async () => {
+      // Arrange
+      const builtIn = { name: "work", description: "Work projects" };
+      const shared = {
+        name: "work",
+        description: "Acme work",
+        source: "/srv/templates/work.json",
+      };
+      const broken = {
+        name: "broken",
+        source: "/srv/templates/broken.json",
+        error: "Invalid JSON in /srv/templates/broken.json",
+      };
+      Context.getTemplates = jest.fn().mockReturnValue([builtIn]);
+      mockFileSystem.loadTemplates.mockResolvedValue([shared, broken]);
+
+      // Act
+      const result = await switcher.listTemplates();
+
+      // Assert
+      expect(result).toEqual([
+        shared,
+        { ...broken, errors: ["Invalid JSON in /srv/templates/broken.json"] },
+      ]);
+      expect(mockUI.displayTemplates).toHaveBeenCalledWith(result);
+    });
+  });
+
+  describe("template commands", () => {
+    const userTemplate = (name, fields = {}) => ({
+      name,
+      ...fields,
+      source: path.join(mockFileSystem.templatesDirPath, `${name}.json`),
+    });
+
+    beforeEach(() => {
+      Context.fromObject = realFromObject;
+      Context.getTemplates = jest
+        .fn()
+        .mockReturnValue([{ name: "work", description: "Work projects" }]);
+    });
+
+    test("should offer template files when adding a context", async () => {
+      // Arrange
+      const acme = userTemplate("acme", { description: "Acme" });
+      const broken = userTemplate("broken", { error: "Invalid JSON" });
+      mockFileSystem.loadTemplates.mockResolvedValue([acme, broken]);
+
+      // Act
+      await switcher.addContext();
+
+      // Assert
+      expect(mockUI.getContextFromUser).toHaveBeenCalledWith(null, [
+        { name: "work", description: "Work projects" },
+        acme,
+      ]);
+    });
+
+    test("should base a context on a template file", async () => {
+      // Arrange
+      mockFileSystem.loadTemplates.mockResolvedValue([
+        userTemplate("acme", {
+          description: "Acme",
+          gitConfig: { "core.sshCommand": "ssh -i ~/.ssh/acme" },
+        }),
+      ]);
+
+      // Act
+      const context = await switcher.addContext({
+        name: "work",
+        path: "~/acme/**",
+        userName: "Me",
+        email: "me@acme.example",
+        template: "acme",
+      });
+
+      // Assert
+      expect(context.description).toBe("Acme");
+      expect(context.gitConfig["core.sshCommand"]).toBe("ssh -i ~/.ssh/acme");
+    });
+
+    test("should show a template with its config", async () => {
+      // Arrange
+      const acme = userTemplate("acme", {
+        gitConfig: { "core.sshCommand": "ssh -i ~/.ssh/acme" },
+      });
+      mockFileSystem.loadTemplates.mockResolvedValue([acme]);
+
+      // Act
+      const result = await switcher.showTemplate("acme");
+
+      // Assert
+      expect(result).toBe(acme);
+      expect(mockUI.displayTemplates).toHaveBeenCalledWith([acme], "Template");
+      expect(mockUI.displayContextConfig).toHaveBeenCalledWith(
+        "[core]\n    sshCommand = ssh -i ~/.ssh/acme\n"
+      );
+    });
+
+    test("should fail validation when showing an invalid template", async () => {
+      // Arrange
+      mockFileSystem.loadTemplates.mockResolvedValue([
+        userTemplate("acme", { pathPatterns: [] }),
+      ]);
+
+      // Act
+      const result = await switcher.showTemplate("acme");
+
+      // Assert
+      expect(result.errors).toEqual(['Unknown template field "pathPatterns"']);
+      expect(switcher.exitCode).toBe(EXIT_CODES.VALIDATION);
+    });
+
+    test("should add a valid template file", async () => {
+      // Arrange
+      mockFileSystem.readTemplate.mockResolvedValue({
+        name: "acme",
+        description: "Acme",
+        source: "/tmp/acme.json",
+      });
+
+      // Act
+      const result = await switcher.addTemplate("/tmp/acme.json");
+
+      // Assert
+      expect(mockFileSystem.readTemplate).toHaveBeenCalledWith(
+        "/tmp/acme.json"
+      );
+      expect(mockFileSystem.saveTemplate).toHaveBeenCalledWith({
+        name: "acme",
+        description: "Acme",
+      });
+      expect(result).toBe(
+        path.join(mockFileSystem.templatesDirPath, "acme.json")
+      );
+    });
+
+    test("should refuse an invalid template file", async () => {
+      // Arrange
+      mockFileSystem.readTemplate.mockResolvedValue({
+        name: "acme",
+        urlPattern: ["github.com/acme/*"],
+        source: "/tmp/acme.json",
+      });
+
+      // Act
+      const result = await switcher.addTemplate("/tmp/acme.json");
+
+      // Assert
+      expect(result).toBeNull();
+      expect(mockFileSystem.saveTemplate).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Invalid template: Unknown template field "urlPattern"'
+      );
+      expect(switcher.exitCode).toBe(EXIT_CODES.VALIDATION);
+    });
+
+    test("should only replace one of the user's templates when forced", async () => {
+      // Arrange
+      mockFileSystem.loadTemplates.mockResolvedValue([userTemplate("acme")]);
+      mockFileSystem.readTemplate.mockResolvedValue({ name: "acme" });
+
+      // Act
+      const refused = await switcher.addTemplate("/tmp/acme.json");
+      const replaced = await switcher.addTemplate("/tmp/acme.json", {
+        force: true,
+      });
+
+      // Assert
+      expect(refused).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Template "acme" already exists; use --force to replace it'
+      );
+      expect(replaced).not.toBeNull();
+      expect(mockFileSystem.saveTemplate).toHaveBeenCalledTimes(1);
+    });
+
+    test("should let a template of the user's replace a built-in one", async () => {
+      // Arrange
+      mockFileSystem.readTemplate.mockResolvedValue({ name: "work" });
+
+      // Act
+      const result = await switcher.addTemplate("/tmp/work.json");
+
+      // Assert
+      expect(result).not.toBeNull();
+      expect(mockFileSystem.saveTemplate).toHaveBeenCalledWith({
+        name: "work",
+      });
+    });
+
+    test("should save a context as a template without its identity", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        {
+          name: "base",
+          gitConfig: { "core.sshCommand": "ssh -i ~/.ssh/acme" },
+        },
+        {
+          name: "acme",
+          description: "Acme projects",
+          pathPatterns: ["~/acme/**"],
+          gitConfig: {
+            "user.name": "Me",
+            "user.email": "me@acme.example",
+            "user.signingkey": "ABC123",
+            "commit.gpgsign": "true",
+          },
+          urlPatterns: ["github.com/acme/*"],
+          sshKey: "~/.ssh/id_acme",
+          extends: "base",
+        },
+      ]);
+
+      // Act
+      await switcher.saveContextAsTemplate("acme", { name: "acme-corp" });
+
+      // Assert
+      expect(mockFileSystem.saveTemplate).toHaveBeenCalledWith({
+        name: "acme-corp",
+        description: "Acme projects",
+        sshKey: "~/.ssh/id_acme",
+        gitConfig: {
+          "core.sshCommand": "ssh -i ~/.ssh/acme",
+          "user.name": "",
+          "user.email": "",
+          "commit.gpgsign": "true",
+        },
+        urlPatterns: ["github.com/acme/*"],
       });
+    });
+
+    test("should remove one of the user's templates", async () => {
+      // Arrange
+      const acme = userTemplate("acme");
+      mockFileSystem.loadTemplates.mockResolvedValue([acme]);
+
+      // Act
+      const result = await switcher.removeTemplate("acme");
+
+      // Assert
+      expect(result).toBe(acme.source);
+      expect(mockFileSystem.deleteTemplate).toHaveBeenCalledWith("acme");
+    });
+
+    test("should not remove built-in or shared templates", async () => {
+      // Arrange
+      mockFileSystem.loadTemplates.mockResolvedValue([
+        { name: "acme", source: "/srv/templates/acme.json" },
+      ]);
+
+      // Act
+      await switcher.removeTemplate("work");
+      await switcher.removeTemplate("acme");
+      await switcher.removeTemplate("missing");
+
+      // Assert
+      expect(mockFileSystem.deleteTemplate).not.toHaveBeenCalled();
+      expect(mockUI.displayError.mock.calls).toEqual([
+        ['Template "work" is built in and cannot be removed'],
+        [
+          'Template "acme" comes from /srv/templates/acme.json and can only be removed there',
+        ],
+        ['Template "missing" not found'],
+      ]);
+      expect(switcher.exitCode).toBe(EXIT_CODES.NO_MATCH);
+    });
+  });
+
+  describe("backups", () => {
+    const backups = [
+      { id: "20250103T000000000Z", command: "add", files: ["gitconfig"] },
+      { id: "20250102T000000000Z", command: "setup", files: ["gitconfig"] },
+      { id: "20250101T000000000Z", command: "setup", files: [] },
+    ];
+
+    beforeEach(() => {
+      mockFileSystem.listBackups.mockResolvedValue(
+        backups.map((backup) => ({ ...backup }))
+      );
+    });
+
+    test("should create a backup on request", async () => {
+      // Act
+      const backup = await switcher.createBackup();
+
+      // Assert
+      expect(backup.id).toBe("20250102T030405678Z");
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Backed up the current configuration as 20250102T030405678Z"
+      );
+    });
+
+    test("should say which backup would be taken in dry-run mode", async () => {
+      // Arrange
+      mockFileSystem.dryRunChanges = new Map();
+
+      // Act
+      await switcher.createBackup();
+
+      // Assert
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Would back up the current configuration as 20250102T030405678Z"
+      );
+    });
+
+    test("should list backups with the lines restoring them would change", async () => {
+      // Arrange
+      mockFileSystem.readConfigurationFiles.mockResolvedValue(
+        new Map([
+          ["gitconfig", "[core]\n[include]\n"],
+          ["gitcontexts", "[]\n"],
+        ])
+      );
+      mockFileSystem.readBackup.mockImplementation((id) =>
+        Promise.resolve(
+          id === "20250101T000000000Z"
+            ? new Map()
+            : new Map([["gitconfig", "[core]\n"]])
+        )
+      );
+
+      // Act
+      const result = await switcher.listBackups();
+
+      // Assert
+      expect(result.map((backup) => backup.changes)).toEqual([
+        { added: 0, removed: 2 },
+        { added: 0, removed: 2 },
+        { added: 0, removed: 3 },
+      ]);
+      expect(mockUI.displayBackups).toHaveBeenCalledWith(
+        result,
+        mockFileSystem.backupDirPath
+      );
+    });
+
+    test("should say so when there are no backups", async () => {
+      // Arrange
+      mockFileSystem.listBackups.mockResolvedValue([]);
+
+      // Act
+      const result = await switcher.listBackups();
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(mockUI.displayBackups).not.toHaveBeenCalled();
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No backups yet. Run backup create to take one."
+      );
+    });
+
+    test("should back up the current state before restoring", async () => {
+      // Arrange
+      mockFileSystem.restoreBackup.mockResolvedValue(["gitconfig"]);
+
+      // Act
+      const result = await switcher.restoreBackup("20250101T000000000Z");
 
-      mockUI.selectContextsToImport.mockResolvedValue({
-        selectedContexts: [
-          { name: "work", toConfigFileContent: () => "user.name=Work User" },
-        ],
-        confirmation: true,
+      // Assert
+      expect(result).toEqual({
+        files: ["gitconfig"],
+        previousBackup: "20250102T030405678Z",
       });
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith(
+        "backup restore"
+      );
+      expect(
+        mockFileSystem.createBackup.mock.invocationCallOrder[0]
+      ).toBeLessThan(mockFileSystem.restoreBackup.mock.invocationCallOrder[0]);
+    });
 
-      mockFileSystem.loadContexts.mockResolvedValue([]);
+    test("should not take a backup when restoring an unknown backup", async () => {
+      // Arrange
+      mockFileSystem.readBackup.mockRejectedValue(
+        new Error('Backup "nope" not found')
+      );
 
       // Act
-      await switcher.importContexts();
+      const result = await switcher.restoreBackup("nope");
 
       // Assert
-      expect(mockUI.displayWarning).toHaveBeenCalled();
-      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith([
-        { name: "work", toConfigFileContent: expect.any(Function) },
-      ]);
-      expect(mockFileSystem.saveContextConfig).toHaveBeenCalled();
+      expect(result).toBeNull();
+      expect(mockFileSystem.createBackup).not.toHaveBeenCalled();
+      expect(mockFileSystem.restoreBackup).not.toHaveBeenCalled();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        'Backup "nope" not found'
+      );
+    });
+
+    test("should delete all but the newest backups", async () => {
+      // Act
+      const removed = await switcher.pruneBackups("1");
+
+      // Assert
+      expect(removed).toEqual(["20250102T000000000Z", "20250101T000000000Z"]);
+      expect(mockFileSystem.deleteBackup).toHaveBeenCalledTimes(2);
       expect(mockUI.displaySuccess).toHaveBeenCalledWith(
-        "Imported 1 contexts."
+        "Removed 2 backup(s), kept 1"
       );
     });
 
-    test("should handle duplicate contexts by replacing them if confirmed", async () => {
+    test("should say what restoring and pruning would do in dry-run mode", async () => {
       // Arrange
-      const importPath = "/path/to/import.json";
-      const importedContexts = [{ name: "work" }, { name: "personal" }];
-      const existingContexts = [{ name: "work" }, { name: "other" }];
+      mockFileSystem.dryRunChanges = new Map();
+      mockFileSystem.restoreBackup.mockResolvedValue(["gitconfig"]);
 
-      mockUI.getImportPath.mockResolvedValue(importPath);
-      mockFileSystem.importContexts.mockResolvedValue(importedContexts);
+      // Act
+      await switcher.restoreBackup("20250101T000000000Z");
+      await switcher.pruneBackups("1");
 
-      // Mock Context.fromObject to return objects with validate and toConfigFileContent methods
-      Context.fromObject = jest.fn().mockImplementation((obj) => ({
-        ...obj,
-        validate: () => ({ isValid: true }),
-        toConfigFileContent: () => `user.name=${obj.name}`,
-      }));
+      // Assert
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Would restore backup 20250101T000000000Z. The replaced configuration would be saved as 20250102T030405678Z"
+      );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Would remove 2 backup(s) and keep 1"
+      );
+    });
 
-      mockUI.selectContextsToImport.mockResolvedValue({
-        selectedContexts: importedContexts.map((obj) =>
-          Context.fromObject(obj)
-        ),
-        confirmation: true,
+    test.each(["-1", "two", "1.5"])(
+      "should reject keeping %p backups",
+      async (keep) => {
+        // Act
+        const removed = await switcher.pruneBackups(keep);
+
+        // Assert
+        expect(removed).toBeNull();
+        expect(mockFileSystem.deleteBackup).not.toHaveBeenCalled();
+      }
+    );
+
+    test.each([
+      [
+        "addContext",
+        () =>
+          switcher.addContext({
+            name: "home",
+            path: "~/w/**",
+            email: "w@example.com",
+            userName: "W",
+          }),
+        "add",
+      ],
+      ["renameContext", () => switcher.renameContext("work", "job"), "rename"],
+      [
+        "editContext",
+        () => switcher.editContext("work", { email: "new@example.com" }),
+        "edit",
+      ],
+      [
+        "setContextConfig",
+        () => switcher.setContextConfig("work", "pull.rebase", "true"),
+        "config set",
+      ],
+      ["runDoctor", () => switcher.runDoctor({ fix: true }), "doctor --fix"],
+    ])("should take a backup before %s", async (method, run, command) => {
+      // Arrange
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue([
+        {
+          name: "work",
+          pathPatterns: ["~/work/**"],
+          userEmail: "w@example.com",
+        },
+      ]);
+
+      // Act
+      await run();
+
+      // Assert
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith(command);
+    });
+  });
+
+  describe("undo and history", () => {
+    const entry = {
+      id: "20250102T030405678Z",
+      createdAt: "2025-01-02T03:04:05.678Z",
+      command: "remove",
+      files: [
+        {
+          name: "gitconfig.d/work.gitconfig",
+          before: { content: "[user]\n", mode: 0o600 },
+          after: null,
+        },
+        {
+          name: "gitconfig",
+          before: { content: "[core]\n[include]\n", mode: 0o644 },
+          after: "[core]\n",
+        },
+      ],
+    };
+
+    test("should undo the most recent command", async () => {
+      // Arrange
+      mockFileSystem.undoLastOperation.mockResolvedValue(entry);
+
+      // Act
+      const undone = await switcher.undo();
+
+      // Assert
+      expect(undone).toBe(entry);
+      expect(mockFileSystem.undoLastOperation).toHaveBeenCalledWith({
+        force: false,
       });
+      expect(mockUI.displayValue).toHaveBeenCalledWith(
+        "gitconfig.d/work.gitconfig"
+      );
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        expect.stringContaining('Undid "remove" from')
+      );
+    });
 
-      mockFileSystem.loadContexts.mockResolvedValue(existingContexts);
+    test("should pass --force on to the file system", async () => {
+      // Arrange
+      mockFileSystem.undoLastOperation.mockResolvedValue(entry);
 
-      mockUI.confirmReplaceDuplicates.mockResolvedValue({
-        replaceExisting: true,
+      // Act
+      await switcher.undo({ force: true });
+
+      // Assert
+      expect(mockFileSystem.undoLastOperation).toHaveBeenCalledWith({
+        force: true,
       });
+    });
 
+    test("should warn when there is nothing to undo", async () => {
       // Act
-      await switcher.importContexts();
+      const undone = await switcher.undo();
 
       // Assert
-      expect(mockUI.confirmReplaceDuplicates).toHaveBeenCalledWith(["work"]);
-      expect(mockFileSystem.saveContexts).toHaveBeenCalledWith(
-        expect.arrayContaining([
-          expect.objectContaining({ name: "other" }),
-          expect.objectContaining({ name: "work" }),
-          expect.objectContaining({ name: "personal" }),
-        ])
+      expect(undone).toEqual({});
+      expect(mockUI.displayWarning).toHaveBeenCalledWith("Nothing to undo.");
+    });
+
+    test("should report an undo that was refused", async () => {
+      // Arrange
+      mockFileSystem.undoLastOperation.mockRejectedValue(
+        new Error(
+          '/home/u/.gitconfig has changed since "remove" ran. Run undo --force to revert it anyway.'
+        )
       );
-      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
-        "Imported 2 contexts (replaced 1 existing contexts)."
+
+      // Act
+      const undone = await switcher.undo();
+
+      // Assert
+      expect(undone).toBeNull();
+      expect(mockUI.displayError).toHaveBeenCalledWith(
+        expect.stringContaining("Run undo --force")
+      );
+    });
+
+    test("should show the history with the lines each command changed", async () => {
+      // Arrange
+      mockFileSystem.listJournal.mockResolvedValue([
+        { ...entry, files: entry.files.map((file) => ({ ...file })) },
+      ]);
+
+      // Act
+      const entries = await switcher.showHistory();
+
+      // Assert
+      expect(entries[0].changes).toEqual({ added: 0, removed: 2 });
+      expect(mockUI.displayHistory).toHaveBeenCalledWith(entries);
+    });
+
+    test("should print the history without file contents in other formats", async () => {
+      // Arrange
+      mockFileSystem.listJournal.mockResolvedValue([
+        { ...entry, files: entry.files.map((file) => ({ ...file })) },
+      ]);
+
+      // Act
+      await switcher.showHistory({ format: "json" });
+
+      // Assert
+      const summary = {
+        id: entry.id,
+        createdAt: entry.createdAt,
+        command: "remove",
+        files: ["gitconfig.d/work.gitconfig", "gitconfig"],
+        undoneAt: null,
+      };
+      expect(mockUI.displayStructured).toHaveBeenCalledWith(
+        [{ ...summary, changes: { added: 0, removed: 2 } }],
+        "json",
+        [{ ...summary, added: 0, removed: 2 }]
+      );
+      expect(mockUI.displayHistory).not.toHaveBeenCalled();
+    });
+
+    test("should warn when no changes were recorded", async () => {
+      // Act
+      const entries = await switcher.showHistory();
+
+      // Assert
+      expect(entries).toEqual([]);
+      expect(mockUI.displayHistory).not.toHaveBeenCalled();
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "No changes recorded yet."
+      );
+    });
+
+    test.each([
+      [
+        "addContext",
+        () =>
+          switcher.addContext({
+            name: "home",
+            path: "~/w/**",
+            email: "w@example.com",
+            userName: "W",
+          }),
+        "add",
+      ],
+      ["removeContext", () => switcher.removeContext(), "remove"],
+      ["renameContext", () => switcher.renameContext("work", "job"), "rename"],
+      [
+        "editContext",
+        () => switcher.editContext("work", { email: "new@example.com" }),
+        "edit",
+      ],
+      ["migrateIncludes", () => switcher.migrateIncludes(), "migrate"],
+    ])("should record %s in the journal", async (method, run, command) => {
+      // Arrange
+      Context.fromObject = realFromObject;
+      mockFileSystem.loadContexts.mockResolvedValue([
+        {
+          name: "work",
+          pathPatterns: ["~/work/**"],
+          userEmail: "w@example.com",
+        },
+      ]);
+      mockUI.selectContextToRemove.mockResolvedValue("work");
+      mockGitService.hasManagedBlock.mockReturnValue(false);
+
+      // Act
+      await run();
+
+      // Assert
+      expect(mockUI.displayError).not.toHaveBeenCalled();
+      expect(mockFileSystem.runTransaction).toHaveBeenCalledWith(
+        expect.any(Function),
+        command
       );
     });
   });
 
-  describe("listTemplates", () => {
-    test("should display available templates", async () => {
+  describe("dry run", () => {
+    test("should switch the file system to dry-run mode", () => {
+      // Act
+      switcher.enableDryRun();
+
+      // Assert
+      expect(mockFileSystem.enableDryRun).toHaveBeenCalled();
+    });
+
+    test("should show a unified diff for each changed file", async () => {
       // Arrange
-      const templates = [
-        { name: "work", description: "Work template" },
-        { name: "personal", description: "Personal template" },
-      ];
+      mockFileSystem.getDryRunChanges.mockResolvedValue([
+        {
+          path: "/home/u/.gitconfig",
+          before: "[user]\n",
+          after: "[user]\n[include]\n",
+        },
+        {
+          path: "/home/u/.gitconfig.d/work.gitconfig",
+          before: null,
+          after: "",
+        },
+      ]);
 
-      Context.getTemplates = jest.fn().mockReturnValue(templates);
+      // Act
+      const files = await switcher.showDryRunChanges();
+
+      // Assert
+      expect(files).toHaveLength(2);
+      expect(mockUI.displayDiff).toHaveBeenNthCalledWith(
+        1,
+        "--- /home/u/.gitconfig\n+++ /home/u/.gitconfig\n@@ -1 +1,2 @@\n [user]\n+[include]\n"
+      );
+      // An empty new file has no lines to show
+      expect(mockUI.displayDiff).toHaveBeenNthCalledWith(
+        2,
+        "--- /dev/null\n+++ /home/u/.gitconfig.d/work.gitconfig\n"
+      );
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "Dry run: 2 file(s) would change, nothing was written."
+      );
+    });
 
+    test("should say when nothing would change", async () => {
       // Act
-      await switcher.listTemplates();
+      const files = await switcher.showDryRunChanges();
 
       // Assert
-      expect(Context.getTemplates).toHaveBeenCalled();
-      expect(mockUI.displayTemplates).toHaveBeenCalledWith(templates);
+      expect(files).toEqual([]);
+      expect(mockUI.displayDiff).not.toHaveBeenCalled();
+      expect(mockUI.displayWarning).toHaveBeenCalledWith(
+        "Dry run: no files would change."
+      );
     });
+  });
 
-    test("should display error if getting templates fails", async () => {
+  describe("migrateIncludes", () => {
+    test("should move legacy includes into the managed block", async () => {
       // Arrange
-      Context.getTemplates = jest.fn().mockImplementation(() => {
-        throw new Error("Failed to get templates");
+      const legacyConfig = '[includeIf "gitdir:~/work/**"]\n    path = work\n';
+      mockFileSystem.readGitConfig.mockResolvedValue(legacyConfig);
+      mockFileSystem.loadContexts.mockResolvedValue([{ name: "work" }]);
+      mockGitService.hasManagedBlock.mockReturnValue(false);
+      mockGitService.removeLegacyIncludes.mockReturnValue({
+        content: "",
+        sections: ['[includeIf "gitdir:~/work/**"]'],
       });
+      mockGitService.replaceConditionalIncludes.mockReturnValue("managed");
 
       // Act
-      await switcher.listTemplates();
+      const result = await switcher.migrateIncludes();
+
+      // Assert
+      expect(result).toEqual({ migrated: ['[includeIf "gitdir:~/work/**"]'] });
+      expect(mockFileSystem.createBackup).toHaveBeenCalledWith("migrate");
+      expect(mockGitService.removeLegacyIncludes).toHaveBeenCalledWith(
+        legacyConfig,
+        mockFileSystem.gitConfigDirPath
+      );
+      expect(mockFileSystem.writeGitConfig).toHaveBeenCalledWith("managed");
+      expect(mockUI.displaySuccess).toHaveBeenCalledWith(
+        "Migrated 1 include section(s) into the managed block"
+      );
+    });
+
+    test("should do nothing when the managed block exists", async () => {
+      // Act
+      const result = await switcher.migrateIncludes();
+
+      // Assert
+      expect(result).toEqual({ migrated: [] });
+      expect(mockFileSystem.writeGitConfig).not.toHaveBeenCalled();
+    });
+
+    test("should display an error for damaged markers", async () => {
+      // Arrange
+      mockGitService.hasManagedBlock.mockImplementation(() => {
+        throw new Error("The managed block markers are damaged");
+      });
+
+      // Act
+      const result = await switcher.migrateIncludes();
 
       // Assert
+      expect(result).toBeNull();
       expect(mockUI.displayError).toHaveBeenCalledWith(
-        "Failed to get templates"
+        "The managed block markers are damaged"
       );
     });
   });
 
   describe("_updateMainGitConfig", () => {
-    test("should update git config with conditional includes", async () => {
+    test("should replace the managed block with the conditional includes", async () => {
       // Arrange
       const contexts = [{ name: "work" }, { name: "personal" }];
       const existingConfig = "[core]\n\tautoCRLF = input\n";
@@ -625,27 +3387,150 @@ describe("GitContextSwitcher", () => {
         '[includeIf "gitdir:~/work/**"]\n\tpath = ~/.gitconfig.d/work.gitconfig\n';
 
       mockFileSystem.readGitConfig.mockResolvedValue(existingConfig);
-      mockGitService.removeConditionalIncludes.mockReturnValue(existingConfig);
       mockGitService.generateConditionalIncludes.mockReturnValue(
         includesSection
       );
-      mockFileSystem.writeGitConfig.mockResolvedValue();
+      mockGitService.replaceConditionalIncludes.mockReturnValue("updated");
 
       // Act
       await switcher._updateMainGitConfig(contexts);
 
       // Assert
       expect(mockFileSystem.readGitConfig).toHaveBeenCalled();
-      expect(mockGitService.removeConditionalIncludes).toHaveBeenCalledWith(
-        existingConfig
-      );
+      expect(mockGitService.removeLegacyIncludes).not.toHaveBeenCalled();
       expect(mockGitService.generateConditionalIncludes).toHaveBeenCalledWith(
         contexts,
         mockFileSystem.gitConfigDirPath
       );
-      expect(mockFileSystem.writeGitConfig).toHaveBeenCalledWith(
-        existingConfig + "\n" + includesSection
+      expect(mockGitService.replaceConditionalIncludes).toHaveBeenCalledWith(
+        existingConfig,
+        includesSection
+      );
+      expect(mockFileSystem.writeGitConfig).toHaveBeenCalledWith("updated");
+    });
+
+    test("should migrate legacy includes the first time", async () => {
+      // Arrange
+      const legacyConfig =
+        '[core]\n[includeIf "gitdir:~/work/**"]\n\tpath = ~/.gitconfig.d/work.gitconfig\n';
+      mockFileSystem.readGitConfig.mockResolvedValue(legacyConfig);
+      mockGitService.hasManagedBlock.mockReturnValue(false);
+      mockGitService.removeLegacyIncludes.mockReturnValue({
+        content: "[core]\n",
+        sections: ['[includeIf "gitdir:~/work/**"]'],
+      });
+
+      // Act
+      await switcher._updateMainGitConfig([]);
+
+      // Assert
+      expect(mockGitService.removeLegacyIncludes).toHaveBeenCalledWith(
+        legacyConfig,
+        mockFileSystem.gitConfigDirPath
+      );
+      expect(mockGitService.replaceConditionalIncludes).toHaveBeenCalledWith(
+        "[core]\n",
+        ""
+      );
+    });
+  });
+
+  describe("exit codes", () => {
+    test("should succeed when nothing went wrong", async () => {
+      // Act
+      await switcher.listTemplates();
+
+      // Assert
+      expect(switcher.exitCode).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test("should use the exit code of the error a command failed with", async () => {
+      // Arrange
+      mockGitService.checkInstalled.mockRejectedValue(
+        new GitContextError("Git is not installed", EXIT_CODES.GIT_MISSING)
       );
+
+      // Act
+      await switcher.runSetupWizard();
+
+      // Assert
+      expect(switcher.exitCode).toBe(EXIT_CODES.GIT_MISSING);
+    });
+
+    test("should report a general error for unexpected failures", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockRejectedValue(new Error("Disk on fire"));
+
+      // Act
+      await switcher.listContexts();
+
+      // Assert
+      expect(switcher.exitCode).toBe(EXIT_CODES.ERROR);
+    });
+
+    test("should report a conflict for a context name that is taken", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([{ name: "work" }]);
+      mockUI.getContextFromUser.mockResolvedValue({ name: "work" });
+
+      // Act
+      await switcher.addContext();
+
+      // Assert
+      expect(switcher.exitCode).toBe(EXIT_CODES.CONFLICT);
+    });
+
+    test("should report no match for an unknown context", async () => {
+      // Act
+      await switcher.renameContext("missing", "other");
+
+      // Assert
+      expect(switcher.exitCode).toBe(EXIT_CODES.NO_MATCH);
+    });
+
+    test("should report no match when no context applies to the directory", async () => {
+      // Arrange
+      mockFileSystem.loadContexts.mockResolvedValue([
+        { name: "work", pathPatterns: ["/work/**"] },
+      ]);
+      mockPathPatternToRegex.mockReturnValue(/\/work\/.*/);
+      jest.spyOn(process, "cwd").mockReturnValue("/elsewhere");
+
+      // Act
+      const result = await switcher.applyContext({ format: "json" });
+
+      // Assert
+      expect(result.context).toBeNull();
+      expect(switcher.exitCode).toBe(EXIT_CODES.NO_MATCH);
+      process.cwd.mockRestore();
+    });
+
+    test("should report no match when an import file has no contexts", async () => {
+      // Arrange
+      mockFileSystem.importContexts.mockResolvedValue([]);
+
+      // Act
+      await switcher.importContexts();
+
+      // Assert
+      expect(switcher.exitCode).toBe(EXIT_CODES.NO_MATCH);
+    });
+
+    test("should report a cancelled import", async () => {
+      // Arrange
+      const context = { name: "work", validate: () => ({ isValid: true }) };
+      mockFileSystem.importContexts.mockResolvedValue([context]);
+      mockUI.selectContextsToImport.mockResolvedValue({
+        selectedContexts: [context],
+        confirmation: false,
+      });
+
+      // Act
+      await switcher.importContexts();
+
+      // Assert
+      expect(mockUI.displayWarning).toHaveBeenCalledWith("Import cancelled.");
+      expect(switcher.exitCode).toBe(EXIT_CODES.CANCELLED);
     });
   });
 });
@@ -88,6 +88,382 @@ describe("Context", () => {
     });
   });
 
+  describe("git config", () => {
+    test("should read convenience properties regardless of key case", () => {
+      const context = new Context("work", "", [], {
+        "User.Name": "Work User",
+        "user.signingKey": "ABC123",
+        "commit.gpgSign": "true",
+      });
+
+      expect(context.userName).toBe("Work User");
+      expect(context.signingKey).toBe("ABC123");
+      expect(context.autoSign).toBe(true);
+    });
+
+    test("should invalidate a context with a malformed config key", () => {
+      const context = new Context("work", "", [], { "not a key": "x" });
+
+      const { valid, errors } = context.validate();
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(["Invalid git config key: not a key"]);
+    });
+
+    test("should write every config key to the config file", () => {
+      const context = new Context("work", "", [], {
+        "user.name": "Work User",
+        "user.email": "work@example.com",
+        "core.sshCommand": "ssh -i ~/.ssh/work",
+        "pull.rebase": "true",
+      });
+
+      expect(context.toConfigFileContent()).toBe(
+        "[user]\n" +
+          "    name = Work User\n" +
+          "    email = work@example.com\n" +
+          "\n" +
+          "[core]\n" +
+          "    sshCommand = ssh -i ~/.ssh/work\n" +
+          "\n" +
+          "[pull]\n" +
+          "    rebase = true\n"
+      );
+    });
+
+    test("should skip empty values and signing without a key", () => {
+      const context = new Context("work", "", [], {
+        "user.name": "Work User",
+        "user.email": "",
+        "commit.gpgsign": "true",
+      });
+
+      expect(context.toConfigFileContent()).toBe(
+        "[user]\n    name = Work User\n"
+      );
+    });
+  });
+
+  describe("SSH key", () => {
+    test("should emit core.sshCommand for the SSH key", () => {
+      const context = new Context(
+        "work",
+        "",
+        [],
+        { "user.name": "Work User", "core.sshCommand": "ssh -v" },
+        [],
+        { sshKey: "~/.ssh/id_ed25519_work" }
+      );
+
+      expect(context.toConfigFileContent()).toBe(
+        "[user]\n" +
+          "    name = Work User\n" +
+          "\n" +
+          "[core]\n" +
+          "    sshCommand = ssh -i ~/.ssh/id_ed25519_work -o IdentitiesOnly=yes\n"
+      );
+    });
+
+    test("should round-trip the SSH key through plain objects", () => {
+      const context = Context.fromObject({
+        name: "work",
+        sshKey: "~/.ssh/id_ed25519_work",
+      });
+
+      expect(context.sshKey).toBe("~/.ssh/id_ed25519_work");
+      expect(context.toObject().sshKey).toBe("~/.ssh/id_ed25519_work");
+      expect(new Context("work").toObject()).not.toHaveProperty("sshKey");
+    });
+
+    test("should invalidate an SSH key path with shell characters", () => {
+      const context = new Context("work", "", [], {}, [], {
+        sshKey: "~/.ssh/id work; rm -rf ~",
+      });
+
+      const { valid, errors } = context.validate();
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(["SSH key path contains invalid characters"]);
+    });
+  });
+
+  describe("include conditions", () => {
+    test("should round-trip include conditions through plain objects", () => {
+      const context = Context.fromObject({
+        name: "work",
+        includeConditions: ["onbranch:release/**"],
+      });
+
+      expect(context.includeConditions).toEqual(["onbranch:release/**"]);
+      expect(context.toObject().includeConditions).toEqual([
+        "onbranch:release/**",
+      ]);
+      expect(new Context("work").toObject()).not.toHaveProperty(
+        "includeConditions"
+      );
+    });
+
+    test("should invalidate unsupported and unsafe conditions", () => {
+      const context = new Context("work", "", [], {}, [], {
+        includeConditions: ["hasconfig:user.name:me", 'onbranch:a"b'],
+      });
+
+      const { valid, errors } = context.validate();
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        'Unsupported include condition "hasconfig:user.name:me", it must start with one of: gitdir:, gitdir/i:, onbranch:, hasconfig:remote.*.url:',
+        'Include condition "onbranch:a"b" contains invalid characters',
+      ]);
+    });
+  });
+
+  describe("priority", () => {
+    test("should default to 0 and only be stored when set", () => {
+      expect(new Context("work").priority).toBe(0);
+      expect(new Context("work").toObject()).not.toHaveProperty("priority");
+
+      const context = Context.fromObject({ name: "client", priority: 10 });
+
+      expect(context.priority).toBe(10);
+      expect(context.toObject().priority).toBe(10);
+    });
+
+    test("should invalidate a priority that isn't a whole number", () => {
+      const context = new Context("work", "", [], {}, [], { priority: 1.5 });
+
+      const { valid, errors } = context.validate();
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual(["Priority must be a whole number"]);
+    });
+  });
+
+  describe("default", () => {
+    test("should round-trip the default flag through plain objects", () => {
+      const context = Context.fromObject({ name: "personal", isDefault: true });
+
+      expect(context.isDefault).toBe(true);
+      expect(context.toObject().isDefault).toBe(true);
+      expect(new Context("work").isDefault).toBe(false);
+      expect(new Context("work").toObject()).not.toHaveProperty("isDefault");
+    });
+
+    test("should reject a second default context", () => {
+      const context = Context.fromObject({ name: "personal", isDefault: true });
+      const contexts = [{ name: "work", isDefault: true }, context.toObject()];
+
+      expect(context.validate(contexts).errors).toContain(
+        'Only one context can be the default, and "work" already is'
+      );
+      expect(context.validate([context.toObject()]).isValid).toBe(true);
+      expect(context.validate().isValid).toBe(true);
+    });
+
+    test("should only apply with something to include it by", () => {
+      expect(new Context("work").canApply()).toBe(false);
+      expect(new Context("work", "", ["~/work/**"]).canApply()).toBe(true);
+      expect(
+        new Context("work", "", [], {}, ["github.com/acme/*"]).canApply()
+      ).toBe(true);
+      expect(
+        Context.fromObject({
+          name: "work",
+          includeConditions: ["onbranch:x"],
+        }).canApply()
+      ).toBe(true);
+      expect(
+        Context.fromObject({ name: "work", isDefault: true }).canApply()
+      ).toBe(true);
+    });
+  });
+
+  describe("extends", () => {
+    const base = {
+      name: "base",
+      gitConfig: {
+        "user.name": "Me",
+        "pull.rebase": "true",
+        "core.hooksPath": "~/hooks",
+      },
+    };
+
+    test("should include the extended context's file before its own settings", () => {
+      const context = Context.fromObject({
+        name: "client",
+        extends: "base",
+        gitConfig: { "user.email": "me@client.com" },
+      });
+
+      expect(context.toObject().extends).toBe("base");
+      expect(context.toConfigFileContent()).toBe(
+        "[include]\n" +
+          "    path = base.gitconfig\n" +
+          "\n" +
+          "[user]\n" +
+          "    email = me@client.com\n"
+      );
+      expect(new Context("work").toObject()).not.toHaveProperty("extends");
+    });
+
+    test("should resolve the effective config with its own values winning", () => {
+      const middle = {
+        name: "middle",
+        extends: "base",
+        gitConfig: { "pull.rebase": "false" },
+      };
+      const context = Context.fromObject({
+        name: "client",
+        extends: "middle",
+        gitConfig: { "user.email": "me@client.com", "core.hookspath": "" },
+        sshKey: "~/.ssh/id_client",
+      });
+
+      expect(
+        context.ancestors([base, middle, context]).map((c) => c.name)
+      ).toEqual(["middle", "base"]);
+      expect(context.effectiveGitConfig([base, middle])).toEqual({
+        "user.name": "Me",
+        "core.hooksPath": "~/hooks",
+        "pull.rebase": "false",
+        "user.email": "me@client.com",
+        "core.sshCommand": "ssh -i ~/.ssh/id_client -o IdentitiesOnly=yes",
+      });
+    });
+
+    test("should invalidate a cycle of contexts extending each other", () => {
+      const context = Context.fromObject({ name: "a", extends: "b" });
+      const contexts = [
+        context,
+        { name: "b", extends: "c" },
+        { name: "c", extends: "a" },
+      ];
+
+      const { valid, errors } = context.validate(contexts);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        "Contexts extend each other in a cycle: a -> b -> c -> a",
+      ]);
+      expect(() => context.effectiveGitConfig(contexts)).toThrow(
+        "Contexts extend each other in a cycle"
+      );
+    });
+
+    test("should invalidate a context extending itself or an unknown context", () => {
+      const self = Context.fromObject({ name: "a", extends: "a" });
+      const orphan = Context.fromObject({ name: "b", extends: "gone" });
+
+      expect(self.validate([self]).errors).toEqual([
+        "Contexts extend each other in a cycle: a -> a",
+      ]);
+      expect(orphan.validate([orphan]).errors).toEqual([
+        'Context "b" extends unknown context "gone"',
+      ]);
+      // Without the other contexts only the name is checked
+      expect(orphan.validate().valid).toBe(true);
+    });
+  });
+
+  describe("signing", () => {
+    test("should validate signing keys by format", () => {
+      const cases = [
+        ["openpgp", "3AA5C34371567BD2", true],
+        ["openpgp", "~/.ssh/id_ed25519.pub", false],
+        ["ssh", "~/.ssh/id_ed25519.pub", true],
+        ["ssh", "key::ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIB me@host", true],
+        ["ssh", "3AA5 C343", false],
+        ["x509", "0x3AA5C343", true],
+        ["x509", "me@example.com", true],
+        ["x509", "CN=Me; rm", false],
+      ];
+
+      for (const [format, key, valid] of cases) {
+        const context = new Context("work", "", [], {
+          "user.signingkey": key,
+          "gpg.format": format,
+        });
+        expect([format, key, context.validate().isValid]).toEqual([
+          format,
+          key,
+          valid,
+        ]);
+      }
+    });
+
+    test("should reject an unknown signing format", () => {
+      const context = new Context("work", "", [], {
+        "user.signingkey": "ABC123",
+        "gpg.format": "pgp",
+      });
+
+      expect(context.validate().errors).toEqual([
+        "Signing format must be one of: openpgp, ssh, x509",
+      ]);
+    });
+
+    test("should reject an allowed signers file without SSH signing", () => {
+      const context = new Context("work", "", [], {
+        "user.signingkey": "ABC123",
+        "gpg.ssh.allowedSignersFile": "~/.ssh/allowed_signers",
+      });
+
+      expect(context.validate().errors).toEqual([
+        "An allowed signers file only applies to SSH signing",
+      ]);
+    });
+
+    test("should write SSH signing settings to the config file", () => {
+      const gitConfig = Context.applySigning(
+        { "user.name": "Work User", "commit.gpgsign": "false" },
+        {
+          signingKey: "~/.ssh/id_ed25519.pub",
+          format: "ssh",
+          allowedSignersFile: "~/.ssh/allowed_signers",
+          signTags: true,
+        }
+      );
+      const context = new Context("work", "", [], gitConfig);
+
+      expect(context.signingFormat).toBe("ssh");
+      expect(context.signTags).toBe(true);
+      expect(context.allowedSignersFile).toBe("~/.ssh/allowed_signers");
+      expect(context.toConfigFileContent()).toBe(
+        "[user]\n" +
+          "    name = Work User\n" +
+          "    signingkey = ~/.ssh/id_ed25519.pub\n" +
+          "\n" +
+          "[gpg]\n" +
+          "    format = ssh\n" +
+          "\n" +
+          '[gpg "ssh"]\n' +
+          "    allowedSignersFile = ~/.ssh/allowed_signers\n" +
+          "\n" +
+          "[commit]\n" +
+          "    gpgsign = true\n" +
+          "\n" +
+          "[tag]\n" +
+          "    gpgsign = true\n"
+      );
+    });
+
+    test("should remove every signing setting when the key is removed", () => {
+      const gitConfig = Context.applySigning(
+        {
+          "user.name": "Work User",
+          "user.signingKey": "~/.ssh/id_ed25519.pub",
+          "gpg.format": "ssh",
+          "gpg.ssh.allowedSignersFile": "~/.ssh/allowed_signers",
+          "commit.gpgsign": "true",
+          "tag.gpgSign": "true",
+        },
+        {}
+      );
+
+      expect(gitConfig).toEqual({ "user.name": "Work User" });
+    });
+  });
+
   describe("fromObject", () => {
     test("should create context from object with all properties", () => {
       const obj = {
@@ -135,6 +511,26 @@ describe("Context", () => {
       expect(context.pathPatterns).toEqual([]);
     });
 
+    test("should read the single path pattern of earlier versions", () => {
+      const context = Context.fromObject({
+        name: "legacy",
+        pathPattern: "~/work/**",
+      });
+
+      expect(context.pathPatterns).toEqual(["~/work/**"]);
+    });
+
+    test("should prefer the path patterns array over the legacy pattern", () => {
+      const context = Context.fromObject({
+        name: "work",
+        pathPatterns: ["~/work/**", "/srv/work/**"],
+        pathPattern: "/home/me/work/**",
+      });
+
+      expect(context.pathPatterns).toEqual(["~/work/**", "/srv/work/**"]);
+      expect(context.toObject()).not.toHaveProperty("pathPattern");
+    });
+
     test("should throw error for object without name property", () => {
       const obj = { description: "No Name" };
 
@@ -322,6 +718,102 @@ describe("Context", () => {
         'Template "non-existent" not found'
       );
     });
+
+    test("should choose from the given templates", () => {
+      const template = {
+        name: "acme",
+        description: "Acme projects",
+        gitConfig: { "core.sshCommand": "ssh -i ~/.ssh/acme" },
+        urlPatterns: ["github.com/acme/*"],
+        source: "/srv/templates/acme.json",
+      };
+
+      const context = Context.fromTemplate("work", "acme", [template]);
+      context.gitConfig["user.name"] = "Me";
+      context.urlPatterns.push("gitlab.com/acme/*");
+
+      expect(context.description).toBe("Acme projects");
+      // The template itself is left alone
+      expect(template.gitConfig).toEqual({
+        "core.sshCommand": "ssh -i ~/.ssh/acme",
+      });
+      expect(template.urlPatterns).toEqual(["github.com/acme/*"]);
+    });
+
+    test("should refuse an invalid template", () => {
+      const templates = [{ name: "acme", gitConfig: { "user.email": "x" } }];
+
+      expect(() => Context.fromTemplate("work", "acme", templates)).toThrow(
+        expect.objectContaining({
+          message:
+            'Template "acme" is invalid: Please enter a valid email address',
+          exitCode: 2,
+        })
+      );
+    });
+  });
+
+  describe("validateTemplate", () => {
+    test("should accept the built-in templates", () => {
+      for (const template of Context.getTemplates()) {
+        expect(Context.validateTemplate(template)).toEqual({
+          isValid: true,
+          errors: [],
+        });
+      }
+    });
+
+    test("should accept a template with only a name", () => {
+      expect(Context.validateTemplate({ name: "minimal" }).isValid).toBe(true);
+    });
+
+    test("should reject fields a template can't set", () => {
+      const { errors } = Context.validateTemplate({
+        name: "acme",
+        pathPatterns: ["~/acme/**"],
+        urlPattern: ["github.com/acme/*"],
+      });
+
+      expect(errors).toEqual([
+        'Unknown template field "pathPatterns"',
+        'Unknown template field "urlPattern"',
+      ]);
+    });
+
+    test("should reject invalid values", () => {
+      const { errors } = Context.validateTemplate({
+        name: "acme corp",
+        description: 42,
+        sshKey: "~/.ssh/id;rm",
+        gitConfig: { "not a key": "x", "commit.gpgsign": true },
+        urlPatterns: "github.com/acme/*",
+      });
+
+      expect(errors).toEqual([
+        "Template name can only contain letters, numbers, hyphens, and underscores",
+        "Template description must be a string",
+        "SSH key path contains invalid characters",
+        "Invalid git config key: not a key",
+        "Git config value of commit.gpgsign must be a string",
+        "URL pattern contains invalid characters",
+      ]);
+    });
+
+    test("should reject anything but an object", () => {
+      expect(Context.validateTemplate(["acme"]).errors).toEqual([
+        "Template must be a JSON object",
+      ]);
+    });
+
+    test("should report why a template file couldn't be read", () => {
+      expect(
+        Context.validateTemplate({
+          name: "acme",
+          source: "/srv/templates/acme.json",
+          error: "Invalid JSON in /srv/templates/acme.json",
+        }).errors
+      ).toEqual(["Invalid JSON in /srv/templates/acme.json"]);
+    });
   });
 
   describe("getTemplates", () => {
@@ -47,6 +47,21 @@ describe("FileSystem", () => {
     configFilePath: "/mock/home/.gitconfig.d/contexts.json",
   };
 
+  // Content written through atomic writes, as pairs of destination and content
+  const writtenContent = () => {
+    const contentByFd = new Map();
+    mockFs.writeFile.mock.calls
+      .filter(([target]) => typeof target === "number")
+      .forEach(([, content], i) => contentByFd.set(i, content));
+    const tempPaths = mockFs.open.mock.calls
+      .filter(([, flags]) => flags === "wx")
+      .map(([tempPath]) => tempPath);
+    return mockFs.rename.mock.calls.map(([from, to]) => [
+      to,
+      contentByFd.get(tempPaths.indexOf(from)),
+    ]);
+  };
+
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
@@ -71,6 +86,19 @@ describe("FileSystem", () => {
     mockFs.writeFile.mockResolvedValue(undefined);
     mockFs.remove.mockResolvedValue(undefined);
     mockFs.copy.mockResolvedValue(undefined);
+    mockFs.move.mockResolvedValue(undefined);
+    mockFs.readdir.mockResolvedValue([]);
+    mockFs.stat.mockRejectedValue(
+      Object.assign(new Error("File not found"), { code: "ENOENT" })
+    );
+    mockFs.realpath.mockImplementation((filePath) => Promise.resolve(filePath));
+    mockFs.open.mockResolvedValue(3);
+    mockFs.fsync.mockResolvedValue(undefined);
+    mockFs.close.mockResolvedValue(undefined);
+    mockFs.chmod.mockResolvedValue(undefined);
+    mockFs.chown.mockResolvedValue(undefined);
+    mockFs.rename.mockResolvedValue(undefined);
+    mockFs.unlink.mockResolvedValue(undefined);
 
     // Set the return value of getStandardPaths for this test
     getStandardPaths.mockReturnValue(mockPaths);
@@ -155,35 +183,269 @@ describe("FileSystem", () => {
     });
   });
 
-  describe("Git Config Backup Operations", () => {
-    test("should create backup of git config when it exists", async () => {
-      // Mock Date.now for consistent timestamps in tests
-      const originalDateNow = Date.now;
-      Date.now = jest.fn(() => 1234567890);
+  describe("Backup Operations", () => {
+    const backupDir = `${mockPaths.gitConfigDirPath}/backups`;
+    const backupId = "20250102T030405678Z";
+    const manifest = {
+      id: backupId,
+      createdAt: "2025-01-02T03:04:05.678Z",
+      command: "add",
+      files: ["gitconfig", "gitcontexts", "gitconfig.d/work.gitconfig"],
+    };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ["setTimeout"] });
+      jest.setSystemTime(new Date(manifest.createdAt));
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(!filePath.startsWith(`${backupDir}/`))
+      );
+      mockFs.readdir.mockResolvedValue(["work.gitconfig", "backups"]);
+      mockFs.readFile.mockImplementation((filePath) =>
+        Promise.resolve(`content of ${path.basename(filePath)}`)
+      );
+      mockFs.readJson.mockResolvedValue(manifest);
+    });
 
-      mockPathExists.mockResolvedValue(true);
-      mockFs.copy.mockResolvedValue(undefined);
+    afterEach(() => {
+      jest.useRealTimers();
+    });
 
-      const backupPath = await fileSystem.backupGitConfig();
+    test("should back up every managed file with a manifest", async () => {
+      const backup = await fileSystem.createBackup("add");
 
-      expect(mockPathExists).toHaveBeenCalledWith(mockPaths.gitConfigPath);
-      expect(mockFs.copy).toHaveBeenCalledWith(
-        mockPaths.gitConfigPath,
-        `${mockPaths.gitConfigPath}.backup.1234567890`
+      expect(backup).toEqual(manifest);
+      expect(mockFs.ensureDir).toHaveBeenCalledWith(
+        `${backupDir}/${backupId}/gitconfig.d`,
+        { mode: 0o700 }
+      );
+      expect(writtenContent()).toEqual([
+        [`${backupDir}/${backupId}/gitconfig`, "content of .gitconfig"],
+        [`${backupDir}/${backupId}/gitcontexts`, "content of contexts.json"],
+        [
+          `${backupDir}/${backupId}/gitconfig.d/work.gitconfig`,
+          "content of work.gitconfig",
+        ],
+        [
+          `${backupDir}/${backupId}/backup.json`,
+          `${JSON.stringify(manifest, null, 2)}\n`,
+        ],
+      ]);
+    });
+
+    test("should leave out files that don't exist", async () => {
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(filePath === mockPaths.gitConfigPath)
+      );
+
+      const backup = await fileSystem.createBackup();
+
+      expect(backup.files).toEqual(["gitconfig"]);
+      expect(backup.command).toBe("backup create");
+    });
+
+    test("should not reuse the ID of an existing backup", async () => {
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(
+          !filePath.startsWith(`${backupDir}/`) ||
+            filePath === `${backupDir}/${backupId}`
+        )
+      );
+
+      const backup = await fileSystem.createBackup("add");
+
+      expect(backup.id).toBe(`${backupId}-1`);
+    });
+
+    test("should remove a backup that could not be completed", async () => {
+      mockFs.rename.mockRejectedValue(new Error("No space left on device"));
+
+      await expect(fileSystem.createBackup("add")).rejects.toThrow(
+        "No space left on device"
+      );
+      expect(mockFs.remove).toHaveBeenCalledWith(`${backupDir}/${backupId}`);
+    });
+
+    test("should drop the oldest backups beyond the limit", async () => {
+      const ids = Array.from(
+        { length: 52 },
+        (_, i) => `2025010${Math.floor(i / 10)}T03040567${i % 10}Z`
+      );
+      mockFs.readdir.mockImplementation((dirPath) =>
+        Promise.resolve(
+          dirPath === backupDir ? ids : ["work.gitconfig", "backups"]
+        )
       );
-      expect(backupPath).toBe(`${mockPaths.gitConfigPath}.backup.1234567890`);
+      mockFs.readJson.mockImplementation((manifestPath) =>
+        Promise.resolve({ id: manifestPath.split("/").slice(-2)[0] })
+      );
+
+      await fileSystem.createBackup("add");
 
-      // Restore Date.now
-      Date.now = originalDateNow;
+      expect(mockFs.remove.mock.calls).toEqual([
+        [`${backupDir}/${ids[1]}`],
+        [`${backupDir}/${ids[0]}`],
+      ]);
     });
 
-    test("should return null when git config does not exist", async () => {
+    describe("automatic pruning", () => {
+      const ids = Array.from(
+        { length: 4 },
+        (_, i) => `2025010${i + 1}T030405678Z`
+      );
+
+      beforeEach(() => {
+        mockFs.readdir.mockImplementation((dirPath) =>
+          Promise.resolve(
+            dirPath === backupDir ? ids : ["work.gitconfig", "backups"]
+          )
+        );
+        // The oldest backup was asked for with backup create
+        mockFs.readJson.mockImplementation((manifestPath) => {
+          const id = manifestPath.split("/").slice(-2)[0];
+          return Promise.resolve({
+            id,
+            command: id === ids[0] ? "backup create" : "add",
+          });
+        });
+      });
+
+      afterEach(() => {
+        delete process.env.GIT_CONTEXT_BACKUP_LIMIT;
+      });
+
+      test("should keep the backups the user asked for", async () => {
+        process.env.GIT_CONTEXT_BACKUP_LIMIT = "2";
+
+        await fileSystem.createBackup("add");
+
+        expect(mockFs.remove.mock.calls).toEqual([[`${backupDir}/${ids[1]}`]]);
+      });
+
+      test("should keep every automatic backup when the limit is 0", async () => {
+        process.env.GIT_CONTEXT_BACKUP_LIMIT = "0";
+
+        await fileSystem.createBackup("add");
+
+        expect(mockFs.remove).not.toHaveBeenCalled();
+      });
+
+      test.each(["many", "-1", ""])(
+        "should ignore a backup limit of %p",
+        (limit) => {
+          process.env.GIT_CONTEXT_BACKUP_LIMIT = limit;
+
+          expect(fileSystem.backupLimit).toBe(50);
+        }
+      );
+    });
+
+    test("should list complete backups newest first", async () => {
+      const ids = [
+        "20250102T030405678Z",
+        "20250103T030405678Z-1",
+        "20250103T030405678Z",
+        "20250104T030405678Z",
+      ];
+      mockPathExists.mockResolvedValue(true);
+      mockFs.readdir.mockResolvedValue([...ids, "notes.txt", "..evil"]);
+      mockFs.readJson.mockImplementation((manifestPath) =>
+        manifestPath.includes("20250104")
+          ? Promise.reject(new Error("ENOENT"))
+          : Promise.resolve({ id: manifestPath.split("/").slice(-2)[0] })
+      );
+
+      const backups = await fileSystem.listBackups();
+
+      expect(backups.map((backup) => backup.id)).toEqual([
+        "20250103T030405678Z-1",
+        "20250103T030405678Z",
+        "20250102T030405678Z",
+      ]);
+    });
+
+    test("should list no backups without a backups directory", async () => {
       mockPathExists.mockResolvedValue(false);
 
-      const backupPath = await fileSystem.backupGitConfig();
+      expect(await fileSystem.listBackups()).toEqual([]);
+      expect(mockFs.readdir).not.toHaveBeenCalled();
+    });
+
+    test("should read the files of a backup", async () => {
+      mockPathExists.mockResolvedValue(true);
+
+      const files = await fileSystem.readBackup(backupId);
+
+      expect([...files.entries()]).toEqual([
+        ["gitconfig", "content of gitconfig"],
+        ["gitcontexts", "content of gitcontexts"],
+        ["gitconfig.d/work.gitconfig", "content of work.gitconfig"],
+      ]);
+    });
+
+    test.each(["../../etc", "latest", "20250102T030405678Z-0", ""])(
+      "should not find a backup called %p",
+      async (id) => {
+        mockPathExists.mockResolvedValue(true);
+
+        await expect(fileSystem.readBackup(id)).rejects.toThrow(
+          `Backup "${id}" not found`
+        );
+        await expect(fileSystem.deleteBackup(id)).rejects.toThrow(
+          `Backup "${id}" not found`
+        );
+      }
+    );
+
+    test("should refuse files a backup can't contain", async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockFs.readJson.mockResolvedValue({
+        ...manifest,
+        files: ["gitconfig.d/../../.ssh/id_rsa"],
+      });
+
+      await expect(fileSystem.readBackup(backupId)).rejects.toThrow(
+        "Unexpected file in backup: gitconfig.d/../../.ssh/id_rsa"
+      );
+    });
+
+    test("should restore a backup and remove context configs it didn't have", async () => {
+      const journalDir = `${mockPaths.gitConfigDirPath}/journal`;
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(!filePath.startsWith(`${journalDir}/`))
+      );
+      mockFs.readdir.mockResolvedValue(["work.gitconfig", "extra.gitconfig"]);
+      mockFs.stat.mockResolvedValue({
+        mode: 0o100600,
+        uid: process.getuid(),
+        gid: process.getgid(),
+      });
+
+      const restored = await fileSystem.restoreBackup(backupId);
+
+      expect(restored).toEqual(manifest.files);
+      const written = writtenContent();
+      expect(written.slice(0, 3)).toEqual([
+        [mockPaths.gitConfigPath, "content of gitconfig"],
+        [mockPaths.configFilePath, "content of gitcontexts"],
+        [
+          `${mockPaths.gitConfigDirPath}/work.gitconfig`,
+          "content of work.gitconfig",
+        ],
+      ]);
+      expect(mockFs.remove).toHaveBeenCalledWith(
+        `${mockPaths.gitConfigDirPath}/extra.gitconfig`
+      );
+      // The restore is recorded so it can be undone
+      expect(written[3][0]).toBe(`${journalDir}/${backupId}.json`);
+      expect(JSON.parse(written[3][1]).command).toBe("backup restore");
+    });
+
+    test("should delete a backup", async () => {
+      mockPathExists.mockResolvedValue(true);
+
+      await fileSystem.deleteBackup(backupId);
 
-      expect(backupPath).toBeNull();
-      expect(mockFs.copy).not.toHaveBeenCalled();
+      expect(mockFs.remove).toHaveBeenCalledWith(`${backupDir}/${backupId}`);
     });
   });
 
@@ -200,6 +462,27 @@ describe("FileSystem", () => {
       expect(contexts).toEqual(mockContexts);
     });
 
+    test("should migrate the single path pattern of earlier versions", async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockFs.readJson.mockResolvedValue([
+        { name: "old", pathPattern: "~/old/**" },
+        {
+          name: "both",
+          pathPattern: "/home/me/work/**",
+          pathPatterns: ["~/work/**", "/srv/work/**"],
+        },
+        { name: "new", pathPatterns: ["~/new/**"] },
+      ]);
+
+      const contexts = await fileSystem.loadContexts();
+
+      expect(contexts).toEqual([
+        { name: "old", pathPatterns: ["~/old/**"] },
+        { name: "both", pathPatterns: ["~/work/**", "/srv/work/**"] },
+        { name: "new", pathPatterns: ["~/new/**"] },
+      ]);
+    });
+
     test("should return empty array when contexts file does not exist", async () => {
       mockPathExists.mockResolvedValue(false);
 
@@ -209,16 +492,52 @@ describe("FileSystem", () => {
       expect(mockFs.readJson).not.toHaveBeenCalled();
     });
 
+    test("should only throw on invalid JSON when loading strictly", async () => {
+      const syntaxError = new SyntaxError("Unexpected token b in JSON");
+      mockPathExists.mockResolvedValue(true);
+      mockFs.readJson.mockRejectedValue(syntaxError);
+
+      await expect(fileSystem.loadContexts()).resolves.toEqual([]);
+      await expect(fileSystem.loadContexts({ strict: true })).rejects.toThrow(
+        "Invalid JSON in config file: Unexpected token b in JSON"
+      );
+    });
+
+    test("should list context config files", async () => {
+      mockPathExists.mockResolvedValue(true);
+      mockFs.readdir.mockResolvedValue([
+        "work.gitconfig",
+        "notes.txt",
+        "personal.gitconfig",
+      ]);
+
+      const names = await fileSystem.listContextConfigs();
+
+      expect(mockFs.readdir).toHaveBeenCalledWith(mockPaths.gitConfigDirPath);
+      expect(names).toEqual(["personal", "work"]);
+    });
+
+    test("should list no context config files without a config directory", async () => {
+      mockPathExists.mockResolvedValue(false);
+
+      const names = await fileSystem.listContextConfigs();
+
+      expect(names).toEqual([]);
+      expect(mockFs.readdir).not.toHaveBeenCalled();
+    });
+
     test("should save contexts to JSON file", async () => {
       const mockContexts = [{ name: "work" }, { name: "personal" }];
-      mockFs.writeJson.mockResolvedValue(undefined);
 
       await fileSystem.saveContexts(mockContexts);
 
-      expect(mockFs.writeJson).toHaveBeenCalledWith(
-        mockPaths.configFilePath,
-        mockContexts,
-        { spaces: 2 }
+      expect(mockFs.writeFile).toHaveBeenCalledWith(
+        3,
+        `${JSON.stringify(mockContexts, null, 2)}\n`
+      );
+      expect(mockFs.rename).toHaveBeenCalledWith(
+        expect.stringMatching(/\/\.contexts\.json\.\d+\.[0-9a-f]+\.tmp$/),
+        mockPaths.configFilePath
       );
     });
   });
@@ -252,16 +571,196 @@ describe("FileSystem", () => {
     test("should write content to git config file with secure permissions", async () => {
       const configContent =
         "[user]\n    name = Test User\n    email = test@example.com";
-      mockFs.writeFile.mockResolvedValue(undefined);
 
       await fileSystem.writeGitConfig(configContent);
 
+      expect(mockFs.open).toHaveBeenCalledWith(
+        expect.stringMatching(/^\/mock\/home\/\.\.gitconfig\..*\.tmp$/),
+        "wx",
+        0o600 // Test for secure file permissions (owner read/write only)
+      );
+      expect(mockFs.writeFile).toHaveBeenCalledWith(3, configContent);
+      expect(mockFs.rename).toHaveBeenCalledWith(
+        mockFs.open.mock.calls[0][0],
+        mockPaths.gitConfigPath
+      );
+    });
+  });
+
+  describe("Cross-Process Locking", () => {
+    const lockPath = `${mockPaths.gitConfigPath}.git-context.lock`;
+
+    test("should hold a lock file with its PID while writing", async () => {
+      await fileSystem.writeGitConfig("[core]\n");
+
       expect(mockFs.writeFile).toHaveBeenCalledWith(
-        mockPaths.gitConfigPath,
-        configContent,
-        { mode: 0o600 } // Test for secure file permissions (owner read/write only)
+        lockPath,
+        expect.stringContaining(`"pid":${process.pid}`),
+        { flag: "wx", mode: 0o600 }
+      );
+      expect(mockFs.unlink).toHaveBeenCalledWith(lockPath);
+      // The lock is taken before the file is written and released after
+      expect(mockFs.writeFile.mock.invocationCallOrder[0]).toBeLessThan(
+        mockFs.open.mock.invocationCallOrder[0]
+      );
+      expect(mockFs.unlink.mock.invocationCallOrder[0]).toBeGreaterThan(
+        mockFs.rename.mock.invocationCallOrder[0]
       );
     });
+
+    test("should release the lock when the operation fails", async () => {
+      mockFs.rename.mockRejectedValue(new Error("Rename failed"));
+
+      await expect(fileSystem.writeGitConfig("[core]\n")).rejects.toThrow(
+        "Rename failed"
+      );
+
+      expect(mockFs.unlink).toHaveBeenCalledWith(lockPath);
+    });
+
+    test("should read without a lock in a directory it cannot write to", async () => {
+      mockFs.writeFile.mockRejectedValue(
+        Object.assign(new Error("Permission denied"), { code: "EACCES" })
+      );
+      mockFs.readFile.mockResolvedValue("[core]\n");
+
+      await expect(fileSystem.readGitConfig()).resolves.toBe("[core]\n");
+      expect(mockFs.unlink).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Atomic Writes", () => {
+    const content = "[user]\n    name = Test User\n";
+
+    test("should write through a temporary file in the same directory", async () => {
+      await fileSystem.writeGitConfig(content);
+
+      const tempPath = mockFs.open.mock.calls[0][0];
+      expect(path.dirname(tempPath)).toBe(mockPaths.homeDir);
+      expect(mockFs.fsync).toHaveBeenCalledWith(3);
+      expect(mockFs.close).toHaveBeenCalledWith(3);
+      expect(mockFs.rename).toHaveBeenCalledWith(
+        tempPath,
+        mockPaths.gitConfigPath
+      );
+      // The directory is synced after the rename
+      expect(mockFs.open).toHaveBeenLastCalledWith(mockPaths.homeDir, "r");
+      expect(mockFs.remove).not.toHaveBeenCalled();
+    });
+
+    test("should keep the mode and ownership of an existing file", async () => {
+      mockFs.stat.mockResolvedValue({
+        mode: 0o100644,
+        uid: process.getuid() + 1,
+        gid: process.getgid() + 1,
+      });
+
+      await fileSystem.writeGitConfig(content);
+
+      const tempPath = mockFs.open.mock.calls[0][0];
+      expect(mockFs.open).toHaveBeenCalledWith(tempPath, "wx", 0o644);
+      expect(mockFs.chmod).toHaveBeenCalledWith(tempPath, 0o644);
+      expect(mockFs.chown).toHaveBeenCalledWith(
+        tempPath,
+        process.getuid() + 1,
+        process.getgid() + 1
+      );
+    });
+
+    test("should still write when the owner cannot be changed", async () => {
+      mockFs.stat.mockResolvedValue({
+        mode: 0o100600,
+        uid: process.getuid() + 1,
+        gid: process.getgid(),
+      });
+      mockFs.chown.mockRejectedValue(
+        Object.assign(new Error("Operation not permitted"), { code: "EPERM" })
+      );
+
+      await fileSystem.writeGitConfig(content);
+
+      expect(mockFs.rename).toHaveBeenCalled();
+    });
+
+    test("should replace the target of a symlink rather than the link", async () => {
+      mockFs.stat.mockResolvedValue({
+        mode: 0o100600,
+        uid: process.getuid(),
+        gid: process.getgid(),
+      });
+      mockFs.realpath.mockResolvedValue("/mock/dotfiles/gitconfig");
+
+      await fileSystem.writeGitConfig(content);
+
+      expect(path.dirname(mockFs.open.mock.calls[0][0])).toBe("/mock/dotfiles");
+      expect(mockFs.rename).toHaveBeenCalledWith(
+        expect.any(String),
+        "/mock/dotfiles/gitconfig"
+      );
+      expect(mockFs.chown).not.toHaveBeenCalled();
+    });
+
+    test("should leave the original file untouched when the disk fills up mid-write", async () => {
+      // Lock files are written by path, the content by file descriptor
+      mockFs.writeFile.mockImplementation((target) =>
+        typeof target === "number"
+          ? Promise.reject(
+              Object.assign(new Error("No space left on device"), {
+                code: "ENOSPC",
+              })
+            )
+          : Promise.resolve()
+      );
+
+      await expect(fileSystem.writeGitConfig(content)).rejects.toThrow(
+        "No space left on device"
+      );
+
+      const tempPath = mockFs.open.mock.calls[0][0];
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.close).toHaveBeenCalledWith(3);
+      expect(mockFs.remove).toHaveBeenCalledWith(tempPath);
+    });
+
+    test("should clean up the temporary file when fsync fails", async () => {
+      mockFs.fsync.mockRejectedValue(new Error("I/O error"));
+
+      await expect(fileSystem.saveContexts([])).rejects.toThrow("I/O error");
+
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.remove).toHaveBeenCalledWith(mockFs.open.mock.calls[0][0]);
+    });
+
+    test("should clean up the temporary file when the rename fails", async () => {
+      mockFs.rename.mockRejectedValue(new Error("Cross-device link"));
+
+      await expect(
+        fileSystem.saveContextConfig("work", content)
+      ).rejects.toThrow("Cross-device link");
+
+      expect(mockFs.remove).toHaveBeenCalledWith(mockFs.open.mock.calls[0][0]);
+    });
+
+    test("should report permission errors on the destination", async () => {
+      mockFs.open.mockRejectedValue(
+        Object.assign(new Error("Permission denied"), { code: "EACCES" })
+      );
+
+      await expect(fileSystem.writeGitConfig(content)).rejects.toThrow(
+        `Permission denied: Cannot write to ${mockPaths.gitConfigPath}`
+      );
+      expect(mockFs.rename).not.toHaveBeenCalled();
+    });
+
+    test("should still succeed when the directory cannot be synced", async () => {
+      mockFs.open
+        .mockResolvedValueOnce(3)
+        .mockRejectedValueOnce(
+          Object.assign(new Error("Is a directory"), { code: "EISDIR" })
+        );
+
+      await expect(fileSystem.writeGitConfig(content)).resolves.toBeUndefined();
+    });
   });
 
   describe("Context Config Security Operations", () => {
@@ -273,7 +772,6 @@ describe("FileSystem", () => {
     test("should save context config to file after security validation", async () => {
       // This is a critical security check
       mockValidatePathSafety.mockReturnValue(true);
-      mockFs.writeFile.mockResolvedValue(undefined);
 
       const resultPath = await fileSystem.saveContextConfig(
         safeContextName,
@@ -284,10 +782,15 @@ describe("FileSystem", () => {
         `${safeContextName}.gitconfig`
       );
 
-      expect(mockFs.writeFile).toHaveBeenCalledWith(
+      expect(mockFs.open).toHaveBeenCalledWith(
         expect.stringContaining(`${safeContextName}.gitconfig`),
-        content,
-        { mode: 0o600 } // Test for secure file permissions
+        "wx",
+        0o600 // Test for secure file permissions
+      );
+      expect(mockFs.writeFile).toHaveBeenCalledWith(3, content);
+      expect(mockFs.rename).toHaveBeenCalledWith(
+        expect.any(String),
+        expectedPath
       );
       expect(resultPath).toBe(expectedPath);
     });
@@ -333,6 +836,50 @@ describe("FileSystem", () => {
       expect(mockFs.remove).not.toHaveBeenCalled();
     });
 
+    test("should move context config file to its new name", async () => {
+      mockPathExists
+        .mockResolvedValueOnce(true) // old file exists
+        .mockResolvedValueOnce(false); // new file does not
+
+      const result = await fileSystem.renameContextConfig("work", "job");
+
+      const oldPath = path.join(mockPaths.gitConfigDirPath, "work.gitconfig");
+      const newPath = path.join(mockPaths.gitConfigDirPath, "job.gitconfig");
+      expect(mockFs.move).toHaveBeenCalledWith(oldPath, newPath, {
+        overwrite: false,
+      });
+      expect(result).toBe(newPath);
+    });
+
+    test("should return null when there is no config file to rename", async () => {
+      mockPathExists.mockResolvedValue(false);
+
+      const result = await fileSystem.renameContextConfig("work", "job");
+
+      expect(result).toBeNull();
+      expect(mockFs.move).not.toHaveBeenCalled();
+    });
+
+    test("should refuse to overwrite an existing config file when renaming", async () => {
+      mockPathExists.mockResolvedValue(true);
+
+      await expect(
+        fileSystem.renameContextConfig("work", "job")
+      ).rejects.toThrow("Config file already exists");
+
+      expect(mockFs.move).not.toHaveBeenCalled();
+    });
+
+    test("should reject unsafe paths when renaming context config", async () => {
+      mockValidatePathSafety.mockReturnValue(false);
+
+      await expect(
+        fileSystem.renameContextConfig(safeContextName, unsafeContextName)
+      ).rejects.toThrow("Invalid configuration path");
+
+      expect(mockFs.move).not.toHaveBeenCalled();
+    });
+
     test("should read context config file after security validation", async () => {
       mockValidatePathSafety.mockReturnValue(true);
       mockPathExists.mockResolvedValue(true);
@@ -368,6 +915,679 @@ describe("FileSystem", () => {
     });
   });
 
+  describe("Transactions", () => {
+    const workConfigPath = `${mockPaths.gitConfigDirPath}/work.gitconfig`;
+    const existingFile = {
+      mode: 0o100600,
+      uid: process.getuid(),
+      gid: process.getgid(),
+    };
+
+    beforeEach(() => {
+      mockFs.stat.mockResolvedValue(existingFile);
+      mockFs.readFile.mockImplementation((filePath) =>
+        Promise.resolve(`old ${path.basename(filePath)}`)
+      );
+    });
+
+    test("should write every staged change when the function returns", async () => {
+      const result = await fileSystem.runTransaction(async (transaction) => {
+        await transaction.saveContextConfig("work", "[user]\n");
+        await transaction.saveContexts([{ name: "work" }]);
+        await transaction.writeGitConfig("[include]\n");
+        // Nothing is written while changes are staged
+        expect(mockFs.rename).not.toHaveBeenCalled();
+        return "done";
+      });
+
+      expect(result).toBe("done");
+      expect(writtenContent()).toEqual([
+        [workConfigPath, "[user]\n"],
+        [
+          mockPaths.configFilePath,
+          `${JSON.stringify([{ name: "work" }], null, 2)}\n`,
+        ],
+        [mockPaths.gitConfigPath, "[include]\n"],
+      ]);
+    });
+
+    test("should let later steps read staged changes", async () => {
+      await fileSystem.runTransaction(async (transaction) => {
+        expect(await transaction.readGitConfig()).toBe("old .gitconfig");
+        await transaction.writeGitConfig("[core]\n");
+        expect(await transaction.readGitConfig()).toBe("[core]\n");
+
+        await transaction.deleteContextConfig("work");
+        expect(await transaction.readContextConfig("work")).toBeNull();
+      });
+
+      expect(mockFs.remove).toHaveBeenCalledWith(workConfigPath);
+    });
+
+    test("should write nothing when the function throws", async () => {
+      await expect(
+        fileSystem.runTransaction(async (transaction) => {
+          await transaction.writeGitConfig("[core]\n");
+          throw new Error("Invalid context");
+        })
+      ).rejects.toThrow("Invalid context");
+
+      expect(mockFs.open).not.toHaveBeenCalled();
+      expect(mockFs.rename).not.toHaveBeenCalled();
+    });
+
+    test("should restore every file when a later write fails", async () => {
+      // The new context config doesn't exist yet, the other files do
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(filePath !== workConfigPath)
+      );
+      let failed = false;
+      mockFs.rename.mockImplementation((from, to) => {
+        if (to === mockPaths.gitConfigPath && !failed) {
+          failed = true;
+          return Promise.reject(new Error("No space left on device"));
+        }
+        return Promise.resolve();
+      });
+
+      await expect(
+        fileSystem.runTransaction(async (transaction) => {
+          await transaction.saveContextConfig("work", "[user]\n");
+          await transaction.saveContexts([{ name: "work" }]);
+          await transaction.writeGitConfig("[include]\n");
+        })
+      ).rejects.toThrow("No space left on device");
+
+      const written = writtenContent();
+      // The git config is restored first, then the contexts file
+      expect(written.slice(-2)).toEqual([
+        [mockPaths.gitConfigPath, "old .gitconfig"],
+        [mockPaths.configFilePath, "old contexts.json"],
+      ]);
+      // The context config didn't exist before, so it is removed again
+      expect(mockFs.remove).toHaveBeenCalledWith(workConfigPath);
+    });
+
+    test("should hold the locks on every file while committing", async () => {
+      await fileSystem.runTransaction(async (transaction) => {
+        await transaction.saveContexts([]);
+        await transaction.writeGitConfig("[core]\n");
+      });
+
+      const locked = mockFs.writeFile.mock.calls
+        .filter(([target]) => typeof target === "string")
+        .map(([lockPath]) => lockPath);
+      expect(locked).toEqual(
+        expect.arrayContaining([
+          `${mockPaths.gitConfigPath}.git-context.lock`,
+          `${mockPaths.configFilePath}.git-context.lock`,
+        ])
+      );
+      const firstWrite = Math.min(...mockFs.rename.mock.invocationCallOrder);
+      const lastUnlock = Math.max(...mockFs.unlink.mock.invocationCallOrder);
+      expect(lastUnlock).toBeGreaterThan(firstWrite);
+    });
+
+    test("should hold the locks while the transaction reads and stages", async () => {
+      const lockPaths = [
+        `${mockPaths.gitConfigPath}.git-context.lock`,
+        `${mockPaths.configFilePath}.git-context.lock`,
+      ];
+      const lockedDuringBody = [];
+
+      await fileSystem.runTransaction(async (transaction) => {
+        lockedDuringBody.push(
+          ...mockFs.writeFile.mock.calls.map(([target]) => target)
+        );
+        // Reads under the held locks don't wait for them again
+        await transaction.loadContexts();
+        await transaction.readGitConfig();
+        expect(mockFs.unlink).not.toHaveBeenCalled();
+        await transaction.saveContexts([]);
+      });
+
+      expect(lockedDuringBody).toEqual(expect.arrayContaining(lockPaths));
+      expect(mockFs.unlink.mock.calls.map(([target]) => target)).toEqual(
+        expect.arrayContaining(lockPaths)
+      );
+    });
+
+    test("should let later steps load the staged contexts", async () => {
+      await fileSystem.runTransaction(async (transaction) => {
+        await transaction.saveContexts([{ name: "work" }]);
+        expect(await transaction.loadContexts()).toEqual([{ name: "work" }]);
+      });
+    });
+
+    test("should list the context configs with the staged changes", async () => {
+      jest
+        .spyOn(fileSystem, "listContextConfigs")
+        .mockResolvedValue(["old", "work"]);
+
+      await fileSystem.runTransaction(async (transaction) => {
+        await transaction.deleteContextConfig("old");
+        await transaction.saveContextConfig("client", "[user]\n");
+        await transaction.writeGitConfig("[include]\n");
+
+        expect(await transaction.listContextConfigs()).toEqual([
+          "client",
+          "work",
+        ]);
+      });
+    });
+
+    test("should move a context config with its content and mode", async () => {
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(!filePath.endsWith("job.gitconfig"))
+      );
+      mockFs.stat.mockImplementation((filePath) =>
+        filePath.endsWith("job.gitconfig")
+          ? Promise.reject(
+              Object.assign(new Error("File not found"), { code: "ENOENT" })
+            )
+          : Promise.resolve({ ...existingFile, mode: 0o100640 })
+      );
+
+      await fileSystem.runTransaction(async (transaction) => {
+        expect(await transaction.renameContextConfig("work", "job")).toBe(
+          `${mockPaths.gitConfigDirPath}/job.gitconfig`
+        );
+      });
+
+      expect(mockFs.remove).toHaveBeenCalledWith(workConfigPath);
+      expect(writtenContent()).toEqual([
+        [`${mockPaths.gitConfigDirPath}/job.gitconfig`, "old work.gitconfig"],
+      ]);
+      expect(mockFs.open).toHaveBeenCalledWith(
+        expect.stringContaining("job.gitconfig"),
+        "wx",
+        0o640
+      );
+    });
+
+    test("should refuse to move a context config onto an existing one", async () => {
+      await expect(
+        fileSystem.runTransaction((transaction) =>
+          transaction.renameContextConfig("work", "job")
+        )
+      ).rejects.toThrow("Config file already exists");
+      expect(mockFs.rename).not.toHaveBeenCalled();
+    });
+
+    test("should reject unsafe context config paths", async () => {
+      mockValidatePathSafety.mockReturnValue(false);
+
+      await expect(
+        fileSystem.runTransaction((transaction) =>
+          transaction.saveContextConfig("../evil", "")
+        )
+      ).rejects.toThrow("Invalid configuration path");
+    });
+  });
+
+  describe("Journal", () => {
+    const journalDir = `${mockPaths.gitConfigDirPath}/journal`;
+    const workConfigPath = `${mockPaths.gitConfigDirPath}/work.gitconfig`;
+    const entryId = "20250102T030405678Z";
+    const entry = {
+      id: entryId,
+      createdAt: "2025-01-02T03:04:05.678Z",
+      command: "add",
+      files: [
+        { name: "gitconfig.d/work.gitconfig", before: null, after: "[user]\n" },
+        {
+          name: "gitconfig",
+          before: { content: "[core]\n", mode: 0o644 },
+          after: "[core]\n[include]\n",
+        },
+      ],
+    };
+    const existingFile = {
+      mode: 0o100644,
+      uid: process.getuid(),
+      gid: process.getgid(),
+    };
+
+    // The journal entry files written, parsed
+    const journalWrites = () =>
+      writtenContent()
+        .filter(([target]) => target.startsWith(`${journalDir}/`))
+        .map(([target, content]) => [target, JSON.parse(content)]);
+
+    beforeEach(() => {
+      jest.useFakeTimers({ doNotFake: ["setTimeout"] });
+      jest.setSystemTime(new Date(entry.createdAt));
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(!filePath.startsWith(`${journalDir}/`))
+      );
+      mockFs.stat.mockResolvedValue(existingFile);
+      mockFs.readdir.mockResolvedValue([`${entryId}.json`]);
+      mockFs.readJson.mockImplementation(() =>
+        Promise.resolve(JSON.parse(JSON.stringify(entry)))
+      );
+      // Backups are covered by their own tests
+      jest
+        .spyOn(fileSystem, "createBackup")
+        .mockResolvedValue({ id: "20250102T030405678Z" });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test("should record the content before and after a named transaction", async () => {
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(
+          filePath !== workConfigPath && !filePath.startsWith(`${journalDir}/`)
+        )
+      );
+      mockFs.readFile.mockResolvedValue("[core]\n");
+
+      await fileSystem.runTransaction(async (transaction) => {
+        await transaction.saveContextConfig("work", "[user]\n");
+        await transaction.writeGitConfig("[core]\n[include]\n");
+      }, "add");
+
+      expect(mockFs.ensureDir).toHaveBeenCalledWith(journalDir, {
+        mode: 0o700,
+      });
+      expect(journalWrites()).toEqual([
+        [`${journalDir}/${entryId}.json`, entry],
+      ]);
+    });
+
+    test("should not record a transaction without a command", async () => {
+      await fileSystem.runTransaction((transaction) =>
+        transaction.writeGitConfig("[core]\n")
+      );
+
+      expect(journalWrites()).toEqual([]);
+    });
+
+    test("should keep the changes when the journal cannot be written", async () => {
+      mockFs.ensureDir.mockImplementation((dirPath) =>
+        dirPath === journalDir
+          ? Promise.reject(new Error("No space left on device"))
+          : Promise.resolve()
+      );
+
+      await fileSystem.runTransaction(
+        (transaction) => transaction.writeGitConfig("[core]\n"),
+        "add"
+      );
+
+      expect(writtenContent()).toEqual([[mockPaths.gitConfigPath, "[core]\n"]]);
+      expect(console.error).toHaveBeenCalledWith(
+        'Failed to record "add" in the journal, it can\'t be undone: No space left on device'
+      );
+    });
+
+    test("should drop the oldest entries beyond the limit", async () => {
+      const ids = Array.from(
+        { length: 52 },
+        (_, i) => `2025010${Math.floor(i / 10)}T03040567${i % 10}Z`
+      );
+      mockFs.readdir.mockResolvedValue(ids.map((id) => `${id}.json`));
+      mockFs.readJson.mockImplementation((entryPath) =>
+        Promise.resolve({ id: path.basename(entryPath, ".json") })
+      );
+
+      await fileSystem.runTransaction(
+        (transaction) => transaction.writeGitConfig("[core]\n"),
+        "add"
+      );
+
+      expect(mockFs.remove.mock.calls).toEqual([
+        [`${journalDir}/${ids[1]}.json`],
+        [`${journalDir}/${ids[0]}.json`],
+      ]);
+    });
+
+    test("should list the entries newest first", async () => {
+      mockFs.readdir.mockResolvedValue([
+        "20250102T030405678Z.json",
+        "20250103T030405678Z.json",
+        "20250104T030405678Z.json",
+        "notes.json",
+        "20250105T030405678Z.txt",
+      ]);
+      mockFs.readJson.mockImplementation((entryPath) =>
+        entryPath.includes("20250104")
+          ? Promise.reject(new Error("Unexpected end of JSON input"))
+          : Promise.resolve({ id: path.basename(entryPath, ".json") })
+      );
+
+      const entries = await fileSystem.listJournal();
+
+      expect(entries.map((item) => item.id)).toEqual([
+        "20250103T030405678Z",
+        "20250102T030405678Z",
+      ]);
+    });
+
+    test("should list no entries without a journal directory", async () => {
+      mockPathExists.mockResolvedValue(false);
+
+      expect(await fileSystem.listJournal()).toEqual([]);
+      expect(mockFs.readdir).not.toHaveBeenCalled();
+    });
+
+    test("should put back the files of the most recent entry", async () => {
+      jest.setSystemTime(new Date("2025-01-03T00:00:00.000Z"));
+      mockFs.readFile.mockImplementation((filePath) =>
+        Promise.resolve(
+          filePath === workConfigPath ? "[user]\n" : "[core]\n[include]\n"
+        )
+      );
+
+      const undone = await fileSystem.undoLastOperation();
+
+      expect(fileSystem.createBackup).toHaveBeenCalledWith("undo");
+      expect(undone.undoneAt).toBe("2025-01-03T00:00:00.000Z");
+      // The context config didn't exist before, so it is removed
+      expect(mockFs.remove).toHaveBeenCalledWith(workConfigPath);
+      expect(writtenContent()[0]).toEqual([
+        mockPaths.gitConfigPath,
+        "[core]\n",
+      ]);
+      expect(mockFs.open).toHaveBeenCalledWith(
+        expect.stringContaining(".gitconfig."),
+        "wx",
+        0o644
+      );
+      expect(journalWrites()).toEqual([
+        [
+          `${journalDir}/${entryId}.json`,
+          { ...entry, undoneAt: undone.undoneAt },
+        ],
+      ]);
+    });
+
+    test("should skip entries that were already undone", async () => {
+      mockFs.readdir.mockResolvedValue([
+        "20250102T030405678Z.json",
+        "20250103T030405678Z.json",
+      ]);
+      mockFs.readJson.mockImplementation((entryPath) =>
+        Promise.resolve(
+          entryPath.includes("20250103")
+            ? { ...entry, id: "20250103T030405678Z", undoneAt: "2025-01-04" }
+            : { ...entry, files: [] }
+        )
+      );
+
+      const undone = await fileSystem.undoLastOperation();
+
+      expect(undone.id).toBe(entryId);
+    });
+
+    test("should have nothing to undo once every entry is undone", async () => {
+      mockFs.readJson.mockResolvedValue({ ...entry, undoneAt: "2025-01-04" });
+
+      expect(await fileSystem.undoLastOperation()).toBeNull();
+      expect(mockFs.rename).not.toHaveBeenCalled();
+    });
+
+    test("should refuse to undo over changes made since, unless forced", async () => {
+      mockFs.readFile.mockResolvedValue("[user]\n\tname = Edited\n");
+
+      await expect(fileSystem.undoLastOperation()).rejects.toThrow(
+        `${workConfigPath} has changed since "add" ran. Run undo --force to revert it anyway.`
+      );
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.remove).not.toHaveBeenCalled();
+      expect(fileSystem.createBackup).not.toHaveBeenCalled();
+
+      await fileSystem.undoLastOperation({ force: true });
+
+      expect(mockFs.remove).toHaveBeenCalledWith(workConfigPath);
+    });
+
+    test("should reject entries naming files outside the configuration", async () => {
+      mockFs.readJson.mockResolvedValue({
+        ...entry,
+        files: [{ name: "../.ssh/authorized_keys", before: null, after: null }],
+      });
+
+      await expect(fileSystem.undoLastOperation()).rejects.toThrow(
+        "Unexpected file in journal entry: ../.ssh/authorized_keys"
+      );
+      expect(mockFs.remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Dry Run", () => {
+    const workConfigPath = `${mockPaths.gitConfigDirPath}/work.gitconfig`;
+
+    beforeEach(() => {
+      fileSystem.enableDryRun();
+      mockFs.readFile.mockImplementation((filePath) =>
+        Promise.resolve(`old ${path.basename(filePath)}`)
+      );
+      mockFs.readdir.mockResolvedValue(["work.gitconfig", "backups"]);
+    });
+
+    test("should keep transaction changes in memory", async () => {
+      await fileSystem.runTransaction(async (transaction) => {
+        await transaction.saveContextConfig("home", "[user]\n");
+        await transaction.deleteContextConfig("work");
+        await transaction.writeGitConfig("[include]\n");
+      }, "add");
+
+      expect(fileSystem.dryRun).toBe(true);
+      expect(mockFs.open).not.toHaveBeenCalled();
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.remove).not.toHaveBeenCalled();
+      expect(mockFs.writeFile).not.toHaveBeenCalled();
+      expect(mockFs.ensureDir).not.toHaveBeenCalled();
+    });
+
+    test("should let later reads see the changes", async () => {
+      await fileSystem.runTransaction(async (transaction) => {
+        await transaction.saveContextConfig("home", "[user]\n");
+        await transaction.deleteContextConfig("work");
+        await transaction.saveContexts([{ name: "home" }]);
+      });
+      await fileSystem.writeGitConfig("[include]\n");
+
+      expect(await fileSystem.readGitConfig()).toBe("[include]\n");
+      expect(await fileSystem.loadContexts()).toEqual([{ name: "home" }]);
+      expect(await fileSystem.readContextConfig("home")).toBe("[user]\n");
+      expect(await fileSystem.readContextConfig("work")).toBeNull();
+      expect(await fileSystem.listContextConfigs()).toEqual(["home"]);
+      expect(mockFs.rename).not.toHaveBeenCalled();
+    });
+
+    test("should route direct writes into memory", async () => {
+      await fileSystem.saveContextConfig("home", "[user]\n");
+      await fileSystem.saveContexts([]);
+      await fileSystem.deleteContextConfig("work");
+      await fileSystem.exportContexts([], "/tmp/contexts.json");
+
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.remove).not.toHaveBeenCalled();
+      expect(await fileSystem.getDryRunChanges()).toEqual([
+        {
+          path: `${mockPaths.gitConfigDirPath}/home.gitconfig`,
+          before: "old home.gitconfig",
+          after: "[user]\n",
+        },
+        {
+          path: mockPaths.configFilePath,
+          before: "old contexts.json",
+          after: "[]\n",
+        },
+        { path: workConfigPath, before: "old work.gitconfig", after: null },
+        {
+          path: "/tmp/contexts.json",
+          before: "old contexts.json",
+          after: "[]\n",
+        },
+      ]);
+    });
+
+    test("should leave out files whose content would stay the same", async () => {
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(filePath !== workConfigPath)
+      );
+
+      await fileSystem.writeGitConfig("old .gitconfig");
+      await fileSystem.saveContextConfig("work", "[user]\n");
+
+      expect(await fileSystem.getDryRunChanges()).toEqual([
+        { path: workConfigPath, before: null, after: "[user]\n" },
+      ]);
+    });
+
+    test("should not write backups", async () => {
+      jest.useFakeTimers({ doNotFake: ["setTimeout"] });
+      jest.setSystemTime(new Date("2025-01-02T03:04:05.678Z"));
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(!filePath.endsWith("/backups/20250102T030405678Z"))
+      );
+
+      const backup = await fileSystem.createBackup("add");
+      await fileSystem.deleteBackup("20250101T030405678Z");
+      jest.useRealTimers();
+
+      expect(backup).toEqual({
+        id: "20250102T030405678Z",
+        createdAt: "2025-01-02T03:04:05.678Z",
+        command: "add",
+        files: ["gitconfig", "gitcontexts", "gitconfig.d/work.gitconfig"],
+      });
+      expect(mockFs.ensureDir).not.toHaveBeenCalled();
+      expect(mockFs.rename).not.toHaveBeenCalled();
+      expect(mockFs.remove).not.toHaveBeenCalled();
+    });
+
+    test("should undo into memory without marking the entry undone", async () => {
+      mockFs.readdir.mockResolvedValue(["20250102T030405678Z.json"]);
+      mockFs.readJson.mockResolvedValue({
+        id: "20250102T030405678Z",
+        command: "add",
+        files: [{ name: "gitconfig", before: null, after: "old .gitconfig" }],
+      });
+      mockFs.stat.mockResolvedValue({ mode: 0o100644 });
+      jest
+        .spyOn(fileSystem, "createBackup")
+        .mockResolvedValue({ id: "20250102T030405678Z" });
+
+      await fileSystem.undoLastOperation();
+
+      expect(await fileSystem.readGitConfig()).toBe("");
+      expect(mockFs.remove).not.toHaveBeenCalled();
+      expect(mockFs.open).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Templates", () => {
+    const templatesDir = `${mockPaths.gitConfigDirPath}/templates`;
+    const sharedDir = "/srv/templates";
+    const files = new Map([
+      [`${sharedDir}/acme.json`, { description: "Acme" }],
+      [`${templatesDir}/mine.json`, { name: "own", urlPatterns: [] }],
+      [`${templatesDir}/list.json`, ["not", "a", "template"]],
+    ]);
+
+    beforeEach(() => {
+      process.env.GIT_CONTEXT_TEMPLATES_DIR = sharedDir;
+      mockFs.readdir.mockImplementation((dirPath) =>
+        Promise.resolve(
+          dirPath === sharedDir
+            ? ["acme.json", "README.md"]
+            : ["mine.json", "list.json", "broken.json"]
+        )
+      );
+      mockFs.readJson.mockImplementation((filePath) =>
+        files.has(filePath)
+          ? Promise.resolve(files.get(filePath))
+          : Promise.reject(
+              Object.assign(new Error("Unexpected token"), {
+                name: "SyntaxError",
+              })
+            )
+      );
+    });
+
+    afterEach(() => {
+      delete process.env.GIT_CONTEXT_TEMPLATES_DIR;
+    });
+
+    test("should load the shared templates before the user's own", async () => {
+      const templates = await fileSystem.loadTemplates();
+
+      expect(templates).toEqual([
+        {
+          name: "acme",
+          description: "Acme",
+          source: `${sharedDir}/acme.json`,
+        },
+        {
+          name: "broken",
+          source: `${templatesDir}/broken.json`,
+          error: `Invalid JSON in ${templatesDir}/broken.json`,
+        },
+        {
+          name: "list",
+          source: `${templatesDir}/list.json`,
+          error: "Template must be a JSON object",
+        },
+        { name: "own", urlPatterns: [], source: `${templatesDir}/mine.json` },
+      ]);
+    });
+
+    test("should only load the user's templates without the variable", async () => {
+      delete process.env.GIT_CONTEXT_TEMPLATES_DIR;
+
+      expect(fileSystem.templateDirPaths).toEqual([templatesDir]);
+    });
+
+    test("should skip template directories that don't exist", async () => {
+      mockPathExists.mockImplementation((filePath) =>
+        Promise.resolve(filePath !== templatesDir)
+      );
+
+      const templates = await fileSystem.loadTemplates();
+
+      expect(templates.map((template) => template.name)).toEqual(["acme"]);
+    });
+
+    test("should report a missing template file", async () => {
+      mockPathExists.mockResolvedValue(false);
+
+      await expect(
+        fileSystem.readTemplate("/tmp/missing.json")
+      ).rejects.toMatchObject({ exitCode: 3 });
+    });
+
+    test("should write a template to the user's templates directory", async () => {
+      mockPathExists.mockResolvedValue(false);
+
+      const templatePath = await fileSystem.saveTemplate({
+        name: "acme",
+        gitConfig: { "user.name": "" },
+      });
+
+      expect(templatePath).toBe(`${templatesDir}/acme.json`);
+      expect(mockFs.ensureDir).toHaveBeenCalledWith(templatesDir);
+      expect(writtenContent()).toEqual([
+        [
+          `${templatesDir}/acme.json`,
+          '{\n  "name": "acme",\n  "gitConfig": {\n    "user.name": ""\n  }\n}\n',
+        ],
+      ]);
+    });
+
+    test("should delete a template from the user's templates directory", async () => {
+      mockFs.stat.mockResolvedValue({ mode: 0o100644 });
+
+      await fileSystem.deleteTemplate("acme");
+
+      expect(mockFs.remove).toHaveBeenCalledWith(`${templatesDir}/acme.json`);
+    });
+  });
+
   describe("Export/Import Operations", () => {
     const mockContexts = [
       {
@@ -393,14 +1613,18 @@ describe("FileSystem", () => {
     ];
 
     test("should export contexts to a JSON file", async () => {
-      mockFs.writeJson.mockResolvedValue(undefined);
       const exportPath = "/path/to/export/contexts.json";
 
       const result = await fileSystem.exportContexts(mockContexts, exportPath);
 
-      expect(mockFs.writeJson).toHaveBeenCalledWith(exportPath, mockContexts, {
-        spaces: 2,
-      });
+      expect(mockFs.writeFile).toHaveBeenCalledWith(
+        3,
+        `${JSON.stringify(mockContexts, null, 2)}\n`
+      );
+      expect(mockFs.rename).toHaveBeenCalledWith(
+        expect.any(String),
+        exportPath
+      );
       expect(result).toBe(exportPath);
     });
 
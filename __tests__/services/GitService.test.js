@@ -9,7 +9,13 @@ import {
   beforeEach,
   afterAll,
 } from "@jest/globals";
-import { GitService } from "../../lib/services/GitService.js";
+import {
+  GitService,
+  MANAGED_BLOCK_BEGIN,
+  MANAGED_BLOCK_END,
+} from "../../lib/services/GitService.js";
+import os from "os";
+import path from "path";
 import { mockSanitizeInput } from "../setup.js";
 import {
   mockExec,
@@ -88,28 +94,368 @@ describe("GitService", () => {
     });
   });
 
-  describe("removeConditionalIncludes", () => {
-    test("should remove conditional include sections from config", () => {
-      const configContent = `[user]
+  describe("isInsideWorkTree", () => {
+    test("should return true inside a work tree", async () => {
+      mockExec.mockResolvedValueOnce({ stdout: "true\n" });
+
+      await expect(gitService.isInsideWorkTree()).resolves.toBe(true);
+      expect(mockExec).toHaveBeenCalledWith(
+        "git rev-parse --is-inside-work-tree"
+      );
+    });
+
+    test("should return false when git fails", async () => {
+      mockFailedExec("not a git repository");
+
+      await expect(gitService.isInsideWorkTree()).resolves.toBe(false);
+    });
+  });
+
+  describe("getRepositoryState", () => {
+    const exitWith = (code) => {
+      const error = new Error("Command failed");
+      error.code = code;
+      return error;
+    };
+
+    test("should read the git directory, branch and remote URLs", async () => {
+      mockExec
+        .mockResolvedValueOnce({ stdout: "/home/user/other/r/.git\n" })
+        .mockResolvedValueOnce({ stdout: "main\n" })
+        .mockResolvedValueOnce({
+          stdout:
+            "remote.origin.url https://github.com/acme/x.git\n" +
+            "remote.fork.url git@github.com:me/x.git\n",
+        });
+
+      await expect(gitService.getRepositoryState()).resolves.toEqual({
+        gitDir: "/home/user/other/r/.git",
+        branch: "main",
+        remoteUrls: [
+          "https://github.com/acme/x.git",
+          "git@github.com:me/x.git",
+        ],
+      });
+    });
+
+    test("should tell a detached HEAD and missing remotes from failures", async () => {
+      mockExec
+        .mockResolvedValueOnce({ stdout: "/r/.git\n" })
+        .mockRejectedValueOnce(exitWith(1))
+        .mockRejectedValueOnce(exitWith(1));
+
+      await expect(gitService.getRepositoryState()).resolves.toEqual({
+        gitDir: "/r/.git",
+        branch: "",
+        remoteUrls: [],
+      });
+
+      mockExec
+        .mockResolvedValueOnce({ stdout: "/r/.git\n" })
+        .mockRejectedValueOnce(exitWith(128))
+        .mockRejectedValueOnce(exitWith(128));
+
+      await expect(gitService.getRepositoryState()).resolves.toEqual({
+        gitDir: "/r/.git",
+        branch: null,
+        remoteUrls: null,
+      });
+    });
+
+    test("should return null outside a repository", async () => {
+      mockFailedExec("not a git repository");
+
+      await expect(gitService.getRepositoryState()).resolves.toBeNull();
+    });
+  });
+
+  describe("matchIncludeCondition", () => {
+    const repository = {
+      gitDir: path.join(os.homedir(), "Work/r/.git"),
+      branch: "release/1.2",
+      remoteUrls: ["https://github.com/acme/x.git"],
+    };
+
+    test("should match gitdir patterns like git", () => {
+      expect(
+        gitService.matchIncludeCondition("gitdir:~/Work/", repository)
+      ).toBe(true);
+      expect(gitService.matchIncludeCondition("gitdir:r/", repository)).toBe(
+        true
+      );
+      expect(
+        gitService.matchIncludeCondition("gitdir:~/work/", repository)
+      ).toBe(false);
+      expect(
+        gitService.matchIncludeCondition("gitdir/i:~/work/", repository)
+      ).toBe(true);
+    });
+
+    test("should match branches and remote URLs", () => {
+      expect(
+        gitService.matchIncludeCondition("onbranch:release/", repository)
+      ).toBe(true);
+      expect(
+        gitService.matchIncludeCondition("onbranch:release*", repository)
+      ).toBe(false);
+      expect(
+        gitService.matchIncludeCondition(
+          "hasconfig:remote.*.url:**/github.com/acme/**",
+          repository
+        )
+      ).toBe(true);
+      expect(
+        gitService.matchIncludeCondition(
+          "hasconfig:remote.*.url:git@github.com:acme/**",
+          repository
+        )
+      ).toBe(false);
+    });
+
+    test("should match nothing outside a repository", () => {
+      expect(gitService.matchIncludeCondition("gitdir:/**", null)).toBe(false);
+      expect(gitService.matchIncludeCondition("onbranch:**", null)).toBe(false);
+      expect(
+        gitService.matchIncludeCondition("hasconfig:remote.*.url:**", null)
+      ).toBe(false);
+    });
+
+    test("should return null when git couldn't tell", () => {
+      const unknown = { gitDir: "/r/.git", branch: null, remoteUrls: null };
+
+      expect(gitService.matchIncludeCondition("onbranch:main", unknown)).toBe(
+        null
+      );
+      expect(
+        gitService.matchIncludeCondition("hasconfig:remote.*.url:**", unknown)
+      ).toBe(null);
+      expect(gitService.matchIncludeCondition("gitdir:./r/", unknown)).toBe(
+        null
+      );
+    });
+  });
+
+  describe("getEffectiveConfig", () => {
+    test("should parse scope, origin and value for each key", async () => {
+      mockExec.mockResolvedValueOnce({
+        stdout:
+          "global\tfile:/home/user/.gitconfig\tGlobal User\n" +
+          "global\tfile:/home/user/.gitconfig.d/work.gitconfig\tWork User\n",
+      });
+
+      const result = await gitService.getEffectiveConfig(["user.name"]);
+
+      expect(mockExec).toHaveBeenCalledWith(
+        "git config --show-origin --show-scope --get-all user.name"
+      );
+      expect(result["user.name"]).toEqual([
+        {
+          scope: "global",
+          origin: "file:/home/user/.gitconfig",
+          file: "/home/user/.gitconfig",
+          value: "Global User",
+        },
+        {
+          scope: "global",
+          origin: "file:/home/user/.gitconfig.d/work.gitconfig",
+          file: "/home/user/.gitconfig.d/work.gitconfig",
+          value: "Work User",
+        },
+      ]);
+    });
+
+    test("should return an empty list for unset keys", async () => {
+      const error = new Error("Command failed");
+      error.code = 1;
+      mockExec.mockRejectedValueOnce(error);
+
+      const result = await gitService.getEffectiveConfig(["user.signingkey"]);
+
+      expect(result).toEqual({ "user.signingkey": [] });
+    });
+
+    test("should throw when git fails for another reason", async () => {
+      mockFailedExec("fatal: bad config");
+
+      await expect(
+        gitService.getEffectiveConfig(["user.name"])
+      ).rejects.toThrow("Failed to get git configuration");
+    });
+  });
+
+  describe("managed block", () => {
+    const managed = `[user]
     name = Test User
-    email = test@example.com
+${MANAGED_BLOCK_BEGIN}
 [includeIf "gitdir:/path/to/work/"]
     path = /path/to/work.gitconfig
+${MANAGED_BLOCK_END}
+[includeIf "gitdir:/path/to/mine/"]
+    path = /path/to/mine.gitconfig`;
+
+    test("should detect the managed block", () => {
+      expect(gitService.hasManagedBlock(managed)).toBe(true);
+      expect(gitService.hasManagedBlock("[user]\n    name = Test")).toBe(false);
+      expect(gitService.hasManagedBlock("")).toBe(false);
+    });
+
+    test("should reject damaged markers", () => {
+      expect(() =>
+        gitService.hasManagedBlock(`${MANAGED_BLOCK_BEGIN}\n[core]`)
+      ).toThrow("managed block markers in your git config are damaged");
+      expect(() =>
+        gitService.extractConditionalIncludes(
+          `${MANAGED_BLOCK_END}\n${MANAGED_BLOCK_BEGIN}`
+        )
+      ).toThrow("damaged");
+    });
+
+    test("should remove only the managed block", () => {
+      const result = gitService.removeConditionalIncludes(managed);
+
+      expect(result).toBe(`[user]
+    name = Test User
+[includeIf "gitdir:/path/to/mine/"]
+    path = /path/to/mine.gitconfig`);
+    });
+
+    test("should keep includes written by hand without a managed block", () => {
+      const configContent = `[includeIf "gitdir:/path/to/work/"]
+    path = /path/to/work.gitconfig`;
+
+      expect(gitService.removeConditionalIncludes(configContent)).toBe(
+        configContent
+      );
+      expect(gitService.removeConditionalIncludes("")).toBe("");
+    });
+
+    test("should extract the content of the managed block", () => {
+      expect(gitService.extractConditionalIncludes(managed))
+        .toBe(`[includeIf "gitdir:/path/to/work/"]
+    path = /path/to/work.gitconfig
+`);
+      expect(gitService.extractConditionalIncludes("[user]")).toBe("");
+      expect(gitService.extractConditionalIncludes("")).toBe("");
+    });
+
+    test("should replace the managed block in place", () => {
+      const result = gitService.replaceConditionalIncludes(
+        managed,
+        '[includeIf "onbranch:main"]\n    path = /path/to/main.gitconfig\n\n'
+      );
+
+      expect(result).toBe(`[user]
+    name = Test User
+${MANAGED_BLOCK_BEGIN}
+[includeIf "onbranch:main"]
+    path = /path/to/main.gitconfig
+${MANAGED_BLOCK_END}
+[includeIf "gitdir:/path/to/mine/"]
+    path = /path/to/mine.gitconfig`);
+    });
+
+    test("should keep formatting and comments outside the block", () => {
+      const configContent = `# My settings
+[user]
+\tname = "Test User"   ; quoted
+${MANAGED_BLOCK_BEGIN}
+${MANAGED_BLOCK_END}
+[alias]
+\tlg = log --graph \\
+\t\t--oneline
+`;
+
+      const result = gitService.replaceConditionalIncludes(
+        configContent,
+        '[includeIf "onbranch:main"]\n    path = /main.gitconfig\n'
+      );
+
+      expect(result).toBe(
+        configContent.replace(
+          `${MANAGED_BLOCK_BEGIN}\n`,
+          `${MANAGED_BLOCK_BEGIN}\n[includeIf "onbranch:main"]\n    path = /main.gitconfig\n`
+        )
+      );
+    });
+
+    test("should refuse to change invalid git config", () => {
+      expect(() =>
+        gitService.replaceConditionalIncludes("[user\n", "[includeIf]")
+      ).toThrow("Invalid git config at line 1");
+    });
+
+    test("should append a managed block when there is none", () => {
+      const includes =
+        '[includeIf "gitdir:/path/to/work/"]\n    path = /path/to/work.gitconfig\n';
+
+      expect(
+        gitService.replaceConditionalIncludes(
+          "[user]\n    name = Test\n\n",
+          includes
+        )
+      ).toBe(
+        `[user]\n    name = Test\n\n${MANAGED_BLOCK_BEGIN}\n${includes}${MANAGED_BLOCK_END}\n`
+      );
+      expect(gitService.replaceConditionalIncludes("", includes)).toBe(
+        `${MANAGED_BLOCK_BEGIN}\n${includes}${MANAGED_BLOCK_END}\n`
+      );
+      expect(gitService.replaceConditionalIncludes("[user]\n", "")).toBe(
+        "[user]\n"
+      );
+    });
+  });
+
+  describe("removeLegacyIncludes", () => {
+    test("should remove includes pointing into the config directory", () => {
+      const configContent = `[user]
+    name = Test User
+[includeIf "gitdir:~/work/**"]
+    path = /home/me/.gitconfig.d/work.gitconfig
+
+[includeIf "onbranch:main"]
+    path = ~/.gitconfig.d/main.gitconfig
+[includeIf "gitdir:~/mine/"]
+    path = ~/mine.gitconfig
 [core]
     editor = vim`;
 
-      const result = gitService.removeConditionalIncludes(configContent);
+      const result = gitService.removeLegacyIncludes(
+        configContent,
+        "/home/me/.gitconfig.d",
+        "/home/me"
+      );
 
-      expect(result).not.toContain("includeIf");
-      expect(result).toContain("[user]");
-      expect(result).toContain("[core]");
-      expect(result).not.toContain("path = /path/to/work.gitconfig");
+      expect(result.sections).toEqual([
+        '[includeIf "gitdir:~/work/**"]',
+        '[includeIf "onbranch:main"]',
+      ]);
+      expect(result.content).toBe(`[user]
+    name = Test User
+[includeIf "gitdir:~/mine/"]
+    path = ~/mine.gitconfig
+[core]
+    editor = vim`);
     });
 
-    test("should handle empty input", () => {
-      const result = gitService.removeConditionalIncludes("");
+    test("should leave the managed block alone", () => {
+      const configContent = `${MANAGED_BLOCK_BEGIN}
+[includeIf "gitdir:~/work/**"]
+    path = /home/me/.gitconfig.d/work.gitconfig
+${MANAGED_BLOCK_END}`;
 
-      expect(result).toBe("");
+      expect(
+        gitService.removeLegacyIncludes(
+          configContent,
+          "/home/me/.gitconfig.d",
+          "/home/me"
+        )
+      ).toEqual({ content: configContent, sections: [] });
+    });
+
+    test("should handle empty input", () => {
+      expect(
+        gitService.removeLegacyIncludes("", "/home/me/.gitconfig.d")
+      ).toEqual({ content: "", sections: [] });
     });
   });
 
@@ -129,6 +475,160 @@ describe("GitService", () => {
       expect(result).toContain("path = /path/to/configs/personal.gitconfig");
     });
 
+    test("should generate a section for every path pattern", () => {
+      const contexts = [
+        { name: "work", pathPatterns: ["/path/to/work/**", "/srv/work"] },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result).toContain('[includeIf "gitdir:/path/to/work/**"]');
+      expect(result).toContain('[includeIf "gitdir:/srv/work/**"]');
+      expect(
+        result.match(/path = \/path\/to\/configs\/work.gitconfig/g)
+      ).toHaveLength(2);
+    });
+
+    test("should generate sections for other include conditions", () => {
+      const contexts = [
+        {
+          name: "work",
+          pathPatterns: ["/path/to/work/**"],
+          includeConditions: [
+            "onbranch:release/**",
+            "hasconfig:remote.*.url:git@github.com:acme/**",
+            'onbranch:bad"]',
+          ],
+        },
+        { name: "acme", includeConditions: ["gitdir/i:~/Acme/"] },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result).toContain('[includeIf "gitdir:/path/to/work/**"]');
+      expect(result).toContain('[includeIf "onbranch:release/**"]');
+      expect(result).toContain(
+        '[includeIf "hasconfig:remote.*.url:git@github.com:acme/**"]'
+      );
+      expect(result).toContain('[includeIf "gitdir/i:~/Acme/"]');
+      expect(result).toContain("path = /path/to/configs/acme.gitconfig");
+      expect(result).not.toContain("bad");
+    });
+
+    test("should generate hasconfig sections for URL patterns", () => {
+      const contexts = [
+        {
+          name: "work",
+          pathPatterns: ["/path/to/work/**"],
+          urlPatterns: ["github.com/acme-corp/*"],
+          includeConditions: [
+            "hasconfig:remote.*.url:**/github.com/acme-corp/**",
+          ],
+        },
+        { name: "acme", urlPatterns: ["gitlab.com/acme/tool"] },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result.match(/includeIf/g)).toHaveLength(7);
+      expect(result).toContain(
+        '[includeIf "hasconfig:remote.*.url:**/github.com/acme-corp/**"]'
+      );
+      expect(result).toContain(
+        '[includeIf "hasconfig:remote.*.url:git@github.com:acme-corp/**"]'
+      );
+      expect(result).toContain(
+        '[includeIf "hasconfig:remote.*.url:git@gitlab.com:acme/tool.git"]'
+      );
+      expect(result).toContain("path = /path/to/configs/acme.gitconfig");
+    });
+
+    test("should put the most specific path pattern last", () => {
+      const contexts = [
+        { name: "client", pathPatterns: ["/code/client-x/**"] },
+        { name: "code", pathPatterns: ["/code/**"] },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result.match(/includeIf "[^"]+"/g)).toEqual([
+        'includeIf "gitdir:/code/**"',
+        'includeIf "gitdir:/code/client-x/**"',
+      ]);
+    });
+
+    test("should put the highest priority last", () => {
+      const contexts = [
+        { name: "code", pathPatterns: ["/code/**"], priority: 5 },
+        { name: "client", pathPatterns: ["/code/client-x/**"] },
+        { name: "acme", urlPatterns: ["gitlab.com/acme/tool"], priority: 1 },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result.match(/includeIf "[^"]+"/g)).toEqual([
+        'includeIf "gitdir:/code/client-x/**"',
+        'includeIf "hasconfig:remote.*.url:**/gitlab.com/acme/tool"',
+        'includeIf "hasconfig:remote.*.url:git@gitlab.com:acme/tool"',
+        'includeIf "hasconfig:remote.*.url:**/gitlab.com/acme/tool.git"',
+        'includeIf "hasconfig:remote.*.url:git@gitlab.com:acme/tool.git"',
+        'includeIf "gitdir:/code/**"',
+      ]);
+    });
+
+    test("should keep the file order of equal includes", () => {
+      const contexts = [
+        { name: "first", pathPatterns: ["/code/a/**"] },
+        { name: "second", pathPatterns: ["/code/b/**"] },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result.indexOf("first.gitconfig")).toBeLessThan(
+        result.indexOf("second.gitconfig")
+      );
+    });
+
+    test("should include the default context unconditionally first", () => {
+      const contexts = [
+        { name: "work", pathPatterns: ["/code/work/**"] },
+        { name: "personal", isDefault: true },
+        { name: "other", pathPatterns: ["/code/other/**"], isDefault: true },
+      ];
+
+      const result = gitService.generateConditionalIncludes(
+        contexts,
+        "/path/to/configs"
+      );
+
+      expect(result.startsWith("[include]\n")).toBe(true);
+      expect(
+        result.match(/^\s*path = .*$/gm).map((line) => line.trim())
+      ).toEqual([
+        "path = /path/to/configs/personal.gitconfig",
+        "path = /path/to/configs/work.gitconfig",
+        "path = /path/to/configs/other.gitconfig",
+      ]);
+    });
+
     test("should handle empty contexts array", () => {
       const result = gitService.generateConditionalIncludes(
         [],
@@ -331,6 +831,46 @@ describe("GitService", () => {
     });
   });
 
+  describe("_urlPatternToIncludeConditions", () => {
+    test("should cover HTTPS and SSH remotes for a wildcard pattern", () => {
+      expect(
+        gitService._urlPatternToIncludeConditions("github.com/Acme/*")
+      ).toEqual([
+        "hasconfig:remote.*.url:**/github.com/Acme/**",
+        "hasconfig:remote.*.url:git@github.com:Acme/**",
+      ]);
+    });
+
+    test("should cover remotes with and without .git for a repository", () => {
+      expect(
+        gitService._urlPatternToIncludeConditions(
+          "https://github.com/acme/tool.git"
+        )
+      ).toEqual([
+        "hasconfig:remote.*.url:**/github.com/acme/tool",
+        "hasconfig:remote.*.url:git@github.com:acme/tool",
+        "hasconfig:remote.*.url:**/github.com/acme/tool.git",
+        "hasconfig:remote.*.url:git@github.com:acme/tool.git",
+      ]);
+    });
+
+    test("should accept SSH patterns", () => {
+      expect(
+        gitService._urlPatternToIncludeConditions("git@github.com:acme/*")
+      ).toEqual(gitService._urlPatternToIncludeConditions("github.com/acme/*"));
+      expect(
+        gitService._urlPatternToIncludeConditions("ssh://git@github.com/acme/*")
+      ).toEqual(gitService._urlPatternToIncludeConditions("github.com/acme/*"));
+    });
+
+    test("should ignore patterns without a path", () => {
+      expect(gitService._urlPatternToIncludeConditions("github.com")).toEqual(
+        []
+      );
+      expect(gitService._urlPatternToIncludeConditions("")).toEqual([]);
+    });
+  });
+
   describe("_urlPatternToRegex", () => {
     test("should convert simple pattern to regex", () => {
       const pattern = "github.com/user/repo";
@@ -231,6 +231,21 @@ describe("UserInterface", () => {
       ).toBe(true);
     });
 
+    test("displayActiveContext should name the fallback context", () => {
+      const originalDisplaySuccess = ui.displaySuccess;
+      ui.displaySuccess = jest.fn();
+
+      ui.displayActiveContext({ name: "personal" }, mockConfigDir, "", true);
+      expect(ui.displaySuccess).toHaveBeenCalledWith(
+        expect.stringContaining("using the fallback context")
+      );
+      expect(ui.displaySuccess).toHaveBeenCalledWith(
+        expect.stringContaining("personal")
+      );
+
+      ui.displaySuccess = originalDisplaySuccess;
+    });
+
     test("displayActiveContext should show warning when no context matches", () => {
       // Mock displayWarning to verify it's called
       const originalDisplayWarning = ui.displayWarning;
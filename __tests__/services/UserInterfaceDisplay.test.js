@@ -297,6 +297,106 @@ describe("UserInterface Display Methods", () => {
     });
   });
 
+  describe("Backup methods", () => {
+    test("displayBackups should show each backup with its changes", () => {
+      ui.displayBackups(
+        [
+          {
+            id: "20250102T030405678Z",
+            createdAt: "2025-01-02T03:04:05.678Z",
+            command: "add",
+            files: ["gitconfig", "gitcontexts"],
+            changes: { added: 2, removed: 1 },
+          },
+          {
+            id: "20250101T030405678Z",
+            createdAt: "2025-01-01T03:04:05.678Z",
+            command: "backup create",
+            files: ["gitconfig"],
+            changes: { added: 0, removed: 0 },
+          },
+        ],
+        "/mock/home/.gitconfig.d/backups"
+      );
+
+      const output = mockAdapter.log.mock.calls.map((call) => call[0]);
+      expect(output).toContain("\n🔹 20250102T030405678Z");
+      expect(output).toContain("   Files: 2");
+      expect(output).toContain("   Changes to restore: +2 -1");
+      expect(output).toContain("   Changes to restore: same as now");
+      expect(output.some((line) => line.includes("(backup create)"))).toBe(
+        true
+      );
+      expect(output).toContain("\nStored in /mock/home/.gitconfig.d/backups");
+    });
+  });
+
+  describe("Diff methods", () => {
+    test("displayDiff should print every line of the diff", () => {
+      ui.displayDiff("--- a\n+++ b\n@@ -1 +1 @@\n-old\n+new\n same\n");
+
+      expect(mockAdapter.log.mock.calls.map((call) => call[0])).toEqual([
+        "--- a",
+        "+++ b",
+        "@@ -1 +1 @@",
+        "-old",
+        "+new",
+        " same",
+      ]);
+    });
+  });
+
+  describe("Structured output methods", () => {
+    test("displayStructured should print data as JSON or YAML", () => {
+      ui.displayStructured({ name: "work" }, "json");
+      ui.displayStructured({ name: "work" }, "yaml");
+
+      expect(mockAdapter.log.mock.calls.map((call) => call[0])).toEqual([
+        '{\n  "name": "work"\n}',
+        "name: work",
+      ]);
+    });
+
+    test("displayStructured should print the given rows as a table", () => {
+      ui.displayStructured({ ignored: true }, "table", [{ name: "work" }]);
+      ui.displayStructured({ "user.name": "Me" }, "table");
+
+      expect(mockAdapter.log.mock.calls.map((call) => call[0])).toEqual([
+        "NAME\nwork",
+        "KEY        VALUE\nuser.name  Me",
+      ]);
+    });
+
+    test("displayStructured should reject an unknown format", () => {
+      expect(() => ui.displayStructured({}, "xml")).toThrow(
+        "Unknown output format: xml"
+      );
+    });
+  });
+
+  describe("History methods", () => {
+    test("displayHistory should mark the entry undo reverts next", () => {
+      const entry = {
+        createdAt: "2025-01-02T03:04:05.678Z",
+        files: [{ name: "gitconfig" }, { name: "gitcontexts" }],
+        changes: { added: 3, removed: 1 },
+      };
+
+      ui.displayHistory([
+        { ...entry, id: "3", command: "add", undoneAt: "2025-01-03" },
+        { ...entry, id: "2", command: "remove" },
+        { ...entry, id: "1", command: "setup" },
+      ]);
+
+      const output = mockAdapter.log.mock.calls.map((call) => call[0]);
+      expect(output).toContain("\n🔹 add (undone)");
+      expect(output).toContain("\n🔹 remove (next to undo)");
+      expect(output).toContain("\n🔹 setup");
+      expect(output).toContain("   Files: gitconfig, gitcontexts");
+      expect(output).toContain("   Changes: +3 -1");
+    });
+  });
+
   describe("Template methods", () => {
     test("displayTemplates should display available templates", () => {
       const templates = [
@@ -10,6 +10,8 @@ import {
   afterEach,
 } from "@jest/globals";
 import { UserInterface } from "../../lib/services/UserInterface.js";
+import { Context } from "../../lib/models/Context.js";
+import { EXIT_CODES } from "../../lib/utils/exitCodes.js";
 
 // Instead of mocking Context directly (which conflicts with setup.js),
 // create mock data to use in our tests
@@ -267,6 +269,221 @@ describe("UserInterface Interactive Methods", () => {
       ui.getContextFromUser = origMethod;
     });
 
+    test("getContextFromUser should pre-fill prompts when editing a context", async () => {
+      const existing = new Context(
+        "work",
+        "Work projects",
+        ["~/work/**", "/srv/work/**"],
+        {
+          "user.name": "Work User",
+          "user.email": "work@example.com",
+          "user.signingkey": "ABC123",
+          "commit.gpgsign": "true",
+          "core.editor": "vim",
+        },
+        ["github.com/acme-corp/*"]
+      );
+
+      mockAdapter.prompt
+        .mockResolvedValueOnce({
+          pathPattern: "~/work/**, /srv/work/**",
+          userName: "Work User",
+          userEmail: "me@work.example",
+          addSigningKey: true,
+          keepUrlPatterns: true,
+          addUrlPatterns: false,
+        })
+        .mockResolvedValueOnce({ signingKey: "ABC123", autoSign: true });
+
+      const result = await ui.getContextFromUser(existing);
+
+      // No template question when editing, straight to the pre-filled prompts
+      const questions = mockAdapter.prompt.mock.calls[0][0];
+      const byName = Object.fromEntries(questions.map((q) => [q.name, q]));
+      expect(byName.name.when).toBe(false);
+      expect(byName.pathPattern.default).toBe("~/work/**, /srv/work/**");
+      expect(byName.userName.default).toBe("Work User");
+      expect(byName.userEmail.default).toBe("work@example.com");
+      expect(byName.addSigningKey.default).toBe(true);
+      expect(byName.keepUrlPatterns.when).toBe(true);
+      expect(mockAdapter.prompt.mock.calls[1][0][0].default).toBe("ABC123");
+
+      expect(result).toBeInstanceOf(Context);
+      expect(result.name).toBe("work");
+      expect(result.description).toBe("Work projects");
+      expect(result.pathPatterns).toEqual(["~/work/**", "/srv/work/**"]);
+      expect(result.urlPatterns).toEqual(["github.com/acme-corp/*"]);
+      expect(result.gitConfig).toEqual({
+        "user.name": "Work User",
+        "user.email": "me@work.example",
+        "core.editor": "vim",
+        "user.signingkey": "ABC123",
+        "gpg.format": "openpgp",
+        "commit.gpgsign": "true",
+        "tag.gpgsign": "false",
+      });
+    });
+
+    test("getContextFromUser should let an edited context leave out what it doesn't need", async () => {
+      const existing = Context.fromObject({
+        name: "client",
+        pathPatterns: [],
+        gitConfig: { "user.email": "me@client.example", "core.editor": "vim" },
+        urlPatterns: ["github.com/client/*"],
+        isDefault: true,
+        extends: "work",
+      });
+
+      mockAdapter.prompt.mockResolvedValueOnce({
+        pathPattern: "",
+        userName: "",
+        userEmail: "",
+        addSigningKey: false,
+        addUrlPatterns: false,
+      });
+
+      const result = await ui.getContextFromUser(existing);
+
+      const questions = mockAdapter.prompt.mock.calls[0][0];
+      const byName = Object.fromEntries(questions.map((q) => [q.name, q]));
+      expect(byName.pathPattern.validate("")).toBe(true);
+      expect(byName.userName.validate("")).toBe(true);
+      expect(byName.userEmail.validate("")).toBe(true);
+      expect(byName.userEmail.validate("not-an-email")).toBe(
+        "Please enter a valid email address"
+      );
+
+      // The identity is inherited, everything else is kept
+      expect(result.pathPatterns).toEqual([]);
+      expect(result.gitConfig).toEqual({ "core.editor": "vim" });
+      expect(result.urlPatterns).toEqual(["github.com/client/*"]);
+      expect(result.isDefault).toBe(true);
+      expect(result.extends).toBe("work");
+    });
+
+    test("getContextFromUser should still require a path, name and email for a plain context", async () => {
+      const existing = Context.fromObject({
+        name: "work",
+        pathPatterns: ["~/work/**"],
+        gitConfig: { "user.name": "Work User", "user.email": "w@example.com" },
+      });
+      mockAdapter.prompt.mockResolvedValueOnce({
+        pathPattern: "~/work/**",
+        userName: "Work User",
+        userEmail: "w@example.com",
+      });
+
+      await ui.getContextFromUser(existing);
+
+      const questions = mockAdapter.prompt.mock.calls[0][0];
+      const byName = Object.fromEntries(questions.map((q) => [q.name, q]));
+      expect(byName.pathPattern.validate("")).toBe("Path pattern is required");
+      expect(byName.userName.validate(" ")).toBe("User name is required");
+      expect(byName.userEmail.validate("")).toBe("User email is required");
+    });
+
+    test.each([
+      [
+        "a plain context without path patterns",
+        { pathPatterns: ["~/work/**"] },
+        {},
+      ],
+      [
+        "a URL-matched context without path or URL patterns",
+        { pathPatterns: [], urlPatterns: ["github.com/acme/*"] },
+        { keepUrlPatterns: false },
+      ],
+    ])(
+      "getContextFromUser should refuse to leave %s",
+      async (_, stored, answers) => {
+        const existing = Context.fromObject({
+          name: "work",
+          gitConfig: {
+            "user.name": "Work User",
+            "user.email": "w@example.com",
+          },
+          ...stored,
+        });
+        mockAdapter.prompt.mockResolvedValueOnce({
+          pathPattern: "",
+          userName: "Work User",
+          userEmail: "w@example.com",
+          addUrlPatterns: false,
+          ...answers,
+        });
+
+        await expect(ui.getContextFromUser(existing)).rejects.toMatchObject({
+          message:
+            'Context "work" needs a path pattern, URL pattern or include condition, without one it would never apply',
+          exitCode: EXIT_CODES.VALIDATION,
+        });
+      }
+    );
+
+    test("getContextFromUser should prompt for an SSH key", async () => {
+      mockAdapter.prompt
+        .mockResolvedValueOnce({ useTemplate: false })
+        .mockResolvedValueOnce({
+          name: "work",
+          pathPattern: "~/work/**",
+          userName: "Work User",
+          userEmail: "work@example.com",
+          addSigningKey: false,
+          addSshKey: true,
+          addUrlPatterns: false,
+        })
+        .mockResolvedValueOnce({ sshKey: " ~/.ssh/id_ed25519_work " });
+
+      const result = await ui.getContextFromUser();
+
+      const sshQuestion = mockAdapter.prompt.mock.calls[2][0][0];
+      expect(sshQuestion.name).toBe("sshKey");
+      expect(sshQuestion.validate("~/.ssh/my key")).toBe(
+        "SSH key path contains invalid characters"
+      );
+      expect(result.sshKey).toBe("~/.ssh/id_ed25519_work");
+      expect(result.toConfigFileContent()).toContain(
+        "sshCommand = ssh -i ~/.ssh/id_ed25519_work -o IdentitiesOnly=yes"
+      );
+    });
+
+    test("getContextFromUser should ask for an SSH signing key", async () => {
+      mockAdapter.prompt
+        .mockResolvedValueOnce({ useTemplate: false })
+        .mockResolvedValueOnce({
+          name: "work",
+          pathPattern: "~/work/**",
+          userName: "Work User",
+          userEmail: "work@example.com",
+          addSigningKey: true,
+          signingFormat: "ssh",
+          addUrlPatterns: false,
+        })
+        .mockResolvedValueOnce({
+          signingKey: "~/.ssh/id_ed25519.pub",
+          allowedSignersFile: "~/.ssh/allowed_signers",
+          autoSign: true,
+          signTags: true,
+        });
+
+      const result = await ui.getContextFromUser();
+
+      const questions = mockAdapter.prompt.mock.calls[2][0];
+      const byName = Object.fromEntries(questions.map((q) => [q.name, q]));
+      expect(byName.signingKey.message).toContain("SSH signing key");
+      expect(byName.signingKey.validate("ABC123")).toBe(true);
+      expect(byName.signingKey.validate("not a key")).toBe(
+        "SSH signing key should be a key file path or a public key such as ssh-ed25519 AAAA..."
+      );
+      expect(byName.allowedSignersFile.when).toBe(true);
+
+      expect(result.signingFormat).toBe("ssh");
+      expect(result.signTags).toBe(true);
+      expect(result.gitConfig["gpg.ssh.allowedSignersFile"]).toBe(
+        "~/.ssh/allowed_signers"
+      );
+    });
+
     test("getContextsFromUser should collect multiple contexts", async () => {
       // Mock displaySetupInfo to avoid it affecting our test
       ui.displaySetupInfo = jest.fn();
@@ -0,0 +1,127 @@
+/**
+ * Tests for line diff utilities
+ */
+import { describe, test, expect } from "@jest/globals";
+import {
+  diffLines,
+  countLineChanges,
+  formatUnifiedDiff,
+} from "../../lib/utils/diff.js";
+
+// Render operations compactly, e.g. " a", "-b", "+x"
+const marks = new Map([
+  ["equal", " "],
+  ["remove", "-"],
+  ["add", "+"],
+]);
+const render = (operations) =>
+  operations.map(({ type, line }) => `${marks.get(type)}${line}`);
+
+describe("Diff Utils", () => {
+  describe("diffLines", () => {
+    test("should mark identical texts as equal", () => {
+      expect(render(diffLines("a\nb\n", "a\nb\n"))).toEqual([" a", " b"]);
+    });
+
+    test("should put removed lines before the lines replacing them", () => {
+      expect(render(diffLines("a\nb\nc\n", "a\nx\nc\n"))).toEqual([
+        " a",
+        "-b",
+        "+x",
+        " c",
+      ]);
+    });
+
+    test("should align insertions and deletions around common lines", () => {
+      expect(
+        render(
+          diffLines(
+            "[user]\nname = A\nemail = a\n",
+            "[user]\nemail = a\n[core]\n"
+          )
+        )
+      ).toEqual([" [user]", "-name = A", " email = a", "+[core]"]);
+    });
+
+    test("should treat a missing text as empty", () => {
+      expect(render(diffLines(null, "a\n"))).toEqual(["+a"]);
+      expect(render(diffLines("a\n", null))).toEqual(["-a"]);
+      expect(diffLines(null, null)).toEqual([]);
+    });
+
+    test("should ignore the difference between CRLF and LF line endings", () => {
+      expect(render(diffLines("a\r\nb\r\n", "a\nb"))).toEqual([" a", " b"]);
+    });
+  });
+
+  describe("countLineChanges", () => {
+    test("should count added and removed lines", () => {
+      expect(countLineChanges("a\nb\nc\n", "a\nx\ny\n")).toEqual({
+        added: 2,
+        removed: 2,
+      });
+    });
+
+    test("should count nothing for identical texts", () => {
+      expect(countLineChanges("a\n", "a\n")).toEqual({ added: 0, removed: 0 });
+    });
+  });
+
+  describe("formatUnifiedDiff", () => {
+    const lines = (count) =>
+      Array.from({ length: count }, (_, i) => `line ${i + 1}\n`).join("");
+
+    test("should show changes with three lines of context", () => {
+      const oldText = lines(10);
+      const newText = oldText.replace("line 5\n", "changed\n");
+
+      expect(
+        formatUnifiedDiff(oldText, newText, {
+          oldLabel: "a/.gitconfig",
+          newLabel: "b/.gitconfig",
+        })
+      ).toBe(
+        [
+          "--- a/.gitconfig",
+          "+++ b/.gitconfig",
+          "@@ -2,7 +2,7 @@",
+          " line 2",
+          " line 3",
+          " line 4",
+          "-line 5",
+          "+changed",
+          " line 6",
+          " line 7",
+          " line 8",
+          "",
+        ].join("\n")
+      );
+    });
+
+    test("should split changes far apart into separate hunks", () => {
+      const oldText = lines(20);
+      const newText = oldText
+        .replace("line 2\n", "")
+        .replace("line 19\n", "line 19\nadded\n");
+
+      const hunks = formatUnifiedDiff(oldText, newText)
+        .split("\n")
+        .filter((line) => line.startsWith("@@"));
+
+      expect(hunks).toEqual(["@@ -1,5 +1,4 @@", "@@ -17,4 +16,5 @@"]);
+    });
+
+    test("should number created and deleted files like diff -u", () => {
+      expect(formatUnifiedDiff(null, "a\nb\n")).toBe(
+        "--- a\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n"
+      );
+      expect(formatUnifiedDiff("a\n", null)).toBe(
+        "--- a\n+++ b\n@@ -1 +0,0 @@\n-a\n"
+      );
+    });
+
+    test("should return nothing for texts with the same lines", () => {
+      expect(formatUnifiedDiff("a\n", "a")).toBe("");
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for process exit codes
+ */
+import { describe, test, expect } from "@jest/globals";
+import {
+  EXIT_CODES,
+  GitContextError,
+  exitCodeForError,
+} from "../../lib/utils/exitCodes.js";
+
+describe("Exit Codes", () => {
+  test("should keep the documented numbers", () => {
+    expect(EXIT_CODES).toEqual({
+      SUCCESS: 0,
+      ERROR: 1,
+      VALIDATION: 2,
+      NO_MATCH: 3,
+      PERMISSION_DENIED: 4,
+      GIT_MISSING: 5,
+      CONFLICT: 6,
+      CANCELLED: 7,
+    });
+  });
+
+  describe("GitContextError", () => {
+    test("should carry its exit code", () => {
+      const error = new GitContextError("taken", EXIT_CODES.CONFLICT);
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe("taken");
+      expect(error.exitCode).toBe(EXIT_CODES.CONFLICT);
+    });
+
+    test("should default to a general error", () => {
+      expect(new GitContextError("failed").exitCode).toBe(EXIT_CODES.ERROR);
+    });
+  });
+
+  describe("exitCodeForError", () => {
+    test("should use the error's own exit code", () => {
+      expect(
+        exitCodeForError(new GitContextError("x", EXIT_CODES.GIT_MISSING))
+      ).toBe(EXIT_CODES.GIT_MISSING);
+    });
+
+    test("should treat file system permission errors as permission denied", () => {
+      for (const code of ["EACCES", "EPERM"]) {
+        expect(exitCodeForError(Object.assign(new Error("x"), { code }))).toBe(
+          EXIT_CODES.PERMISSION_DENIED
+        );
+      }
+    });
+
+    test("should treat an interrupted prompt as cancelled", () => {
+      const error = Object.assign(new Error("User force closed the prompt"), {
+        name: "ExitPromptError",
+      });
+
+      expect(exitCodeForError(error)).toBe(EXIT_CODES.CANCELLED);
+    });
+
+    test("should fall back to a general error", () => {
+      expect(exitCodeForError(new Error("x"))).toBe(EXIT_CODES.ERROR);
+    });
+  });
+});
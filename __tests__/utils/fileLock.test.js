@@ -0,0 +1,179 @@
+/**
+ * Tests for the cross-process file lock
+ */
+import {
+  jest,
+  describe,
+  test,
+  expect,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import { mockFs } from "../setup.js";
+import { acquireFileLock, LOCK_SUFFIX } from "../../lib/utils/fileLock.js";
+
+describe("acquireFileLock", () => {
+  const filePath = "/mock/home/.gitconfig";
+  const lockPath = `${filePath}${LOCK_SUFFIX}`;
+  const options = { timeout: 50, retryInterval: 1 };
+
+  const lockExists = () =>
+    Promise.reject(Object.assign(new Error("File exists"), { code: "EEXIST" }));
+  const lockContent = (pid, createdAt = Date.now()) =>
+    JSON.stringify({ pid, createdAt });
+
+  beforeEach(() => {
+    mockFs.writeFile.mockReset().mockResolvedValue(undefined);
+    mockFs.readFile.mockReset();
+    mockFs.unlink.mockReset().mockResolvedValue(undefined);
+    mockFs.stat.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("should create the lock file exclusively and remove it on release", async () => {
+    const release = await acquireFileLock(filePath, options);
+
+    expect(mockFs.writeFile).toHaveBeenCalledWith(
+      lockPath,
+      expect.any(String),
+      { flag: "wx", mode: 0o600 }
+    );
+    const info = JSON.parse(mockFs.writeFile.mock.calls[0][1]);
+    expect(info.pid).toBe(process.pid);
+    expect(mockFs.unlink).not.toHaveBeenCalled();
+
+    await release();
+    expect(mockFs.unlink).toHaveBeenCalledWith(lockPath);
+  });
+
+  test("should wait until a running owner releases the lock", async () => {
+    jest.spyOn(process, "kill").mockReturnValue(true);
+    mockFs.writeFile
+      .mockImplementationOnce(lockExists)
+      .mockImplementationOnce(lockExists)
+      .mockResolvedValue(undefined);
+    mockFs.readFile.mockResolvedValue(lockContent(process.pid + 1));
+
+    await acquireFileLock(filePath, options);
+
+    expect(mockFs.writeFile).toHaveBeenCalledTimes(3);
+    expect(mockFs.unlink).not.toHaveBeenCalled();
+  });
+
+  test("should take over a lock whose owner is no longer running", async () => {
+    jest.spyOn(process, "kill").mockImplementation(() => {
+      throw Object.assign(new Error("No such process"), { code: "ESRCH" });
+    });
+    mockFs.writeFile
+      .mockImplementationOnce(lockExists)
+      .mockResolvedValue(undefined);
+    mockFs.readFile.mockResolvedValue(lockContent(4242, 1000));
+
+    await acquireFileLock(filePath, options);
+
+    expect(process.kill).toHaveBeenCalledWith(4242, 0);
+    expect(mockFs.unlink).toHaveBeenCalledWith(lockPath);
+  });
+
+  test("should treat an owner it may not signal as running", async () => {
+    jest.spyOn(process, "kill").mockImplementation(() => {
+      throw Object.assign(new Error("Not permitted"), { code: "EPERM" });
+    });
+    mockFs.writeFile.mockImplementation(lockExists);
+    mockFs.readFile.mockResolvedValue(lockContent(4242));
+
+    await expect(acquireFileLock(filePath, options)).rejects.toThrow(
+      "held by process 4242"
+    );
+    expect(mockFs.unlink).not.toHaveBeenCalled();
+  });
+
+  test("should take over a lock older than the stale time", async () => {
+    jest.spyOn(process, "kill").mockReturnValue(true);
+    mockFs.writeFile
+      .mockImplementationOnce(lockExists)
+      .mockResolvedValue(undefined);
+    mockFs.readFile.mockResolvedValue(
+      lockContent(process.pid + 1, Date.now() - 60000)
+    );
+
+    await acquireFileLock(filePath, options);
+
+    expect(mockFs.unlink).toHaveBeenCalledWith(lockPath);
+  });
+
+  test("should only take over an unreadable lock once it is old", async () => {
+    mockFs.writeFile.mockImplementation(lockExists);
+    mockFs.readFile.mockResolvedValue("");
+    mockFs.stat.mockResolvedValue({ mtimeMs: Date.now() });
+
+    await expect(acquireFileLock(filePath, options)).rejects.toThrow(
+      "Timed out waiting for the lock"
+    );
+    expect(mockFs.unlink).not.toHaveBeenCalled();
+
+    mockFs.writeFile
+      .mockReset()
+      .mockImplementationOnce(lockExists)
+      .mockResolvedValue(undefined);
+    mockFs.stat.mockResolvedValue({ mtimeMs: Date.now() - 60000 });
+
+    await acquireFileLock(filePath, options);
+    expect(mockFs.unlink).toHaveBeenCalledWith(lockPath);
+  });
+
+  test("should not remove a stale lock another process took over meanwhile", async () => {
+    jest.spyOn(process, "kill").mockImplementation((pid) => {
+      if (pid === 4242) {
+        throw Object.assign(new Error("No such process"), { code: "ESRCH" });
+      }
+      return true;
+    });
+    mockFs.writeFile
+      .mockImplementationOnce(lockExists)
+      .mockImplementationOnce(lockExists)
+      .mockResolvedValue(undefined);
+    mockFs.readFile
+      .mockResolvedValueOnce(lockContent(4242, 1000))
+      .mockResolvedValue(lockContent(process.pid + 1));
+
+    await acquireFileLock(filePath, options);
+
+    expect(mockFs.unlink).not.toHaveBeenCalled();
+  });
+
+  test("should give up after the timeout and name the lock file", async () => {
+    jest.spyOn(process, "kill").mockReturnValue(true);
+    mockFs.writeFile.mockImplementation(lockExists);
+    mockFs.readFile.mockResolvedValue(lockContent(process.pid + 1));
+
+    await expect(acquireFileLock(filePath, options)).rejects.toThrow(
+      `Timed out waiting for the lock on ${filePath} held by process ${
+        process.pid + 1
+      }. If no other git-context-switcher command is running, delete ${lockPath}.`
+    );
+  });
+
+  test("should pass on errors other than an existing lock", async () => {
+    mockFs.writeFile.mockRejectedValue(
+      Object.assign(new Error("No such directory"), { code: "ENOENT" })
+    );
+
+    await expect(acquireFileLock(filePath, options)).rejects.toThrow(
+      "No such directory"
+    );
+  });
+
+  test("should ignore a lock file that is already gone on release", async () => {
+    mockFs.unlink.mockRejectedValue(
+      Object.assign(new Error("Not found"), { code: "ENOENT" })
+    );
+
+    const release = await acquireFileLock(filePath, options);
+
+    await expect(release()).resolves.toBeUndefined();
+  });
+});
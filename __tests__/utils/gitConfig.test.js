@@ -0,0 +1,266 @@
+/**
+ * Tests for git config format utilities
+ */
+import { describe, test, expect } from "@jest/globals";
+import {
+  parseConfigKey,
+  canonicalConfigKey,
+  findConfigKey,
+  getConfigValue,
+  formatSectionHeader,
+  formatConfigValue,
+  serializeGitConfig,
+  parseIncludeCondition,
+  GitConfigDocument,
+} from "../../lib/utils/gitConfig.js";
+
+describe("Git Config Utils", () => {
+  describe("parseConfigKey", () => {
+    test("should split a two-part key", () => {
+      expect(parseConfigKey("user.name")).toEqual({
+        section: "user",
+        subsection: null,
+        name: "name",
+      });
+    });
+
+    test("should keep dots inside the subsection", () => {
+      expect(parseConfigKey("url.git@github.com:.insteadOf")).toEqual({
+        section: "url",
+        subsection: "git@github.com:",
+        name: "insteadOf",
+      });
+    });
+
+    test("should return null for invalid keys", () => {
+      expect(parseConfigKey("user")).toBeNull();
+      expect(parseConfigKey("user.")).toBeNull();
+      expect(parseConfigKey(".name")).toBeNull();
+      expect(parseConfigKey("us_er.name")).toBeNull();
+      expect(parseConfigKey(undefined)).toBeNull();
+    });
+  });
+
+  describe("key lookup", () => {
+    const config = {
+      "core.sshCommand": "ssh -i ~/.ssh/work",
+      "url.https://Example.com/.insteadOf": "ex:",
+    };
+
+    test("should compare section and variable names case-insensitively", () => {
+      expect(canonicalConfigKey("Core.SSHCommand")).toBe("core.sshcommand");
+      expect(findConfigKey(config, "core.sshcommand")).toBe("core.sshCommand");
+      expect(getConfigValue(config, "CORE.sshcommand")).toBe(
+        "ssh -i ~/.ssh/work"
+      );
+    });
+
+    test("should compare subsections case-sensitively", () => {
+      expect(getConfigValue(config, "url.https://Example.com/.insteadof")).toBe(
+        "ex:"
+      );
+      expect(
+        getConfigValue(config, "url.https://example.com/.insteadOf")
+      ).toBeUndefined();
+    });
+  });
+
+  describe("formatting", () => {
+    test("should quote and escape subsections", () => {
+      expect(formatSectionHeader("user")).toBe("[user]");
+      expect(formatSectionHeader("url", 'a"b\\c')).toBe('[url "a\\"b\\\\c"]');
+    });
+
+    test("should escape values git would otherwise change", () => {
+      expect(formatConfigValue("plain value")).toBe("plain value");
+      expect(formatConfigValue(true)).toBe("true");
+      expect(formatConfigValue("C:\\tools")).toBe("C:\\\\tools");
+      expect(formatConfigValue('say "hi"')).toBe('say \\"hi\\"');
+      expect(formatConfigValue("issue #1")).toBe('"issue #1"');
+      expect(formatConfigValue(" padded")).toBe('" padded"');
+      expect(formatConfigValue("tab\tand\bbackspace")).toBe(
+        "tab\\tand\\bbackspace"
+      );
+    });
+  });
+
+  describe("GitConfigDocument", () => {
+    const content =
+      "# Global settings\n" +
+      "[user]\n" +
+      '\tname = "  Spaced Name  "   # keep the spaces\n' +
+      "\temail=me@example.com;comment\n" +
+      "[Core] editor = vim   -f\n" +
+      "\tbare\n" +
+      "\tpager = less \\\n" +
+      "  -R\n" +
+      '[remote "we\\"ird"]\n' +
+      '\tfetch = a\\tb "quoted # text" x\n' +
+      "[Section.SubSection]\r\n" +
+      "\tKey = Val\r\n";
+
+    test("should round-trip content byte for byte", () => {
+      const document = GitConfigDocument.parse(content);
+
+      expect(document.toString()).toBe(content);
+      expect(GitConfigDocument.parse("").toString()).toBe("");
+      expect(GitConfigDocument.parse("[a]\n\tk = v").toString()).toBe(
+        "[a]\n\tk = v"
+      );
+    });
+
+    test("should skip a byte order mark and keep it when writing", () => {
+      const document = GitConfigDocument.parse(`\uFEFF${content}`);
+
+      expect(document.get("user.email")).toBe("me@example.com");
+      expect(document.toString()).toBe(`\uFEFF${content}`);
+
+      const edited = GitConfigDocument.parse("\uFEFF[a]\n\tk = v\n");
+      edited.set("a.k", "w");
+      edited.appendSection("b", null, [["x", "y"]]);
+      expect(edited.toString()).toBe("\uFEFF[a]\n\tk = w\n\n[b]\n    x = y\n");
+      expect(GitConfigDocument.parse("\uFEFF").toString()).toBe("\uFEFF");
+    });
+
+    test("should read values the way git does", () => {
+      const document = GitConfigDocument.parse(content);
+
+      expect(document.get("user.name")).toBe("  Spaced Name  ");
+      expect(document.get("USER.Email")).toBe("me@example.com");
+      expect(document.get("core.editor")).toBe("vim   -f");
+      expect(document.get("core.bare")).toBeNull();
+      expect(document.get("core.pager")).toBe("less   -R");
+      expect(document.get('remote.we"ird.fetch')).toBe("a\tb quoted # text x");
+      expect(document.get("section.subsection.key")).toBe("Val");
+      expect(document.get("user.signingkey")).toBeUndefined();
+    });
+
+    test("should return every value of a multi-valued key", () => {
+      const document = GitConfigDocument.parse(
+        '[remote "origin"]\n\tfetch = +a:b\n[remote "origin"]\n\tfetch = +c:d\n'
+      );
+
+      expect(document.getAll("remote.origin.fetch")).toEqual(["+a:b", "+c:d"]);
+      expect(document.get("remote.origin.fetch")).toBe("+c:d");
+    });
+
+    test("should reject content git would reject", () => {
+      expect(() => GitConfigDocument.parse("name = x")).toThrow(
+        "Invalid git config at line 1: variable outside of a section"
+      );
+      expect(() => GitConfigDocument.parse("[user")).toThrow("expected ]");
+      expect(() => GitConfigDocument.parse('[a]\n\tk = "x\n[b]')).toThrow(
+        "Invalid git config at line 2: unterminated quoted value"
+      );
+      expect(() => GitConfigDocument.parse("[a]\n\tk = \\q")).toThrow(
+        "bad escape"
+      );
+      expect(() => GitConfigDocument.parse("[a]\n\t1k = v")).toThrow(
+        'unexpected character "1"'
+      );
+    });
+
+    test("should change only the edited lines", () => {
+      const document = GitConfigDocument.parse(content);
+
+      document.set("core.editor", "emacs");
+      document.set("user.signingkey", "ABC123");
+      document.unset("core.bare");
+
+      expect(document.toString()).toBe(
+        content
+          .replace("[Core] editor = vim   -f\n", "[Core] editor = emacs\n")
+          .replace(
+            "\temail=me@example.com;comment\n",
+            "\temail=me@example.com;comment\n    signingkey = ABC123\n"
+          )
+          .replace("\tbare\n", "")
+      );
+    });
+
+    test("should append sections after a blank line", () => {
+      const document = GitConfigDocument.parse("[user]\n\tname = Me");
+
+      document.add("url.git@github.com:.insteadOf", "https://github.com/");
+      document.appendSection("includeIf", "gitdir:~/a b/", [["path", "x#y"]]);
+
+      expect(document.toString()).toBe(
+        "[user]\n" +
+          "\tname = Me\n" +
+          "\n" +
+          '[url "git@github.com:"]\n' +
+          "    insteadOf = https://github.com/\n" +
+          "\n" +
+          '[includeIf "gitdir:~/a b/"]\n' +
+          '    path = "x#y"\n'
+      );
+      expect(() => document.add("invalid", "x")).toThrow(
+        "Invalid git config key: invalid"
+      );
+    });
+  });
+
+  describe("serializeGitConfig", () => {
+    test("should group keys into sections", () => {
+      const content = serializeGitConfig({
+        "user.name": "Work User",
+        "core.sshCommand": "ssh -i ~/.ssh/work",
+        "user.email": "work@example.com",
+        "url.git@github.com:.insteadOf": "https://github.com/",
+      });
+
+      expect(content).toBe(
+        "[user]\n" +
+          "    name = Work User\n" +
+          "    email = work@example.com\n" +
+          "\n" +
+          "[core]\n" +
+          "    sshCommand = ssh -i ~/.ssh/work\n" +
+          "\n" +
+          '[url "git@github.com:"]\n' +
+          "    insteadOf = https://github.com/\n"
+      );
+    });
+
+    test("should write one line per value of a multi-valued key", () => {
+      expect(
+        serializeGitConfig({ "remote.origin.fetch": ["+a:b", "+c:d"] })
+      ).toBe('[remote "origin"]\n    fetch = +a:b\n    fetch = +c:d\n');
+    });
+
+    test("should skip invalid keys", () => {
+      expect(serializeGitConfig({ invalid: "x" })).toBe("");
+    });
+  });
+
+  describe("parseIncludeCondition", () => {
+    test("should split supported conditions", () => {
+      expect(parseIncludeCondition("gitdir:~/work/")).toEqual({
+        type: "gitdir",
+        pattern: "~/work/",
+      });
+      expect(parseIncludeCondition("gitdir/i:~/Work/")).toEqual({
+        type: "gitdir/i",
+        pattern: "~/Work/",
+      });
+      expect(parseIncludeCondition("onbranch:release/**")).toEqual({
+        type: "onbranch",
+        pattern: "release/**",
+      });
+      expect(
+        parseIncludeCondition(
+          "hasconfig:remote.*.url:https://github.com/acme/**"
+        )
+      ).toEqual({
+        type: "hasconfig:remote.*.url",
+        pattern: "https://github.com/acme/**",
+      });
+    });
+
+    test("should reject unsupported or empty conditions", () => {
+      expect(parseIncludeCondition("hasconfig:user.name:me")).toBeNull();
+      expect(parseIncludeCondition("onbranch:")).toBeNull();
+      expect(parseIncludeCondition(null)).toBeNull();
+    });
+  });
+});
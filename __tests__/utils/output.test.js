@@ -0,0 +1,131 @@
+/**
+ * Tests for machine-readable output formats
+ */
+import { describe, test, expect } from "@jest/globals";
+import yaml from "js-yaml";
+import { formatJson, formatYaml, formatTable } from "../../lib/utils/output.js";
+
+describe("Output Utils", () => {
+  describe("formatJson", () => {
+    test("should indent the data and end with a newline", () => {
+      expect(formatJson({ name: "work", paths: ["~/work/"] })).toBe(
+        '{\n  "name": "work",\n  "paths": [\n    "~/work/"\n  ]\n}\n'
+      );
+    });
+  });
+
+  describe("formatYaml", () => {
+    test("should format nested objects and arrays as blocks", () => {
+      expect(
+        formatYaml([
+          {
+            name: "work",
+            pathPatterns: ["~/work/"],
+            gitConfig: { "user.email": "me@work.com" },
+            urlPatterns: [],
+          },
+        ])
+      ).toBe(
+        [
+          "- name: work",
+          "  pathPatterns:",
+          "    - ~/work/",
+          "  gitConfig:",
+          "    user.email: me@work.com",
+          "  urlPatterns: []",
+          "",
+        ].join("\n")
+      );
+    });
+
+    test("should quote strings that would read back as something else", () => {
+      expect(
+        formatYaml({
+          empty: "",
+          flag: "true",
+          number: "42",
+          glob: "github.com/acme/*",
+          text: "a: b",
+        })
+      ).toBe(
+        [
+          'empty: ""',
+          'flag: "true"',
+          'number: "42"',
+          'glob: "github.com/acme/*"',
+          'text: "a: b"',
+          "",
+        ].join("\n")
+      );
+    });
+
+    test.each([
+      "yes",
+      "No",
+      "NULL",
+      "~",
+      "12",
+      "1.5",
+      "1_000",
+      "0x1F",
+      ".inf",
+      ".NaN",
+      "2024-01-01",
+      "-1",
+      "- item",
+      "?key",
+      "@user",
+      "`cmd`",
+    ])("should read %p back as the same string", (value) => {
+      const output = formatYaml({ [value]: value, list: [value] });
+
+      expect(yaml.load(output)).toEqual({ [value]: value, list: [value] });
+    });
+
+    test("should keep plain strings unquoted", () => {
+      expect(
+        formatYaml({ name: "work", path: "~/work/", file: ".gitconfig" })
+      ).toBe("name: work\npath: ~/work/\nfile: .gitconfig\n");
+    });
+
+    test("should keep numbers, booleans and null unquoted", () => {
+      expect(formatYaml({ count: 2, healthy: false, url: null })).toBe(
+        "count: 2\nhealthy: false\nurl: null\n"
+      );
+    });
+
+    test("should format scalars and empty collections on one line", () => {
+      expect(formatYaml([])).toBe("[]\n");
+      expect(formatYaml(null)).toBe("null\n");
+      expect(formatYaml("text")).toBe("text\n");
+    });
+  });
+
+  describe("formatTable", () => {
+    test("should align columns under headers in capitals", () => {
+      expect(
+        formatTable([
+          { name: "work", userEmail: "me@work.com" },
+          { name: "personal", userEmail: null },
+        ])
+      ).toBe(
+        ["NAME      USER EMAIL", "work      me@work.com", "personal", ""].join(
+          "\n"
+        )
+      );
+    });
+
+    test("should only show the given columns and join array cells", () => {
+      expect(
+        formatTable(
+          [{ name: "work", pathPatterns: ["~/a/", "~/b/"] }],
+          ["pathPatterns"]
+        )
+      ).toBe("PATH PATTERNS\n~/a/, ~/b/\n");
+    });
+
+    test("should return nothing when there are no columns", () => {
+      expect(formatTable([])).toBe("");
+    });
+  });
+});
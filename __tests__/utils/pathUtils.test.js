@@ -141,4 +141,63 @@ describe('pathUtils', () => {
       expect(result).toBe(base);
     });
   });
-});
\ No newline at end of file
+
+  describe('patternsOverlap', () => {
+    test('should detect a pattern inside another one', () => {
+      expect(pathUtils.patternsOverlap('~/work/**', '~/work/client/**', TEST_HOME_DIR)).toBe(true);
+      expect(pathUtils.patternsOverlap('/srv/**', '/srv/**', TEST_HOME_DIR)).toBe(true);
+    });
+
+    test('should compare whole directory names', () => {
+      expect(pathUtils.patternsOverlap('~/work/**', '~/workshop/**', TEST_HOME_DIR)).toBe(false);
+      expect(pathUtils.patternsOverlap('~/work/**', '~/personal/**', TEST_HOME_DIR)).toBe(false);
+    });
+
+    test('should treat wildcards in a directory name as overlapping', () => {
+      expect(pathUtils.patternsOverlap('~/w*/**', '~/work/**', TEST_HOME_DIR)).toBe(true);
+    });
+
+    test('should treat patterns that match anywhere as overlapping', () => {
+      expect(pathUtils.patternsOverlap('work/**', '~/personal/**', TEST_HOME_DIR)).toBe(true);
+    });
+  });
+
+  describe('patternSpecificity', () => {
+    test('should rank deeper directories as more specific', () => {
+      const general = pathUtils.patternSpecificity('~/code/**', TEST_HOME_DIR);
+      const specific = pathUtils.patternSpecificity('~/code/client-x/**', TEST_HOME_DIR);
+
+      expect(specific).toBeGreaterThan(general);
+    });
+
+    test('should only count the directory before the first wildcard', () => {
+      expect(pathUtils.patternSpecificity('~/code/*/src/**', TEST_HOME_DIR)).toBe(
+        pathUtils.patternSpecificity('~/code/**', TEST_HOME_DIR)
+      );
+    });
+
+    test('should rank patterns that match anywhere lowest', () => {
+      expect(pathUtils.patternSpecificity('work/**', TEST_HOME_DIR)).toBe(0);
+    });
+  });
+
+  describe('comparePrecedence', () => {
+    test('should let the higher priority win before specificity', () => {
+      expect(
+        pathUtils.comparePrecedence({ priority: 1, specificity: 5 }, { priority: 0, specificity: 20 })
+      ).toBeGreaterThan(0);
+    });
+
+    test('should let the more specific match win on equal priority', () => {
+      expect(
+        pathUtils.comparePrecedence({ priority: 0, specificity: 5 }, { priority: 0, specificity: 20 })
+      ).toBeLessThan(0);
+    });
+
+    test('should report a tie', () => {
+      expect(
+        pathUtils.comparePrecedence({ priority: 2, specificity: 5 }, { priority: 2, specificity: 5 })
+      ).toBe(0);
+    });
+  });
+});
@@ -10,6 +10,9 @@ import {
   afterEach,
 } from "@jest/globals";
 import * as security from "../../lib/utils/security.js";
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
 
 // For ES modules we need to mock entire modules rather than individual functions
 jest.unstable_mockModule("fs", () => ({
@@ -151,4 +154,121 @@ describe("Security Utils", () => {
       expect(security.validateUrlPattern(undefined)).toBe(false);
     });
   });
+
+  describe("validateGitConfigKey", () => {
+    test("should allow section, subsection and variable keys", () => {
+      const validKeys = [
+        "user.name",
+        "core.sshCommand",
+        "pull.rebase",
+        "url.git@github.com:.insteadOf",
+        "includeIf.gitdir:~/work/.path",
+      ];
+
+      validKeys.forEach((key) => {
+        expect(security.validateGitConfigKey(key)).toBe(true);
+      });
+    });
+
+    test("should reject malformed keys", () => {
+      const invalidKeys = [
+        "",
+        "user",
+        ".name",
+        "user.",
+        "user name.email",
+        "user.1name",
+        "user.na_me",
+        "url.a\nb.insteadOf",
+        null,
+      ];
+
+      invalidKeys.forEach((key) => {
+        expect(security.validateGitConfigKey(key)).toBe(false);
+      });
+    });
+  });
+
+  describe("validateIncludeCondition", () => {
+    test("should allow supported conditions", () => {
+      const validConditions = [
+        "gitdir:~/work/**",
+        "gitdir/i:C:/Work/",
+        "onbranch:release/*",
+        "hasconfig:remote.*.url:git@github.com:acme/**",
+      ];
+
+      validConditions.forEach((condition) => {
+        expect(security.validateIncludeCondition(condition)).toBe(true);
+      });
+    });
+
+    test("should reject unsupported or unsafe conditions", () => {
+      const invalidConditions = [
+        "onbranch:",
+        "hasconfig:user.email:me@example.com",
+        'onbranch:main"]',
+        "onbranch:feature branch",
+        "gitdir:~/work/$(id)",
+        'hasconfig:remote.*.url:https://github.com/acme/"',
+        null,
+      ];
+
+      invalidConditions.forEach((condition) => {
+        expect(security.validateIncludeCondition(condition)).toBe(false);
+      });
+    });
+  });
+
+  describe("validateSshKeyPath", () => {
+    test("should allow plain key paths", () => {
+      expect(security.validateSshKeyPath("~/.ssh/id_ed25519")).toBe(true);
+      expect(security.validateSshKeyPath("/home/me/.ssh/work-key")).toBe(true);
+    });
+
+    test("should reject paths that need shell quoting", () => {
+      expect(security.validateSshKeyPath("~/.ssh/my key")).toBe(false);
+      expect(security.validateSshKeyPath("~/.ssh/key;rm -rf /")).toBe(false);
+      expect(security.validateSshKeyPath("$HOME/.ssh/key")).toBe(false);
+      expect(security.validateSshKeyPath("")).toBe(false);
+    });
+  });
+
+  describe("checkSshKeyFile", () => {
+    let keyDir;
+
+    beforeEach(() => {
+      process.env.NODE_ENV = "production";
+      keyDir = mkdtempSync(path.join(tmpdir(), "git-context-ssh-"));
+    });
+
+    afterEach(() => {
+      rmSync(keyDir, { recursive: true, force: true });
+    });
+
+    test("should accept a key only its owner can read", () => {
+      const keyPath = path.join(keyDir, "id_work");
+      writeFileSync(keyPath, "key", { mode: 0o600 });
+
+      expect(security.checkSshKeyFile("~/id_work", keyDir)).toBe(true);
+    });
+
+    test("should reject a key other users can read", () => {
+      const keyPath = path.join(keyDir, "id_work");
+      writeFileSync(keyPath, "key");
+      chmodSync(keyPath, 0o644);
+
+      expect(() => security.checkSshKeyFile("~/id_work", keyDir)).toThrow(
+        "SSH key ~/id_work is accessible by other users, run: chmod 600 ~/id_work"
+      );
+    });
+
+    test("should report a missing key", () => {
+      const keyPath = path.join(keyDir, "missing");
+
+      expect(() => security.checkSshKeyFile(keyPath)).toThrow(
+        `File not found: ${keyPath}`
+      );
+    });
+  });
 });
@@ -26,6 +26,16 @@ export const mockUnlink = jest.fn();
 export const mockRemove = jest.fn();
 export const mockAccess = jest.fn();
 export const mockRenameSync = jest.fn();
+export const mockMove = jest.fn();
+export const mockReaddir = jest.fn();
+export const mockStat = jest.fn();
+export const mockRealpath = jest.fn();
+export const mockOpen = jest.fn();
+export const mockFsync = jest.fn();
+export const mockClose = jest.fn();
+export const mockChmod = jest.fn();
+export const mockChown = jest.fn();
+export const mockRename = jest.fn();
 
 // Mock the entire fs module
 export const mockFs = {
@@ -49,6 +59,16 @@ export const mockFs = {
   remove: mockRemove,
   existsSync: mockPathExistsSync, // Alias for compatibility
   renameSync: mockRenameSync,
+  move: mockMove,
+  readdir: mockReaddir,
+  stat: mockStat,
+  realpath: mockRealpath,
+  open: mockOpen,
+  fsync: mockFsync,
+  close: mockClose,
+  chmod: mockChmod,
+  chown: mockChown,
+  rename: mockRename,
   constants: {
     F_OK: 0,
     R_OK: 4,
@@ -166,8 +186,20 @@ export function mockSuccessfulFileOps() {
   mockReadFile.mockResolvedValue("mock file content");
   mockCopy.mockResolvedValue(undefined);
   mockRemove.mockResolvedValue(undefined);
+  mockMove.mockResolvedValue(undefined);
+  mockReaddir.mockResolvedValue([]);
   mockReadJson.mockResolvedValue([]);
   mockWriteJson.mockResolvedValue(undefined);
+  mockStat.mockRejectedValue(
+    Object.assign(new Error("File not found"), { code: "ENOENT" })
+  );
+  mockRealpath.mockImplementation((filePath) => Promise.resolve(filePath));
+  mockOpen.mockResolvedValue(3);
+  mockFsync.mockResolvedValue(undefined);
+  mockClose.mockResolvedValue(undefined);
+  mockChmod.mockResolvedValue(undefined);
+  mockChown.mockResolvedValue(undefined);
+  mockRename.mockResolvedValue(undefined);
 
   // Sync versions
   mockMkdirSync.mockReturnValue(undefined);
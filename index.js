@@ -1,7 +1,10 @@
 #!/usr/bin/env node
 
-import { program } from "commander";
+import { program, Option } from "commander";
 import { createGitContextSwitcher } from "./lib/gitContextSwitcher.js";
+import { SIGNING_FORMATS } from "./lib/models/Context.js";
+import { OUTPUT_FORMATS } from "./lib/utils/output.js";
+import { EXIT_CODES } from "./lib/utils/exitCodes.js";
 import { readFileSync } from "fs";
 import { dirname, join } from "path";
 import { fileURLToPath } from "url";
@@ -17,46 +20,331 @@ try {
 }
 const switcher = createGitContextSwitcher();
 
+// Collect repeated option values into an array
+const collect = (value, previous) => previous.concat([value]);
+
+// Options describing a context's settings, shared by add and edit
+const withContextOptions = (command) =>
+  command
+    .option(
+      "--path <pattern>",
+      "Path pattern for repositories, e.g. ~/work/** (repeatable)",
+      collect,
+      []
+    )
+    .option("--email <email>", "Git user email for this context")
+    .option("--user-name <name>", "Git user name for this context")
+    .option(
+      "--signing-key <key>",
+      "Signing key: a GPG key ID, an SSH key or an X.509 key ID (enables auto-signing)"
+    )
+    .addOption(
+      new Option("--signing-format <format>", "Signature format").choices(
+        SIGNING_FORMATS
+      )
+    )
+    .option(
+      "--allowed-signers <file>",
+      "Allowed signers file used to verify SSH signatures"
+    )
+    .option("--sign-tags", "Sign annotated tags as well as commits")
+    .option("--no-sign-tags", "Don't sign annotated tags")
+    .option("--ssh-key <path>", "SSH private key to use for this context")
+    .option(
+      "--url-pattern <pattern>",
+      "URL pattern of repositories that use this context (repeatable)",
+      collect,
+      []
+    )
+    .option(
+      "--include-if <condition>",
+      "Extra include condition: gitdir:, gitdir/i:, onbranch: or hasconfig:remote.*.url: (repeatable)",
+      collect,
+      []
+    )
+    .option(
+      "--priority <number>",
+      "Precedence over overlapping contexts; the highest wins (default 0)"
+    )
+    .option(
+      "--default",
+      "Use this context wherever no other context matches (no --path needed)"
+    )
+    .option("--no-default", "Stop using this context as the default")
+    .option(
+      "--extends <context>",
+      "Inherit the settings of another context (an empty value stops inheriting)"
+    )
+    .option("--description <text>", "Context description");
+
+// Options choosing how read commands print their result
+const withOutputOptions = (command) =>
+  command
+    .addOption(
+      new Option("--format <format>", "Output format")
+        .choices(OUTPUT_FORMATS)
+        .default("text")
+    )
+    .addOption(
+      new Option(
+        "--json",
+        "Print the result as JSON, same as --format json"
+      ).conflicts("format")
+    );
+
+// Commander errors caused by a malformed command line
+const USAGE_ERROR_CODES = new Set([
+  "commander.conflictingOption",
+  "commander.excessArguments",
+  "commander.invalidArgument",
+  "commander.missingArgument",
+  "commander.missingMandatoryOptionValue",
+  "commander.optionMissingArgument",
+  "commander.unknownCommand",
+  "commander.unknownOption",
+]);
+
+// The format selected by the output options
+const outputFormat = (options) => (options.json ? "json" : options.format);
+
 program
   .name("git-context-switcher")
   .description("A tool to manage multiple git context configurations")
-  .version(packageJson.version);
+  .version(packageJson.version)
+  .option(
+    "--dry-run",
+    "Show a diff of every file the command would change instead of writing"
+  )
+  .hook("preAction", () => {
+    if (program.opts().dryRun) {
+      switcher.enableDryRun();
+    }
+  })
+  .hook("postAction", async () => {
+    if (program.opts().dryRun) {
+      await switcher.showDryRunChanges();
+    }
+    // The switcher remembers why the command failed, see EXIT_CODES
+    process.exitCode = switcher.exitCode;
+  })
+  // Usage errors such as an unknown option are validation errors; help shown
+  // because no command was given keeps commander's exit code
+  .exitOverride((error) =>
+    process.exit(
+      USAGE_ERROR_CODES.has(error.code) ? EXIT_CODES.VALIDATION : error.exitCode
+    )
+  );
 
 program
   .command("setup")
   .description("Run the interactive setup wizard")
   .action(() => switcher.runSetupWizard());
 
+withOutputOptions(
+  program.command("list").description("List all configured contexts")
+).action((options) => switcher.listContexts({ format: outputFormat(options) }));
+
+withContextOptions(
+  program
+    .command("add")
+    .description("Add a new context")
+    .option("--name <name>", "Context name")
+    .option("--template <template>", "Base the context on a template")
+).action((options) => switcher.addContext(options));
+
+withContextOptions(
+  program.command("edit <name>").description("Edit an existing context")
+).action((name, options) => switcher.editContext(name, options));
+
 program
-  .command("list")
-  .description("List all configured contexts")
-  .action(() => switcher.listContexts());
+  .command("rename <old> <new>")
+  .description("Rename a context and its config file")
+  .action((oldName, newName) => switcher.renameContext(oldName, newName));
+
+const config = program
+  .command("config")
+  .description("Manage git config values stored in a context");
+
+withOutputOptions(
+  config
+    .command("get <context> [key]")
+    .description("Show a config value, or all values when no key is given")
+).action((contextName, key, options) =>
+  switcher.getContextConfig(contextName, key, {
+    format: outputFormat(options),
+  })
+);
+
+config
+  .command("set <context> <key> <value>")
+  .description("Set a config value, e.g. core.sshCommand or pull.rebase")
+  .action((contextName, key, value) =>
+    switcher.setContextConfig(contextName, key, value)
+  );
+
+config
+  .command("unset <context> <key>")
+  .description("Remove a config value")
+  .action((contextName, key) => switcher.unsetContextConfig(contextName, key));
+
+const paths = program
+  .command("path")
+  .description("Manage the path patterns of a context");
+
+paths
+  .command("add <context> <pattern>")
+  .description("Add a path pattern, e.g. '~/work/**'")
+  .action((contextName, pattern) =>
+    switcher.addPathPattern(contextName, pattern)
+  );
+
+paths
+  .command("remove <context> <pattern>")
+  .description("Remove a path pattern")
+  .action((contextName, pattern) =>
+    switcher.removePathPattern(contextName, pattern)
+  );
 
 program
-  .command("add")
-  .description("Add a new context")
-  .action(() => switcher.addContext());
+  .command("default [context]")
+  .description("Show or set the context used wherever no other context matches")
+  .option("--unset", "Stop using a default context")
+  .action((contextName, options) =>
+    switcher.setDefaultContext(contextName, options)
+  );
+
+const backup = program
+  .command("backup")
+  .description(
+    "Manage backups of ~/.gitconfig, the contexts file and the context configs"
+  );
+
+backup
+  .command("create")
+  .description("Back up the current configuration")
+  .action(() => switcher.createBackup());
+
+withOutputOptions(
+  backup
+    .command("list")
+    .description("List backups with what restoring each would change")
+).action((options) => switcher.listBackups({ format: outputFormat(options) }));
+
+backup
+  .command("restore <id>")
+  .description("Restore a backup, backing up the current state first")
+  .action((id) => switcher.restoreBackup(id));
+
+backup
+  .command("prune")
+  .description("Delete all but the newest backups")
+  .requiredOption("--keep <count>", "Number of backups to keep")
+  .action((options) => switcher.pruneBackups(options.keep));
+
+program
+  .command("undo")
+  .description("Revert the most recent command that changed the configuration")
+  .option("--force", "Revert even if the files changed since the command ran")
+  .action((options) => switcher.undo(options));
+
+withOutputOptions(
+  program
+    .command("history")
+    .description("Show the commands that changed the configuration")
+).action((options) => switcher.showHistory({ format: outputFormat(options) }));
+
+program
+  .command("migrate")
+  .description(
+    "Move the includes written by earlier versions into the managed block"
+  )
+  .action(() => switcher.migrateIncludes());
+
+withOutputOptions(
+  program
+    .command("doctor")
+    .description("Check the installation for problems")
+    .option("--fix", "Repair the problems that can be repaired")
+).action((options) =>
+  switcher.runDoctor({
+    fix: options.fix,
+    format: outputFormat(options),
+  })
+);
 
 program
   .command("remove")
   .description("Remove an existing context")
   .action(() => switcher.removeContext());
 
-program
-  .command("apply")
-  .description("Apply configuration based on current directory")
-  .action(() => switcher.applyContext());
+withOutputOptions(
+  program
+    .command("apply")
+    .description("Apply configuration based on current directory")
+).action((options) => switcher.applyContext({ format: outputFormat(options) }));
+
+withOutputOptions(
+  program
+    .command("status")
+    .alias("whoami")
+    .description(
+      "Show the identity git uses here and where each value comes from"
+    )
+).action((options) => switcher.showStatus({ format: outputFormat(options) }));
 
 // New commands for 1.1.0 features
-program
-  .command("detect-url")
-  .description("Detect context based on repository URL")
-  .action(() => switcher.detectContextFromUrl());
+withOutputOptions(
+  program
+    .command("detect-url")
+    .description("Detect context based on repository URL")
+).action((options) =>
+  switcher.detectContextFromUrl({ format: outputFormat(options) })
+);
 
-program
+const templates = program
   .command("templates")
-  .description("List available context templates")
-  .action(() => switcher.listTemplates());
+  .alias("template")
+  .description(
+    "Manage context templates: built-in ones, those in the directory named by GIT_CONTEXT_TEMPLATES_DIR and your own in ~/.gitconfig.d/templates"
+  );
+
+withOutputOptions(
+  templates
+    .command("list", { isDefault: true })
+    .description("List available context templates")
+).action((options) =>
+  switcher.listTemplates({ format: outputFormat(options) })
+);
+
+withOutputOptions(
+  templates
+    .command("show <name>")
+    .description("Show a template and the git config it starts a context with")
+).action((name, options) =>
+  switcher.showTemplate(name, { format: outputFormat(options) })
+);
+
+templates
+  .command("add <file>")
+  .description("Check a template file and copy it to your templates")
+  .option("--force", "Replace your template of the same name")
+  .action((file, options) => switcher.addTemplate(file, options));
+
+templates
+  .command("remove <name>")
+  .description("Remove one of your templates")
+  .action((name) => switcher.removeTemplate(name));
+
+templates
+  .command("save <context>")
+  .description(
+    "Save a context as a template, leaving out its identity and signing key"
+  )
+  .option("--name <name>", "Template name, by default the context's name")
+  .option("--force", "Replace your template of the same name")
+  .action((contextName, options) =>
+    switcher.saveContextAsTemplate(contextName, options)
+  );
 
 program
   .command("export")
@@ -68,7 +356,7 @@ program
   .description("Import contexts from a file")
   .action(() => switcher.importContexts());
 
-program.parse(process.argv);
+await program.parseAsync(process.argv);
 
 // Show help if no command provided
 if (!process.argv.slice(2).length) {
@@ -2,7 +2,26 @@ import { FileSystem } from "./services/FileSystem.js";
 import { GitService } from "./services/GitService.js";
 import { UserInterface } from "./services/UserInterface.js";
 import { Context } from "./models/Context.js";
-import { pathPatternToRegex } from "./utils/pathUtils.js";
+import {
+  pathPatternToRegex,
+  patternsOverlap,
+  patternSpecificity,
+  comparePrecedence,
+  normalizePathPattern,
+} from "./utils/pathUtils.js";
+import { validateContextName, validateGitConfigKey } from "./utils/security.js";
+import {
+  canonicalConfigKey,
+  findConfigKey,
+  getConfigValue,
+  serializeGitConfig,
+} from "./utils/gitConfig.js";
+import { countLineChanges, formatUnifiedDiff } from "./utils/diff.js";
+import {
+  EXIT_CODES,
+  GitContextError,
+  exitCodeForError,
+} from "./utils/exitCodes.js";
 import path from "path";
 
 /**
@@ -12,11 +31,56 @@ export function createGitContextSwitcher() {
   return new GitContextSwitcher();
 }
 
+// Command line options that describe a context for non-interactive use
+const CONTEXT_OPTION_KEYS = [
+  "name",
+  "path",
+  "email",
+  "userName",
+  "signingKey",
+  "signingFormat",
+  "allowedSigners",
+  "signTags",
+  "sshKey",
+  "urlPattern",
+  "includeIf",
+  "priority",
+  "default",
+  "extends",
+  "template",
+  "description",
+];
+
+// Shown when git may apply another context than the one found, because an
+// include condition couldn't be evaluated
+const UNCERTAIN_CONTEXT_WARNING =
+  "An include condition couldn't be evaluated here, so git may apply another context.";
+
+// Config keys reported by the status command
+const STATUS_KEYS = [
+  "user.name",
+  "user.email",
+  "user.signingkey",
+  "gpg.format",
+  "commit.gpgsign",
+  "core.sshCommand",
+];
+
+// Command line options that change how commits and tags are signed
+const SIGNING_OPTION_KEYS = [
+  "signingKey",
+  "signingFormat",
+  "allowedSigners",
+  "signTags",
+];
+
 class GitContextSwitcher {
   constructor() {
     this.fileSystem = new FileSystem();
     this.gitService = new GitService();
     this.ui = new UserInterface();
+    // Exit code of the last command that failed, see EXIT_CODES
+    this.exitCode = EXIT_CODES.SUCCESS;
   }
 
   /**
@@ -39,71 +103,103 @@ class GitContextSwitcher {
       // Create configuration directory if it doesn't exist
       await this.fileSystem.ensureConfigDirectoryExists();
 
-      // Backup existing git config
-      const backupPath = await this.fileSystem.backupGitConfig();
-      if (backupPath) {
-        this.ui.displaySuccess(
-          `Backed up existing git config to ${backupPath}`
-        );
-      }
+      // Back up the current configuration
+      const backup = await this.fileSystem.createBackup("setup");
+      this._displayBackup(backup);
 
       // Get contexts from user
-      const contexts = await this.ui.getContextsFromUser();
-
-      // Save context configs
-      for (const context of contexts) {
-        await this.fileSystem.saveContextConfig(
-          context.name,
-          context.toConfigFileContent()
-        );
-      }
-
-      // Save contexts metadata
-      await this.fileSystem.saveContexts(contexts);
+      const contexts = await this.ui.getContextsFromUser(
+        await this._loadTemplates({ validOnly: true })
+      );
 
-      // Update main git config
-      await this._updateMainGitConfig(contexts);
+      // Write the context configs, the contexts metadata and the main git
+      // config together
+      await this.fileSystem.runTransaction(async (transaction) => {
+        for (const context of contexts) {
+          await transaction.saveContextConfig(
+            context.name,
+            context.toConfigFileContent()
+          );
+        }
+        await transaction.saveContexts(contexts);
+        await this._updateMainGitConfig(contexts, transaction);
+      }, "setup");
 
       this.ui.displaySuccess("Git Context Switcher setup complete!");
       this.ui.displayContexts(contexts, this.fileSystem.gitConfigDirPath);
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
     }
   }
 
   /**
    * List all configured contexts
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Array|null>} The contexts with the path of their config
+   * file, or null if they could not be listed
    */
-  async listContexts() {
+  async listContexts({ format = "text" } = {}) {
     try {
       const contextObjects = await this.fileSystem.loadContexts();
 
       // Convert plain objects to Context instances
       const contexts = contextObjects.map((obj) => Context.fromObject(obj));
+      const result = contexts.map((context) => ({
+        ...context.toObject(),
+        effectiveGitConfig: this._resolveGitConfig(context, contexts),
+        configFile: this._contextConfigFile(context.name),
+      }));
+
+      if (format !== "text") {
+        this.ui.displayStructured(
+          result,
+          format,
+          result.map((context) => ({
+            name: context.name,
+            pathPatterns: context.pathPatterns,
+            userEmail: getConfigValue(context.effectiveGitConfig, "user.email"),
+            urlPatterns: context.urlPatterns,
+          }))
+        );
+        return result;
+      }
 
       this.ui.displayContextsList(contexts, this.fileSystem.gitConfigDirPath);
 
-      // For each context, show config details if available
-      for (const context of contexts) {
+      // For each context, show config details if available. A context that
+      // extends another shows what it resolves to instead of its include.
+      for (const [index, context] of contexts.entries()) {
+        if (context.extends) {
+          this.ui.displayContextConfig(
+            serializeGitConfig(result.at(index).effectiveGitConfig),
+            `Effective configuration (extends ${context.extends})`
+          );
+          continue;
+        }
+
         const configContent = await this.fileSystem.readContextConfig(
           context.name
         );
         if (configContent) {
-          // Use the UI service methods instead of direct chalk calls
-          console.log("\n   Configuration:");
-          console.log("   -----------------------------------");
-          console.log("   " + configContent.replace(/\n/g, "\n   "));
+          this.ui.displayContextConfig(configContent);
         }
       }
+      return result;
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
+      return null;
     }
   }
 
   /**
    * Add a new context
+   * @param {Object} [options={}] Command line options. When any context option is
+   * given the context is built from the options instead of prompting the user.
+   * @returns {Promise<Context|null>} The added context, or null if it was not added
    */
-  async addContext() {
+  async addContext(options = {}) {
     try {
       // Check permissions first
       const contextConfigPath = path.join(
@@ -118,40 +214,533 @@ class GitContextSwitcher {
 
       await this.fileSystem.ensureConfigDirectoryExists();
 
-      // Load existing contexts
+      // Get new context from the command line options or from the user
+      const context = this._hasContextOptions(options)
+        ? this._contextFromOptions(options, await this._loadTemplates())
+        : await this.ui.getContextFromUser(
+            null,
+            await this._loadTemplates({ validOnly: true })
+          );
+
+      // Check and save against the contexts as they are once the locks are
+      // held, so a context added meanwhile by another command isn't lost
+      const updatedContexts = await this.fileSystem.runTransaction(
+        async (transaction) => {
+          const contextObjects = (await transaction.loadContexts()) || [];
+
+          // Check for duplicate
+          if (contextObjects.some((c) => c.name === context.name)) {
+            throw new GitContextError(
+              `Context "${context.name}" already exists`,
+              EXIT_CODES.CONFLICT
+            );
+          }
+
+          // A new default takes over from the current one
+          contextObjects.push(context);
+          const contexts = context.isDefault
+            ? this._clearOtherDefaults(contextObjects, context.name)
+            : contextObjects;
+
+          // Validate the context
+          const validation = context.validate(contexts);
+          if (!validation.isValid) {
+            throw new GitContextError(
+              `Invalid context: ${validation.errors.join(", ")}`,
+              EXIT_CODES.VALIDATION
+            );
+          }
+
+          // Save the context config, the contexts list and the main git
+          // config together
+          await this.fileSystem.createBackup("add");
+          await transaction.saveContextConfig(
+            context.name,
+            context.toConfigFileContent()
+          );
+          await transaction.saveContexts(contexts);
+          await this._updateMainGitConfig(contexts, transaction);
+          return contexts;
+        },
+        "add"
+      );
+
+      this.ui.displaySuccess(`Context "${context.name}" added successfully!`);
+      this._warnAboutOverlaps(context, updatedContexts);
+      return context;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Edit an existing context in place
+   * @param {string} name Name of the context to edit
+   * @param {Object} [options={}] Command line options. When any context option is
+   * given they are applied without prompting; otherwise every prompt is pre-filled
+   * with the current values.
+   * @returns {Promise<Context|null>} The updated context, or null if it was not updated
+   */
+  async editContext(name, options = {}) {
+    try {
       const contextObjects = (await this.fileSystem.loadContexts()) || [];
-      const existingNames = contextObjects.map((c) => c.name);
+      const index = contextObjects.findIndex((c) => c.name === name);
+
+      if (index === -1) {
+        throw new GitContextError(
+          `Context "${name}" not found`,
+          EXIT_CODES.NO_MATCH
+        );
+      }
+
+      // Check permissions
+      const configPath = path.join(
+        this.fileSystem.gitConfigDirPath,
+        `${name}.gitconfig`
+      );
+      await this.fileSystem.checkPermissions([
+        this.fileSystem.gitConfigPath,
+        configPath,
+        this.fileSystem.configFilePath,
+      ]);
+
+      const existing = Context.fromObject(contextObjects.at(index));
+
+      // Prompt before taking the locks. Only what the prompts changed, or
+      // the command line options, are applied to the latest stored context,
+      // so changes committed while the prompts were open are kept.
+      const prompted = this._hasContextOptions(options)
+        ? null
+        : await this.ui.getContextFromUser(existing);
+      const { context } = await this._replaceContext(
+        name,
+        (current) =>
+          prompted
+            ? this._applyEdit(existing, prompted, current)
+            : this._applyContextOptions(current, options),
+        "edit"
+      );
+
+      this.ui.displaySuccess(`Context "${context.name}" updated successfully!`);
+      return context;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Show git config values stored in a context
+   * @param {string} contextName Context name
+   * @param {string} [key] Config key; all keys are shown when omitted
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<string|Object|null>} The value, a map of all values, or
+   * null if the key is not set or the context does not exist
+   */
+  async getContextConfig(contextName, key, { format = "text" } = {}) {
+    try {
+      const { context } = await this._loadContext(contextName);
 
-      // Get new context from user
-      const context = await this.ui.getContextFromUser();
+      if (!key) {
+        if (format !== "text") {
+          this.ui.displayStructured(context.gitConfig, format);
+          return context.gitConfig;
+        }
+        for (const [configKey, value] of Object.entries(context.gitConfig)) {
+          this.ui.displayValue(`${configKey}=${value}`);
+        }
+        return context.gitConfig;
+      }
 
-      // Check for duplicate
-      if (existingNames.includes(context.name)) {
-        throw new Error(`Context "${context.name}" already exists`);
+      const storedKey = findConfigKey(context.gitConfig, key);
+      if (storedKey === undefined) {
+        // Like git config, print nothing for a missing key in scripts
+        if (format === "text") {
+          this.ui.displayWarning(
+            `Key "${key}" is not set for context "${contextName}".`
+          );
+        }
+        this.exitCode = EXIT_CODES.NO_MATCH;
+        return null;
       }
 
-      // Validate the context
-      const validation = context.validate();
-      if (!validation.isValid) {
-        throw new Error(`Invalid context: ${validation.errors.join(", ")}`);
+      const value = getConfigValue(context.gitConfig, storedKey);
+      if (format !== "text") {
+        this.ui.displayStructured({ key: storedKey, value }, format, [
+          { key: storedKey, value },
+        ]);
+        return value;
       }
+      this.ui.displayValue(value);
+      return value;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
 
-      // Save context config
-      await this.fileSystem.saveContextConfig(
-        context.name,
-        context.toConfigFileContent()
+  /**
+   * Set a git config value in a context
+   * @param {string} contextName Context name
+   * @param {string} key Dotted config key, e.g. core.sshCommand
+   * @param {string} value Value to set
+   * @returns {Promise<Context|null>} The updated context, or null if it was not updated
+   */
+  async setContextConfig(contextName, key, value) {
+    try {
+      if (!validateGitConfigKey(key)) {
+        throw new GitContextError(
+          `Invalid git config key: ${key}`,
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      let storedKey = key;
+      const { context: updated } = await this._replaceContext(
+        contextName,
+        (context) => {
+          // Reuse the stored spelling so the key isn't duplicated in another
+          // case
+          const gitConfig = new Map(Object.entries(context.gitConfig));
+          storedKey = findConfigKey(context.gitConfig, key) || key;
+          gitConfig.set(storedKey, value);
+          return Context.fromObject({
+            ...context.toObject(),
+            gitConfig: Object.fromEntries(gitConfig),
+          });
+        },
+        "config set"
       );
 
-      // Add to contexts list and save
-      contextObjects.push(context);
-      await this.fileSystem.saveContexts(contextObjects);
+      this.ui.displaySuccess(`Set ${storedKey} for context "${contextName}".`);
+      return updated;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
 
-      // Update main git config
-      await this._updateMainGitConfig(contextObjects);
+  /**
+   * Remove a git config value from a context
+   * @param {string} contextName Context name
+   * @param {string} key Dotted config key
+   * @returns {Promise<Context|null>} The updated context, or null if it was not updated
+   */
+  async unsetContextConfig(contextName, key) {
+    try {
+      let storedKey;
+      const { context: updated } = await this._replaceContext(
+        contextName,
+        (context) => {
+          const gitConfig = new Map(Object.entries(context.gitConfig));
+          storedKey = findConfigKey(context.gitConfig, key);
+          if (storedKey === undefined) {
+            throw new GitContextError(
+              `Key "${key}" is not set for context "${contextName}"`,
+              EXIT_CODES.NO_MATCH
+            );
+          }
+          gitConfig.delete(storedKey);
+          return Context.fromObject({
+            ...context.toObject(),
+            gitConfig: Object.fromEntries(gitConfig),
+          });
+        },
+        "config unset"
+      );
 
-      this.ui.displaySuccess(`Context "${context.name}" added successfully!`);
+      this.ui.displaySuccess(
+        `Unset ${storedKey} for context "${contextName}".`
+      );
+      return updated;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Add a path pattern to a context
+   * @param {string} contextName Context name
+   * @param {string} pattern Path pattern, e.g. ~/work/**
+   * @returns {Promise<Context|null>} The updated context, or null if it was not updated
+   */
+  async addPathPattern(contextName, pattern) {
+    try {
+      const trimmed = pattern.trim();
+      if (trimmed === "") {
+        throw new GitContextError(
+          "Path pattern is required",
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      const { context: updated, contexts: updatedContexts } =
+        await this._replaceContext(
+          contextName,
+          (context) => {
+            if (context.pathPatterns.includes(trimmed)) {
+              throw new GitContextError(
+                `Context "${contextName}" already has path pattern "${trimmed}"`,
+                EXIT_CODES.CONFLICT
+              );
+            }
+            return Context.fromObject({
+              ...context.toObject(),
+              pathPatterns: [...context.pathPatterns, trimmed],
+            });
+          },
+          "path add"
+        );
+
+      this.ui.displaySuccess(
+        `Added path pattern "${trimmed}" to context "${contextName}".`
+      );
+      this._warnAboutOverlaps(updated, updatedContexts, [trimmed]);
+      return updated;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a path pattern from a context
+   * @param {string} contextName Context name
+   * @param {string} pattern Path pattern as stored in the context
+   * @returns {Promise<Context|null>} The updated context, or null if it was not updated
+   */
+  async removePathPattern(contextName, pattern) {
+    try {
+      const trimmed = pattern.trim();
+      const { context: updated } = await this._replaceContext(
+        contextName,
+        (context) => {
+          if (!context.pathPatterns.includes(trimmed)) {
+            throw new GitContextError(
+              `Context "${contextName}" has no path pattern "${trimmed}"`,
+              EXIT_CODES.NO_MATCH
+            );
+          }
+
+          const updated = Context.fromObject({
+            ...context.toObject(),
+            pathPatterns: context.pathPatterns.filter((p) => p !== trimmed),
+          });
+          // Like add, a context needs some condition to be included by,
+          // unless it is the default
+          if (!updated.canApply()) {
+            throw new GitContextError(
+              `"${trimmed}" is the only path pattern of context "${contextName}", without it the context would never apply. Add another pattern first.`,
+              EXIT_CODES.VALIDATION
+            );
+          }
+
+          return updated;
+        },
+        "path remove"
+      );
+
+      this.ui.displaySuccess(
+        `Removed path pattern "${trimmed}" from context "${contextName}".`
+      );
+      return updated;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Show, set or clear the default context, which git uses wherever no other
+   * context matches
+   * @param {string} [contextName] Context to make the default; without it and
+   * without `unset` the current default is shown
+   * @param {Object} [options={}] Command line options
+   * @param {boolean} [options.unset=false] Clear the default instead
+   * @returns {Promise<Object|null>} Name of the default context afterwards,
+   * or null on failure
+   */
+  async setDefaultContext(contextName, { unset = false } = {}) {
+    try {
+      if (contextName && unset) {
+        throw new GitContextError(
+          "Give either a context or --unset, not both",
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      if (contextName) {
+        const { context } = await this._loadContext(contextName);
+        if (context.isDefault) {
+          this.ui.displaySuccess(
+            `Context "${contextName}" is already the default.`
+          );
+          return { default: contextName };
+        }
+
+        await this._replaceContext(
+          contextName,
+          (current) =>
+            Context.fromObject({ ...current.toObject(), isDefault: true }),
+          "default"
+        );
+
+        this.ui.displaySuccess(
+          `Context "${contextName}" is now the default, used wherever no other context matches.`
+        );
+        return { default: contextName };
+      }
+
+      const contextObjects = (await this.fileSystem.loadContexts()) || [];
+      const index = contextObjects.findIndex((c) => c.isDefault);
+      if (index === -1) {
+        this.ui.displayWarning("No default context is set.");
+        // Asking for a default that isn't set finds nothing
+        if (!unset) {
+          this.exitCode = EXIT_CODES.NO_MATCH;
+        }
+        return { default: null };
+      }
+
+      const current = Context.fromObject(contextObjects.at(index));
+      if (!unset) {
+        this.ui.displayValue(current.name);
+        return { default: current.name };
+      }
+
+      await this._replaceContext(
+        current.name,
+        (stored) =>
+          Context.fromObject({ ...stored.toObject(), isDefault: false }),
+        "default"
+      );
+
+      this.ui.displaySuccess(
+        `Context "${current.name}" is no longer the default.`
+      );
+      return { default: null };
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Rename a context, its config file and its conditional includes
+   * @param {string} oldName Current context name
+   * @param {string} newName New context name
+   * @returns {Promise<Context|null>} The renamed context, or null if it was not renamed
+   */
+  async renameContext(oldName, newName) {
+    try {
+      if (!validateContextName(newName)) {
+        throw new GitContextError(
+          "Context name can only contain letters, numbers, hyphens, and underscores",
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      const contextObjects = (await this.fileSystem.loadContexts()) || [];
+      const index = contextObjects.findIndex((c) => c.name === oldName);
+
+      if (index === -1) {
+        throw new GitContextError(
+          `Context "${oldName}" not found`,
+          EXIT_CODES.NO_MATCH
+        );
+      }
+
+      if (contextObjects.some((c) => c.name === newName)) {
+        throw new GitContextError(
+          `Context "${newName}" already exists`,
+          EXIT_CODES.CONFLICT
+        );
+      }
+
+      // Check permissions
+      await this.fileSystem.checkPermissions([
+        this.fileSystem.gitConfigPath,
+        path.join(this.fileSystem.gitConfigDirPath, `${oldName}.gitconfig`),
+        path.join(this.fileSystem.gitConfigDirPath, `${newName}.gitconfig`),
+        this.fileSystem.configFilePath,
+      ]);
+
+      // Move the config file and update the contexts list and includes
+      // together, so a failure leaves everything under the old name. The
+      // contexts are read again under the locks, so a change another command
+      // made meanwhile is kept
+      const context = await this.fileSystem.runTransaction(
+        async (transaction) => {
+          const current = (await transaction.loadContexts()) || [];
+          const stored = current.find((c) => c.name === oldName);
+          if (!stored) {
+            throw new GitContextError(
+              `Context "${oldName}" not found`,
+              EXIT_CODES.NO_MATCH
+            );
+          }
+          if (current.some((c) => c.name === newName)) {
+            throw new GitContextError(
+              `Context "${newName}" already exists`,
+              EXIT_CODES.CONFLICT
+            );
+          }
+
+          const renamed = Context.fromObject({ ...stored, name: newName });
+
+          // Contexts extending the renamed one include its config file by
+          // name
+          const children = [];
+          const updatedContexts = current.map((obj) => {
+            if (obj === stored) {
+              return renamed;
+            }
+            if (obj.extends !== oldName) {
+              return obj;
+            }
+            const child = Context.fromObject({ ...obj, extends: newName });
+            children.push(child);
+            return child;
+          });
+
+          await this.fileSystem.createBackup("rename");
+          const movedPath = await transaction.renameContextConfig(
+            oldName,
+            newName
+          );
+
+          if (!movedPath) {
+            // The old config file was missing, so write a fresh one
+            await transaction.saveContextConfig(
+              newName,
+              renamed.toConfigFileContent()
+            );
+          }
+          for (const child of children) {
+            await transaction.saveContextConfig(
+              child.name,
+              child.toConfigFileContent()
+            );
+          }
+
+          await transaction.saveContexts(updatedContexts);
+          await this._updateMainGitConfig(updatedContexts, transaction);
+          return renamed;
+        },
+        "rename"
+      );
+
+      this.ui.displaySuccess(
+        `Context "${oldName}" renamed to "${newName}" successfully!`
+      );
+      return context;
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
+      return null;
     }
   }
 
@@ -167,6 +756,7 @@ class GitContextSwitcher {
         this.ui.displayWarning(
           "No contexts configured yet. Nothing to remove."
         );
+        this.exitCode = EXIT_CODES.NO_MATCH;
         return;
       }
 
@@ -177,6 +767,7 @@ class GitContextSwitcher {
       const contextName = await this.ui.selectContextToRemove(contexts);
 
       if (!contextName) {
+        this.exitCode = EXIT_CODES.CANCELLED;
         return;
       }
 
@@ -191,54 +782,83 @@ class GitContextSwitcher {
         this.fileSystem.configFilePath,
       ]);
 
-      // Remove context config file
-      await this.fileSystem.deleteContextConfig(contextName);
+      // Remove the context config file and update the contexts list and the
+      // main git config together, from the contexts as they are once the
+      // locks are held
+      await this.fileSystem.runTransaction(async (transaction) => {
+        const current = (await transaction.loadContexts()) || [];
+        if (!current.some((c) => c.name === contextName)) {
+          throw new GitContextError(
+            `Context "${contextName}" not found`,
+            EXIT_CODES.NO_MATCH
+          );
+        }
 
-      // Update contexts list
-      const filteredContexts = contextObjects.filter(
-        (c) => c.name !== contextName
-      );
-      await this.fileSystem.saveContexts(filteredContexts);
+        // A context that others extend is included by their config files
+        const children = current
+          .filter((c) => c.extends === contextName)
+          .map((c) => c.name);
+        if (children.length > 0) {
+          throw new GitContextError(
+            `Context "${contextName}" is extended by ${children.join(
+              ", "
+            )}; change or remove those first`,
+            EXIT_CODES.CONFLICT
+          );
+        }
 
-      // Update main git config
-      await this._updateMainGitConfig(filteredContexts);
+        const filteredContexts = current.filter((c) => c.name !== contextName);
+        await this.fileSystem.createBackup("remove");
+        await transaction.deleteContextConfig(contextName);
+        await transaction.saveContexts(filteredContexts);
+        await this._updateMainGitConfig(filteredContexts, transaction);
+      }, "remove");
 
       this.ui.displaySuccess(`Context "${contextName}" removed successfully!`);
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
     }
   }
 
   /**
-   * Apply context based on current directory
+   * Show which context applies to the current directory
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Object|null>} The directory, the matching context and
+   * its config file, and whether it is the fallback context, or null on
+   * failure
    */
-  async applyContext() {
+  async applyContext({ format = "text" } = {}) {
     try {
       // Load existing contexts
       const contextObjects = await this.fileSystem.loadContexts();
 
-      if (!contextObjects || contextObjects.length === 0) {
+      if (
+        format === "text" &&
+        (!contextObjects || contextObjects.length === 0)
+      ) {
         this.ui.displayWarning(
           "No contexts configured yet. Run setup to configure contexts."
         );
-        return;
+        this.exitCode = EXIT_CODES.NO_MATCH;
+        return { directory: process.cwd(), context: null, configFile: null };
       }
 
       // Convert plain objects to Context instances
-      const contexts = contextObjects.map((obj) => Context.fromObject(obj));
+      const contexts = (contextObjects || []).map((obj) =>
+        Context.fromObject(obj)
+      );
 
       // Get current directory
       const currentDir = process.cwd();
 
-      // Find the first matching context based on path pattern
-      let matchedContext = null;
-      for (const context of contexts) {
-        const pattern = pathPatternToRegex(context.pathPattern);
-        if (pattern.test(currentDir)) {
-          matchedContext = context;
-          break;
-        }
-      }
+      const repository = await this.gitService.getRepositoryState();
+      const {
+        context: matchedContext,
+        fallback,
+        uncertain,
+      } = this._resolveContextForPath(contexts, currentDir, repository);
 
       // Get active git config
       let activeConfig = "";
@@ -248,53 +868,310 @@ class GitContextSwitcher {
         // Silently ignore git config errors
       }
 
+      const result = {
+        directory: currentDir,
+        context: matchedContext ? matchedContext.name : null,
+        fallback,
+        uncertain,
+        configFile: matchedContext
+          ? this._contextConfigFile(matchedContext.name)
+          : null,
+        activeConfig,
+      };
+      if (!matchedContext) {
+        this.exitCode = EXIT_CODES.NO_MATCH;
+      }
+      if (format !== "text") {
+        this.ui.displayStructured(result, format);
+        return result;
+      }
+
       // Display result
       this.ui.displayActiveContext(
         matchedContext,
         this.fileSystem.gitConfigDirPath,
-        activeConfig
+        activeConfig,
+        fallback
       );
+      if (uncertain) {
+        this.ui.displayWarning(UNCERTAIN_CONTEXT_WARNING);
+      }
+      return result;
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
+      return null;
     }
   }
 
   /**
-   * Detect context based on repository URL
+   * Show the identity git uses in the current directory, asking git itself,
+   * and compare it with the context this tool expects
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Object|null>} Status with the effective values, the
+   * expected and applied contexts and any mismatches, or null on failure
    */
-  async detectContextFromUrl() {
+  async showStatus({ format = "text" } = {}) {
     try {
-      // Load existing contexts
-      const contextObjects = await this.fileSystem.loadContexts();
+      const contextObjects = (await this.fileSystem.loadContexts()) || [];
+      const contexts = contextObjects.map((obj) => Context.fromObject(obj));
 
-      if (!contextObjects || contextObjects.length === 0) {
-        this.ui.displayWarning(
-          "No contexts configured yet. Run setup to configure contexts."
-        );
-        return;
+      const directory = process.cwd();
+      const insideRepository = await this.gitService.isInsideWorkTree();
+      const repository = insideRepository
+        ? await this.gitService.getRepositoryState()
+        : null;
+      const {
+        context: expected,
+        fallback,
+        uncertain,
+      } = this._resolveContextForPath(contexts, directory, repository);
+      const config = await this.gitService.getEffectiveConfig(STATUS_KEYS);
+
+      const configEntries = new Map(Object.entries(config));
+      const values = STATUS_KEYS.map((key) => {
+        const entries = configEntries.get(key) || [];
+        const effective = entries[entries.length - 1];
+        return { key, ...(effective || { value: null }) };
+      });
+
+      // The contexts whose config files git included
+      const included = [
+        ...new Set(
+          Object.values(config)
+            .flat()
+            .filter(
+              (entry) =>
+                entry.file &&
+                path.dirname(entry.file) === this.fileSystem.gitConfigDirPath
+            )
+            .map((entry) => path.basename(entry.file, ".gitconfig"))
+        ),
+      ];
+      // The files of the contexts an applied context extends are included
+      // through its own file, so they don't count either
+      const defaultContext = contexts.find((context) => context.isDefault);
+      const inherited = included.flatMap((name) =>
+        this._ancestorNames(
+          contexts.find((context) => context.name === name),
+          contexts
+        )
+      );
+      const applied =
+        this._appliedContextName(config, contexts, included, inherited) ||
+        // Without a context file holding the identity, guess from the
+        // included files. The default context's file is always included, so
+        // it only counts when no other context's is.
+        included.find(
+          (name) =>
+            !inherited.includes(name) &&
+            (!defaultContext || name !== defaultContext.name)
+        ) ||
+        included.at(0) ||
+        null;
+
+      const mismatches = [];
+      if (insideRepository) {
+        const expectedName = expected ? expected.name : null;
+        if (expectedName !== applied) {
+          // Git may rightly apply another context when a condition couldn't
+          // be evaluated here
+          if (!uncertain) {
+            mismatches.push(
+              `Expected context ${
+                expectedName ? `"${expectedName}"` : "none"
+              }, but git applies ${applied ? `"${applied}"` : "none"}`
+            );
+          }
+        } else if (expected) {
+          // Same context, but a file read later can still override a value
+          const effective = this._resolveGitConfig(expected, contexts);
+          for (const key of ["user.name", "user.email", "user.signingkey"]) {
+            const wanted = getConfigValue(effective, key);
+            const actual = values.find((v) => v.key === key);
+            if (wanted && actual.value !== wanted) {
+              mismatches.push(
+                `${key} is "${actual.value}" from ${actual.origin}, but context "${expected.name}" sets "${wanted}"`
+              );
+            }
+          }
+        }
       }
 
-      // Convert plain objects to Context instances
-      const contexts = contextObjects.map((obj) => Context.fromObject(obj));
+      const status = {
+        directory,
+        insideRepository,
+        expectedContext: expected ? expected.name : null,
+        fallback,
+        uncertain,
+        appliedContext: applied,
+        values,
+        mismatches,
+      };
+      if (mismatches.length > 0) {
+        this.exitCode = EXIT_CODES.CONFLICT;
+      }
+      if (format !== "text") {
+        this.ui.displayStructured(status, format, values);
+        return status;
+      }
+      this.ui.displayStatus(status);
+      return status;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
 
-      // Get repository URL from current directory
-      const repoUrl = await this.gitService.getRepositoryUrl();
+  /**
+   * Find the context git takes the identity from: the one whose config file
+   * holds the effective user.email, or else user.name. When that file
+   * belongs to a context another included context extends, the identity is
+   * inherited, so the extending context is the applied one.
+   * @param {Object} config Effective config from git, by key
+   * @param {Array<Context>} contexts All contexts
+   * @param {string[]} included Names of the contexts whose files git included
+   * @param {string[]} inherited Names of the contexts included contexts
+   * extend
+   * @returns {string|null} Context name, or null if no context file holds
+   * the identity
+   * @private
+   */
+  _appliedContextName(config, contexts, included, inherited) {
+    const winner = [config["user.email"], config["user.name"]]
+      .map((entries) => (entries || []).at(-1))
+      .find(
+        (entry) =>
+          entry &&
+          entry.file &&
+          path.dirname(entry.file) === this.fileSystem.gitConfigDirPath
+      );
+    if (!winner) {
+      return null;
+    }
 
-      if (!repoUrl) {
-        this.ui.displayWarning(
-          "No git repository found in the current directory, or no remote URL configured."
+    const name = path.basename(winner.file, ".gitconfig");
+    const child = included.find(
+      (candidate) =>
+        !inherited.includes(candidate) &&
+        this._ancestorNames(
+          contexts.find((context) => context.name === candidate),
+          contexts
+        ).includes(name)
+    );
+    return child || name;
+  }
+
+  /**
+   * Move the conditional includes earlier versions wrote without markers
+   * into the managed block
+   * @returns {Promise<Object|null>} The headers of the migrated include
+   * sections, or null on failure
+   */
+  async migrateIncludes() {
+    try {
+      const configContent = await this.fileSystem.readGitConfig();
+
+      if (this.gitService.hasManagedBlock(configContent)) {
+        this.ui.displaySuccess(
+          `${this.fileSystem.gitConfigPath} already uses the managed block, nothing to migrate`
         );
-        return;
+        return { migrated: [] };
       }
 
-      // Find matching context
-      const matchedContext = this.gitService.detectContextFromUrl(
-        contexts,
-        repoUrl
+      const { sections } = this.gitService.removeLegacyIncludes(
+        configContent,
+        this.fileSystem.gitConfigDirPath
       );
 
-      // Display result
-      if (matchedContext) {
+      const backup = await this.fileSystem.runTransaction(
+        async (transaction) => {
+          const contextObjects = (await transaction.loadContexts()) || [];
+          const contexts = contextObjects.map((obj) => Context.fromObject(obj));
+          const created = await this.fileSystem.createBackup("migrate");
+          await this._updateMainGitConfig(contexts, transaction);
+          return created;
+        },
+        "migrate"
+      );
+      this._displayBackup(backup);
+
+      for (const header of sections) {
+        this.ui.displayValue(header);
+      }
+      this.ui.displaySuccess(
+        `Migrated ${sections.length} include section(s) into the managed block`
+      );
+      return { migrated: sections };
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Detect context based on repository URL
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Object|null>} The repository URL, or null outside a
+   * repository, with the matching context and its config file, or null on
+   * failure
+   */
+  async detectContextFromUrl({ format = "text" } = {}) {
+    try {
+      // Load existing contexts
+      const contextObjects = await this.fileSystem.loadContexts();
+
+      if (
+        format === "text" &&
+        (!contextObjects || contextObjects.length === 0)
+      ) {
+        this.ui.displayWarning(
+          "No contexts configured yet. Run setup to configure contexts."
+        );
+        this.exitCode = EXIT_CODES.NO_MATCH;
+        return { url: null, context: null, configFile: null };
+      }
+
+      // Convert plain objects to Context instances
+      const contexts = (contextObjects || []).map((obj) =>
+        Context.fromObject(obj)
+      );
+
+      // Get repository URL from current directory
+      const repoUrl = await this.gitService.getRepositoryUrl();
+
+      // Find matching context
+      const matchedContext = repoUrl
+        ? this.gitService.detectContextFromUrl(contexts, repoUrl)
+        : null;
+
+      const result = {
+        url: repoUrl || null,
+        context: matchedContext ? matchedContext.name : null,
+        configFile: matchedContext
+          ? this._contextConfigFile(matchedContext.name)
+          : null,
+      };
+      if (!matchedContext) {
+        this.exitCode = EXIT_CODES.NO_MATCH;
+      }
+      if (format !== "text") {
+        this.ui.displayStructured(result, format);
+        return result;
+      }
+
+      if (!repoUrl) {
+        this.ui.displayWarning(
+          "No git repository found in the current directory, or no remote URL configured."
+        );
+        return result;
+      }
+
+      // Display result
+      if (matchedContext) {
         this.ui.displaySuccess(
           `Repository URL "${repoUrl}" matches context: ${matchedContext.name}`
         );
@@ -317,8 +1194,10 @@ class GitContextSwitcher {
           `Repository URL "${repoUrl}" does not match any configured context URL patterns.`
         );
       }
+      return result;
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
+      return null;
     }
   }
 
@@ -334,6 +1213,7 @@ class GitContextSwitcher {
         this.ui.displayWarning(
           "No contexts configured yet. Nothing to export."
         );
+        this.exitCode = EXIT_CODES.NO_MATCH;
         return;
       }
 
@@ -352,7 +1232,7 @@ class GitContextSwitcher {
         this.fileSystem.gitConfigDirPath
       );
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
     }
   }
 
@@ -369,6 +1249,7 @@ class GitContextSwitcher {
 
       if (!importedContexts || importedContexts.length === 0) {
         this.ui.displayWarning("No contexts found in the import file.");
+        this.exitCode = EXIT_CODES.NO_MATCH;
         return;
       }
 
@@ -410,6 +1291,7 @@ class GitContextSwitcher {
       // If no valid contexts, exit
       if (validContexts.length === 0) {
         this.ui.displayError("No valid contexts found in the import file.");
+        this.exitCode = EXIT_CODES.VALIDATION;
         return;
       }
 
@@ -419,6 +1301,7 @@ class GitContextSwitcher {
 
       if (!confirmation || selectedContexts.length === 0) {
         this.ui.displayWarning("Import cancelled.");
+        this.exitCode = EXIT_CODES.CANCELLED;
         return;
       }
 
@@ -446,24 +1329,9 @@ class GitContextSwitcher {
 
         if (replaceExisting) {
           // Replace existing contexts with the same name
-          const merged = [
-            ...existingContexts.filter((c) => !duplicates.includes(c.name)),
-            ...selectedContexts,
-          ];
-
-          // Save merged contexts
-          await this.fileSystem.saveContexts(merged);
-
-          // Save context configs
-          for (const context of selectedContexts) {
-            await this.fileSystem.saveContextConfig(
-              context.name,
-              context.toConfigFileContent()
-            );
-          }
-
-          // Update main git config
-          await this._updateMainGitConfig(merged);
+          await this._saveImportedContexts(selectedContexts, {
+            replace: true,
+          });
 
           this.ui.displaySuccess(
             `Imported ${selectedContexts.length} contexts (replaced ${duplicates.length} existing contexts).`
@@ -478,25 +1346,12 @@ class GitContextSwitcher {
             this.ui.displayWarning(
               "No contexts imported due to name conflicts."
             );
+            this.exitCode = EXIT_CODES.CONFLICT;
             return;
           }
 
           // Merge with existing contexts
-          const merged = [...existingContexts, ...nonDuplicates];
-
-          // Save merged contexts
-          await this.fileSystem.saveContexts(merged);
-
-          // Save context configs
-          for (const context of nonDuplicates) {
-            await this.fileSystem.saveContextConfig(
-              context.name,
-              context.toConfigFileContent()
-            );
-          }
-
-          // Update main git config
-          await this._updateMainGitConfig(merged);
+          await this._saveImportedContexts(nonDuplicates);
 
           this.ui.displaySuccess(
             `Imported ${nonDuplicates.length} contexts (skipped ${duplicates.length} duplicate contexts).`
@@ -504,21 +1359,7 @@ class GitContextSwitcher {
         }
       } else {
         // No duplicates, just add all selected contexts
-        const merged = [...existingContexts, ...selectedContexts];
-
-        // Save merged contexts
-        await this.fileSystem.saveContexts(merged);
-
-        // Save context configs
-        for (const context of selectedContexts) {
-          await this.fileSystem.saveContextConfig(
-            context.name,
-            context.toConfigFileContent()
-          );
-        }
-
-        // Update main git config
-        await this._updateMainGitConfig(merged);
+        await this._saveImportedContexts(selectedContexts);
 
         this.ui.displaySuccess(`Imported ${selectedContexts.length} contexts.`);
       }
@@ -530,32 +1371,1444 @@ class GitContextSwitcher {
         this.fileSystem.gitConfigDirPath
       );
     } catch (error) {
-      this.ui.displayError(error.message);
+      this._fail(error);
+    }
+  }
+
+  /**
+   * Back up the main git config, the contexts file and the context configs
+   * @returns {Promise<Object|null>} The backup, or null if it failed
+   */
+  async createBackup() {
+    try {
+      const backup = await this.fileSystem.createBackup();
+      this._displayBackup(backup);
+      return backup;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Report the backup a command took, or would take in dry-run mode
+   * @param {Object} backup Backup returned by the file system
+   * @returns {void}
+   * @private
+   */
+  _displayBackup(backup) {
+    this.ui.displaySuccess(
+      this.fileSystem.dryRun
+        ? `Would back up the current configuration as ${backup.id}`
+        : `Backed up the current configuration as ${backup.id}`
+    );
+  }
+
+  /**
+   * List the backups with the number of lines that changed since each one
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Array|null>} Backups, newest first, with their changes,
+   * or null if they could not be listed
+   */
+  async listBackups({ format = "text" } = {}) {
+    try {
+      const backups = await this.fileSystem.listBackups();
+      if (format === "text" && backups.length === 0) {
+        this.ui.displayWarning(
+          "No backups yet. Run backup create to take one."
+        );
+        return [];
+      }
+
+      const current = await this.fileSystem.readConfigurationFiles();
+      for (const backup of backups) {
+        const files = await this.fileSystem.readBackup(backup.id);
+        backup.changes = { added: 0, removed: 0 };
+        for (const name of new Set([...files.keys(), ...current.keys()])) {
+          // Count what restoring the backup would change
+          const { added, removed } = countLineChanges(
+            current.has(name) ? current.get(name) : null,
+            files.has(name) ? files.get(name) : null
+          );
+          backup.changes.added += added;
+          backup.changes.removed += removed;
+        }
+      }
+
+      if (format !== "text") {
+        this.ui.displayStructured(
+          backups,
+          format,
+          backups.map(({ changes, ...backup }) => ({
+            ...backup,
+            added: changes.added,
+            removed: changes.removed,
+          }))
+        );
+        return backups;
+      }
+
+      this.ui.displayBackups(backups, this.fileSystem.backupDirPath);
+      return backups;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Restore a backup, after backing up the current state so the restore can
+   * itself be undone
+   * @param {string} id Backup ID
+   * @returns {Promise<Object|null>} The restored files and the ID of the
+   * backup of the replaced state, or null if the restore failed
+   */
+  async restoreBackup(id) {
+    try {
+      // Fail on an unknown ID before taking a backup
+      await this.fileSystem.readBackup(id);
+
+      const previous = await this.fileSystem.createBackup("backup restore");
+      const files = await this.fileSystem.restoreBackup(id);
+
+      this.ui.displaySuccess(
+        this.fileSystem.dryRun
+          ? `Would restore backup ${id}. The replaced configuration would be saved as ${previous.id}`
+          : `Restored backup ${id}. The replaced configuration was saved as ${previous.id}`
+      );
+      return { files, previousBackup: previous.id };
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Delete all but the newest backups
+   * @param {number|string} keep Number of backups to keep
+   * @returns {Promise<Array<string>|null>} IDs of the deleted backups, or null
+   * if pruning failed
+   */
+  async pruneBackups(keep) {
+    try {
+      const count = Number(keep);
+      if (!Number.isInteger(count) || count < 0) {
+        throw new GitContextError(
+          `Invalid number of backups to keep: "${keep}", it must be 0 or more`,
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      const backups = await this.fileSystem.listBackups();
+      const removed = backups.slice(count).map((backup) => backup.id);
+      for (const id of removed) {
+        await this.fileSystem.deleteBackup(id);
+      }
+
+      const kept = backups.length - removed.length;
+      this.ui.displaySuccess(
+        this.fileSystem.dryRun
+          ? `Would remove ${removed.length} backup(s) and keep ${kept}`
+          : `Removed ${removed.length} backup(s), kept ${kept}`
+      );
+      return removed;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Revert the most recent command recorded in the journal
+   * @param {Object} [options={}] Command line options
+   * @param {boolean} [options.force=false] Revert even if the files were
+   * changed after the command ran
+   * @returns {Promise<Object|null>} The undone journal entry, an empty object
+   * if there was nothing to undo, or null if the undo failed
+   */
+  async undo({ force = false } = {}) {
+    try {
+      const entry = await this.fileSystem.undoLastOperation({ force });
+      if (!entry) {
+        this.ui.displayWarning("Nothing to undo.");
+        return {};
+      }
+
+      for (const file of entry.files) {
+        this.ui.displayValue(file.name);
+      }
+      const createdAt = new Date(entry.createdAt).toLocaleString();
+      this.ui.displaySuccess(
+        this.fileSystem.dryRun
+          ? `Would undo "${entry.command}" from ${createdAt}`
+          : `Undid "${entry.command}" from ${createdAt}`
+      );
+      return entry;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Show the journal of commands that changed the configuration
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Array|null>} Journal entries, newest first, or null if
+   * they could not be read
+   */
+  async showHistory({ format = "text" } = {}) {
+    try {
+      const entries = await this.fileSystem.listJournal();
+      if (format === "text" && entries.length === 0) {
+        this.ui.displayWarning("No changes recorded yet.");
+        return [];
+      }
+
+      for (const entry of entries) {
+        entry.changes = { added: 0, removed: 0 };
+        for (const file of entry.files) {
+          const { added, removed } = countLineChanges(
+            file.before ? file.before.content : null,
+            file.after
+          );
+          entry.changes.added += added;
+          entry.changes.removed += removed;
+        }
+      }
+
+      if (format !== "text") {
+        // The file contents stay out; they can be large and undo uses them
+        const summaries = entries.map((entry) => ({
+          id: entry.id,
+          createdAt: entry.createdAt,
+          command: entry.command,
+          files: entry.files.map((file) => file.name),
+          changes: entry.changes,
+          undoneAt: entry.undoneAt || null,
+        }));
+        this.ui.displayStructured(
+          summaries,
+          format,
+          summaries.map(({ changes, ...summary }) => ({
+            ...summary,
+            added: changes.added,
+            removed: changes.removed,
+          }))
+        );
+        return entries;
+      }
+
+      this.ui.displayHistory(entries);
+      return entries;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep every file change in memory instead of writing it, so commands can
+   * be tried out and their changes shown with showDryRunChanges()
+   * @returns {void}
+   */
+  enableDryRun() {
+    this.fileSystem.enableDryRun();
+  }
+
+  /**
+   * Show a unified diff for every file the commands run in dry-run mode would
+   * have changed
+   * @returns {Promise<Array|null>} The changed files with their path and old
+   * and new content, or null if they could not be compared
+   */
+  async showDryRunChanges() {
+    try {
+      const files = await this.fileSystem.getDryRunChanges();
+      if (files.length === 0) {
+        this.ui.displayWarning("Dry run: no files would change.");
+        return [];
+      }
+
+      for (const file of files) {
+        const oldLabel = file.before === null ? "/dev/null" : file.path;
+        const newLabel = file.after === null ? "/dev/null" : file.path;
+        // Files that only differ in a final newline have no changed lines
+        this.ui.displayDiff(
+          formatUnifiedDiff(file.before, file.after, { oldLabel, newLabel }) ||
+            `--- ${oldLabel}\n+++ ${newLabel}\n`
+        );
+      }
+      this.ui.displayWarning(
+        `Dry run: ${files.length} file(s) would change, nothing was written.`
+      );
+      return files;
+    } catch (error) {
+      this._fail(error);
+      return null;
     }
   }
 
   /**
    * List available templates
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Array|null>} The templates, or null on failure
    */
-  async listTemplates() {
+  async listTemplates({ format = "text" } = {}) {
     try {
-      const templates = Context.getTemplates();
+      // Invalid template files are listed with what is wrong with them
+      const templates = (await this._loadTemplates()).map((template) => {
+        const { errors } = Context.validateTemplate(template);
+        return errors.length > 0 ? { ...template, errors } : template;
+      });
+      if (format !== "text") {
+        this.ui.displayStructured(
+          templates,
+          format,
+          templates.map(
+            ({ name, description, sshKey, urlPatterns, source, errors }) => ({
+              name,
+              description,
+              sshKey,
+              urlPatterns,
+              source: source || "built-in",
+              errors,
+            })
+          )
+        );
+        return templates;
+      }
       this.ui.displayTemplates(templates);
+      return templates;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Show a template with the git config a context created from it starts
+   * with
+   * @param {string} templateName Template name
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Object|null>} The template, or null if it doesn't exist
+   */
+  async showTemplate(templateName, { format = "text" } = {}) {
+    try {
+      const template = (await this._loadTemplates()).find(
+        (t) => t.name === templateName
+      );
+      if (!template) {
+        throw new GitContextError(
+          `Template "${templateName}" not found`,
+          EXIT_CODES.NO_MATCH
+        );
+      }
+
+      const { errors } = Context.validateTemplate(template);
+      const shown = errors.length > 0 ? { ...template, errors } : template;
+      if (errors.length > 0) {
+        this.exitCode = EXIT_CODES.VALIDATION;
+      }
+
+      if (format !== "text") {
+        this.ui.displayStructured(shown, format);
+        return shown;
+      }
+      this.ui.displayTemplates([shown], "Template");
+      if (template.gitConfig && Object.keys(template.gitConfig).length > 0) {
+        this.ui.displayContextConfig(serializeGitConfig(template.gitConfig));
+      }
+      return shown;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Copy a template file into the user's templates directory, after
+   * checking that it is a valid template
+   * @param {string} filePath Path to the template file
+   * @param {Object} [options={}] Command line options
+   * @param {boolean} [options.force=false] Replace a template of the user's
+   * with the same name
+   * @returns {Promise<string|null>} Path the template was saved to, or null
+   * if it was not added
+   */
+  async addTemplate(filePath, { force = false } = {}) {
+    try {
+      const template = await this.fileSystem.readTemplate(
+        path.resolve(filePath)
+      );
+      return await this._saveTemplate(template, { force });
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Turn an existing context into a template. The identity and signing key
+   * are left out, as they belong to the user of the context, and settings
+   * from contexts it extends are included.
+   * @param {string} contextName Context to create the template from
+   * @param {Object} [options={}] Command line options
+   * @param {string} [options.name] Template name, by default the context's
+   * @param {boolean} [options.force=false] Replace a template of the user's
+   * with the same name
+   * @returns {Promise<string|null>} Path the template was saved to, or null
+   * if it was not saved
+   */
+  async saveContextAsTemplate(contextName, { name, force = false } = {}) {
+    try {
+      const { contextObjects, context } = await this._loadContext(contextName);
+
+      // The settings of the contexts it extends, overridden by its own. The
+      // stored values are used rather than the config file's, which spells
+      // out the SSH key as a core.sshCommand.
+      const chain = [...context.ancestors(contextObjects).reverse(), context];
+      const merged = new Map();
+      for (const { gitConfig: settings } of chain) {
+        for (const [key, value] of Object.entries(settings || {})) {
+          const canonical = canonicalConfigKey(key) || key;
+          merged.delete(canonical);
+          merged.set(canonical, [key, value]);
+        }
+      }
+      const gitConfig = Object.fromEntries(
+        [...merged]
+          .filter(
+            ([canonical]) =>
+              !["user.signingkey", "gpg.ssh.allowedsignersfile"].includes(
+                canonical
+              )
+          )
+          .map(([canonical, [key, value]]) => [
+            key,
+            ["user.name", "user.email"].includes(canonical) ? "" : value,
+          ])
+      );
+      const withSshKey = [...chain].reverse().find((c) => c.sshKey);
+
+      const template = {
+        name: name || context.name,
+        description: context.description,
+        ...(withSshKey ? { sshKey: withSshKey.sshKey } : {}),
+        gitConfig,
+        urlPatterns: context.urlPatterns,
+      };
+      return await this._saveTemplate(template, { force });
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a template from the user's templates directory. Built-in
+   * templates and those in the shared templates directory can't be removed.
+   * @param {string} templateName Template name
+   * @returns {Promise<string|null>} Path of the removed template file, or
+   * null if it was not removed
+   */
+  async removeTemplate(templateName) {
+    try {
+      const template = (await this._loadTemplates()).find(
+        (t) => t.name === templateName
+      );
+      if (!template) {
+        throw new GitContextError(
+          `Template "${templateName}" not found`,
+          EXIT_CODES.NO_MATCH
+        );
+      }
+      if (!this._isUserTemplate(template)) {
+        throw new GitContextError(
+          template.source
+            ? `Template "${templateName}" comes from ${template.source} and can only be removed there`
+            : `Template "${templateName}" is built in and cannot be removed`,
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      await this.fileSystem.deleteTemplate(
+        path.basename(template.source, ".json")
+      );
+      this.ui.displaySuccess(
+        `Template "${templateName}" removed successfully!`
+      );
+      return template.source;
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Audit the installation: git, the contexts file, the context config files
+   * and the conditional includes in the main git config
+   * @param {Object} [options={}] Doctor options
+   * @param {boolean} [options.fix=false] Repair the problems that can be repaired
+   * @param {string} [options.format="text"] Output format: text, json, yaml
+   * or table
+   * @returns {Promise<Object|null>} Report with every check and whether the
+   * installation is healthy, or null if the audit itself failed
+   */
+  async runDoctor({ fix = false, format = "text" } = {}) {
+    try {
+      const checks = [];
+      const addCheck = (name, status, message, details = [], fixable) => {
+        const check = {
+          name,
+          status,
+          message,
+          details,
+          fixable: Boolean(fixable),
+          fixed: false,
+        };
+        checks.push(check);
+        return check;
+      };
+
+      // Git installation
+      try {
+        await this.gitService.checkInstalled();
+        addCheck("Git", "pass", "Git is installed");
+      } catch (error) {
+        addCheck("Git", "fail", error.message);
+      }
+
+      const audit = async (files) => {
+        if (fix) {
+          await this.fileSystem.createBackup("doctor --fix");
+        }
+
+        // Contexts file
+        let contextObjects;
+        try {
+          contextObjects = await files.loadContexts({ strict: true });
+        } catch (error) {
+          addCheck("Contexts file", "fail", error.message);
+        }
+
+        // Valid JSON that isn't a list can't be read as contexts; the fix
+        // replaces it with an empty list, the backup keeps the original
+        if (contextObjects !== undefined && !Array.isArray(contextObjects)) {
+          const check = addCheck(
+            "Contexts file",
+            "fail",
+            `${this.fileSystem.configFilePath} holds ${
+              contextObjects === null
+                ? "null"
+                : `a JSON ${typeof contextObjects}`
+            } instead of a list of contexts`,
+            [],
+            true
+          );
+          if (fix) {
+            await files.saveContexts([]);
+            check.fixed = true;
+          }
+          contextObjects = undefined;
+        }
+
+        // Everything else depends on the contexts
+        if (contextObjects) {
+          await this._doctorContexts(contextObjects, addCheck, fix, files);
+        }
+      };
+
+      // The repairs are written, rolled back and undone together
+      if (fix) {
+        await this.fileSystem.runTransaction(audit, "doctor --fix");
+      } else {
+        await audit(this.fileSystem);
+      }
+
+      const healthy = checks.every(
+        (check) => check.status !== "fail" || check.fixed
+      );
+      if (!healthy) {
+        this.exitCode = EXIT_CODES.ERROR;
+      }
+      if (format !== "text") {
+        this.ui.displayStructured({ healthy, checks }, format, checks);
+        return { checks, healthy };
+      }
+      this.ui.displayDoctorReport(checks);
+      return { checks, healthy };
+    } catch (error) {
+      this._fail(error);
+      return null;
+    }
+  }
+
+  /**
+   * Run the doctor checks that need the stored contexts
+   * @param {Array} contextObjects Stored contexts
+   * @param {Function} addCheck Records a check result
+   * @param {boolean} fix Repair the problems that can be repaired
+   * @param {FileSystem|FileTransaction} files Where to read the files and
+   * stage the repairs
+   * @private
+   */
+  async _doctorContexts(contextObjects, addCheck, fix, files) {
+    const contexts = [];
+    const invalid = [];
+
+    for (const obj of contextObjects) {
+      try {
+        const context = Context.fromObject(obj);
+        const validation = context.validate(contextObjects);
+        if (!validation.isValid) {
+          invalid.push(`${context.name}: ${validation.errors.join(", ")}`);
+        }
+        contexts.push(context);
+      } catch (error) {
+        invalid.push(`${(obj && obj.name) || "(unnamed)"}: ${error.message}`);
+      }
+    }
+
+    if (invalid.length > 0) {
+      addCheck(
+        "Contexts file",
+        "fail",
+        `${invalid.length} invalid context(s)`,
+        invalid
+      );
+    } else {
+      addCheck(
+        "Contexts file",
+        "pass",
+        `${contexts.length} context(s), all valid`
+      );
+    }
+
+    // Each context has an up to date config file
+    const missing = [];
+    const stale = [];
+    for (const context of contexts) {
+      const content = await files.readContextConfig(context.name);
+      if (content === null) {
+        missing.push(context);
+      } else if (content !== context.toConfigFileContent()) {
+        stale.push(context);
+      }
+    }
+
+    if (missing.length > 0 || stale.length > 0) {
+      const check = addCheck(
+        "Context config files",
+        missing.length > 0 ? "fail" : "warn",
+        `${missing.length} missing, ${stale.length} out of date`,
+        [
+          ...missing.map((c) => `${c.name}.gitconfig is missing`),
+          ...stale.map((c) => `${c.name}.gitconfig is out of date`),
+        ],
+        true
+      );
+      if (fix) {
+        for (const context of [...missing, ...stale]) {
+          await files.saveContextConfig(
+            context.name,
+            context.toConfigFileContent()
+          );
+        }
+        check.fixed = true;
+      }
+    } else {
+      addCheck(
+        "Context config files",
+        "pass",
+        "Every context has its config file"
+      );
+    }
+
+    // Config files that no context uses
+    const names = new Set(contexts.map((c) => c.name));
+    const orphaned = (await files.listContextConfigs()).filter(
+      (name) => !names.has(name)
+    );
+
+    if (orphaned.length > 0) {
+      const check = addCheck(
+        "Orphaned config files",
+        "warn",
+        `${orphaned.length} config file(s) without a context`,
+        orphaned.map((name) => `${name}.gitconfig`),
+        true
+      );
+      if (fix) {
+        for (const name of orphaned) {
+          await files.deleteContextConfig(name);
+        }
+        check.fixed = true;
+      }
+    } else {
+      addCheck("Orphaned config files", "pass", "No orphaned config files");
+    }
+
+    // The managed block of the main git config includes exactly what the
+    // contexts produce
+    const toLines = (content) =>
+      content
+        .split("\n")
+        .map((line) => line.trim())
+        .filter((line) => line !== "");
+    const gitConfigContent = await files.readGitConfig();
+    let actualIncludes = null;
+    try {
+      actualIncludes =
+        this.gitService.extractConditionalIncludes(gitConfigContent);
     } catch (error) {
-      this.ui.displayError(error.message);
+      // Damaged markers must be repaired by hand
+      addCheck("Conditional includes", "fail", error.message);
+    }
+
+    if (actualIncludes !== null) {
+      const actual = toLines(actualIncludes);
+      const expected = toLines(
+        this.gitService.generateConditionalIncludes(
+          contexts,
+          this.fileSystem.gitConfigDirPath
+        )
+      );
+      // Includes from before the managed block existed are migrated on fix
+      const legacy = this.gitService.hasManagedBlock(gitConfigContent)
+        ? []
+        : this.gitService.removeLegacyIncludes(
+            gitConfigContent,
+            this.fileSystem.gitConfigDirPath
+          ).sections;
+
+      if (legacy.length > 0 || actual.join("\n") !== expected.join("\n")) {
+        const check = addCheck(
+          "Conditional includes",
+          "fail",
+          legacy.length > 0
+            ? `${this.fileSystem.gitConfigPath} has includes from an earlier version outside the managed block`
+            : `${this.fileSystem.gitConfigPath} doesn't match the contexts`,
+          [
+            ...legacy.map((header) => `unmanaged: ${header}`),
+            ...expected
+              .filter((line) => !actual.includes(line))
+              .map((line) => `missing: ${line}`),
+            ...actual
+              .filter((line) => !expected.includes(line))
+              .map((line) => `unexpected: ${line}`),
+          ],
+          true
+        );
+        if (fix) {
+          await this._updateMainGitConfig(contexts, files);
+          check.fixed = true;
+        }
+      } else {
+        addCheck(
+          "Conditional includes",
+          "pass",
+          `${this.fileSystem.gitConfigPath} is up to date`
+        );
+      }
+    }
+
+    // Path patterns of different contexts shouldn't match the same repository
+    const overlaps = [];
+    contexts.forEach((context, i) => {
+      for (const other of contexts.slice(i + 1)) {
+        for (const pattern of context.pathPatterns) {
+          for (const otherPattern of other.pathPatterns) {
+            if (patternsOverlap(pattern, otherPattern)) {
+              overlaps.push(
+                `${context.name} (${pattern}) and ${other.name} (${otherPattern})`
+              );
+            }
+          }
+        }
+      }
+    });
+
+    if (overlaps.length > 0) {
+      addCheck(
+        "Path patterns",
+        "warn",
+        "Some path patterns overlap; the higher priority or more specific pattern wins",
+        overlaps
+      );
+    } else {
+      addCheck("Path patterns", "pass", "No overlapping path patterns");
+    }
+  }
+
+  /**
+   * Find the context git applies in a directory, testing the same conditions
+   * its includes are written with: path patterns against the directory, URL
+   * patterns against the remotes and include conditions against the
+   * repository
+   * When several conditions match, the one with the highest priority and
+   * then the most specific directory wins, the same order the includes are
+   * written in
+   * @param {Array} contexts Context instances
+   * @param {string} directory Directory to match
+   * @param {Object|null} [repository=null] Repository state from
+   * GitService.getRepositoryState(), null outside a repository
+   * @returns {Object} The winning context, or null, and whether a condition
+   * that couldn't be evaluated might have won instead
+   * @private
+   */
+  _findContextForPath(contexts, directory, repository = null) {
+    let winner = null;
+    const unknown = [];
+    // On a tie the later context wins, like the include git reads last
+    const consider = (match) => {
+      if (!winner || comparePrecedence(match, winner) >= 0) {
+        winner = match;
+      }
+    };
+
+    for (const [order, context] of contexts.entries()) {
+      const priority = context.priority || 0;
+      // Contexts without path patterns match no directory
+      for (const pattern of context.pathPatterns) {
+        const normalized = normalizePathPattern(pattern);
+        if (pathPatternToRegex(normalized).test(directory)) {
+          consider({
+            context,
+            order,
+            priority,
+            specificity: patternSpecificity(normalized),
+          });
+        }
+      }
+
+      for (const condition of this.gitService.otherIncludeConditions(context)) {
+        const matched = this.gitService.matchIncludeCondition(
+          condition,
+          repository
+        );
+        const match = {
+          context,
+          order,
+          priority,
+          specificity: this.gitService.conditionSpecificity(condition),
+        };
+        if (matched === null) {
+          unknown.push(match);
+        } else if (matched) {
+          consider(match);
+        }
+      }
+    }
+
+    // A condition git may or may not match only matters if it would win
+    const uncertain = unknown.some((match) => {
+      if (!winner) {
+        return true;
+      }
+      const precedence = comparePrecedence(match, winner);
+      return (
+        match.context !== winner.context &&
+        (precedence > 0 || (precedence === 0 && match.order > winner.order))
+      );
+    });
+    return { context: winner ? winner.context : null, uncertain };
+  }
+
+  /**
+   * Find the context git applies in a directory, falling back to the
+   * default context when no condition matches
+   * @param {Array} contexts Context instances
+   * @param {string} directory Directory to match
+   * @param {Object|null} [repository=null] Repository state from
+   * GitService.getRepositoryState(), null outside a repository
+   * @returns {Object} The context, or null if there is none, whether it is
+   * the fallback, and whether a condition that couldn't be evaluated might
+   * change it
+   * @private
+   */
+  _resolveContextForPath(contexts, directory, repository = null) {
+    const { context: matched, uncertain } = this._findContextForPath(
+      contexts,
+      directory,
+      repository
+    );
+    if (matched) {
+      return { context: matched, fallback: false, uncertain };
+    }
+
+    const fallback = contexts.find((context) => context.isDefault) || null;
+    return { context: fallback, fallback: fallback !== null, uncertain };
+  }
+
+  /**
+   * Resolve the configuration a context gives git, including what it
+   * inherits from the contexts it extends
+   * @param {Context} context Context to resolve
+   * @param {Array} contexts Every context
+   * @returns {Object} Map of dotted keys to values; only the context's own
+   * git config if the chain of contexts it extends is broken
+   * @private
+   */
+  _resolveGitConfig(context, contexts) {
+    try {
+      return context.effectiveGitConfig(contexts);
+    } catch {
+      // Validation reports the broken chain
+      return context.gitConfig;
     }
   }
 
+  /**
+   * Get the names of the contexts a context extends, directly or not
+   * @param {Context} [context] Context to follow, or undefined
+   * @param {Array} contexts Every context
+   * @returns {Array<string>} Names of the parents, nearest first; none if
+   * the chain is broken
+   * @private
+   */
+  _ancestorNames(context, contexts) {
+    try {
+      return context ? context.ancestors(contexts).map((c) => c.name) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Make sure only one context is the default
+   * @param {Array} contexts Contexts list
+   * @param {string} name Name of the context that stays the default
+   * @returns {Array} Contexts list where no other context is the default
+   * @private
+   */
+  _clearOtherDefaults(contexts, name) {
+    return contexts.map((context) =>
+      context.isDefault && context.name !== name
+        ? Context.fromObject({ ...context, isDefault: false })
+        : context
+    );
+  }
+
+  /**
+   * Warn about path patterns of a context that overlap those of other
+   * contexts, and say which context wins where both match
+   * @param {Context} context Context that was added or changed
+   * @param {Array} contexts Every context, including this one
+   * @param {Array<string>} [patterns=context.pathPatterns] Patterns to check
+   * @returns {void}
+   * @private
+   */
+  _warnAboutOverlaps(context, contexts, patterns = context.pathPatterns) {
+    const index = contexts.findIndex((other) => other.name === context.name);
+    contexts.forEach((other, otherIndex) => {
+      if (otherIndex === index) {
+        return;
+      }
+
+      for (const pattern of patterns) {
+        for (const otherPattern of other.pathPatterns || []) {
+          if (!patternsOverlap(pattern, otherPattern)) {
+            continue;
+          }
+
+          const order = comparePrecedence(
+            {
+              priority: context.priority || 0,
+              specificity: patternSpecificity(pattern),
+            },
+            {
+              priority: other.priority || 0,
+              specificity: patternSpecificity(otherPattern),
+            }
+          );
+          // On a tie the context later in the file wins
+          const winner =
+            order > 0 || (order === 0 && index > otherIndex)
+              ? context.name
+              : other.name;
+          this.ui.displayWarning(
+            `Path pattern "${pattern}" overlaps "${otherPattern}" of context "${other.name}"; "${winner}" wins where both match. Use --priority to change this.`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Report a command's error and remember the exit code it calls for
+   * @param {Error} error Error the command failed with
+   * @returns {void}
+   * @private
+   */
+  _fail(error) {
+    this.ui.displayError(error.message);
+    this.exitCode = exitCodeForError(error);
+  }
+
+  /**
+   * Path of a context's config file
+   * @param {string} name Context name
+   * @returns {string} Path to the config file in the config directory
+   * @private
+   */
+  _contextConfigFile(name) {
+    return path.join(this.fileSystem.gitConfigDirPath, `${name}.gitconfig`);
+  }
+
+  /**
+   * Gather the templates: the built-in ones, then the files in the shared
+   * templates directory, then the user's own. A template replaces an earlier
+   * one of the same name, so a company or user can change a built-in one.
+   * @param {Object} [options={}] Loading options
+   * @param {boolean} [options.validOnly=false] Leave out invalid templates,
+   * e.g. when offering them to choose from
+   * @returns {Promise<Array>} Templates, those read from files with the file
+   * in `source`
+   * @private
+   */
+  async _loadTemplates({ validOnly = false } = {}) {
+    const templates = new Map();
+    for (const template of [
+      ...Context.getTemplates(),
+      ...(await this.fileSystem.loadTemplates()),
+    ]) {
+      templates.set(template.name, template);
+    }
+    return [...templates.values()].filter(
+      (template) => !validOnly || Context.validateTemplate(template).isValid
+    );
+  }
+
+  /**
+   * Check whether a template is a file in the user's templates directory
+   * @param {Object} template Template to check
+   * @returns {boolean} True for the user's own templates
+   * @private
+   */
+  _isUserTemplate(template) {
+    return Boolean(
+      template.source &&
+      path.dirname(template.source) === this.fileSystem.templatesDirPath
+    );
+  }
+
+  /**
+   * Validate a template and write it to the user's templates directory
+   * @param {Object} template Template to save
+   * @param {Object} [options={}] Save options
+   * @param {boolean} [options.force=false] Replace a template of the user's
+   * with the same name
+   * @returns {Promise<string>} Path the template was saved to
+   * @throws {Error} If the template is invalid, its name is taken or a write
+   * fails
+   * @private
+   */
+  async _saveTemplate(template, { force = false } = {}) {
+    const data = { ...template };
+    delete data.source;
+
+    const validation = Context.validateTemplate(data);
+    if (!validation.isValid) {
+      throw new GitContextError(
+        `Invalid template: ${validation.errors.join(", ")}`,
+        EXIT_CODES.VALIDATION
+      );
+    }
+
+    const existing = (await this._loadTemplates()).find(
+      (t) => t.name === data.name
+    );
+    if (existing && this._isUserTemplate(existing)) {
+      if (!force) {
+        throw new GitContextError(
+          `Template "${data.name}" already exists; use --force to replace it`,
+          EXIT_CODES.CONFLICT
+        );
+      }
+      // The replaced template may be in a file named differently
+      const fileName = path.basename(existing.source, ".json");
+      if (fileName !== data.name) {
+        await this.fileSystem.deleteTemplate(fileName);
+      }
+    }
+
+    const templatePath = await this.fileSystem.saveTemplate(data);
+    this.ui.displaySuccess(`Template "${data.name}" saved to ${templatePath}`);
+    return templatePath;
+  }
+
+  /**
+   * Load the stored contexts and look up one of them by name
+   * @param {string} name Context name
+   * @returns {Promise<Object>} The stored context objects, the index of the
+   * named context and the context as a Context instance
+   * @throws {Error} If the context does not exist
+   * @private
+   */
+  async _loadContext(name) {
+    const contextObjects = (await this.fileSystem.loadContexts()) || [];
+    const index = contextObjects.findIndex((c) => c.name === name);
+
+    if (index === -1) {
+      throw new GitContextError(
+        `Context "${name}" not found`,
+        EXIT_CODES.NO_MATCH
+      );
+    }
+
+    const context = Context.fromObject(contextObjects.at(index));
+    return { contextObjects, index, context };
+  }
+
+  /**
+   * Change a stored context and write it in place of the stored one. The
+   * contexts are read inside the transaction, which holds the locks until
+   * the change is written, so the change builds on the latest state even if
+   * another command changed it since the caller looked.
+   * @param {string} name Name of the context to change
+   * @param {Function} update Receives the stored context as a Context
+   * instance and returns the changed context; it may throw to refuse the
+   * change
+   * @param {string} command Command making the change, recorded with the
+   * backup taken before it
+   * @returns {Promise<Object>} The changed context and the updated contexts
+   * list
+   * @throws {Error} If the context doesn't exist, the change is refused or
+   * invalid, or a write fails
+   * @private
+   */
+  async _replaceContext(name, update, command) {
+    return this.fileSystem.runTransaction(async (transaction) => {
+      const contextObjects = (await transaction.loadContexts()) || [];
+      const index = contextObjects.findIndex((c) => c.name === name);
+      if (index === -1) {
+        throw new GitContextError(
+          `Context "${name}" not found`,
+          EXIT_CODES.NO_MATCH
+        );
+      }
+
+      const context = update(Context.fromObject(contextObjects.at(index)));
+      let updatedContexts = contextObjects.map((obj, i) =>
+        i === index ? context : obj
+      );
+      if (context.isDefault) {
+        updatedContexts = this._clearOtherDefaults(
+          updatedContexts,
+          context.name
+        );
+      }
+
+      // Validate the context, including the contexts it extends
+      const validation = context.validate(updatedContexts);
+      if (!validation.isValid) {
+        throw new GitContextError(
+          `Invalid context: ${validation.errors.join(", ")}`,
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      // Rewrite the context config, the contexts list and the main git
+      // config together
+      await this.fileSystem.createBackup(command);
+      await transaction.saveContextConfig(
+        context.name,
+        context.toConfigFileContent()
+      );
+      await transaction.saveContexts(updatedContexts);
+      await this._updateMainGitConfig(updatedContexts, transaction);
+      return { context, contexts: updatedContexts };
+    }, command);
+  }
+
+  /**
+   * Save imported contexts together with their config files and includes.
+   * They are merged into the contexts read inside the transaction, so a
+   * context another command saved meanwhile is kept.
+   * @param {Array<Context>} imported Contexts to add
+   * @param {Object} [options={}] Merge options
+   * @param {boolean} [options.replace=false] Replace existing contexts with
+   * the same names instead of refusing the import
+   * @returns {Promise<void>}
+   * @throws {GitContextError} If an imported context's name is taken and
+   * replace isn't set, an imported context extends a context that doesn't
+   * exist, the contexts extend each other in a cycle or several imported
+   * contexts are the default
+   * @private
+   */
+  async _saveImportedContexts(imported, { replace = false } = {}) {
+    const names = imported.map((c) => c.name);
+
+    await this.fileSystem.runTransaction(async (transaction) => {
+      const existing = (await transaction.loadContexts()) || [];
+      const taken = existing.filter((c) => names.includes(c.name));
+      if (taken.length > 0 && !replace) {
+        throw new GitContextError(
+          `Context "${taken.at(0).name}" already exists`,
+          EXIT_CODES.CONFLICT
+        );
+      }
+      let merged = [
+        ...existing.filter((c) => !names.includes(c.name)),
+        ...imported,
+      ];
+      // Like add, an imported default takes over from the current one
+      const defaults = imported.filter((c) => c.isDefault);
+      if (defaults.length === 1) {
+        merged = this._clearOtherDefaults(merged, defaults.at(0).name);
+      }
+
+      // Imported contexts may extend each other or existing contexts, and
+      // only one of them can be the default
+      for (const context of imported.filter((c) => c.extends || c.isDefault)) {
+        const validation = context.validate(merged);
+        if (!validation.isValid) {
+          throw new GitContextError(
+            `Invalid context "${context.name}": ${validation.errors.join(
+              ", "
+            )}`,
+            EXIT_CODES.VALIDATION
+          );
+        }
+      }
+
+      await this.fileSystem.createBackup("import");
+      await transaction.saveContexts(merged);
+      for (const context of imported) {
+        await transaction.saveContextConfig(
+          context.name,
+          context.toConfigFileContent()
+        );
+      }
+      await this._updateMainGitConfig(merged, transaction);
+    }, "import");
+  }
+
+  /**
+   * Check whether any context option was passed on the command line
+   * @param {Object} options Command line options
+   * @returns {boolean} True if the context should be built from the options
+   * @private
+   */
+  _hasContextOptions(options) {
+    return Object.entries(options).some(
+      ([key, value]) =>
+        CONTEXT_OPTION_KEYS.includes(key) &&
+        (Array.isArray(value) ? value.length > 0 : value !== undefined)
+    );
+  }
+
+  /**
+   * Build a context from command line options without prompting
+   * @param {Object} options Command line options
+   * @param {Array} [templates] Templates --template can name, by default the
+   * built-in ones
+   * @returns {Context} New context instance
+   * @throws {Error} If a required option is missing or invalid
+   * @private
+   */
+  _contextFromOptions(options, templates) {
+    const given = new Map(Object.entries(options));
+    const missing = [
+      ["name", "--name"],
+      ["path", "--path"],
+      ["userName", "--user-name"],
+      ["email", "--email"],
+    ]
+      .filter(([key]) => !given.get(key) || !String(given.get(key)).trim())
+      .map(([, flag]) => flag)
+      // A context can inherit its identity from the context it extends
+      .filter(
+        (flag) => !options.extends || !["--user-name", "--email"].includes(flag)
+      )
+      // URL patterns and include conditions can take the place of a path
+      // pattern, since they become include conditions as well. The default
+      // context needs none, as it is included unconditionally.
+      .filter(
+        (flag) =>
+          flag !== "--path" ||
+          (!options.default &&
+            !["urlPattern", "includeIf"].some(
+              (key) => given.get(key) && given.get(key).length > 0
+            ))
+      );
+
+    if (missing.length > 0) {
+      throw new GitContextError(
+        `Missing required option(s): ${missing.join(", ")}`,
+        EXIT_CODES.VALIDATION
+      );
+    }
+
+    const name = options.name.trim();
+
+    // The constructor strips unsafe characters, so check the raw name first
+    if (!validateContextName(name)) {
+      throw new GitContextError(
+        "Context name can only contain letters, numbers, hyphens, and underscores",
+        EXIT_CODES.VALIDATION
+      );
+    }
+
+    const base = options.template
+      ? Context.fromTemplate(name, options.template, templates)
+      : new Context(name);
+
+    if (!options.signingKey && base.gitConfig["commit.gpgsign"] === "true") {
+      // Same as declining the signing key prompt for a signing template
+      base.gitConfig = { ...base.gitConfig, "commit.gpgsign": "false" };
+    }
+
+    return this._applyContextOptions(base, options);
+  }
+
+  /**
+   * Apply the changes an interactive edit made on top of the stored context.
+   * Settings are compared one by one, git config keys included, so settings
+   * the prompts left alone keep their stored value.
+   * @param {Context} before Context the prompts were filled with
+   * @param {Context} after Context the prompts returned
+   * @param {Context} current Context as stored now
+   * @returns {Context} New context instance with the changes applied
+   * @private
+   */
+  _applyEdit(before, after, current) {
+    const applyChanges = (from, to, target, skip = []) => {
+      const original = new Map(Object.entries(from));
+      const edited = new Map(Object.entries(to));
+      const result = new Map(Object.entries(target));
+      for (const key of new Set([...original.keys(), ...edited.keys()])) {
+        if (
+          skip.includes(key) ||
+          JSON.stringify(original.get(key)) === JSON.stringify(edited.get(key))
+        ) {
+          continue;
+        }
+        if (edited.has(key)) {
+          result.set(key, edited.get(key));
+        } else {
+          result.delete(key);
+        }
+      }
+      return Object.fromEntries(result);
+    };
+
+    return Context.fromObject({
+      ...applyChanges(before.toObject(), after.toObject(), current.toObject(), [
+        "gitConfig",
+      ]),
+      gitConfig: applyChanges(
+        before.gitConfig,
+        after.gitConfig,
+        current.gitConfig
+      ),
+    });
+  }
+
+  /**
+   * Apply command line options on top of an existing context
+   * @param {Context} base Context to start from
+   * @param {Object} options Command line options; only given options are applied
+   * @returns {Context} New context instance with the options applied
+   * @private
+   */
+  _applyContextOptions(base, options) {
+    let gitConfig = { ...base.gitConfig };
+    // --path is repeatable, but a single pattern may be passed as a string
+    const pathPatterns = []
+      .concat(options.path || [])
+      .map((pattern) => pattern.trim())
+      .filter((pattern) => pattern !== "");
+
+    if (options.userName) {
+      gitConfig["user.name"] = options.userName.trim();
+    }
+
+    if (options.email) {
+      gitConfig["user.email"] = options.email.trim();
+    }
+
+    const signingChanged = Object.entries(options).some(
+      ([key, value]) => SIGNING_OPTION_KEYS.includes(key) && value !== undefined
+    );
+
+    if (signingChanged) {
+      // Settings that are not given keep their current value, except that a
+      // new signing key turns on auto-signing
+      gitConfig = Context.applySigning(gitConfig, {
+        signingKey: options.signingKey
+          ? options.signingKey.trim()
+          : base.signingKey,
+        format: options.signingFormat || base.signingFormat,
+        autoSign: options.signingKey ? true : base.autoSign,
+        signTags:
+          options.signTags !== undefined ? options.signTags : base.signTags,
+        allowedSignersFile:
+          options.allowedSigners !== undefined
+            ? options.allowedSigners.trim()
+            : base.allowedSignersFile,
+      });
+    }
+
+    return Context.fromObject({
+      ...base.toObject(),
+      description:
+        options.description !== undefined
+          ? options.description
+          : base.description,
+      pathPatterns: pathPatterns.length > 0 ? pathPatterns : base.pathPatterns,
+      gitConfig,
+      urlPatterns:
+        options.urlPattern && options.urlPattern.length > 0
+          ? options.urlPattern.map((pattern) => pattern.trim())
+          : base.urlPatterns,
+      includeConditions:
+        options.includeIf && options.includeIf.length > 0
+          ? options.includeIf.map((condition) => condition.trim())
+          : base.includeConditions,
+      // An empty --ssh-key removes the key
+      sshKey:
+        options.sshKey !== undefined ? options.sshKey.trim() : base.sshKey,
+      // An empty --extends stops extending another context
+      extends:
+        options.extends !== undefined ? options.extends.trim() : base.extends,
+      // Anything that isn't a whole number fails validation
+      priority:
+        options.priority !== undefined
+          ? Number(options.priority)
+          : base.priority,
+      isDefault:
+        options.default !== undefined ? options.default : base.isDefault,
+    });
+  }
+
   /**
    * Update main git config with conditional includes
+   * @param {Array} contexts Contexts to generate includes for
+   * @param {FileSystem|FileTransaction} [files=this.fileSystem] Where to read
+   * and write the config, e.g. a transaction from runTransaction()
    * @private
    */
-  async _updateMainGitConfig(contexts) {
+  async _updateMainGitConfig(contexts, files = this.fileSystem) {
     // Read existing config
-    let configContent = await this.fileSystem.readGitConfig();
+    let configContent = await files.readGitConfig();
 
-    // Remove existing conditional includes
-    configContent = this.gitService.removeConditionalIncludes(configContent);
+    // The first time, take over the includes earlier versions wrote without
+    // markers, so they don't end up in the file twice
+    if (!this.gitService.hasManagedBlock(configContent)) {
+      configContent = this.gitService.removeLegacyIncludes(
+        configContent,
+        this.fileSystem.gitConfigDirPath
+      ).content;
+    }
 
     // Generate new includes section
     const includesSection = this.gitService.generateConditionalIncludes(
@@ -563,10 +2816,13 @@ class GitContextSwitcher {
       this.fileSystem.gitConfigDirPath
     );
 
-    // Append the new includes
-    configContent += "\n" + includesSection;
+    // Replace the managed block, leaving the rest of the file alone
+    configContent = this.gitService.replaceConditionalIncludes(
+      configContent,
+      includesSection
+    );
 
     // Write the updated config
-    await this.fileSystem.writeGitConfig(configContent);
+    await files.writeGitConfig(configContent);
   }
 }
@@ -7,9 +7,42 @@ import {
   validateEmail,
   validatePathPattern,
   validateUrlPattern,
+  validateGitConfigKey,
+  validateSshKeyPath,
+  validateIncludeCondition,
+  checkSshKeyFile,
 } from "../utils/security.js";
-import { normalizePathPattern } from "../utils/pathUtils.js";
-import os from "os";
+import { EXIT_CODES, GitContextError } from "../utils/exitCodes.js";
+import {
+  canonicalConfigKey,
+  getConfigValue,
+  parseIncludeCondition,
+  serializeGitConfig,
+  INCLUDE_CONDITION_TYPES,
+} from "../utils/gitConfig.js";
+
+// Signature formats git supports through gpg.format
+export const SIGNING_FORMATS = ["openpgp", "ssh", "x509"];
+
+// Keys that only make sense together with user.signingkey (canonical form)
+const SIGNING_CONFIG_KEYS = [
+  "commit.gpgsign",
+  "tag.gpgsign",
+  "gpg.format",
+  "gpg.ssh.allowedsignersfile",
+];
+
+// Fields a template may set; the rest of a context is specific to a machine
+const TEMPLATE_FIELDS = [
+  "name",
+  "description",
+  "sshKey",
+  "gitConfig",
+  "urlPatterns",
+];
+
+// Public key as written in a .pub file, optionally with git's key:: prefix
+const SSH_PUBLIC_KEY = /^(key::)?(ssh|ecdsa|sk)-[\w.@-]+ AAAA[A-Za-z0-9+/=]+/;
 
 export class Context {
   /**
@@ -19,38 +52,63 @@ export class Context {
    * @param {Array} [pathPatterns=[]] Array of path patterns
    * @param {Object} [gitConfig={}] Git configuration key-value pairs
    * @param {Array} [urlPatterns=[]] Array of repository URL patterns for automatic detection
+   * @param {Object} [options={}] Additional context settings
+   * @param {string} [options.sshKey] Path to the SSH private key for this context
+   * @param {Array} [options.includeConditions=[]] Include conditions used in
+   * addition to the path patterns, e.g. `onbranch:release/**`
+   * @param {number} [options.priority=0] Precedence over other contexts that
+   * match the same repository; the highest priority wins
+   * @param {boolean} [options.isDefault=false] Use this context wherever no
+   * other context matches
+   * @param {string} [options.extends] Name of the context this one builds on;
+   * its config file is included before this context's own settings
    */
   constructor(
     name,
     description = "",
     pathPatterns = [],
     gitConfig = {},
-    urlPatterns = []
+    urlPatterns = [],
+    options = {}
   ) {
     this.name = sanitizeInput(name);
     this.description = sanitizeInput(description);
     this.pathPatterns = Array.isArray(pathPatterns) ? pathPatterns : [];
     this.gitConfig = gitConfig || {};
     this.urlPatterns = Array.isArray(urlPatterns) ? urlPatterns : [];
-
-    // For backward compatibility
-    this.pathPattern =
-      this.pathPatterns.length > 0
-        ? normalizePathPattern(this.pathPatterns[0], os.homedir())
-        : "";
+    this.sshKey = (options && options.sshKey) || null;
+    this.includeConditions =
+      options && Array.isArray(options.includeConditions)
+        ? options.includeConditions
+        : [];
+    this.priority =
+      options && options.priority !== undefined && options.priority !== null
+        ? options.priority
+        : 0;
+    this.isDefault = Boolean(options && options.isDefault);
+    this.extends = (options && options.extends) || null;
 
     // Extract common properties from gitConfig for convenience
-    this.userName = this.gitConfig["user.name"] || "";
-    this.userEmail = this.gitConfig["user.email"] || "";
-    this.signingKey = this.gitConfig["user.signingkey"] || null;
-    this.autoSign = this.gitConfig["commit.gpgsign"] === "true";
+    this.userName = getConfigValue(this.gitConfig, "user.name") || "";
+    this.userEmail = getConfigValue(this.gitConfig, "user.email") || "";
+    this.signingKey = getConfigValue(this.gitConfig, "user.signingkey") || null;
+    this.autoSign = getConfigValue(this.gitConfig, "commit.gpgsign") === "true";
+    this.signTags = getConfigValue(this.gitConfig, "tag.gpgsign") === "true";
+    this.signingFormat =
+      getConfigValue(this.gitConfig, "gpg.format") || "openpgp";
+    this.allowedSignersFile =
+      getConfigValue(this.gitConfig, "gpg.ssh.allowedSignersFile") || null;
   }
 
   /**
    * Validate context data
+   * @param {Array} [contexts] Every context, as instances or plain objects.
+   * When given, the context this one extends must exist, the chain of
+   * parents must not loop back on itself and no other context may be the
+   * default if this one is.
    * @returns {Object} Object containing validation results
    */
-  validate() {
+  validate(contexts) {
     const errors = [];
 
     if (!validateContextName(this.name)) {
@@ -59,6 +117,29 @@ export class Context {
       );
     }
 
+    if (this.extends) {
+      if (!validateContextName(this.extends)) {
+        errors.push("Extended context name contains invalid characters");
+      } else if (contexts) {
+        try {
+          this.ancestors(contexts);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    if (this.isDefault && contexts) {
+      const other = contexts.find(
+        (context) => context.isDefault && context.name !== this.name
+      );
+      if (other) {
+        errors.push(
+          `Only one context can be the default, and "${other.name}" already is`
+        );
+      }
+    }
+
     if (this.pathPatterns.length > 0) {
       for (const pattern of this.pathPatterns) {
         if (!validatePathPattern(pattern)) {
@@ -77,6 +158,24 @@ export class Context {
       }
     }
 
+    for (const condition of this.includeConditions) {
+      if (!parseIncludeCondition(condition)) {
+        errors.push(
+          `Unsupported include condition "${condition}", it must start with one of: ${INCLUDE_CONDITION_TYPES.join(
+            ", "
+          )}`
+        );
+      } else if (!validateIncludeCondition(condition)) {
+        errors.push(
+          `Include condition "${condition}" contains invalid characters`
+        );
+      }
+    }
+
+    if (!Number.isInteger(this.priority)) {
+      errors.push("Priority must be a whole number");
+    }
+
     if (this.userName && !this.userName.trim()) {
       errors.push("User name is required");
     }
@@ -85,8 +184,40 @@ export class Context {
       errors.push("Please enter a valid email address");
     }
 
-    if (this.signingKey && !/^[A-F0-9]+$/i.test(this.signingKey)) {
-      errors.push("GPG key should be a hexadecimal value");
+    if (!SIGNING_FORMATS.includes(this.signingFormat)) {
+      errors.push(
+        `Signing format must be one of: ${SIGNING_FORMATS.join(", ")}`
+      );
+    } else if (this.signingKey) {
+      const signingKeyError = Context.getSigningKeyError(
+        this.signingKey,
+        this.signingFormat
+      );
+      if (signingKeyError) {
+        errors.push(signingKeyError);
+      }
+    }
+
+    if (this.allowedSignersFile && this.signingFormat !== "ssh") {
+      errors.push("An allowed signers file only applies to SSH signing");
+    }
+
+    if (this.sshKey) {
+      if (!validateSshKeyPath(this.sshKey)) {
+        errors.push("SSH key path contains invalid characters");
+      } else {
+        try {
+          checkSshKeyFile(this.sshKey);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    for (const key of Object.keys(this.gitConfig)) {
+      if (!validateGitConfigKey(key)) {
+        errors.push(`Invalid git config key: ${key}`);
+      }
     }
 
     return {
@@ -110,9 +241,45 @@ export class Context {
     return new Context(
       obj.name,
       obj.description || "",
-      obj.pathPatterns || [],
+      Context.pathPatternsOf(obj),
       obj.gitConfig || {},
-      obj.urlPatterns || []
+      obj.urlPatterns || [],
+      {
+        sshKey: obj.sshKey,
+        includeConditions: obj.includeConditions,
+        priority: obj.priority,
+        isDefault: obj.isDefault,
+        extends: obj.extends,
+      }
+    );
+  }
+
+  /**
+   * Read the path patterns of a stored context. Contexts saved by earlier
+   * versions may only have the single legacy pathPattern.
+   * @param {Object} obj Plain object with context data
+   * @returns {Array<string>} The path patterns, without empty ones
+   */
+  static pathPatternsOf(obj) {
+    const patterns = Array.isArray(obj.pathPatterns)
+      ? obj.pathPatterns
+      : [obj.pathPattern];
+    return patterns.filter(
+      (pattern) => typeof pattern === "string" && pattern.trim() !== ""
+    );
+  }
+
+  /**
+   * Check whether git includes this context anywhere: it is the default or
+   * has a path pattern, URL pattern or include condition
+   * @returns {boolean} False if the context would never apply
+   */
+  canApply() {
+    return (
+      this.isDefault ||
+      this.pathPatterns.length > 0 ||
+      this.urlPatterns.length > 0 ||
+      this.includeConditions.length > 0
     );
   }
 
@@ -127,45 +294,234 @@ export class Context {
       pathPatterns: this.pathPatterns,
       gitConfig: this.gitConfig,
       urlPatterns: this.urlPatterns,
+      ...(this.sshKey ? { sshKey: this.sshKey } : {}),
+      ...(this.includeConditions.length > 0
+        ? { includeConditions: this.includeConditions }
+        : {}),
+      ...(this.priority !== 0 ? { priority: this.priority } : {}),
+      ...(this.isDefault ? { isDefault: true } : {}),
+      ...(this.extends ? { extends: this.extends } : {}),
     };
   }
 
+  /**
+   * Follow the chain of contexts this one extends
+   * @param {Array} contexts Every context, as instances or plain objects
+   * @returns {Array} The parents, nearest first
+   * @throws {GitContextError} If a parent doesn't exist or the chain loops
+   * back on itself
+   */
+  ancestors(contexts) {
+    const chain = [this.name];
+    const parents = [];
+    let parentName = this.extends;
+
+    while (parentName) {
+      if (chain.includes(parentName)) {
+        const loop = [...chain.slice(chain.indexOf(parentName)), parentName];
+        throw new GitContextError(
+          `Contexts extend each other in a cycle: ${loop.join(" -> ")}`,
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      const parent = (contexts || []).find((c) => c.name === parentName);
+      if (!parent) {
+        throw new GitContextError(
+          `Context "${chain.at(-1)}" extends unknown context "${parentName}"`,
+          EXIT_CODES.VALIDATION
+        );
+      }
+
+      chain.push(parentName);
+      parents.push(parent);
+      parentName = parent.extends;
+    }
+
+    return parents;
+  }
+
+  /**
+   * Resolve the configuration git sees with this context: the settings of
+   * every context it extends, overridden by its own
+   * @param {Array} contexts Every context, as instances or plain objects
+   * @returns {Object} Map of dotted keys to values
+   * @throws {GitContextError} If the chain of parents is broken
+   */
+  effectiveGitConfig(contexts) {
+    const chain = [
+      ...this.ancestors(contexts)
+        .reverse()
+        .map((parent) => Context.fromObject(parent)),
+      this,
+    ];
+
+    // Keyed by canonical key, since git matches keys case-insensitively: a
+    // child's spelling of a key replaces the parent's
+    const result = new Map();
+    for (const context of chain) {
+      for (const [key, value] of Object.entries(context._fileConfig())) {
+        const canonical = canonicalConfigKey(key) || key;
+        result.delete(canonical);
+        result.set(canonical, [key, value]);
+      }
+    }
+    return Object.fromEntries(result.values());
+  }
+
   /**
    * Convert context to a config file content
+   * A context that extends another includes the other's config file first,
+   * so its own settings override the inherited ones.
    * @returns {string} Git config file content
    */
   toConfigFileContent() {
-    let configContent = `[user]\n`;
+    // Git resolves a relative include path against the including file
+    const include = this.extends
+      ? { "include.path": `${this.extends}.gitconfig` }
+      : {};
+    return serializeGitConfig({ ...include, ...this._fileConfig() });
+  }
+
+  /**
+   * Collect the settings this context writes to its own config file
+   * @returns {Object} Map of dotted keys to values
+   * @private
+   */
+  _fileConfig() {
+    const config = new Map();
+
+    for (const [key, value] of Object.entries(this.gitConfig)) {
+      // Skip placeholders that templates leave empty
+      if (value === null || value === undefined || value === "") {
+        continue;
+      }
 
-    if (this.userName) {
-      configContent += `    name = ${this.userName}\n`;
+      // Signing settings only make sense with a signing key
+      if (
+        SIGNING_CONFIG_KEYS.includes(canonicalConfigKey(key)) &&
+        !this.signingKey
+      ) {
+        continue;
+      }
+
+      // The SSH key replaces any hand-written SSH command
+      if (canonicalConfigKey(key) === "core.sshcommand" && this.sshKey) {
+        continue;
+      }
+
+      config.set(key, value);
     }
 
-    if (this.userEmail) {
-      configContent += `    email = ${this.userEmail}\n`;
+    if (this.sshKey) {
+      config.set(
+        "core.sshCommand",
+        `ssh -i ${this.sshKey} -o IdentitiesOnly=yes`
+      );
     }
 
-    if (this.signingKey) {
-      configContent += `    signingkey = ${this.signingKey}\n\n`;
-      configContent += `[commit]\n`;
-      configContent += `    gpgsign = ${this.autoSign ? "true" : "false"}\n`;
+    return Object.fromEntries(config);
+  }
+
+  /**
+   * Check a signing key against the rules of its signature format
+   * @param {string} key Value for user.signingkey
+   * @param {string} [format='openpgp'] Signature format, one of SIGNING_FORMATS
+   * @returns {string|null} Error message, or null if the key is valid
+   */
+  static getSigningKeyError(key, format = "openpgp") {
+    switch (format) {
+      case "openpgp":
+        return /^[A-F0-9]+$/i.test(key)
+          ? null
+          : "GPG key should be a hexadecimal value";
+      case "ssh":
+        return validateSshKeyPath(key) || SSH_PUBLIC_KEY.test(key)
+          ? null
+          : "SSH signing key should be a key file path or a public key such as ssh-ed25519 AAAA...";
+      case "x509":
+        return /^(0x)?[A-F0-9]+$/i.test(key) || validateEmail(key)
+          ? null
+          : "X.509 signing key should be a hexadecimal key ID or an email address";
+      default:
+        return `Signing format must be one of: ${SIGNING_FORMATS.join(", ")}`;
     }
+  }
+
+  /**
+   * Replace the signing settings in a git config map
+   * Every signing key is removed first, so a setting that is turned off
+   * doesn't linger. Nothing is added back without a signing key.
+   * @param {Object} gitConfig Map of dotted keys to values
+   * @param {Object} [signing={}] Signing settings
+   * @param {string} [signing.signingKey] Value for user.signingkey
+   * @param {string} [signing.format='openpgp'] Signature format
+   * @param {boolean} [signing.autoSign=true] Sign every commit
+   * @param {boolean} [signing.signTags=false] Sign every annotated tag
+   * @param {string} [signing.allowedSignersFile] Allowed signers file, SSH only
+   * @returns {Object} New git config map
+   */
+  static applySigning(gitConfig, signing = {}) {
+    const {
+      signingKey,
+      format = "openpgp",
+      autoSign = true,
+      signTags = false,
+      allowedSignersFile,
+    } = signing;
+
+    const result = Object.fromEntries(
+      Object.entries(gitConfig || {}).filter(([key]) => {
+        const canonical = canonicalConfigKey(key);
+        return (
+          canonical !== "user.signingkey" &&
+          !SIGNING_CONFIG_KEYS.includes(canonical)
+        );
+      })
+    );
 
-    return configContent;
+    if (!signingKey) {
+      return result;
+    }
+
+    result["user.signingkey"] = signingKey;
+    result["gpg.format"] = format;
+    if (format === "ssh" && allowedSignersFile) {
+      result["gpg.ssh.allowedSignersFile"] = allowedSignersFile;
+    }
+    result["commit.gpgsign"] = autoSign ? "true" : "false";
+    result["tag.gpgsign"] = signTags ? "true" : "false";
+
+    return result;
   }
 
   /**
    * Create a context from a template
    * @param {string} name Context name
    * @param {string} templateName Template name
+   * @param {Array} [templates] Templates to choose from, by default the
+   * built-in ones
    * @returns {Context} New context instance based on template
+   * @throws {GitContextError} If the template doesn't exist or is invalid
    */
-  static fromTemplate(name, templateName) {
-    const templates = Context.getTemplates();
+  static fromTemplate(name, templateName, templates = Context.getTemplates()) {
     const template = templates.find((t) => t.name === templateName);
 
     if (!template) {
-      throw new Error(`Template "${templateName}" not found`);
+      throw new GitContextError(
+        `Template "${templateName}" not found`,
+        EXIT_CODES.NO_MATCH
+      );
+    }
+
+    const validation = Context.validateTemplate(template);
+    if (!validation.isValid) {
+      throw new GitContextError(
+        `Template "${templateName}" is invalid: ${validation.errors.join(
+          ", "
+        )}`,
+        EXIT_CODES.VALIDATION
+      );
     }
 
     // Create a new context based on the template
@@ -173,15 +529,103 @@ export class Context {
       name,
       template.description,
       [], // Empty pathPatterns to be filled by user
-      template.gitConfig,
-      template.urlPatterns
+      { ...template.gitConfig },
+      [...(template.urlPatterns || [])]
     );
 
     return context;
   }
 
+  /**
+   * Validate a template, e.g. one read from a template file. Only the fields
+   * a context is created from are allowed, so a misspelt field isn't
+   * silently ignored. The identity may be left empty for the user to fill in.
+   * @param {Object} template Template to validate
+   * @returns {Object} Object containing validation results
+   */
+  static validateTemplate(template) {
+    const errors = [];
+    const isObject = (value) =>
+      value !== null && typeof value === "object" && !Array.isArray(value);
+
+    if (!isObject(template)) {
+      return { isValid: false, errors: ["Template must be a JSON object"] };
+    }
+
+    // A template file that couldn't be read carries the reason
+    if (template.error) {
+      return { isValid: false, errors: [String(template.error)] };
+    }
+
+    for (const field of Object.keys(template)) {
+      // source records where a loaded template came from
+      if (field !== "source" && !TEMPLATE_FIELDS.includes(field)) {
+        errors.push(`Unknown template field "${field}"`);
+      }
+    }
+
+    if (
+      typeof template.name !== "string" ||
+      !validateContextName(template.name)
+    ) {
+      errors.push(
+        "Template name can only contain letters, numbers, hyphens, and underscores"
+      );
+    }
+
+    if (
+      template.description !== undefined &&
+      typeof template.description !== "string"
+    ) {
+      errors.push("Template description must be a string");
+    }
+
+    if (template.sshKey !== undefined && template.sshKey !== null) {
+      if (
+        typeof template.sshKey !== "string" ||
+        !validateSshKeyPath(template.sshKey)
+      ) {
+        errors.push("SSH key path contains invalid characters");
+      }
+    }
+
+    if (template.gitConfig !== undefined) {
+      if (!isObject(template.gitConfig)) {
+        errors.push("Template gitConfig must be an object of config values");
+      } else {
+        for (const [key, value] of Object.entries(template.gitConfig)) {
+          if (!validateGitConfigKey(key)) {
+            errors.push(`Invalid git config key: ${key}`);
+          } else if (typeof value !== "string") {
+            errors.push(`Git config value of ${key} must be a string`);
+          }
+        }
+        const email = getConfigValue(template.gitConfig, "user.email");
+        if (typeof email === "string" && email && !validateEmail(email)) {
+          errors.push("Please enter a valid email address");
+        }
+      }
+    }
+
+    if (template.urlPatterns !== undefined) {
+      if (
+        !Array.isArray(template.urlPatterns) ||
+        !template.urlPatterns.every(
+          (pattern) =>
+            typeof pattern === "string" && validateUrlPattern(pattern)
+        )
+      ) {
+        errors.push("URL pattern contains invalid characters");
+      }
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
   /**
    * Get available context templates
+   * A template's `sshKey` is only suggested when prompting, since the key file
+   * may not exist on this machine.
    * @returns {Array} Array of templates
    */
   static getTemplates() {
@@ -189,6 +633,7 @@ export class Context {
       {
         name: "personal",
         description: "Personal GitHub projects",
+        sshKey: "~/.ssh/id_ed25519_personal",
         gitConfig: {
           "user.name": "", // To be filled by user
           "user.email": "", // To be filled by user
@@ -198,19 +643,18 @@ export class Context {
       {
         name: "work",
         description: "Work projects",
+        sshKey: "~/.ssh/id_ed25519_work",
         gitConfig: {
           "user.name": "", // To be filled by user
           "user.email": "", // To be filled by user
           "commit.gpgsign": "true",
         },
-        urlPatterns: [
-          "github.com/*/work-*",
-          "github.com/acme-corp/*", // Example company
-        ],
+        urlPatterns: ["github.com/*/work-*"],
       },
       {
         name: "client",
         description: "Client projects",
+        sshKey: "~/.ssh/id_ed25519_client",
         gitConfig: {
           "user.name": "", // To be filled by user
           "user.email": "", // To be filled by user
@@ -221,6 +665,7 @@ export class Context {
       {
         name: "opensource",
         description: "Open source contributions",
+        sshKey: "~/.ssh/id_ed25519_opensource",
         gitConfig: {
           "user.name": "", // To be filled by user
           "user.email": "", // To be filled by user
@@ -4,14 +4,101 @@
 import fs from "fs-extra";
 import tmp from "tmp";
 import path from "path";
-import { getStandardPaths } from "../utils/pathUtils.js";
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+import { expandPath, getStandardPaths } from "../utils/pathUtils.js";
 import { validatePathSafety } from "../utils/security.js";
+import { acquireFileLock } from "../utils/fileLock.js";
+import { EXIT_CODES, GitContextError } from "../utils/exitCodes.js";
+import { Context } from "../models/Context.js";
 
 // Utility for file locking operations
 const lockFiles = new Map();
+// Paths whose locks the current async call chain holds, so code running
+// under a lock can use the methods that take the same lock
+const heldLocks = new AsyncLocalStorage();
+
+const BACKUP_MANIFEST = "backup.json";
+// Automatic backups kept unless GIT_CONTEXT_BACKUP_LIMIT says otherwise
+const BACKUP_LIMIT = 50;
+// Command recorded for backups the user asked for, which are never pruned
+// automatically
+const MANUAL_BACKUP_COMMAND = "backup create";
+const JOURNAL_EXTENSION = ".json";
+const JOURNAL_LIMIT = 50;
+const TEMPLATE_EXTENSION = ".json";
+
+/**
+ * Check whether a name is a timestamp ID as used for backups and journal
+ * entries. They are named after the time they were taken, e.g.
+ * 20250102T030405678Z, with a counter appended when two are taken within the
+ * same millisecond
+ * @param {string} name Name to check
+ * @returns {boolean} True if the name is a timestamp ID
+ * @private
+ */
+function isTimestampId(name) {
+  const [timestamp, counter, ...rest] = String(name).split("-");
+  return (
+    /^\d{8}T\d{9}Z$/.test(timestamp) &&
+    (counter === undefined || /^[1-9]\d*$/.test(counter)) &&
+    rest.length === 0
+  );
+}
+
+/**
+ * Pick a timestamp ID that isn't taken yet in a directory
+ * @param {string} dirPath Directory the ID names an entry of
+ * @param {string} [extension=""] Extension of the entry's file name
+ * @returns {Promise<Object>} Object with the id and the ISO createdAt time
+ * @private
+ */
+async function newTimestampId(dirPath, extension = "") {
+  const createdAt = new Date().toISOString();
+  const baseId = createdAt.replace(/[-:.]/g, "");
+  let id = baseId;
+  for (
+    let counter = 1;
+    await fs.pathExists(path.join(dirPath, `${id}${extension}`));
+    counter++
+  ) {
+    id = `${baseId}-${counter}`;
+  }
+  return { id, createdAt };
+}
+
+/**
+ * Bring contexts stored by earlier versions up to date: their single
+ * pathPattern becomes the pathPatterns array, so the next write drops it
+ * @param {any} contexts Parsed contents of the contexts file
+ * @returns {any} The contexts in the current format
+ * @private
+ */
+function migrateContexts(contexts) {
+  if (!Array.isArray(contexts)) {
+    return contexts;
+  }
+  return contexts.map((context) => {
+    if (
+      !context ||
+      typeof context !== "object" ||
+      !("pathPattern" in context)
+    ) {
+      return context;
+    }
+    const migrated = {
+      ...context,
+      pathPatterns: Context.pathPatternsOf(context),
+    };
+    delete migrated.pathPattern;
+    return migrated;
+  });
+}
 
 /**
- * Simple file locking utility to prevent concurrent writes
+ * In-process lock queue; the on-disk lock from acquireFileLock() guards
+ * against other processes but would make concurrent calls from this process
+ * wait on themselves
  * @private
  */
 class FileLock {
@@ -57,22 +144,324 @@ function getLock(filePath) {
 }
 
 /**
- * Execute a function with a file lock
+ * Execute a function with a file lock held both within this process and
+ * on disk, so concurrent CLI invocations don't interleave their writes. A
+ * lock the caller already holds is not taken again.
  * @param {string} filePath Path to lock
  * @param {Function} fn Function to execute with the lock
  * @returns {Promise<any>} Result of the function
  * @private
  */
 async function withFileLock(filePath, fn) {
+  const held = heldLocks.getStore() || new Set();
+  if (held.has(filePath)) {
+    return fn();
+  }
+
   const lock = getLock(filePath);
   await lock.acquire();
   try {
-    return await fn();
+    let releaseFileLock = async () => {};
+    try {
+      releaseFileLock = await acquireFileLock(filePath);
+    } catch (error) {
+      // Without write access to the directory this process can't change the
+      // file either, so reads go ahead unlocked and writes fail on their own
+      if (!["EACCES", "EPERM", "EROFS"].includes(error.code)) {
+        throw error;
+      }
+    }
+    try {
+      return await heldLocks.run(new Set([...held, filePath]), fn);
+    } finally {
+      await releaseFileLock();
+    }
   } finally {
     lock.release();
   }
 }
 
+/**
+ * Write a file atomically: the content goes to a temporary file in the same
+ * directory, is flushed to disk, and is then renamed over the destination, so
+ * a crash or a full disk never leaves a truncated file behind. An existing
+ * file keeps its mode and ownership, and symlinks are written through.
+ * @param {string} filePath Destination path
+ * @param {string} content Content to write
+ * @param {Object} [options={}] Write options
+ * @param {number} [options.mode=0o600] Mode for a newly created file
+ * @returns {Promise<void>}
+ * @private
+ */
+async function writeFileAtomic(filePath, content, { mode = 0o600 } = {}) {
+  let existing = null;
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    existing = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+
+  // Replace the file a symlink points to rather than the symlink itself
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const targetPath = existing ? await fs.realpath(filePath) : filePath;
+  const dirPath = path.dirname(targetPath);
+  const tempPath = path.join(
+    dirPath,
+    `.${path.basename(targetPath)}.${process.pid}.${crypto
+      .randomBytes(6)
+      .toString("hex")}.tmp`
+  );
+  const targetMode = existing ? existing.mode & 0o7777 : mode;
+
+  let fd = null;
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fd = await fs.open(tempPath, "wx", targetMode);
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.writeFile(fd, content);
+    await fs.fsync(fd);
+    await fs.close(fd);
+    fd = null;
+
+    if (existing) {
+      // The mode passed to open() is subject to the umask
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      await fs.chmod(tempPath, targetMode);
+      await preserveOwnership(tempPath, existing);
+    }
+
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.rename(tempPath, targetPath);
+  } catch (error) {
+    if (fd !== null) {
+      await fs.close(fd).catch(() => {});
+    }
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+
+  await syncDirectory(dirPath);
+}
+
+/**
+ * Give a freshly written file the owner and group of the file it replaces.
+ * Only root can hand a file to another user, so a refused chown is ignored
+ * @param {string} filePath File to change
+ * @param {fs.Stats} stats Stats of the file being replaced
+ * @returns {Promise<void>}
+ * @private
+ */
+async function preserveOwnership(filePath, stats) {
+  if (typeof process.getuid !== "function") {
+    return;
+  }
+  if (stats.uid === process.getuid() && stats.gid === process.getgid()) {
+    return;
+  }
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.chown(filePath, stats.uid, stats.gid);
+  } catch (error) {
+    if (error.code !== "EPERM") {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Flush a directory entry to disk so a rename survives a crash. Not every
+ * platform can open a directory for syncing, so failures are ignored
+ * @param {string} dirPath Directory to sync
+ * @returns {Promise<void>}
+ * @private
+ */
+async function syncDirectory(dirPath) {
+  let fd = null;
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    fd = await fs.open(dirPath, "r");
+    await fs.fsync(fd);
+  } catch {
+    // Best effort only
+  } finally {
+    if (fd !== null) {
+      await fs.close(fd).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Execute a function while holding the locks on several files. Locks are
+ * taken in sorted order so two processes can't each wait for the other
+ * @param {Array<string>} filePaths Paths to lock
+ * @param {Function} fn Function to execute with the locks
+ * @returns {Promise<any>} Result of the function
+ * @private
+ */
+function withFileLocks(filePaths, fn) {
+  return [...new Set(filePaths)]
+    .sort()
+    .reverse()
+    .reduce((next, filePath) => () => withFileLock(filePath, next), fn)();
+}
+
+/**
+ * File changes collected by FileSystem.runTransaction(). It offers the write
+ * methods of FileSystem, but they only stage the new content; reads see the
+ * staged content, so later steps build on earlier ones.
+ */
+class FileTransaction {
+  /**
+   * @param {FileSystem} fileSystem File system the changes are committed to
+   */
+  constructor(fileSystem) {
+    this.fileSystem = fileSystem;
+    this.gitConfigDirPath = fileSystem.gitConfigDirPath;
+    // Path -> { content, mode }, or null for a file to delete
+    this.changes = new Map();
+  }
+
+  /**
+   * Read git config file, including staged changes
+   * @returns {Promise<string>} Git config content
+   */
+  async readGitConfig() {
+    const change = this.changes.get(this.fileSystem.gitConfigPath);
+    if (change !== undefined) {
+      return change ? change.content : "";
+    }
+    return this.fileSystem.readGitConfig();
+  }
+
+  /**
+   * Stage new git config content
+   * @param {string} content Git config content
+   * @returns {Promise<void>}
+   */
+  async writeGitConfig(content) {
+    this.changes.set(this.fileSystem.gitConfigPath, { content });
+  }
+
+  /**
+   * Load the contexts, including staged changes
+   * @param {Object} [options] Options for FileSystem.loadContexts()
+   * @returns {Promise<Array>} Array of context objects
+   */
+  async loadContexts(options) {
+    const change = this.changes.get(this.fileSystem.configFilePath);
+    if (change !== undefined) {
+      return change ? JSON.parse(change.content) : [];
+    }
+    return this.fileSystem.loadContexts(options);
+  }
+
+  /**
+   * Stage the contexts file
+   * @param {Array} contexts Array of contexts to save
+   * @returns {Promise<void>}
+   */
+  async saveContexts(contexts) {
+    this.changes.set(this.fileSystem.configFilePath, {
+      content: `${JSON.stringify(contexts, null, 2)}\n`,
+    });
+  }
+
+  /**
+   * Read context config file, including staged changes
+   * @param {string} name Context name
+   * @returns {Promise<string|null>} Config file content or null if file doesn't exist
+   */
+  async readContextConfig(name) {
+    const change = this.changes.get(this.fileSystem._contextConfigPath(name));
+    if (change !== undefined) {
+      return change ? change.content : null;
+    }
+    return this.fileSystem.readContextConfig(name);
+  }
+
+  /**
+   * Stage a context config file
+   * @param {string} name Context name
+   * @param {string} content Config file content
+   * @returns {Promise<string>} Path the config file will be written to
+   */
+  async saveContextConfig(name, content) {
+    const configPath = this.fileSystem._contextConfigPath(name);
+    this.changes.set(configPath, { content });
+    return configPath;
+  }
+
+  /**
+   * Stage the removal of a context config file
+   * @param {string} name Context name
+   * @returns {Promise<void>}
+   */
+  async deleteContextConfig(name) {
+    this.changes.set(this.fileSystem._contextConfigPath(name), null);
+  }
+
+  /**
+   * Stage moving a context config file to its new name, keeping its content
+   * and mode
+   * @param {string} oldName Current context name
+   * @param {string} newName New context name
+   * @returns {Promise<string|null>} Path the config file will be moved to, or
+   * null if there is no config file to rename
+   * @throws {Error} If the target exists
+   */
+  async renameContextConfig(oldName, newName) {
+    const oldPath = this.fileSystem._contextConfigPath(oldName);
+    const newPath = this.fileSystem._contextConfigPath(newName);
+
+    const content = await this.readContextConfig(oldName);
+    if (content === null) {
+      return null;
+    }
+    if ((await this.readContextConfig(newName)) !== null) {
+      throw new GitContextError(
+        `Config file already exists: ${newPath}`,
+        EXIT_CODES.CONFLICT
+      );
+    }
+
+    const change = this.changes.get(oldPath);
+    let mode = change ? change.mode : undefined;
+    if (mode === undefined && (await fs.pathExists(oldPath))) {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      mode = (await fs.stat(oldPath)).mode & 0o7777;
+    }
+
+    this.changes.set(oldPath, null);
+    this.changes.set(newPath, { content, mode });
+    return newPath;
+  }
+
+  /**
+   * List the context config files, including staged changes
+   * @returns {Promise<string[]>} Context names, sorted
+   */
+  async listContextConfigs() {
+    const names = new Set(await this.fileSystem.listContextConfigs());
+    for (const [filePath, change] of this.changes) {
+      if (
+        path.dirname(filePath) === this.gitConfigDirPath &&
+        filePath.endsWith(".gitconfig")
+      ) {
+        const name = path.basename(filePath, ".gitconfig");
+        if (change) {
+          names.add(name);
+        } else {
+          names.delete(name);
+        }
+      }
+    }
+    return [...names].sort();
+  }
+}
+
 export class FileSystem {
   constructor() {
     const paths = getStandardPaths();
@@ -88,6 +477,10 @@ export class FileSystem {
       this.gitConfigDirPath,
     ];
 
+    // Changes held in memory instead of written in dry-run mode, by path:
+    // { content, mode }, or null for a removed file
+    this.dryRunChanges = null;
+
     // Create necessary directories in test mode
     if (process.env.NODE_ENV === "test") {
       this._ensureTestDirectories();
@@ -388,14 +781,64 @@ export class FileSystem {
     }
   }
 
+  /**
+   * Switch to dry-run mode: from now on every file change is kept in memory
+   * and later reads see it, but nothing is written to disk. Backups and the
+   * journal are skipped.
+   * @returns {void}
+   */
+  enableDryRun() {
+    this.dryRunChanges = new Map();
+  }
+
+  /**
+   * Whether changes are only kept in memory
+   * @returns {boolean} True in dry-run mode
+   */
+  get dryRun() {
+    return this.dryRunChanges !== null;
+  }
+
+  /**
+   * List what the changes kept in dry-run mode would do to each file
+   * @returns {Promise<Array>} Files whose content would change, each with its
+   * path, the content on disk and the new content, null for a missing file
+   */
+  async getDryRunChanges() {
+    const files = [];
+    for (const [filePath, change] of this.dryRunChanges || []) {
+      let before = null;
+      if (await fs.pathExists(filePath)) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        before = await fs.readFile(filePath, "utf8");
+      }
+      const after = change ? change.content : null;
+      if (before !== after) {
+        files.push({ path: filePath, before, after });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Look up a file's change in dry-run mode
+   * @param {string} filePath File path
+   * @returns {Object|null|undefined} The change, null if the file was
+   * removed, or undefined if the file is unchanged or not in dry-run mode
+   * @private
+   */
+  _dryRunChange(filePath) {
+    return this.dryRun ? this.dryRunChanges.get(filePath) : undefined;
+  }
+
   /**
    * Ensure the .gitconfig.d directory exists
    * @returns {Promise<void>}
    * @throws {Error} If directory cannot be created due to permission issues
    */
   async ensureConfigDirectoryExists() {
-    // In test mode, always succeed
-    if (process.env.NODE_ENV === "test") {
+    // In test mode, always succeed; in dry-run mode files are never written
+    if (process.env.NODE_ENV === "test" || this.dryRun) {
       return;
     }
 
@@ -408,7 +851,7 @@ export class FileSystem {
         if (dirError.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot create directory ${this.gitConfigDirPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else if (dirError.code === "EEXIST") {
           // Directory was created by another process between our check and create
           console.warn(
@@ -424,105 +867,574 @@ export class FileSystem {
   }
 
   /**
-   * Backup existing git config
-   * @returns {Promise<string|null>} Path to backup file or null if no backup was created
+   * Directory holding the backups
+   * @returns {string} Path to the backups directory
    */
-  async backupGitConfig() {
-    // First check if the file exists
-    if (!(await fs.pathExists(this.gitConfigPath))) {
-      return null;
-    }
+  get backupDirPath() {
+    return path.join(this.gitConfigDirPath, "backups");
+  }
+
+  /**
+   * Read every file the tool manages: the main git config, the contexts file
+   * and the context config files
+   * @returns {Promise<Map<string, string>>} Content of the existing files by
+   * their name in a backup, e.g. `gitconfig` or `gitconfig.d/work.gitconfig`
+   */
+  async readConfigurationFiles() {
+    const files = new Map();
+    const contextNames = await this.listContextConfigs();
+
+    for (const [name, filePath] of this._managedFiles(contextNames)) {
+      const change = this._dryRunChange(filePath);
+      if (change !== undefined) {
+        if (change) {
+          files.set(name, change.content);
+        }
+        continue;
+      }
 
-    // Use file locking to prevent race conditions during backup
-    return withFileLock(this.gitConfigPath, async () => {
       try {
-        const backupPath = `${this.gitConfigPath}.backup.${Date.now()}`;
-        await fs.copy(this.gitConfigPath, backupPath);
-        return backupPath;
+        if (await fs.pathExists(filePath)) {
+          // eslint-disable-next-line security/detect-non-literal-fs-filename
+          files.set(name, await fs.readFile(filePath, "utf8"));
+        }
       } catch (error) {
         if (error.code === "EACCES") {
-          const errorMsg = `Permission denied: Cannot backup ${this.gitConfigPath}. Please check your file system permissions.`;
+          const errorMsg = `Permission denied: Cannot read from ${filePath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
-        } else {
-          console.error(`Failed to backup git config: ${error.message}`);
-          throw error;
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         }
+        throw error;
       }
-    });
+    }
+
+    return files;
   }
 
   /**
-   * Load contexts from config file
-   * @returns {Promise<Array>} Array of context objects
+   * Back up the main git config, the contexts file and the context config
+   * files into a new directory under backupDirPath, and drop the oldest
+   * backups beyond the backup limit
+   * @param {string} [command="backup create"] Command the backup was taken
+   * for, shown when listing backups
+   * @returns {Promise<Object>} Backup with id, createdAt, command and the
+   * names of the files it holds
    */
-  async loadContexts() {
-    if (!(await fs.pathExists(this.configFilePath))) {
-      return [];
+  async createBackup(command = MANUAL_BACKUP_COMMAND) {
+    if (this.dryRun) {
+      // Report the backup that would be taken without writing it
+      const files = await this.readConfigurationFiles();
+      const { id, createdAt } = await newTimestampId(this.backupDirPath);
+      return { id, createdAt, command, files: [...files.keys()] };
     }
 
-    // Use file locking to prevent reading while a write is in progress
-    return withFileLock(this.configFilePath, async () => {
-      try {
-        return await fs.readJson(this.configFilePath);
-      } catch (error) {
-        if (error.code === "EACCES") {
-          const errorMsg = `Permission denied: Cannot read from ${this.configFilePath}. Please check your file system permissions.`;
-          console.error(errorMsg);
-          throw new Error(errorMsg);
-        } else if (error.name === "SyntaxError") {
-          console.error(`Invalid JSON in config file: ${this.configFilePath}`);
-          // Return empty array instead of failing when JSON is invalid
-          return [];
-        } else {
-          console.error(`Failed to load contexts: ${error.message}`);
-          throw error;
+    return withFileLocks(
+      [this.gitConfigPath, this.configFilePath],
+      async () => {
+        const files = await this.readConfigurationFiles();
+
+        const { id, createdAt } = await newTimestampId(this.backupDirPath);
+
+        const backupPath = path.join(this.backupDirPath, id);
+        try {
+          await fs.ensureDir(path.join(backupPath, "gitconfig.d"), {
+            mode: 0o700,
+          });
+          for (const [name, content] of files) {
+            await writeFileAtomic(path.join(backupPath, name), content);
+          }
+
+          // The manifest is written last, so a backup without one is incomplete
+          const backup = { id, createdAt, command, files: [...files.keys()] };
+          await writeFileAtomic(
+            path.join(backupPath, BACKUP_MANIFEST),
+            `${JSON.stringify(backup, null, 2)}\n`
+          );
+          await this._pruneOldBackups();
+          return backup;
+        } catch (error) {
+          await fs.remove(backupPath).catch(() => {});
+          if (error.code === "EACCES") {
+            const errorMsg = `Permission denied: Cannot write to ${this.backupDirPath}. Please check your file system permissions.`;
+            console.error(errorMsg);
+            throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+          } else {
+            console.error(`Failed to create backup: ${error.message}`);
+            throw error;
+          }
         }
       }
-    });
+    );
   }
 
   /**
-   * Save contexts to config file
-   * @param {Array} contexts Array of contexts to save
+   * Delete the oldest automatic backups beyond the backup limit. Backups taken
+   * with backup create are kept until the user prunes them. The new backup is
+   * already complete, so a failure is reported without failing the command.
    * @returns {Promise<void>}
+   * @private
    */
-  async saveContexts(contexts) {
-    return withFileLock(this.configFilePath, async () => {
-      try {
-        await fs.writeJson(this.configFilePath, contexts, { spaces: 2 });
-      } catch (error) {
-        if (error.code === "EACCES") {
-          const errorMsg = `Permission denied: Cannot write to ${this.configFilePath}. Please check your file system permissions.`;
-          console.error(errorMsg);
-          throw new Error(errorMsg);
-        } else {
-          console.error(`Failed to save contexts: ${error.message}`);
-          throw error;
-        }
+  async _pruneOldBackups() {
+    const limit = this.backupLimit;
+    if (limit === 0) {
+      return;
+    }
+
+    try {
+      const automatic = (await this.listBackups()).filter(
+        (backup) => backup.command !== MANUAL_BACKUP_COMMAND
+      );
+      for (const old of automatic.slice(limit)) {
+        await fs.remove(path.join(this.backupDirPath, old.id));
       }
-    });
+    } catch (error) {
+      console.error(`Failed to delete old backups: ${error.message}`);
+    }
   }
 
   /**
-   * Read git config file
-   * @returns {Promise<string>} Git config content
+   * List the complete backups
+   * @returns {Promise<Array>} Backups with id, createdAt, command and files,
+   * newest first
    */
-  async readGitConfig() {
-    if (!(await fs.pathExists(this.gitConfigPath))) {
-      return "";
+  async listBackups() {
+    if (!(await fs.pathExists(this.backupDirPath))) {
+      return [];
     }
 
-    // Use file locking to prevent reading while a write is in progress
-    return withFileLock(this.gitConfigPath, async () => {
+    let entries;
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      entries = await fs.readdir(this.backupDirPath);
+    } catch (error) {
+      if (error.code === "EACCES") {
+        const errorMsg = `Permission denied: Cannot read from ${this.backupDirPath}. Please check your file system permissions.`;
+        console.error(errorMsg);
+        throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+      }
+      throw error;
+    }
+
+    const backups = [];
+    for (const id of entries.filter(isTimestampId)) {
       try {
-        // eslint-disable-next-line security/detect-non-literal-fs-filename
-        return await fs.readFile(this.gitConfigPath, "utf8");
-      } catch (error) {
+        backups.push(
+          await fs.readJson(path.join(this.backupDirPath, id, BACKUP_MANIFEST))
+        );
+      } catch {
+        // Skip backups that were interrupted before their manifest was written
+      }
+    }
+
+    return backups.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Read the files of a backup
+   * @param {string} id Backup ID
+   * @returns {Promise<Map<string, string>>} Content by file name in the backup
+   * @throws {Error} If the backup does not exist
+   */
+  async readBackup(id) {
+    const backupPath = this._backupPath(id);
+    const manifestPath = path.join(backupPath, BACKUP_MANIFEST);
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new GitContextError(
+        `Backup "${id}" not found`,
+        EXIT_CODES.NO_MATCH
+      );
+    }
+
+    const backup = await fs.readJson(manifestPath);
+    const files = new Map();
+    for (const name of backup.files) {
+      // Resolving the target rejects names that would leave the backup
+      this._backupTargetPath(name);
+      files.set(
+        name,
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        await fs.readFile(path.join(backupPath, name), "utf8")
+      );
+    }
+    return files;
+  }
+
+  /**
+   * Put every managed file back the way it was when the backup was taken.
+   * Context config files that didn't exist then are removed. All files are
+   * written together and restored if one of them fails.
+   * @param {string} id Backup ID
+   * @returns {Promise<Array<string>>} Names of the restored files
+   * @throws {Error} If the backup does not exist or cannot be restored
+   */
+  async restoreBackup(id) {
+    const files = await this.readBackup(id);
+
+    const changes = new Map();
+    for (const [, filePath] of this._managedFiles(
+      await this.listContextConfigs()
+    )) {
+      changes.set(filePath, null);
+    }
+    for (const [name, content] of files) {
+      changes.set(this._backupTargetPath(name), { content });
+    }
+
+    await this._commitChanges(changes, "backup restore");
+    return [...files.keys()];
+  }
+
+  /**
+   * Delete a backup
+   * @param {string} id Backup ID
+   * @returns {Promise<void>}
+   * @throws {Error} If the backup does not exist
+   */
+  async deleteBackup(id) {
+    const backupPath = this._backupPath(id);
+    if (!(await fs.pathExists(backupPath))) {
+      throw new GitContextError(
+        `Backup "${id}" not found`,
+        EXIT_CODES.NO_MATCH
+      );
+    }
+    if (!this.dryRun) {
+      await fs.remove(backupPath);
+    }
+  }
+
+  /**
+   * Resolve the directory of a backup
+   * @param {string} id Backup ID
+   * @returns {string} Path to the backup directory
+   * @throws {Error} If the ID is not a backup ID
+   * @private
+   */
+  _backupPath(id) {
+    if (!isTimestampId(id)) {
+      throw new GitContextError(
+        `Backup "${id}" not found`,
+        EXIT_CODES.NO_MATCH
+      );
+    }
+    return path.join(this.backupDirPath, id);
+  }
+
+  /**
+   * List the managed files with their names in a backup
+   * @param {Array<string>} contextNames Names of the context config files
+   * @returns {Array<Array<string>>} Pairs of backup name and path
+   * @private
+   */
+  _managedFiles(contextNames) {
+    return [
+      ["gitconfig", this.gitConfigPath],
+      ["gitcontexts", this.configFilePath],
+      ...contextNames.map((name) => [
+        `gitconfig.d/${name}.gitconfig`,
+        path.join(this.gitConfigDirPath, `${name}.gitconfig`),
+      ]),
+    ];
+  }
+
+  /**
+   * Map a file name in a backup to the file it restores
+   * @param {string} name File name in the backup
+   * @param {string} [source="backup"] What the name comes from, for the error
+   * @returns {string} Path of the file to restore
+   * @throws {Error} If the name isn't one a backup can contain
+   * @private
+   */
+  _backupTargetPath(name, source = "backup") {
+    if (name === "gitconfig") {
+      return this.gitConfigPath;
+    }
+    if (name === "gitcontexts") {
+      return this.configFilePath;
+    }
+
+    const match = /^gitconfig\.d\/([\w-]+)\.gitconfig$/.exec(name);
+    if (!match) {
+      throw new Error(`Unexpected file in ${source}: ${name}`);
+    }
+    return this._contextConfigPath(match[1]);
+  }
+
+  /**
+   * Map a managed file to its name in a backup or journal entry
+   * @param {string} filePath Path of the file
+   * @returns {string} Name of the file, e.g. `gitconfig.d/work.gitconfig`
+   * @throws {Error} If the file isn't one the tool manages
+   * @private
+   */
+  _backupName(filePath) {
+    if (filePath === this.gitConfigPath) {
+      return "gitconfig";
+    }
+    if (filePath === this.configFilePath) {
+      return "gitcontexts";
+    }
+    if (
+      path.dirname(filePath) === this.gitConfigDirPath &&
+      filePath.endsWith(".gitconfig")
+    ) {
+      return `gitconfig.d/${path.basename(filePath)}`;
+    }
+    throw new Error(`Unexpected file in transaction: ${filePath}`);
+  }
+
+  /**
+   * Directory holding the journal of changes made by commands
+   * @returns {string} Path to the journal directory
+   */
+  get journalDirPath() {
+    return path.join(this.gitConfigDirPath, "journal");
+  }
+
+  /**
+   * List the journal entries, each recording the files one command changed
+   * @returns {Promise<Array>} Entries with id, createdAt, command, the files
+   * with their content before and after the command, and undoneAt once the
+   * command has been undone, newest first
+   */
+  async listJournal() {
+    if (!(await fs.pathExists(this.journalDirPath))) {
+      return [];
+    }
+
+    let names;
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      names = await fs.readdir(this.journalDirPath);
+    } catch (error) {
+      if (error.code === "EACCES") {
+        const errorMsg = `Permission denied: Cannot read from ${this.journalDirPath}. Please check your file system permissions.`;
+        console.error(errorMsg);
+        throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+      }
+      throw error;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      const id = path.basename(name, JOURNAL_EXTENSION);
+      if (!name.endsWith(JOURNAL_EXTENSION) || !isTimestampId(id)) {
+        continue;
+      }
+      try {
+        entries.push(await fs.readJson(path.join(this.journalDirPath, name)));
+      } catch {
+        // Skip unreadable entries rather than hiding the rest of the history
+      }
+    }
+
+    return entries.sort((a, b) => b.id.localeCompare(a.id));
+  }
+
+  /**
+   * Revert the most recent command in the journal that hasn't been undone,
+   * putting every file it touched back the way it was before. The current
+   * configuration is backed up first, so the undo can be reverted with
+   * backup restore.
+   * @param {Object} [options={}] Undo options
+   * @param {boolean} [options.force=false] Revert even if the files were
+   * changed after the command ran, discarding those changes
+   * @returns {Promise<Object|null>} The undone journal entry, or null if there
+   * is nothing to undo
+   * @throws {Error} If a file changed since the command ran or a write fails
+   */
+  async undoLastOperation({ force = false } = {}) {
+    const entry = (await this.listJournal()).find((item) => !item.undoneAt);
+    if (!entry) {
+      return null;
+    }
+
+    const changes = new Map();
+    for (const file of entry.files) {
+      changes.set(this._backupTargetPath(file.name, "journal entry"), file);
+    }
+
+    // The backup locks the main git config and the contexts file as well
+    const lockPaths = [
+      this.gitConfigPath,
+      this.configFilePath,
+      ...changes.keys(),
+    ];
+    return withFileLocks(lockPaths, async () => {
+      if (!force) {
+        for (const [filePath, file] of changes) {
+          const current = await this._snapshotFile(filePath);
+          if ((current ? current.content : null) !== file.after) {
+            throw new GitContextError(
+              `${filePath} has changed since "${entry.command}" ran. Run undo --force to revert it anyway.`,
+              EXIT_CODES.CONFLICT
+            );
+          }
+        }
+      }
+
+      await this.createBackup("undo");
+
+      const restores = new Map();
+      for (const [filePath, file] of changes) {
+        restores.set(filePath, file.before);
+      }
+      if (this.dryRun) {
+        this._stageDryRunChanges(restores);
+        return entry;
+      }
+      await this._writeChanges(restores);
+
+      entry.undoneAt = new Date().toISOString();
+      await writeFileAtomic(
+        path.join(this.journalDirPath, `${entry.id}${JOURNAL_EXTENSION}`),
+        `${JSON.stringify(entry, null, 2)}\n`
+      );
+      return entry;
+    });
+  }
+
+  /**
+   * Add an entry for a committed command to the journal and drop the oldest
+   * entries beyond the journal limit. The changes are already on disk, so a
+   * failure is reported without failing the command.
+   * @param {string} command Command that made the changes
+   * @param {Map<string, Object|null>} changes Written changes by path
+   * @param {Map<string, Object|null>} snapshots Files before the changes
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordJournalEntry(command, changes, snapshots) {
+    try {
+      const files = [];
+      for (const [filePath, change] of changes) {
+        files.push({
+          name: this._backupName(filePath),
+          before: snapshots.get(filePath),
+          after: change ? change.content : null,
+        });
+      }
+
+      await fs.ensureDir(this.journalDirPath, { mode: 0o700 });
+      const { id, createdAt } = await newTimestampId(
+        this.journalDirPath,
+        JOURNAL_EXTENSION
+      );
+      await writeFileAtomic(
+        path.join(this.journalDirPath, `${id}${JOURNAL_EXTENSION}`),
+        `${JSON.stringify({ id, createdAt, command, files }, null, 2)}\n`
+      );
+
+      const entries = await this.listJournal();
+      for (const old of entries.slice(JOURNAL_LIMIT)) {
+        await fs.remove(
+          path.join(this.journalDirPath, `${old.id}${JOURNAL_EXTENSION}`)
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Failed to record "${command}" in the journal, it can't be undone: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Load contexts from config file
+   * @param {Object} [options={}] Load options
+   * @param {boolean} [options.strict=false] Throw on invalid JSON instead of
+   * returning an empty list
+   * @returns {Promise<Array>} Array of context objects
+   */
+  async loadContexts({ strict = false } = {}) {
+    const change = this._dryRunChange(this.configFilePath);
+    if (change !== undefined) {
+      return change ? migrateContexts(JSON.parse(change.content)) : [];
+    }
+    if (!(await fs.pathExists(this.configFilePath))) {
+      return [];
+    }
+
+    // Use file locking to prevent reading while a write is in progress
+    return withFileLock(this.configFilePath, async () => {
+      try {
+        return migrateContexts(await fs.readJson(this.configFilePath));
+      } catch (error) {
+        if (error.code === "EACCES") {
+          const errorMsg = `Permission denied: Cannot read from ${this.configFilePath}. Please check your file system permissions.`;
+          console.error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+        } else if (error.name === "SyntaxError") {
+          if (strict) {
+            throw new GitContextError(
+              `Invalid JSON in config file: ${error.message}`,
+              EXIT_CODES.VALIDATION
+            );
+          }
+          console.error(`Invalid JSON in config file: ${this.configFilePath}`);
+          // Return empty array instead of failing when JSON is invalid
+          return [];
+        } else {
+          console.error(`Failed to load contexts: ${error.message}`);
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Save contexts to config file
+   * @param {Array} contexts Array of contexts to save
+   * @returns {Promise<void>}
+   */
+  async saveContexts(contexts) {
+    if (this.dryRun) {
+      return this.runTransaction((transaction) =>
+        transaction.saveContexts(contexts)
+      );
+    }
+
+    return withFileLock(this.configFilePath, async () => {
+      try {
+        await writeFileAtomic(
+          this.configFilePath,
+          `${JSON.stringify(contexts, null, 2)}\n`
+        );
+      } catch (error) {
+        if (error.code === "EACCES") {
+          const errorMsg = `Permission denied: Cannot write to ${this.configFilePath}. Please check your file system permissions.`;
+          console.error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+        } else {
+          console.error(`Failed to save contexts: ${error.message}`);
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Read git config file
+   * @returns {Promise<string>} Git config content
+   */
+  async readGitConfig() {
+    const change = this._dryRunChange(this.gitConfigPath);
+    if (change !== undefined) {
+      return change ? change.content : "";
+    }
+    if (!(await fs.pathExists(this.gitConfigPath))) {
+      return "";
+    }
+
+    // Use file locking to prevent reading while a write is in progress
+    return withFileLock(this.gitConfigPath, async () => {
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        return await fs.readFile(this.gitConfigPath, "utf8");
+      } catch (error) {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot read from ${this.gitConfigPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else {
           console.error(`Failed to read git config: ${error.message}`);
           throw error;
@@ -537,15 +1449,20 @@ export class FileSystem {
    * @returns {Promise<void>}
    */
   async writeGitConfig(content) {
+    if (this.dryRun) {
+      return this.runTransaction((transaction) =>
+        transaction.writeGitConfig(content)
+      );
+    }
+
     return withFileLock(this.gitConfigPath, async () => {
       try {
-        // eslint-disable-next-line security/detect-non-literal-fs-filename
-        await fs.writeFile(this.gitConfigPath, content, { mode: 0o600 });
+        await writeFileAtomic(this.gitConfigPath, content);
       } catch (error) {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot write to ${this.gitConfigPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else {
           console.error(`Failed to write git config: ${error.message}`);
           throw error;
@@ -569,16 +1486,21 @@ export class FileSystem {
       throw new Error("Invalid configuration path");
     }
 
+    if (this.dryRun) {
+      return this.runTransaction((transaction) =>
+        transaction.saveContextConfig(name, content)
+      );
+    }
+
     return withFileLock(configPath, async () => {
       try {
-        // eslint-disable-next-line security/detect-non-literal-fs-filename
-        await fs.writeFile(configPath, content, { mode: 0o600 });
+        await writeFileAtomic(configPath, content);
         return configPath;
       } catch (error) {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot write to ${configPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else {
           console.error(`Failed to save context config: ${error.message}`);
           throw error;
@@ -601,6 +1523,12 @@ export class FileSystem {
       throw new Error("Invalid configuration path");
     }
 
+    if (this.dryRun) {
+      return this.runTransaction((transaction) =>
+        transaction.deleteContextConfig(name)
+      );
+    }
+
     // Use file locking to prevent race conditions when checking existence and removing file
     return withFileLock(configPath, async () => {
       try {
@@ -611,7 +1539,7 @@ export class FileSystem {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot delete ${configPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else {
           console.error(`Failed to delete context config: ${error.message}`);
           throw error;
@@ -620,6 +1548,239 @@ export class FileSystem {
     });
   }
 
+  /**
+   * Rename a context config file
+   * @param {string} oldName Current context name
+   * @param {string} newName New context name
+   * @returns {Promise<string|null>} Path to the renamed config file, or null if
+   * there was no config file to rename
+   * @throws {Error} If a context name is invalid, a path is unsafe or the target exists
+   */
+  async renameContextConfig(oldName, newName) {
+    const oldPath = path.join(this.gitConfigDirPath, `${oldName}.gitconfig`);
+    const newPath = path.join(this.gitConfigDirPath, `${newName}.gitconfig`);
+
+    // Verify both paths are within the expected directory
+    if (
+      !validatePathSafety(this.gitConfigDirPath, oldPath) ||
+      !validatePathSafety(this.gitConfigDirPath, newPath)
+    ) {
+      throw new Error("Invalid configuration path");
+    }
+
+    if (this.dryRun) {
+      return this.runTransaction((transaction) =>
+        transaction.renameContextConfig(oldName, newName)
+      );
+    }
+
+    // Hold both locks so neither file changes while it is being moved
+    return withFileLock(oldPath, () =>
+      withFileLock(newPath, async () => {
+        try {
+          if (!(await fs.pathExists(oldPath))) {
+            return null;
+          }
+
+          if (await fs.pathExists(newPath)) {
+            throw new GitContextError(
+              `Config file already exists: ${newPath}`,
+              EXIT_CODES.CONFLICT
+            );
+          }
+
+          await fs.move(oldPath, newPath, { overwrite: false });
+          return newPath;
+        } catch (error) {
+          if (error.code === "EACCES") {
+            const errorMsg = `Permission denied: Cannot rename ${oldPath}. Please check your file system permissions.`;
+            console.error(errorMsg);
+            throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+          } else {
+            console.error(`Failed to rename context config: ${error.message}`);
+            throw error;
+          }
+        }
+      })
+    );
+  }
+
+  /**
+   * Change several files together. The function receives a transaction with
+   * the write methods of FileSystem, which only stage changes; once it
+   * returns, every staged file is written while all of them are locked. If
+   * any write fails, the files already written are restored to their
+   * previous content before the error is rethrown. The locks on the contexts
+   * file and the main git config are held while the function runs too, so
+   * what it reads through the transaction can't change before the commit.
+   * @param {Function} fn Async function receiving the FileTransaction
+   * @param {string} [command] Command making the changes; when given, the
+   * files' previous content is recorded in the journal so it can be undone
+   * @returns {Promise<any>} Result of the function
+   * @throws {Error} If the function throws or the changes cannot be written
+   */
+  async runTransaction(fn, command) {
+    const run = async () => {
+      const transaction = new FileTransaction(this);
+      const result = await fn(transaction);
+      await this._commitChanges(transaction.changes, command);
+      return result;
+    };
+    if (this.dryRun) {
+      // Nothing is written in dry-run mode, so other commands needn't wait
+      return run();
+    }
+
+    // Every command that changes the configuration reads and writes the
+    // contexts file or the main git config, so holding both from the first
+    // read to the last write keeps concurrent commands from building on the
+    // same state and losing each other's changes
+    return withFileLocks([this.gitConfigPath, this.configFilePath], run);
+  }
+
+  /**
+   * Write staged changes under their file locks, restoring every file on
+   * failure
+   * @param {Map<string, Object|null>} changes Staged changes by path
+   * @param {string} [command] Command making the changes; when given, the
+   * changes are recorded in the journal so they can be undone
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _commitChanges(changes, command) {
+    if (changes.size === 0) {
+      return;
+    }
+    if (this.dryRun) {
+      this._stageDryRunChanges(changes);
+      return;
+    }
+
+    return withFileLocks([...changes.keys()], async () => {
+      const snapshots = await this._writeChanges(changes);
+      if (command) {
+        await this._recordJournalEntry(command, changes, snapshots);
+      }
+    });
+  }
+
+  /**
+   * Keep changes in memory instead of writing them, in dry-run mode
+   * @param {Map<string, Object|null>} changes Changes by path
+   * @returns {void}
+   * @private
+   */
+  _stageDryRunChanges(changes) {
+    for (const [filePath, change] of changes) {
+      this.dryRunChanges.set(filePath, change);
+    }
+  }
+
+  /**
+   * Write changes to files the caller holds the locks of, restoring every
+   * file on failure
+   * @param {Map<string, Object|null>} changes Changes by path
+   * @returns {Promise<Map<string, Object|null>>} Snapshots of the files
+   * before the changes, by path
+   * @private
+   */
+  async _writeChanges(changes) {
+    // Remember what every file looked like before touching any of them
+    const snapshots = new Map();
+    for (const filePath of changes.keys()) {
+      snapshots.set(filePath, await this._snapshotFile(filePath));
+    }
+
+    const written = [];
+    try {
+      for (const [filePath, change] of changes) {
+        written.push(filePath);
+        if (change) {
+          await writeFileAtomic(filePath, change.content, {
+            mode: change.mode === undefined ? 0o600 : change.mode,
+          });
+        } else {
+          await fs.remove(filePath);
+        }
+      }
+    } catch (error) {
+      for (const filePath of written.reverse()) {
+        try {
+          await this._restoreFile(filePath, snapshots.get(filePath));
+        } catch (restoreError) {
+          console.error(
+            `Failed to restore ${filePath}: ${restoreError.message}`
+          );
+        }
+      }
+
+      if (error.code === "EACCES") {
+        const errorMsg = `Permission denied: Cannot write to ${error.path}. Please check your file system permissions.`;
+        console.error(errorMsg);
+        throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+      }
+      console.error(`Failed to write changes: ${error.message}`);
+      throw error;
+    }
+
+    return snapshots;
+  }
+
+  /**
+   * Capture the current state of a file so it can be restored
+   * @param {string} filePath File path
+   * @returns {Promise<Object|null>} Content and mode, or null if the file doesn't exist
+   * @private
+   */
+  async _snapshotFile(filePath) {
+    const change = this._dryRunChange(filePath);
+    if (change !== undefined) {
+      return change && { content: change.content, mode: change.mode };
+    }
+    if (!(await fs.pathExists(filePath))) {
+      return null;
+    }
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const stats = await fs.stat(filePath);
+    return {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      content: await fs.readFile(filePath, "utf8"),
+      mode: stats.mode & 0o7777,
+    };
+  }
+
+  /**
+   * Put a file back the way _snapshotFile() found it
+   * @param {string} filePath File path
+   * @param {Object|null} snapshot Snapshot from _snapshotFile()
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _restoreFile(filePath, snapshot) {
+    if (snapshot) {
+      await writeFileAtomic(filePath, snapshot.content, {
+        mode: snapshot.mode,
+      });
+    } else {
+      await fs.remove(filePath);
+    }
+  }
+
+  /**
+   * Resolve the path of a context config file
+   * @param {string} name Context name
+   * @returns {string} Path to the config file
+   * @throws {Error} If the path would leave the config directory
+   * @private
+   */
+  _contextConfigPath(name) {
+    const configPath = path.join(this.gitConfigDirPath, `${name}.gitconfig`);
+    if (!validatePathSafety(this.gitConfigDirPath, configPath)) {
+      throw new Error("Invalid configuration path");
+    }
+    return configPath;
+  }
+
   /**
    * Read context config file
    * @param {string} name Context name
@@ -634,6 +1795,10 @@ export class FileSystem {
       throw new Error("Invalid configuration path");
     }
 
+    const change = this._dryRunChange(configPath);
+    if (change !== undefined) {
+      return change ? change.content : null;
+    }
     if (!(await fs.pathExists(configPath))) {
       return null;
     }
@@ -647,7 +1812,7 @@ export class FileSystem {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot read from ${configPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else {
           console.error(`Failed to read context config: ${error.message}`);
           throw error;
@@ -656,6 +1821,220 @@ export class FileSystem {
     });
   }
 
+  /**
+   * List the context config files in the config directory
+   * @returns {Promise<string[]>} Context names that have a .gitconfig file
+   */
+  async listContextConfigs() {
+    try {
+      const entries = new Set();
+      if (await fs.pathExists(this.gitConfigDirPath)) {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        for (const entry of await fs.readdir(this.gitConfigDirPath)) {
+          entries.add(entry);
+        }
+      }
+      // Include the files created or removed in dry-run mode
+      for (const [filePath, change] of this.dryRunChanges || []) {
+        if (path.dirname(filePath) === this.gitConfigDirPath) {
+          if (change) {
+            entries.add(path.basename(filePath));
+          } else {
+            entries.delete(path.basename(filePath));
+          }
+        }
+      }
+
+      return [...entries]
+        .filter((entry) => entry.endsWith(".gitconfig"))
+        .map((entry) => entry.slice(0, -".gitconfig".length))
+        .sort();
+    } catch (error) {
+      if (error.code === "EACCES") {
+        const errorMsg = `Permission denied: Cannot read from ${this.gitConfigDirPath}. Please check your file system permissions.`;
+        console.error(errorMsg);
+        throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+      } else {
+        console.error(`Failed to list context configs: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Number of automatic backups to keep: the GIT_CONTEXT_BACKUP_LIMIT
+   * environment variable if it holds a whole number, where 0 keeps every
+   * backup, otherwise BACKUP_LIMIT
+   * @returns {number} Backup limit
+   */
+  get backupLimit() {
+    const value = (process.env.GIT_CONTEXT_BACKUP_LIMIT || "").trim();
+    return /^\d+$/.test(value) ? Number(value) : BACKUP_LIMIT;
+  }
+
+  /**
+   * Directory holding the user's own templates
+   * @returns {string} Path to the templates directory
+   */
+  get templatesDirPath() {
+    return path.join(this.gitConfigDirPath, "templates");
+  }
+
+  /**
+   * Directories templates are loaded from, lowest precedence first: the
+   * shared directory named by the GIT_CONTEXT_TEMPLATES_DIR environment
+   * variable, e.g. one a company distributes, then the user's own
+   * @returns {string[]} Paths to the template directories
+   */
+  get templateDirPaths() {
+    const sharedDirPath = process.env.GIT_CONTEXT_TEMPLATES_DIR;
+    return sharedDirPath
+      ? [
+          path.resolve(expandPath(sharedDirPath, this.homeDir)),
+          this.templatesDirPath,
+        ]
+      : [this.templatesDirPath];
+  }
+
+  /**
+   * Path of a template file in the user's templates directory
+   * @param {string} name Template name
+   * @returns {string} Path to the template file
+   * @throws {Error} If the path is unsafe
+   * @private
+   */
+  _templatePath(name) {
+    const templatePath = path.join(
+      this.templatesDirPath,
+      `${name}${TEMPLATE_EXTENSION}`
+    );
+    if (!validatePathSafety(this.templatesDirPath, templatePath)) {
+      throw new Error("Invalid template path");
+    }
+    return templatePath;
+  }
+
+  /**
+   * Read the template files, one JSON object per `<name>.json` file. The
+   * templates are not validated here, and a file that can't be read doesn't
+   * hide the others: it is returned with the reason in `error`.
+   * @returns {Promise<Array>} Templates in order of precedence, lowest first,
+   * each named after its file unless it sets a name, with the file it was
+   * read from in `source`
+   * @throws {GitContextError} If a template directory cannot be read
+   */
+  async loadTemplates() {
+    const templates = [];
+    for (const dirPath of this.templateDirPaths) {
+      if (!(await fs.pathExists(dirPath))) {
+        continue;
+      }
+
+      let names;
+      try {
+        // eslint-disable-next-line security/detect-non-literal-fs-filename
+        names = await fs.readdir(dirPath);
+      } catch (error) {
+        if (error.code === "EACCES") {
+          const errorMsg = `Permission denied: Cannot read from ${dirPath}. Please check your file system permissions.`;
+          console.error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
+        }
+        throw error;
+      }
+
+      for (const fileName of names.sort()) {
+        if (!fileName.endsWith(TEMPLATE_EXTENSION)) {
+          continue;
+        }
+        templates.push(
+          await this._readTemplateFile(path.join(dirPath, fileName))
+        );
+      }
+    }
+
+    return templates;
+  }
+
+  /**
+   * Read a template file from anywhere, e.g. one to add to the user's
+   * templates. It is not validated here; see loadTemplates() for the fields.
+   * @param {string} filePath Path to the template file
+   * @returns {Promise<Object>} The template
+   * @throws {GitContextError} If the file doesn't exist
+   */
+  async readTemplate(filePath) {
+    if (!(await fs.pathExists(filePath))) {
+      throw new GitContextError(
+        `Template file not found: ${filePath}`,
+        EXIT_CODES.NO_MATCH
+      );
+    }
+    return this._readTemplateFile(filePath);
+  }
+
+  /**
+   * Read a template file, keeping the reason if it can't be read
+   * @param {string} source Path to the template file
+   * @returns {Promise<Object>} The template named after the file unless it
+   * sets a name, with the file in `source` and, if it can't be read, the
+   * reason in `error`
+   * @private
+   */
+  async _readTemplateFile(source) {
+    const name = path.basename(source, TEMPLATE_EXTENSION);
+    try {
+      const data = await fs.readJson(source);
+      return data !== null && typeof data === "object" && !Array.isArray(data)
+        ? { name, ...data, source }
+        : { name, source, error: "Template must be a JSON object" };
+    } catch (error) {
+      return {
+        name,
+        source,
+        error:
+          error.name === "SyntaxError"
+            ? `Invalid JSON in ${source}`
+            : `Cannot read ${source}: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Write a template to the user's templates directory
+   * @param {Object} template Template to save; its name is the file name
+   * @returns {Promise<string>} Path to the template file
+   * @throws {Error} If the path is unsafe or the file cannot be written
+   */
+  async saveTemplate(template) {
+    const templatePath = this._templatePath(template.name);
+    if (!this.dryRun) {
+      await fs.ensureDir(this.templatesDirPath);
+    }
+    await this._commitChanges(
+      new Map([
+        [
+          templatePath,
+          {
+            content: `${JSON.stringify(template, null, 2)}\n`,
+            mode: 0o644,
+          },
+        ],
+      ])
+    );
+    return templatePath;
+  }
+
+  /**
+   * Delete a template from the user's templates directory
+   * @param {string} name Template name
+   * @returns {Promise<void>}
+   * @throws {Error} If the path is unsafe or the file cannot be removed
+   */
+  async deleteTemplate(name) {
+    await this._commitChanges(new Map([[this._templatePath(name), null]]));
+  }
+
   /**
    * Export contexts to a JSON file
    * @param {Array} contexts Array of contexts to export
@@ -674,15 +2053,31 @@ export class FileSystem {
       );
     }
 
+    if (this.dryRun) {
+      this._stageDryRunChanges(
+        new Map([
+          [
+            exportPath,
+            { content: `${JSON.stringify(contexts, null, 2)}\n`, mode: 0o644 },
+          ],
+        ])
+      );
+      return exportPath;
+    }
+
     return withFileLock(exportPath, async () => {
       try {
-        await fs.writeJson(exportPath, contexts, { spaces: 2 });
+        await writeFileAtomic(
+          exportPath,
+          `${JSON.stringify(contexts, null, 2)}\n`,
+          { mode: 0o644 }
+        );
         return exportPath;
       } catch (error) {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot write to ${exportPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else {
           console.error(`Failed to export contexts: ${error.message}`);
           throw error;
@@ -708,7 +2103,10 @@ export class FileSystem {
     }
 
     if (!(await fs.pathExists(importPath))) {
-      throw new Error(`Import file not found: ${importPath}`);
+      throw new GitContextError(
+        `Import file not found: ${importPath}`,
+        EXIT_CODES.NO_MATCH
+      );
     }
 
     return withFileLock(importPath, async () => {
@@ -717,8 +2115,9 @@ export class FileSystem {
 
         // Validate that the imported data is an array
         if (!Array.isArray(importedContexts)) {
-          throw new Error(
-            "Invalid import file format. Expected an array of contexts."
+          throw new GitContextError(
+            "Invalid import file format. Expected an array of contexts.",
+            EXIT_CODES.VALIDATION
           );
         }
 
@@ -727,9 +2126,12 @@ export class FileSystem {
         if (error.code === "EACCES") {
           const errorMsg = `Permission denied: Cannot read from ${importPath}. Please check your file system permissions.`;
           console.error(errorMsg);
-          throw new Error(errorMsg);
+          throw new GitContextError(errorMsg, EXIT_CODES.PERMISSION_DENIED);
         } else if (error.name === "SyntaxError") {
-          throw new Error(`Invalid JSON in import file: ${importPath}`);
+          throw new GitContextError(
+            `Invalid JSON in import file: ${importPath}`,
+            EXIT_CODES.VALIDATION
+          );
         } else {
           console.error(`Failed to import contexts: ${error.message}`);
           throw error;
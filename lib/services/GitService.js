@@ -3,12 +3,69 @@
  */
 import { exec } from "child_process";
 import { promisify } from "util";
+import os from "os";
 import path from "path";
-import { validatePathSafety } from "../utils/security.js";
+import {
+  validatePathSafety,
+  validateIncludeCondition,
+} from "../utils/security.js";
+import {
+  GitConfigDocument,
+  formatSectionHeader,
+  parseIncludeCondition,
+} from "../utils/gitConfig.js";
+import { EXIT_CODES, GitContextError } from "../utils/exitCodes.js";
+import {
+  normalizePathPattern,
+  patternSpecificity,
+  comparePrecedence,
+} from "../utils/pathUtils.js";
+import { Context } from "../models/Context.js";
 
 // Promisify exec for async/await usage
 const execAsync = promisify(exec);
 
+// Comment lines around the includes this tool writes to the main git config;
+// nothing outside them is ever changed
+export const MANAGED_BLOCK_BEGIN =
+  "# BEGIN git-context-switcher managed includes - do not edit";
+export const MANAGED_BLOCK_END = "# END git-context-switcher managed includes";
+
+/**
+ * Convert a wildmatch pattern, as git matches include conditions with, to a
+ * regex: * and ? don't match a /, while ** matches across directories
+ * @param {string} pattern Wildmatch pattern
+ * @param {boolean} [ignoreCase=false] Match case-insensitively
+ * @returns {RegExp} Regular expression matching the whole string
+ */
+function wildmatchToRegex(pattern, ignoreCase = false) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern.charAt(i);
+    if (pattern.startsWith("**/", i)) {
+      source += "(?:.*/)?";
+      i += 2;
+    } else if (pattern.startsWith("**", i)) {
+      source += ".*";
+      i += 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[" && pattern.indexOf("]", i + 2) !== -1) {
+      const end = pattern.indexOf("]", i + 2);
+      const members = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += members.startsWith("!")
+        ? `[^${members.slice(1)}]`
+        : `[${members}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, ignoreCase ? "i" : "");
+}
+
 export class GitService {
   constructor(execFn = execAsync) {
     // Allow for dependency injection of exec function for testing
@@ -25,8 +82,9 @@ export class GitService {
       await this._execAsync("git --version");
       return true;
     } catch (error) {
-      throw new Error(
-        "Git is not installed or not in your PATH. Please install Git first."
+      throw new GitContextError(
+        "Git is not installed or not in your PATH. Please install Git first.",
+        EXIT_CODES.GIT_MISSING
       );
     }
   }
@@ -45,44 +103,292 @@ export class GitService {
   }
 
   /**
-   * Parse git config content and remove conditional includes
+   * Check whether the current directory is inside a git work tree
+   * @returns {Promise<boolean>} True if inside a work tree
+   */
+  async isInsideWorkTree() {
+    try {
+      const { stdout } = await this._execAsync(
+        "git rev-parse --is-inside-work-tree"
+      );
+      return stdout.trim() === "true";
+    } catch {
+      // git fails outside a repository
+      return false;
+    }
+  }
+
+  /**
+   * Read what include conditions test in the current repository: the git
+   * directory for gitdir:, the checked-out branch for onbranch: and the
+   * remote URLs for hasconfig:remote.*.url:
+   * @returns {Promise<Object|null>} The git directory, the branch (empty when
+   * HEAD is detached) and the remote URLs, where a value git couldn't give is
+   * null; or null outside a repository
+   */
+  async getRepositoryState() {
+    let gitDir;
+    try {
+      const { stdout } = await this._execAsync(
+        "git rev-parse --absolute-git-dir"
+      );
+      gitDir = stdout.trim();
+    } catch {
+      // git fails outside a repository
+      return null;
+    }
+
+    let branch = null;
+    try {
+      const { stdout } = await this._execAsync(
+        "git symbolic-ref --quiet --short HEAD"
+      );
+      branch = stdout.trim();
+    } catch (error) {
+      // git exits with status 1 when HEAD is detached
+      if (error.code === 1) {
+        branch = "";
+      }
+    }
+
+    let remoteUrls = null;
+    try {
+      const { stdout } = await this._execAsync(
+        'git config --get-regexp "^remote\\..*\\.url$"'
+      );
+      remoteUrls = stdout
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map((line) => line.slice(line.indexOf(" ") + 1));
+    } catch (error) {
+      // git exits with status 1 when no remote is configured
+      if (error.code === 1) {
+        remoteUrls = [];
+      }
+    }
+
+    return { gitDir, branch, remoteUrls };
+  }
+
+  /**
+   * Ask git for the values it uses in the current directory
+   * Each value comes with the scope and origin git reports for it, in the
+   * order git reads them, so the last value is the effective one.
+   * @param {string[]} keys Config keys to look up
+   * @returns {Promise<Object>} Map of key to an array of { scope, origin, file, value }
+   * @throws {Error} If git fails for another reason than an unset key
+   */
+  async getEffectiveConfig(keys) {
+    const result = new Map();
+
+    for (const key of keys) {
+      try {
+        const { stdout } = await this._execAsync(
+          `git config --show-origin --show-scope --get-all ${key}`
+        );
+        result.set(
+          key,
+          stdout
+            .split("\n")
+            .filter((line) => line.trim() !== "")
+            .map((line) => {
+              const [scope, origin, ...value] = line.split("\t");
+              return {
+                scope,
+                origin,
+                file: origin.startsWith("file:") ? origin.slice(5) : null,
+                value: value.join("\t"),
+              };
+            })
+        );
+      } catch (error) {
+        // git exits with status 1 when the key isn't set
+        if (error.code === 1) {
+          result.set(key, []);
+          continue;
+        }
+        throw new Error(`Failed to get git configuration: ${error.message}`);
+      }
+    }
+
+    return Object.fromEntries(result);
+  }
+
+  /**
+   * Find the managed block in a parsed git config
+   * @param {GitConfigDocument} document Parsed git config
+   * @returns {Object|null} Node indexes of the begin and end markers, or null
+   * if there is no managed block
+   * @throws {Error} If only one of the markers is present
+   * @private
+   */
+  _findManagedBlock(document) {
+    const findMarker = (marker) =>
+      document.nodes.findIndex(
+        (node) => node.type === "comment" && node.raw.trim() === marker
+      );
+    const begin = findMarker(MANAGED_BLOCK_BEGIN);
+    const end = findMarker(MANAGED_BLOCK_END);
+
+    if (begin === -1 && end === -1) {
+      return null;
+    }
+
+    if (begin === -1 || end < begin) {
+      throw new Error(
+        `The managed block markers in your git config are damaged. Make sure "${MANAGED_BLOCK_BEGIN}" is followed by "${MANAGED_BLOCK_END}"`
+      );
+    }
+
+    return { begin, end };
+  }
+
+  /**
+   * Check whether git config content has a managed block
    * @param {string} configContent Git config content
-   * @returns {string} Cleaned config content
+   * @returns {boolean} True if the managed block markers are present
+   * @throws {Error} If the content isn't valid git config
+   */
+  hasManagedBlock(configContent) {
+    return (
+      this._findManagedBlock(GitConfigDocument.parse(configContent)) !== null
+    );
+  }
+
+  /**
+   * Remove the managed block with the generated conditional includes
+   * Includes outside the block, such as ones written by hand, are kept.
+   * @param {string} configContent Git config content
+   * @returns {string} Config content without the managed block
    */
   removeConditionalIncludes(configContent) {
-    if (!configContent) return "";
+    return this.replaceConditionalIncludes(configContent, "");
+  }
 
-    // Split by sections
-    const lines = configContent.split("\n");
-    const filteredLines = [];
-    let skipSection = false;
+  /**
+   * Get the conditional include sections from the managed block
+   * This is the counterpart of replaceConditionalIncludes().
+   * @param {string} configContent Git config content
+   * @returns {string} The content between the managed block markers
+   */
+  extractConditionalIncludes(configContent) {
+    const document = GitConfigDocument.parse(configContent);
+    const block = this._findManagedBlock(document);
+    if (!block) return "";
+
+    return document.nodes
+      .slice(block.begin + 1, block.end)
+      .map((node) => node.raw)
+      .join("");
+  }
 
-    for (const line of lines) {
-      // Check if this is a start of a conditional include section
-      if (line.trim().startsWith('[includeIf "gitdir:')) {
-        skipSection = true;
-        continue;
+  /**
+   * Replace the managed block with new conditional includes
+   * Everything outside the block is kept byte for byte. The block stays
+   * where it is, so includes written after it by hand keep taking
+   * precedence. Without a block, one is appended to the content.
+   * @param {string} configContent Git config content
+   * @param {string} includesSection Generated include sections
+   * @returns {string} Config content with the new managed block, or without
+   * one if there are no includes
+   * @throws {Error} If the content isn't valid git config
+   */
+  replaceConditionalIncludes(configContent, includesSection) {
+    const document = GitConfigDocument.parse(configContent);
+    const block = this._findManagedBlock(document);
+
+    const includes = (includesSection || "").trim();
+    const blockContent = includes
+      ? `${MANAGED_BLOCK_BEGIN}\n${includes}\n${MANAGED_BLOCK_END}\n`
+      : "";
+
+    if (block) {
+      document.nodes.splice(
+        block.begin,
+        block.end - block.begin + 1,
+        ...GitConfigDocument.parse(blockContent).nodes
+      );
+      return document.toString();
+    }
+
+    let content = configContent || "";
+    if (blockContent === "") {
+      return content;
+    }
+
+    // Start the block on a new line, after a blank line
+    if (content !== "" && !content.endsWith("\n")) content += "\n";
+    if (content.trim() !== "" && !/\n[ \t]*\n$/.test(content)) content += "\n";
+    return content + blockContent;
+  }
+
+  /**
+   * Remove the conditional includes earlier versions wrote without markers
+   * An include section outside the managed block belongs to this tool when
+   * its path points into the context config directory. Comments after its
+   * last entry are kept, since they usually describe what follows.
+   * @param {string} configContent Git config content
+   * @param {string} configDirPath Directory holding the context config files
+   * @param {string} [homeDir] Home directory used to expand ~
+   * @returns {Object} The remaining content and the headers of the removed sections
+   * @throws {Error} If the content isn't valid git config
+   */
+  removeLegacyIncludes(configContent, configDirPath, homeDir = os.homedir()) {
+    const document = GitConfigDocument.parse(configContent);
+    const block = this._findManagedBlock(document);
+    const sections = [];
+    const removed = new Set();
+
+    const isToolInclude = (node) =>
+      node.type === "entry" &&
+      node.name.toLowerCase() === "path" &&
+      typeof node.value === "string" &&
+      path.dirname(node.value.replace(/^~(?=$|\/)/, homeDir)) ===
+        path.resolve(configDirPath);
+
+    const endSection = (nodes) => {
+      if (!nodes || !nodes.some(isToolInclude)) return;
+
+      sections.push(formatSectionHeader(nodes[0].section, nodes[0].subsection));
+      let last = nodes.map((node) => node.type).lastIndexOf("entry");
+      while (last + 1 < nodes.length && nodes[last + 1].type === "blank") {
+        last++;
       }
+      nodes.slice(0, last + 1).forEach((node) => removed.add(node));
+    };
 
-      // Check if this is a start of a new section (not a conditional include)
-      if (
-        line.trim().startsWith("[") &&
-        !line.trim().startsWith("[includeIf")
-      ) {
-        skipSection = false;
+    let current = null;
+    document.nodes.forEach((node, index) => {
+      const inBlock = block && index >= block.begin && index <= block.end;
+
+      if (inBlock || node.type === "section") {
+        endSection(current);
+        current = null;
       }
 
-      // Add the line if we're not skipping the current section
-      if (!skipSection) {
-        filteredLines.push(line);
+      if (
+        !inBlock &&
+        node.type === "section" &&
+        node.section.toLowerCase() === "includeif"
+      ) {
+        current = [node];
+      } else if (current) {
+        current.push(node);
       }
-    }
+    });
+    endSection(current);
 
-    return filteredLines.join("\n");
+    document.nodes = document.nodes.filter((node) => !removed.has(node));
+    return { content: document.toString(), sections };
   }
 
   /**
    * Generate conditional include sections for contexts
+   * Git applies every matching include in order, so the last one wins. The
+   * sections are ordered by the contexts' priority and then by how specific
+   * their directory is, putting the winner last. The default context is
+   * included unconditionally before all of them, so it only applies where no
+   * other context does.
    * @param {Array} contexts Array of context objects
    * @param {string} basePath Base path for config files
    * @returns {string} Generated include sections
@@ -92,7 +398,8 @@ export class GitService {
       return "";
     }
 
-    let includesSection = "";
+    const sections = [];
+    let defaultPath = null;
 
     for (const context of contexts) {
       // Validate context before adding to gitconfig
@@ -100,26 +407,20 @@ export class GitService {
         continue;
       }
 
-      // Get path patterns from context, supporting both legacy single pathPattern
-      // and new array of pathPatterns
-      const pathPatterns = [];
-
-      if (context.pathPattern && typeof context.pathPattern === "string") {
-        // Handle legacy single pathPattern
-        pathPatterns.push(context.pathPattern);
-      } else if (context.pathPatterns && Array.isArray(context.pathPatterns)) {
-        // Handle new array of pathPatterns
-        for (const pattern of context.pathPatterns) {
-          if (typeof pattern === "string" && pattern.trim()) {
-            pathPatterns.push(pattern);
-          }
-        }
-      }
+      // Every path pattern gets its own gitdir: condition, expanded the same
+      // way it is matched against directories
+      const pathPatterns = Context.pathPatternsOf(context).map((pattern) =>
+        normalizePathPattern(pattern, os.homedir())
+      );
 
-      // Skip if no valid path patterns found
-      if (pathPatterns.length === 0) {
-        continue;
-      }
+      // Path patterns become gitdir: conditions, next to the URL patterns'
+      // and any other conditions the context declares
+      const conditions = [
+        ...new Set([
+          ...pathPatterns.map((pattern) => `gitdir:${pattern}`),
+          ...this.otherIncludeConditions(context),
+        ]),
+      ].filter((condition) => validateIncludeCondition(condition));
 
       const configPath = path.join(basePath, `${context.name}.gitconfig`);
 
@@ -128,16 +429,127 @@ export class GitService {
         continue;
       }
 
-      // Create an include section for each path pattern
-      for (const pattern of pathPatterns) {
-        includesSection += `[includeIf "gitdir:${pattern}"]
-    path = ${configPath}
+      // Only one context can be the default; the first one marked wins
+      if (context.isDefault && defaultPath === null) {
+        defaultPath = configPath;
+      }
 
-`;
+      // Create an include section for each condition
+      for (const condition of conditions) {
+        sections.push({
+          condition,
+          configPath,
+          priority: Number.isInteger(context.priority) ? context.priority : 0,
+          specificity: this.conditionSpecificity(condition),
+        });
       }
     }
 
-    return includesSection;
+    // The sort is stable, so on a tie the later context still comes last
+    const document = new GitConfigDocument();
+    if (defaultPath !== null) {
+      document.appendSection("include", null, [["path", defaultPath]]);
+    }
+    for (const section of sections.sort(comparePrecedence)) {
+      document.appendSection("includeIf", section.condition, [
+        ["path", section.configPath],
+      ]);
+    }
+
+    return document.toString();
+  }
+
+  /**
+   * Get the include conditions of a context other than its path patterns:
+   * its URL patterns as hasconfig: conditions and the conditions it declares
+   * @param {Object} context Context
+   * @returns {string[]} Include conditions
+   */
+  otherIncludeConditions(context) {
+    const urlConditions = Array.isArray(context.urlPatterns)
+      ? context.urlPatterns.flatMap((pattern) =>
+          this._urlPatternToIncludeConditions(pattern)
+        )
+      : [];
+    return [
+      ...urlConditions,
+      ...(Array.isArray(context.includeConditions)
+        ? context.includeConditions
+        : []),
+    ];
+  }
+
+  /**
+   * Measure how specific an include condition is
+   * @param {string} condition Include condition
+   * @returns {number} Specificity of a gitdir: pattern; other conditions don't
+   * name a directory and count as least specific
+   */
+  conditionSpecificity(condition) {
+    const parsed = parseIncludeCondition(condition);
+    return parsed && parsed.type.startsWith("gitdir")
+      ? patternSpecificity(parsed.pattern)
+      : 0;
+  }
+
+  /**
+   * Evaluate an include condition the way git does in the current repository
+   * @param {string} condition Include condition
+   * @param {Object|null} repository State from getRepositoryState(), null
+   * outside a repository
+   * @returns {boolean|null} Whether git includes the file, or null if that
+   * can't be told
+   */
+  matchIncludeCondition(condition, repository) {
+    const parsed = parseIncludeCondition(condition);
+    if (!parsed) {
+      return false;
+    }
+
+    // Like git, a gitdir: or onbranch: pattern ending in / matches
+    // everything below it
+    const pattern = parsed.pattern.endsWith("/")
+      ? `${parsed.pattern}**`
+      : parsed.pattern;
+
+    switch (parsed.type) {
+      case "gitdir":
+      case "gitdir/i": {
+        if (!repository) {
+          return false;
+        }
+        if (pattern.startsWith("./")) {
+          // Relative to the file the include is in, which isn't known here
+          return null;
+        }
+        let expanded = pattern;
+        if (pattern.startsWith("~/")) {
+          expanded = `${os.homedir()}${pattern.slice(1)}`;
+        } else if (!path.isAbsolute(pattern)) {
+          expanded = `**/${pattern}`;
+        }
+        return wildmatchToRegex(expanded, parsed.type === "gitdir/i").test(
+          repository.gitDir
+        );
+      }
+      case "onbranch":
+        if (!repository) {
+          return false;
+        }
+        return repository.branch === null
+          ? null
+          : wildmatchToRegex(pattern).test(repository.branch);
+      default: {
+        // hasconfig:remote.*.url: also sees remotes outside a repository,
+        // but those are rare enough to not look for
+        const urls = repository ? repository.remoteUrls : [];
+        if (urls === null) {
+          return null;
+        }
+        const regex = wildmatchToRegex(parsed.pattern);
+        return urls.some((url) => regex.test(url));
+      }
+    }
   }
 
   /**
@@ -229,6 +641,43 @@ export class GitService {
     return normalized.toLowerCase();
   }
 
+  /**
+   * Convert a URL pattern to hasconfig:remote.*.url: include conditions
+   * The URL forms _normalizeGitUrl() treats as equivalent need separate
+   * conditions in git: host/path after a leading ** matches https://,
+   * http:// and git:// URLs, git@host:path matches SSH URLs. Unlike
+   * detectContextFromUrl(), git compares case-sensitively and its * doesn't
+   * match a /, so a trailing /* becomes /**.
+   * @param {string} pattern URL pattern, with or without a scheme
+   * @returns {string[]} Include conditions, empty for an unusable pattern
+   * @private
+   */
+  _urlPatternToIncludeConditions(pattern) {
+    if (!pattern || typeof pattern !== "string") return [];
+
+    const normalized = pattern
+      .trim()
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//i, "")
+      .replace(/^[^@/]+@/, "")
+      .replace(/^([^:/]+):(?!\d)/, "$1/")
+      .replace(/\.git$/, "")
+      .replace(/\/\*$/, "/**");
+
+    const slash = normalized.indexOf("/");
+    if (slash <= 0 || slash === normalized.length - 1) return [];
+
+    const host = normalized.slice(0, slash);
+    const repoPath = normalized.slice(slash + 1);
+
+    // Remote URLs may or may not end in .git
+    const suffixes = repoPath.endsWith("*") ? [""] : ["", ".git"];
+
+    return suffixes.flatMap((suffix) => [
+      `hasconfig:remote.*.url:**/${host}/${repoPath}${suffix}`,
+      `hasconfig:remote.*.url:git@${host}:${repoPath}${suffix}`,
+    ]);
+  }
+
   /**
    * Convert URL pattern to regex for matching
    * @param {string} pattern URL pattern with potential wildcards
@@ -5,18 +5,79 @@ import chalk from "chalk";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
-import { Context } from "../models/Context.js";
+import { Context, SIGNING_FORMATS } from "../models/Context.js";
 import { uiAdapter } from "./UIAdapter.js";
 import {
   validateContextName,
   validateEmail,
   validatePathPattern,
   validateUrlPattern,
+  validateSshKeyPath,
+  validateIncludeCondition,
+  checkSshKeyFile,
 } from "../utils/security.js";
+import { INCLUDE_CONDITION_TYPES } from "../utils/gitConfig.js";
+import { EXIT_CODES, GitContextError } from "../utils/exitCodes.js";
+import { formatJson, formatYaml, formatTable } from "../utils/output.js";
 
 // Get the directory path for the current module
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+/**
+ * Split a comma-separated list of patterns entered at a prompt
+ * @param {string} input Raw prompt input
+ * @returns {string[]} Trimmed, non-empty patterns
+ */
+function splitPatterns(input) {
+  return input
+    .split(",")
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern !== "");
+}
+
+/**
+ * Validate an SSH key path entered at a prompt
+ * @param {string} input Raw prompt input
+ * @returns {boolean|string} True if valid, otherwise the error message
+ */
+function validateSshKeyInput(input) {
+  const trimmed = input.trim();
+  if (trimmed === "") return "SSH key path is required";
+  if (!validateSshKeyPath(trimmed)) {
+    return "SSH key path contains invalid characters";
+  }
+
+  try {
+    checkSshKeyFile(trimmed);
+  } catch (error) {
+    return error.message;
+  }
+  return true;
+}
+
+// Prompt for the signing key, by signature format
+const SIGNING_KEY_PROMPTS = new Map([
+  ["openpgp", "GPG signing key ID:"],
+  ["ssh", "SSH signing key (public key file, e.g. ~/.ssh/id_ed25519.pub):"],
+  ["x509", "X.509 signing key ID or email:"],
+]);
+
+/**
+ * Build the question asking for a context's signature format
+ * @param {string} [defaultFormat='openpgp'] Format to preselect
+ * @returns {Object} Prompt question, asked only when a signing key is wanted
+ */
+function signingFormatQuestion(defaultFormat = "openpgp") {
+  return {
+    type: "list",
+    name: "signingFormat",
+    message: "Signature format:",
+    choices: SIGNING_FORMATS,
+    default: defaultFormat,
+    when: (answers) => answers.addSigningKey,
+  };
+}
+
 export class UserInterface {
   /**
    * Create a new UserInterface instance
@@ -77,6 +138,96 @@ export class UserInterface {
     this.adapter.log(chalk.yellow(`\n⚠️ ${message}`));
   }
 
+  /**
+   * Display a plain value, without decoration, so it can be used in scripts
+   * @param {string} value Value to display
+   */
+  displayValue(value) {
+    this.adapter.log(String(value));
+  }
+
+  /**
+   * Display a command's result in a machine-readable format, without colours
+   * or decoration
+   * @param {any} data Result to display
+   * @param {string} format Output format: json, yaml or table
+   * @param {Array<Object>} [rows] Rows for the table format; by default an
+   * array is shown row by row and an object as key and value rows
+   */
+  displayStructured(data, format, rows) {
+    if (format === "json") {
+      this.adapter.log(formatJson(data).trimEnd());
+    } else if (format === "yaml") {
+      this.adapter.log(formatYaml(data).trimEnd());
+    } else if (format === "table") {
+      const tableRows =
+        rows ||
+        (Array.isArray(data)
+          ? data
+          : Object.entries(data).map(([key, value]) => ({ key, value })));
+      const table = formatTable(tableRows);
+      if (table) {
+        this.adapter.log(table.trimEnd());
+      }
+    } else {
+      throw new Error(`Unknown output format: ${format}`);
+    }
+  }
+
+  /**
+   * Display the content of a context's config file below its entry in the
+   * contexts list
+   * @param {string} content Config file content
+   * @param {string} [heading="Configuration"] Heading above the content
+   */
+  displayContextConfig(content, heading = "Configuration") {
+    this.adapter.log(`\n   ${heading}:`);
+    this.adapter.log("   -----------------------------------");
+    this.adapter.log("   " + content.replace(/\n/g, "\n   "));
+  }
+
+  /**
+   * Display the report of the doctor command
+   * @param {Array} checks Check results with name, status, message, details and fixed
+   */
+  displayDoctorReport(checks) {
+    const icons = {
+      pass: chalk.green("✅"),
+      warn: chalk.yellow("⚠️ "),
+      fail: chalk.red("❌"),
+    };
+
+    this.displayHeader("Git Context Switcher - Doctor");
+
+    for (const check of checks) {
+      const icon = check.fixed ? chalk.cyan("🔧") : icons[check.status];
+      const suffix = check.fixed ? chalk.cyan(" (fixed)") : "";
+      this.adapter.log(
+        `${icon} ${chalk.bold(check.name)}: ${check.message}${suffix}`
+      );
+      for (const detail of check.details || []) {
+        this.adapter.log(chalk.dim(`   - ${detail}`));
+      }
+    }
+
+    const count = (status) =>
+      checks.filter((check) => check.status === status && !check.fixed).length;
+    const fixed = checks.filter((check) => check.fixed).length;
+    this.adapter.log(
+      `\n${count("pass")} passed, ${count("warn")} warning(s), ${count(
+        "fail"
+      )} failed${fixed > 0 ? `, ${fixed} fixed` : ""}`
+    );
+
+    if (checks.some((check) => check.fixable && !check.fixed)) {
+      this.adapter.log(
+        chalk.dim(
+          "Run git-context doctor --fix to repair what can be repaired."
+        )
+      );
+    }
+  }
+
   /**
    * Display info about setup
    */
@@ -120,7 +271,7 @@ export class UserInterface {
 
       this.adapter.log(
         `\n${nameColor(` ${context.name.toUpperCase()} `)} ${contextColor(
-          "Context"
+          context.isDefault ? "Context (default)" : "Context"
         )}`
       );
       this.adapter.log(
@@ -139,13 +290,21 @@ export class UserInterface {
         )}`
       );
 
-      // Path pattern with icon
+      // Path patterns with icon
       this.adapter.log(
-        `${chalk.green("📂")} ${chalk.yellow("Path Pattern:")} ${chalk.white(
-          context.pathPattern
+        `${chalk.green("📂")} ${chalk.yellow("Path Patterns:")} ${chalk.white(
+          context.pathPatterns.join(", ")
         )}`
       );
 
+      // Other include conditions with icon
+      if (context.includeConditions && context.includeConditions.length > 0) {
+        this.adapter.log(`${chalk.green("🔀")} ${chalk.yellow("Include If:")}`);
+        for (const condition of context.includeConditions) {
+          this.adapter.log(`   ${chalk.white(condition)}`);
+        }
+      }
+
       // GPG signing info if available
       if (context.signingKey) {
         this.adapter.log(
@@ -160,6 +319,24 @@ export class UserInterface {
         );
       }
 
+      // SSH key if one is set
+      if (context.sshKey) {
+        this.adapter.log(
+          `${chalk.green("🗝️")} ${chalk.yellow("SSH Key:")}     ${chalk.white(
+            context.sshKey
+          )}`
+        );
+      }
+
+      // Priority if it differs from the default
+      if (context.priority) {
+        this.adapter.log(
+          `${chalk.green("🏅")} ${chalk.yellow("Priority:")}    ${chalk.white(
+            context.priority
+          )}`
+        );
+      }
+
       // Config file location
       const configPath = path.join(
         gitConfigDirPath,
@@ -206,9 +383,23 @@ export class UserInterface {
 
     for (const context of contexts) {
       this.adapter.log(
-        chalk.green(`\n🔹 Context: ${chalk.bold(context.name)}`)
+        chalk.green(
+          `\n🔹 Context: ${chalk.bold(context.name)}${
+            context.isDefault ? chalk.dim(" (default)") : ""
+          }`
+        )
       );
-      this.adapter.log(`   Path Pattern: ${chalk.cyan(context.pathPattern)}`);
+      this.adapter.log(
+        `   Path Patterns: ${chalk.cyan(context.pathPatterns.join(", "))}`
+      );
+      if (context.includeConditions && context.includeConditions.length > 0) {
+        this.adapter.log(
+          `   Include If: ${chalk.cyan(context.includeConditions.join(", "))}`
+        );
+      }
+      if (context.extends) {
+        this.adapter.log(`   Extends: ${chalk.cyan(context.extends)}`);
+      }
       this.adapter.log(
         `   Config File: ${chalk.cyan(
           path.join(gitConfigDirPath, `${context.name}.gitconfig`)
@@ -222,11 +413,22 @@ export class UserInterface {
    * @param {Object} context Matched context or null
    * @param {string} gitConfigDirPath Path to git config directory
    * @param {string} activeConfig Active git configuration
+   * @param {boolean} [fallback=false] True if no context matched and the
+   * context is the default one
    */
-  displayActiveContext(context, gitConfigDirPath, activeConfig) {
+  displayActiveContext(
+    context,
+    gitConfigDirPath,
+    activeConfig,
+    fallback = false
+  ) {
     if (context) {
       this.displaySuccess(
-        `Current path matches context: ${chalk.bold(context.name)}`
+        fallback
+          ? `No context matches the current path, using the fallback context: ${chalk.bold(
+              context.name
+            )}`
+          : `Current path matches context: ${chalk.bold(context.name)}`
       );
       this.adapter.log(
         chalk.green(
@@ -248,23 +450,162 @@ export class UserInterface {
     }
   }
 
+  /**
+   * Display the identity git uses and how it compares with the expected context
+   * @param {Object} status Status from GitContextSwitcher.showStatus()
+   */
+  displayStatus(status) {
+    this.adapter.log(chalk.blue(`\n📍 ${status.directory}`));
+
+    for (const { key, value, scope, origin } of status.values) {
+      if (value === null) {
+        this.adapter.log(`   ${chalk.yellow(key)}: ${chalk.dim("(not set)")}`);
+      } else {
+        this.adapter.log(
+          `   ${chalk.yellow(key)}: ${chalk.white(value)} ${chalk.dim(
+            `(${scope}, ${origin})`
+          )}`
+        );
+      }
+    }
+
+    this.adapter.log(
+      `\n   Expected context: ${chalk.bold(status.expectedContext || "none")}${
+        status.fallback ? chalk.dim(" (fallback)") : ""
+      }`
+    );
+    this.adapter.log(
+      `   Applied by git:   ${chalk.bold(status.appliedContext || "none")}`
+    );
+
+    if (!status.insideRepository) {
+      this.displayWarning(
+        "Not inside a git repository, so gitdir includes don't apply here."
+      );
+    } else if (status.mismatches.length > 0) {
+      for (const mismatch of status.mismatches) {
+        this.displayWarning(mismatch);
+      }
+    } else if (
+      status.uncertain &&
+      status.expectedContext !== status.appliedContext
+    ) {
+      this.displayWarning(
+        "An include condition couldn't be evaluated here, so git may rightly apply another context."
+      );
+    } else {
+      this.displaySuccess("Git applies the expected context.");
+    }
+  }
+
+  /**
+   * Display the backups
+   * @param {Array} backups Backups with id, createdAt, command, files and the
+   * lines restoring them would change
+   * @param {string} backupDirPath Path to the backups directory
+   */
+  displayBackups(backups, backupDirPath) {
+    this.adapter.log(chalk.blue("Backups:"));
+    this.adapter.log(chalk.blue("===================================="));
+
+    for (const backup of backups) {
+      const { added, removed } = backup.changes;
+      const changes =
+        added + removed === 0
+          ? chalk.dim("same as now")
+          : `${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`;
+
+      this.adapter.log(chalk.green(`\n🔹 ${chalk.bold(backup.id)}`));
+      this.adapter.log(
+        `   Created: ${chalk.cyan(
+          new Date(backup.createdAt).toLocaleString()
+        )} ${chalk.dim(`(${backup.command})`)}`
+      );
+      this.adapter.log(`   Files: ${chalk.cyan(backup.files.length)}`);
+      this.adapter.log(`   Changes to restore: ${changes}`);
+    }
+
+    this.adapter.log(chalk.dim(`\nStored in ${backupDirPath}`));
+  }
+
+  /**
+   * Display a unified diff, colouring the added and removed lines
+   * @param {string} diff Unified diff from formatUnifiedDiff()
+   */
+  displayDiff(diff) {
+    for (const line of diff.replace(/\n$/, "").split("\n")) {
+      if (line.startsWith("---") || line.startsWith("+++")) {
+        this.adapter.log(chalk.bold(line));
+      } else if (line.startsWith("@@")) {
+        this.adapter.log(chalk.cyan(line));
+      } else if (line.startsWith("+")) {
+        this.adapter.log(chalk.green(line));
+      } else if (line.startsWith("-")) {
+        this.adapter.log(chalk.red(line));
+      } else {
+        this.adapter.log(line);
+      }
+    }
+  }
+
+  /**
+   * Display the journal of commands that changed the configuration
+   * @param {Array} entries Journal entries, newest first, with the lines each
+   * command added and removed
+   */
+  displayHistory(entries) {
+    this.adapter.log(chalk.blue("History:"));
+    this.adapter.log(chalk.blue("===================================="));
+
+    // The newest entry that isn't undone is what undo reverts next
+    const next = entries.find((entry) => !entry.undoneAt);
+    for (const entry of entries) {
+      const { added, removed } = entry.changes;
+      const status = entry.undoneAt
+        ? chalk.dim(" (undone)")
+        : entry === next
+          ? chalk.yellow(" (next to undo)")
+          : "";
+
+      this.adapter.log(
+        chalk.green(`\n🔹 ${chalk.bold(entry.command)}${status}`)
+      );
+      this.adapter.log(
+        `   Ran: ${chalk.cyan(new Date(entry.createdAt).toLocaleString())}`
+      );
+      this.adapter.log(
+        `   Files: ${entry.files.map((file) => file.name).join(", ")}`
+      );
+      this.adapter.log(
+        `   Changes: ${chalk.green(`+${added}`)} ${chalk.red(`-${removed}`)}`
+      );
+    }
+  }
+
   /**
    * Get a single context from user input
+   * @param {Context} [existing=null] Context being edited; its values pre-fill
+   * every prompt and its name is kept
+   * @param {Array} [templates] Templates to offer, by default the built-in ones
    * @returns {Promise<Context>} Created context
    */
-  async getContextFromUser() {
-    // First ask if user wants to use a template
-    const { useTemplate } = await this.adapter.prompt([
-      {
-        type: "confirm",
-        name: "useTemplate",
-        message: "Would you like to use a template for this context?",
-        default: false,
-      },
-    ]);
+  async getContextFromUser(
+    existing = null,
+    templates = Context.getTemplates()
+  ) {
+    // First ask if user wants to use a template (not when editing)
+    const { useTemplate } = existing
+      ? { useTemplate: false }
+      : await this.adapter.prompt([
+          {
+            type: "confirm",
+            name: "useTemplate",
+            message: "Would you like to use a template for this context?",
+            default: false,
+          },
+        ]);
 
     if (useTemplate) {
-      const templates = Context.getTemplates();
       this.displayTemplates(templates);
 
       const { templateName } = await this.adapter.prompt([
@@ -293,7 +634,11 @@ export class UserInterface {
       ]);
 
       // Create context from template
-      const context = Context.fromTemplate(contextName, templateName);
+      const context = Context.fromTemplate(
+        contextName,
+        templateName,
+        templates
+      );
 
       // Ask for remaining required information
       const { pathPattern, userName, userEmail } = await this.adapter.prompt([
@@ -303,9 +648,9 @@ export class UserInterface {
           message:
             "Path pattern for repositories (e.g., ~/personal/**, /work/**):",
           validate: (input) => {
-            const trimmed = input.trim();
-            if (trimmed === "") return "Path pattern is required";
-            if (!validatePathPattern(trimmed)) {
+            const patterns = splitPatterns(input);
+            if (patterns.length === 0) return "Path pattern is required";
+            if (!patterns.every((pattern) => validatePathPattern(pattern))) {
               return "Path pattern contains invalid characters";
             }
             return true;
@@ -334,8 +679,7 @@ export class UserInterface {
       ]);
 
       // Update context with user input
-      context.pathPatterns = [pathPattern.trim()];
-      context.pathPattern = pathPattern.trim(); // For backward compatibility
+      context.pathPatterns = splitPatterns(pathPattern);
       context.gitConfig["user.name"] = userName.trim();
       context.userName = userName.trim();
       context.gitConfig["user.email"] = userEmail.trim();
@@ -343,35 +687,22 @@ export class UserInterface {
 
       // If template has signingKey enabled, ask for the key
       if (context.gitConfig["commit.gpgsign"] === "true") {
-        const { addSigningKey } = await this.adapter.prompt([
+        const { addSigningKey, signingFormat } = await this.adapter.prompt([
           {
             type: "confirm",
             name: "addSigningKey",
             message:
-              "Would you like to configure a GPG signing key for this context?",
+              "Would you like to configure a signing key for this context?",
             default: true,
           },
+          signingFormatQuestion(),
         ]);
 
         if (addSigningKey) {
-          const { signingKey } = await this.adapter.prompt([
-            {
-              type: "input",
-              name: "signingKey",
-              message: "GPG signing key ID:",
-              validate: (input) => {
-                const trimmed = input.trim();
-                if (trimmed === "") return "Signing key is required";
-                if (!/^[A-F0-9]+$/i.test(trimmed)) {
-                  return "GPG key should be a hexadecimal value";
-                }
-                return true;
-              },
-            },
-          ]);
-
-          context.gitConfig["user.signingkey"] = signingKey.trim();
-          context.signingKey = signingKey.trim();
+          const signing = await this.getSigningDetails(
+            signingFormat || "openpgp"
+          );
+          context.gitConfig = Context.applySigning(context.gitConfig, signing);
         } else {
           // If user doesn't want to add a signing key, disable auto-signing
           context.gitConfig["commit.gpgsign"] = "false";
@@ -379,14 +710,45 @@ export class UserInterface {
         }
       }
 
-      return context;
+      const template = templates.find((t) => t.name === templateName);
+      const { addSshKey } = await this.adapter.prompt([
+        {
+          type: "confirm",
+          name: "addSshKey",
+          message: "Would you like to use a specific SSH key for this context?",
+          default: false,
+        },
+      ]);
+
+      if (addSshKey) {
+        context.sshKey = await this.getSshKey(template && template.sshKey);
+      }
+
+      // Refresh the properties derived from gitConfig
+      return Context.fromObject(context.toObject());
     } else {
       // Original context creation flow using adapter
+      const existingUrlPatterns = existing ? existing.urlPatterns || [] : [];
+      const existingConditions = existing
+        ? existing.includeConditions || []
+        : [];
+      // Like add with options: the default context and contexts included by
+      // URL patterns or other conditions need no path pattern, and a context
+      // extending another can inherit its identity
+      const pathOptional = Boolean(
+        existing &&
+        (existing.isDefault ||
+          existingUrlPatterns.length > 0 ||
+          existingConditions.length > 0)
+      );
+      const identityOptional = Boolean(existing && existing.extends);
       const answers = await this.adapter.prompt([
         {
           type: "input",
           name: "name",
           message: "Context name (e.g., personal, work):",
+          // The name of an edited context stays the same
+          when: !existing,
           validate: (input) => {
             const trimmed = input.trim();
             if (trimmed === "") return "Context name is required";
@@ -401,29 +763,64 @@ export class UserInterface {
           name: "pathPattern",
           message:
             "Path pattern for repositories (e.g., ~/personal/**, /work/**):",
+          default: existing ? existing.pathPatterns.join(", ") : undefined,
           validate: (input) => {
-            const trimmed = input.trim();
-            if (trimmed === "") return "Path pattern is required";
-            if (!validatePathPattern(trimmed)) {
+            const patterns = splitPatterns(input);
+            if (patterns.length === 0) {
+              return pathOptional ? true : "Path pattern is required";
+            }
+            if (!patterns.every((pattern) => validatePathPattern(pattern))) {
               return "Path pattern contains invalid characters";
             }
             return true;
           },
         },
+        {
+          type: "confirm",
+          name: "addIncludeConditions",
+          message:
+            "Would you like to add include conditions besides the path (branch, remote URL)?",
+          default: existingConditions.length > 0,
+        },
+        {
+          type: "input",
+          name: "includeConditions",
+          message:
+            "Include conditions, comma-separated (e.g., onbranch:release/**, hasconfig:remote.*.url:git@github.com:acme/**):",
+          default:
+            existingConditions.length > 0
+              ? existingConditions.join(", ")
+              : undefined,
+          when: (answers) => answers.addIncludeConditions,
+          validate: (input) =>
+            splitPatterns(input).every((condition) =>
+              validateIncludeCondition(condition)
+            )
+              ? true
+              : `Include conditions must start with one of: ${INCLUDE_CONDITION_TYPES.join(
+                  ", "
+                )}`,
+        },
         {
           type: "input",
           name: "userName",
           message: "Git user name for this context:",
+          default: existing ? existing.userName || undefined : undefined,
           validate: (input) =>
-            input.trim() !== "" ? true : "User name is required",
+            input.trim() !== "" || identityOptional
+              ? true
+              : "User name is required",
         },
         {
           type: "input",
           name: "userEmail",
           message: "Git user email for this context:",
+          default: existing ? existing.userEmail || undefined : undefined,
           validate: (input) => {
             const trimmed = input.trim();
-            if (trimmed === "") return "User email is required";
+            if (trimmed === "") {
+              return identityOptional ? true : "User email is required";
+            }
             if (!validateEmail(trimmed)) {
               return "Please enter a valid email address";
             }
@@ -434,49 +831,50 @@ export class UserInterface {
           type: "confirm",
           name: "addSigningKey",
           message:
-            "Would you like to configure a GPG signing key for this context?",
-          default: false,
+            "Would you like to configure a signing key for this context?",
+          default: Boolean(existing && existing.signingKey),
+        },
+        signingFormatQuestion(existing ? existing.signingFormat : "openpgp"),
+        {
+          type: "confirm",
+          name: "addSshKey",
+          message: "Would you like to use a specific SSH key for this context?",
+          default: Boolean(existing && existing.sshKey),
+        },
+        {
+          type: "confirm",
+          name: "keepUrlPatterns",
+          message: `Keep existing URL patterns (${existingUrlPatterns.join(
+            ", "
+          )})?`,
+          when: existingUrlPatterns.length > 0,
+          default: true,
         },
         {
           type: "confirm",
           name: "addUrlPatterns",
           message:
-            "Would you like to add URL patterns for automatic repository detection?",
-          default: true,
+            existingUrlPatterns.length > 0
+              ? "Would you like to add more URL patterns?"
+              : "Would you like to add URL patterns for automatic repository detection?",
+          default: existingUrlPatterns.length === 0,
         },
       ]);
 
-      let signingKey = null;
-      let autoSign = false;
+      const signing = answers.addSigningKey
+        ? await this.getSigningDetails(
+            answers.signingFormat || "openpgp",
+            existing
+          )
+        : {};
 
-      if (answers.addSigningKey) {
-        const signingAnswers = await this.adapter.prompt([
-          {
-            type: "input",
-            name: "signingKey",
-            message: "GPG signing key ID:",
-            validate: (input) => {
-              const trimmed = input.trim();
-              if (trimmed === "") return "Signing key is required";
-              if (!/^[A-F0-9]+$/i.test(trimmed)) {
-                return "GPG key should be a hexadecimal value";
-              }
-              return true;
-            },
-          },
-          {
-            type: "confirm",
-            name: "autoSign",
-            message: "Automatically sign all commits for this context?",
-            default: true,
-          },
-        ]);
+      const sshKey = answers.addSshKey
+        ? await this.getSshKey(existing ? existing.sshKey : null)
+        : null;
 
-        signingKey = signingAnswers.signingKey.trim();
-        autoSign = signingAnswers.autoSign;
-      }
-
-      let urlPatterns = [];
+      // Existing URL patterns are only dropped when the user says so
+      let urlPatterns =
+        answers.keepUrlPatterns === false ? [] : [...existingUrlPatterns];
       if (answers.addUrlPatterns) {
         this.adapter.log(
           "\nAdd URL patterns for repository detection (e.g., github.com/username/*)"
@@ -512,15 +910,46 @@ export class UserInterface {
         }
       }
 
-      const pathPatterns = [answers.pathPattern.trim()];
-      const gitConfig = {
+      const pathPatterns = splitPatterns(answers.pathPattern);
+      const includeConditions = answers.addIncludeConditions
+        ? splitPatterns(answers.includeConditions)
+        : [];
+      const identity = {
         "user.name": answers.userName.trim(),
         "user.email": answers.userEmail.trim(),
       };
+      const gitConfig = Context.applySigning(
+        Object.fromEntries(
+          Object.entries({
+            ...(existing ? existing.gitConfig : {}),
+            ...identity,
+          })
+            // An empty name or email is inherited from the extended context
+            .filter(
+              ([key, value]) => value !== "" || !Object.hasOwn(identity, key)
+            )
+        ),
+        signing
+      );
 
-      if (signingKey) {
-        gitConfig["user.signingkey"] = signingKey;
-        gitConfig["commit.gpgsign"] = autoSign ? "true" : "false";
+      if (existing) {
+        // Keep everything the prompts don't cover
+        const edited = Context.fromObject({
+          ...existing.toObject(),
+          pathPatterns,
+          gitConfig,
+          urlPatterns,
+          sshKey,
+          includeConditions,
+        });
+        // Like path remove, refuse to leave nothing to include the context by
+        if (!edited.canApply()) {
+          throw new GitContextError(
+            `Context "${existing.name}" needs a path pattern, URL pattern or include condition, without one it would never apply`,
+            EXIT_CODES.VALIDATION
+          );
+        }
+        return edited;
       }
 
       return new Context(
@@ -528,23 +957,105 @@ export class UserInterface {
         "", // Empty description
         pathPatterns,
         gitConfig,
-        urlPatterns
+        urlPatterns,
+        { sshKey, includeConditions }
       );
     }
   }
 
+  /**
+   * Prompt for the signing key and signing behaviour of a context
+   * @param {string} format Signature format, one of SIGNING_FORMATS
+   * @param {Context|null} [existing=null] Context being edited, used for defaults
+   * @returns {Promise<Object>} Signing settings for Context.applySigning()
+   */
+  async getSigningDetails(format, existing = null) {
+    // Only suggest the current key if it is in the same format
+    const current =
+      existing && existing.signingKey && existing.signingFormat === format
+        ? existing
+        : null;
+
+    const answers = await this.adapter.prompt([
+      {
+        type: "input",
+        name: "signingKey",
+        message: SIGNING_KEY_PROMPTS.get(format),
+        default: current ? current.signingKey : undefined,
+        validate: (input) => {
+          const trimmed = input.trim();
+          if (trimmed === "") return "Signing key is required";
+          return Context.getSigningKeyError(trimmed, format) || true;
+        },
+      },
+      {
+        type: "input",
+        name: "allowedSignersFile",
+        message:
+          "Allowed signers file for verifying signatures (optional, e.g. ~/.ssh/allowed_signers):",
+        when: format === "ssh",
+        default:
+          existing && existing.allowedSignersFile
+            ? existing.allowedSignersFile
+            : undefined,
+      },
+      {
+        type: "confirm",
+        name: "autoSign",
+        message: "Automatically sign all commits for this context?",
+        default: current ? current.autoSign : true,
+      },
+      {
+        type: "confirm",
+        name: "signTags",
+        message: "Sign annotated tags as well?",
+        default: current ? current.signTags : false,
+      },
+    ]);
+
+    return {
+      signingKey: answers.signingKey.trim(),
+      format,
+      autoSign: answers.autoSign,
+      signTags: Boolean(answers.signTags),
+      allowedSignersFile: answers.allowedSignersFile
+        ? answers.allowedSignersFile.trim()
+        : null,
+    };
+  }
+
+  /**
+   * Prompt for the SSH private key used by a context
+   * @param {string|null} defaultKey Key path to suggest
+   * @returns {Promise<string>} Trimmed key path
+   */
+  async getSshKey(defaultKey = null) {
+    const { sshKey } = await this.adapter.prompt([
+      {
+        type: "input",
+        name: "sshKey",
+        message: "Path to the SSH private key (e.g., ~/.ssh/id_ed25519_work):",
+        default: defaultKey || undefined,
+        validate: validateSshKeyInput,
+      },
+    ]);
+
+    return sshKey.trim();
+  }
+
   /**
    * Get multiple contexts from user
+   * @param {Array} [templates] Templates to offer, by default the built-in ones
    * @returns {Promise<Array>} Array of Context objects
    */
-  async getContextsFromUser() {
+  async getContextsFromUser(templates = Context.getTemplates()) {
     this.displaySetupInfo();
 
     const contexts = [];
     let addAnother = true;
 
     while (addAnother) {
-      const context = await this.getContextFromUser();
+      const context = await this.getContextFromUser(null, templates);
       contexts.push(context);
 
       const answer = await this.adapter.prompt([
@@ -587,20 +1098,33 @@ export class UserInterface {
   /**
    * Display available templates
    * @param {Array} templates Array of templates
+   * @param {string} [heading="Available Templates"] Heading above the templates
    */
-  displayTemplates(templates) {
-    this.adapter.log(chalk.blue("\nAvailable Templates:"));
+  displayTemplates(templates, heading = "Available Templates") {
+    this.adapter.log(chalk.blue(`\n${heading}:`));
     this.adapter.log(chalk.blue("===================================="));
 
     for (const template of templates) {
       this.adapter.log(chalk.green(`\n🔹 ${chalk.bold(template.name)}`));
-      this.adapter.log(`   Description: ${chalk.cyan(template.description)}`);
+      if (template.description) {
+        this.adapter.log(`   Description: ${chalk.cyan(template.description)}`);
+      }
 
       if (template.urlPatterns && template.urlPatterns.length > 0) {
         this.adapter.log(
           `   URL Patterns: ${chalk.cyan(template.urlPatterns.join(", "))}`
         );
       }
+
+      if (template.source) {
+        this.adapter.log(`   Source: ${chalk.cyan(template.source)}`);
+      }
+
+      if (template.errors && template.errors.length > 0) {
+        this.adapter.log(
+          chalk.yellow(`   ⚠️ Invalid: ${template.errors.join(", ")}`)
+        );
+      }
     }
   }
 
@@ -671,7 +1195,7 @@ export class UserInterface {
 
       this.adapter.log(
         `\n${nameColor(` ${context.name.toUpperCase()} `)} ${contextColor(
-          "Context"
+          context.isDefault ? "Context (default)" : "Context"
         )}`
       );
       this.adapter.log(
@@ -698,12 +1222,14 @@ export class UserInterface {
         for (const pattern of context.pathPatterns) {
           this.adapter.log(`   ${chalk.white(pattern)}`);
         }
-      } else if (context.pathPattern) {
-        this.adapter.log(
-          `${chalk.green("📂")} ${chalk.yellow("Path Pattern:")} ${chalk.white(
-            context.pathPattern
-          )}`
-        );
+      }
+
+      // Other include conditions with icon
+      if (context.includeConditions && context.includeConditions.length > 0) {
+        this.adapter.log(`${chalk.green("🔀")} ${chalk.yellow("Include If:")}`);
+        for (const condition of context.includeConditions) {
+          this.adapter.log(`   ${chalk.white(condition)}`);
+        }
       }
 
       // URL patterns with icon
@@ -730,6 +1256,24 @@ export class UserInterface {
         );
       }
 
+      // SSH key if one is set
+      if (context.sshKey) {
+        this.adapter.log(
+          `${chalk.green("🗝️")} ${chalk.yellow("SSH Key:")}     ${chalk.white(
+            context.sshKey
+          )}`
+        );
+      }
+
+      // Priority if it differs from the default
+      if (context.priority) {
+        this.adapter.log(
+          `${chalk.green("🏅")} ${chalk.yellow("Priority:")}    ${chalk.white(
+            context.priority
+          )}`
+        );
+      }
+
       // Config file location
       const configPath = path.join(
         gitConfigDirPath,
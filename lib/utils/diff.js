@@ -0,0 +1,197 @@
+/**
+ * Line diff utilities for Git Context Switcher
+ */
+
+/**
+ * Split text into lines, ignoring the newline that ends the last one
+ * @param {string|null} text Text to split; null is treated as empty
+ * @returns {Array<string>} Lines of the text
+ * @private
+ */
+function splitLines(text) {
+  if (!text) {
+    return [];
+  }
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Compute a line-by-line diff between two texts
+ * Lines both texts start and end with are matched directly; the rest is
+ * aligned with a longest common subsequence, which is plenty for config files.
+ * @param {string|null} oldText Original text, or null if there was none
+ * @param {string|null} newText Changed text, or null if there is none
+ * @returns {Array<Object>} Diff operations in order, each with a type of
+ * "equal", "remove" or "add" and the line
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a.at(start) === b.at(start)) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a.at(endA - 1) === b.at(endB - 1)) {
+    endA--;
+    endB--;
+  }
+
+  // The LCS length of a[start + i..endA) and b[start + j..endB) is stored at
+  // i * width + j
+  const rows = endA - start;
+  const cols = endB - start;
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  const lcs = (i, j) => lengths.at(i * width + j);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] =
+        a.at(start + i) === b.at(start + j)
+          ? lcs(i + 1, j + 1) + 1
+          : Math.max(lcs(i + 1, j), lcs(i, j + 1));
+    }
+  }
+
+  const operations = a.slice(0, start).map((line) => ({ type: "equal", line }));
+
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && a.at(start + i) === b.at(start + j)) {
+      operations.push({ type: "equal", line: a.at(start + i) });
+      i++;
+      j++;
+    } else if (i < rows && (j === cols || lcs(i + 1, j) >= lcs(i, j + 1))) {
+      // Removed lines come before the lines that replace them
+      operations.push({ type: "remove", line: a.at(start + i) });
+      i++;
+    } else {
+      operations.push({ type: "add", line: b.at(start + j) });
+      j++;
+    }
+  }
+
+  for (const line of a.slice(endA)) {
+    operations.push({ type: "equal", line });
+  }
+  return operations;
+}
+
+/**
+ * Count the lines added and removed between two texts
+ * @param {string|null} oldText Original text, or null if there was none
+ * @param {string|null} newText Changed text, or null if there is none
+ * @returns {Object} Object with the number of added and removed lines
+ */
+export function countLineChanges(oldText, newText) {
+  const counts = { added: 0, removed: 0 };
+  for (const { type } of diffLines(oldText, newText)) {
+    if (type === "add") {
+      counts.added++;
+    } else if (type === "remove") {
+      counts.removed++;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Format the range of a hunk header the way diff -u does: a range of one line
+ * is just its number, an empty range names the line before it
+ * @param {number} before Number of lines before the range
+ * @param {number} count Number of lines in the range
+ * @returns {string} Range, e.g. "3,4", "3" or "2,0"
+ * @private
+ */
+function formatRange(before, count) {
+  if (count === 1) {
+    return `${before + 1}`;
+  }
+  return count === 0 ? `${before},0` : `${before + 1},${count}`;
+}
+
+/**
+ * Format the difference between two texts as a unified diff
+ * @param {string|null} oldText Original text, or null if there was none
+ * @param {string|null} newText Changed text, or null if there is none
+ * @param {Object} [options={}] Format options
+ * @param {string} [options.oldLabel="a"] Name of the original on the --- line
+ * @param {string} [options.newLabel="b"] Name of the change on the +++ line
+ * @param {number} [options.context=3] Unchanged lines shown around changes
+ * @returns {string} The diff with a trailing newline, or an empty string if
+ * the texts have the same lines
+ */
+export function formatUnifiedDiff(
+  oldText,
+  newText,
+  { oldLabel = "a", newLabel = "b", context = 3 } = {}
+) {
+  const operations = diffLines(oldText, newText);
+
+  // Lines of each text that come before every operation
+  const positions = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const { type } of operations) {
+    positions.push({ oldLine, newLine });
+    if (type !== "add") {
+      oldLine++;
+    }
+    if (type !== "remove") {
+      newLine++;
+    }
+  }
+  positions.push({ oldLine, newLine });
+
+  const changed = [];
+  operations.forEach(({ type }, index) => {
+    if (type !== "equal") {
+      changed.push(index);
+    }
+  });
+  if (changed.length === 0) {
+    return "";
+  }
+
+  const marks = new Map([
+    ["equal", " "],
+    ["remove", "-"],
+    ["add", "+"],
+  ]);
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  for (let first = 0; first < changed.length;) {
+    // Changes closer together than twice the context share a hunk
+    let last = first;
+    while (
+      last + 1 < changed.length &&
+      changed.at(last + 1) - changed.at(last) <= 2 * context + 1
+    ) {
+      last++;
+    }
+
+    const start = Math.max(0, changed.at(first) - context);
+    const end = Math.min(operations.length, changed.at(last) + context + 1);
+    const from = positions.at(start);
+    const to = positions.at(end);
+    lines.push(
+      `@@ -${formatRange(from.oldLine, to.oldLine - from.oldLine)} +${formatRange(
+        from.newLine,
+        to.newLine - from.newLine
+      )} @@`
+    );
+    for (const { type, line } of operations.slice(start, end)) {
+      lines.push(`${marks.get(type)}${line}`);
+    }
+
+    first = last + 1;
+  }
+
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,64 @@
+/**
+ * Process exit codes for Git Context Switcher
+ *
+ * Every command exits with one of these codes so scripts and CI can tell
+ * failures apart. They are documented in docs/COMMANDS.md; don't renumber
+ * them.
+ */
+
+export const EXIT_CODES = Object.freeze({
+  // The command did what it was asked to
+  SUCCESS: 0,
+  // Any failure without a more specific code
+  ERROR: 1,
+  // Invalid input: a context, option, key or file that fails validation
+  VALIDATION: 2,
+  // Nothing matched: an unknown context, key or backup, no context for the
+  // directory or URL, or nothing to import
+  NO_MATCH: 3,
+  // A file or directory could not be read or written
+  PERMISSION_DENIED: 4,
+  // Git is not installed or not on the PATH
+  GIT_MISSING: 5,
+  // The change clashes with existing state: a name that is taken, files
+  // changed since a command ran, or a lock held by another process
+  CONFLICT: 6,
+  // The user declined a confirmation or interrupted a prompt
+  CANCELLED: 7,
+});
+
+/**
+ * Error carrying the exit code the process should end with
+ */
+export class GitContextError extends Error {
+  /**
+   * @param {string} message Error message shown to the user
+   * @param {number} [exitCode=EXIT_CODES.ERROR] One of EXIT_CODES
+   */
+  constructor(message, exitCode = EXIT_CODES.ERROR) {
+    super(message);
+    this.name = "GitContextError";
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Choose the exit code for an error
+ * @param {Error} error Error a command failed with
+ * @returns {number} The error's own exit code, PERMISSION_DENIED for file
+ * system permission errors, CANCELLED for an interrupted prompt, otherwise
+ * ERROR
+ */
+export function exitCodeForError(error) {
+  if (error && Number.isInteger(error.exitCode)) {
+    return error.exitCode;
+  }
+  if (error && (error.code === "EACCES" || error.code === "EPERM")) {
+    return EXIT_CODES.PERMISSION_DENIED;
+  }
+  // Inquirer rejects prompts with this error when the user presses Ctrl+C
+  if (error && error.name === "ExitPromptError") {
+    return EXIT_CODES.CANCELLED;
+  }
+  return EXIT_CODES.ERROR;
+}
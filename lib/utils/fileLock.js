@@ -0,0 +1,161 @@
+/**
+ * Cross-process file locking for Git Context Switcher
+ *
+ * A lock is a `<file>.git-context.lock` file created exclusively next to the
+ * file it guards. It records the PID of its owner, so a lock left behind by a
+ * process that crashed can be recognised and taken over. The name is our own:
+ * git locks a config file it writes with `<file>.lock`, and sharing that name
+ * would make this tool and a running `git config` fail each other.
+ */
+import fs from "fs-extra";
+import { setTimeout as delay } from "timers/promises";
+import { EXIT_CODES, GitContextError } from "./exitCodes.js";
+
+export const LOCK_SUFFIX = ".git-context.lock";
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_STALE_TIME = 30000;
+const DEFAULT_RETRY_INTERVAL = 50;
+
+/**
+ * Check whether a process with the given PID is still running
+ * @param {number} pid Process ID
+ * @returns {boolean} True if the process exists
+ * @private
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Read the owner of an existing lock file
+ * @param {string} lockPath Path to the lock file
+ * @returns {Promise<Object|null>} Lock info with pid and createdAt, or null if
+ * the lock is gone or unreadable
+ * @private
+ */
+async function readLockInfo(lockPath) {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const info = JSON.parse(await fs.readFile(lockPath, "utf8"));
+    if (Number.isInteger(info.pid) && Number.isFinite(info.createdAt)) {
+      return info;
+    }
+  } catch {
+    // Missing, half-written or corrupt lock files are handled by the caller
+  }
+  return null;
+}
+
+/**
+ * Decide whether a lock has been abandoned
+ * @param {string} lockPath Path to the lock file
+ * @param {Object|null} info Lock info from readLockInfo
+ * @param {number} staleTime Age in milliseconds after which a lock is stale
+ * @returns {Promise<boolean>} True if the lock can be taken over
+ * @private
+ */
+async function isStale(lockPath, info, staleTime) {
+  if (info) {
+    if (info.pid !== process.pid && !isProcessRunning(info.pid)) {
+      return true;
+    }
+    return Date.now() - info.createdAt > staleTime;
+  }
+
+  // The owner may still be writing its PID, so only an old unreadable lock
+  // counts as abandoned
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const stats = await fs.stat(lockPath);
+    return Date.now() - stats.mtimeMs > staleTime;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Acquire an exclusive lock on a file, waiting for other processes to
+ * release it
+ * @param {string} filePath Path of the file to lock
+ * @param {Object} [options={}] Lock options
+ * @param {number} [options.timeout=10000] Milliseconds to wait before giving up
+ * @param {number} [options.staleTime=30000] Milliseconds after which a lock
+ * whose owner is still running is considered abandoned
+ * @param {number} [options.retryInterval=50] Milliseconds between attempts
+ * @returns {Promise<Function>} Async function that releases the lock
+ * @throws {Error} If the lock cannot be acquired within the timeout
+ */
+export async function acquireFileLock(
+  filePath,
+  {
+    timeout = DEFAULT_TIMEOUT,
+    staleTime = DEFAULT_STALE_TIME,
+    retryInterval = DEFAULT_RETRY_INTERVAL,
+  } = {}
+) {
+  const lockPath = `${filePath}${LOCK_SUFFIX}`;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const content = JSON.stringify({ pid: process.pid, createdAt: Date.now() });
+    try {
+      // eslint-disable-next-line security/detect-non-literal-fs-filename
+      await fs.writeFile(lockPath, content, { flag: "wx", mode: 0o600 });
+      return () => releaseFileLock(lockPath);
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+    }
+
+    const info = await readLockInfo(lockPath);
+    if (await isStale(lockPath, info, staleTime)) {
+      // Only remove the lock if it hasn't been taken over since we looked
+      const current = await readLockInfo(lockPath);
+      if (
+        (info === null && current === null) ||
+        (info &&
+          current &&
+          info.pid === current.pid &&
+          info.createdAt === current.createdAt)
+      ) {
+        await releaseFileLock(lockPath);
+      }
+      continue;
+    }
+
+    if (Date.now() >= deadline) {
+      const owner = info ? ` held by process ${info.pid}` : "";
+      throw new GitContextError(
+        `Timed out waiting for the lock on ${filePath}${owner}. If no other git-context-switcher command is running, delete ${lockPath}.`,
+        EXIT_CODES.CONFLICT
+      );
+    }
+
+    await delay(retryInterval);
+  }
+}
+
+/**
+ * Remove a lock file
+ * @param {string} lockPath Path to the lock file
+ * @returns {Promise<void>}
+ * @private
+ */
+async function releaseFileLock(lockPath) {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    await fs.unlink(lockPath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,678 @@
+/**
+ * Git config format utilities for Git Context Switcher
+ */
+
+/**
+ * Split a dotted git config key into its parts
+ * The first component is the section, the last one the variable name and
+ * anything in between the subsection, e.g. `url.git@github.com:.insteadOf`.
+ * @param {string} key Dotted config key
+ * @returns {Object|null} Object with section, subsection and name, or null if the key is invalid
+ */
+export function parseConfigKey(key) {
+  if (typeof key !== "string") {
+    return null;
+  }
+
+  const firstDot = key.indexOf(".");
+  const lastDot = key.lastIndexOf(".");
+  if (firstDot <= 0 || lastDot === key.length - 1) {
+    return null;
+  }
+
+  const section = key.slice(0, firstDot);
+  const name = key.slice(lastDot + 1);
+  const subsection =
+    firstDot === lastDot ? null : key.slice(firstDot + 1, lastDot);
+
+  // Section names allow alphanumerics and "-"; variable names must start with
+  // a letter; subsections can hold anything but newlines and NUL bytes
+  if (
+    !/^[A-Za-z0-9-]+$/.test(section) ||
+    !/^[A-Za-z][A-Za-z0-9-]*$/.test(name)
+  ) {
+    return null;
+  }
+
+  if (subsection !== null && /[\n\0]/.test(subsection)) {
+    return null;
+  }
+
+  return { section, subsection, name };
+}
+
+/**
+ * Get the canonical form of a config key for comparisons
+ * Section and variable names are case-insensitive, subsections are not.
+ * @param {string} key Dotted config key
+ * @returns {string|null} Canonical key or null if the key is invalid
+ */
+export function canonicalConfigKey(key) {
+  const parts = parseConfigKey(key);
+  if (!parts) {
+    return null;
+  }
+
+  const section = parts.section.toLowerCase();
+  const name = parts.name.toLowerCase();
+  return parts.subsection === null
+    ? `${section}.${name}`
+    : `${section}.${parts.subsection}.${name}`;
+}
+
+/**
+ * Find the key in a config map that refers to the same variable as the given key
+ * @param {Object} config Map of dotted keys to values
+ * @param {string} key Dotted config key to look for
+ * @returns {string|undefined} Matching key as stored in the map
+ */
+export function findConfigKey(config, key) {
+  const canonical = canonicalConfigKey(key);
+  if (!canonical || !config) {
+    return undefined;
+  }
+
+  return Object.keys(config).find((k) => canonicalConfigKey(k) === canonical);
+}
+
+/**
+ * Get a value from a config map, matching the key the way git does
+ * @param {Object} config Map of dotted keys to values
+ * @param {string} key Dotted config key
+ * @returns {*} The value, or undefined if the key is not set
+ */
+export function getConfigValue(config, key) {
+  const canonical = canonicalConfigKey(key);
+  if (!canonical || !config) {
+    return undefined;
+  }
+
+  const entry = Object.entries(config).find(
+    ([k]) => canonicalConfigKey(k) === canonical
+  );
+  return entry ? entry[1] : undefined;
+}
+
+/**
+ * Format a section header, quoting and escaping the subsection if present
+ * @param {string} section Section name
+ * @param {string|null} subsection Subsection name
+ * @returns {string} Section header such as `[url "git@github.com:"]`
+ */
+export function formatSectionHeader(section, subsection = null) {
+  if (subsection === null || subsection === undefined) {
+    return `[${section}]`;
+  }
+
+  const escaped = subsection.replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  return `[${section} "${escaped}"]`;
+}
+
+/**
+ * Format a value so git reads it back unchanged
+ * Backslashes, quotes and control characters are escaped, and the value is
+ * quoted when it has surrounding whitespace or comment characters.
+ * @param {*} value Value to format
+ * @returns {string} Formatted value
+ */
+export function formatConfigValue(value) {
+  const str = String(value);
+
+  const escaped = str
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replaceAll("\b", "\\b");
+
+  const needsQuotes = /^\s|\s$|[#;]/.test(str);
+  return needsQuotes ? `"${escaped}"` : escaped;
+}
+
+// Byte order mark some editors start a file with; git skips it
+const BYTE_ORDER_MARK = "\uFEFF";
+
+// Escape sequences allowed in values and the characters they stand for
+const VALUE_ESCAPES = new Map([
+  ["t", "\t"],
+  ["b", "\b"],
+  ["n", "\n"],
+  ["\\", "\\"],
+  ['"', '"'],
+]);
+
+/**
+ * Parsed git config file that can be edited without losing its formatting
+ * The content is split into nodes, each holding the exact text it was parsed
+ * from: blank lines, comments, section headers and entries. toString() joins
+ * that text, so untouched parts of a file are written back byte for byte.
+ * The grammar follows git's own parser: case-insensitive section and variable
+ * names, quoted and escaped subsections and values, comments after values and
+ * backslash line continuations.
+ */
+export class GitConfigDocument {
+  /**
+   * Create a document from parsed nodes
+   * @param {Array} [nodes=[]] Nodes as produced by GitConfigDocument.parse()
+   * @param {string} [bom=""] Byte order mark the file started with, written
+   * back before the nodes
+   */
+  constructor(nodes = [], bom = "") {
+    this.nodes = nodes;
+    this.bom = bom;
+  }
+
+  /**
+   * Parse git config content
+   * @param {string} content Git config file content
+   * @returns {GitConfigDocument} Parsed document
+   * @throws {Error} If git itself would reject the content
+   */
+  static parse(content) {
+    const text = content || "";
+    const bom = text.startsWith(BYTE_ORDER_MARK) ? BYTE_ORDER_MARK : "";
+    return new GitConfigDocument(
+      new GitConfigParser(text.slice(bom.length)).parse(),
+      bom
+    );
+  }
+
+  /**
+   * Get the config file content, including all untouched formatting
+   * @returns {string} Git config file content
+   */
+  toString() {
+    return this.bom + this.nodes.map((node) => node.raw).join("");
+  }
+
+  /**
+   * Get the entries for a key, in file order
+   * @param {string} key Dotted config key, matched the way git does
+   * @returns {Array} Entry nodes
+   */
+  getEntries(key) {
+    const canonical = canonicalConfigKey(key);
+    return this.nodes.filter(
+      (node) =>
+        node.type === "entry" && canonicalConfigKey(node.key) === canonical
+    );
+  }
+
+  /**
+   * Get every value of a multi-valued key
+   * A variable without `=` has the value null, which git reads as true.
+   * @param {string} key Dotted config key
+   * @returns {Array} Values in file order
+   */
+  getAll(key) {
+    return this.getEntries(key).map((entry) => entry.value);
+  }
+
+  /**
+   * Get the value of a key; as in git, the last one wins
+   * @param {string} key Dotted config key
+   * @returns {string|null|undefined} The value, or undefined if the key is not set
+   */
+  get(key) {
+    const entries = this.getEntries(key);
+    return entries.length > 0 ? entries[entries.length - 1].value : undefined;
+  }
+
+  /**
+   * Set a key, changing its last entry in place or adding it
+   * @param {string} key Dotted config key
+   * @param {*} value New value
+   * @returns {GitConfigDocument} This document
+   * @throws {Error} If the key is invalid
+   */
+  set(key, value) {
+    const entries = this.getEntries(key);
+    if (entries.length === 0) {
+      return this.add(key, value);
+    }
+
+    const entry = entries[entries.length - 1];
+    const indent = entry.raw.match(/^[ \t]*/)[0];
+    const newline = entry.raw.endsWith("\n") ? "\n" : "";
+    entry.raw = `${indent}${entry.name} = ${formatConfigValue(value)}${newline}`;
+    entry.value = String(value);
+    return this;
+  }
+
+  /**
+   * Add a value for a key, after the last entry of its section
+   * A section is appended when the file doesn't have one yet.
+   * @param {string} key Dotted config key
+   * @param {*} value Value to add
+   * @returns {GitConfigDocument} This document
+   * @throws {Error} If the key is invalid
+   */
+  add(key, value) {
+    const parts = parseConfigKey(key);
+    if (!parts) {
+      throw new Error(`Invalid git config key: ${key}`);
+    }
+
+    const sections = this._sectionRanges().filter(
+      ({ header }) =>
+        header.section.toLowerCase() === parts.section.toLowerCase() &&
+        header.subsection === parts.subsection
+    );
+
+    if (sections.length === 0) {
+      return this.appendSection(parts.section, parts.subsection, [
+        [parts.name, value],
+      ]);
+    }
+
+    // Insert after the last entry, so trailing comments stay below it
+    const { start, end } = sections[sections.length - 1];
+    let index = start + 1;
+    for (let i = start + 1; i < end; i++) {
+      if (this.nodes.at(i).type === "entry") index = i + 1;
+    }
+
+    this._ensureNewlineBefore(index);
+    this.nodes.splice(
+      index,
+      0,
+      this._entryNode(parts.section, parts.subsection, parts.name, value)
+    );
+    return this;
+  }
+
+  /**
+   * Remove every entry of a key
+   * @param {string} key Dotted config key
+   * @returns {number} Number of removed entries
+   */
+  unset(key) {
+    const entries = new Set(this.getEntries(key));
+    this.nodes = this.nodes.filter((node) => !entries.has(node));
+    return entries.size;
+  }
+
+  /**
+   * Append a new section, separated from existing content by a blank line
+   * @param {string} section Section name
+   * @param {string|null} subsection Subsection name
+   * @param {Array} [entries=[]] Pairs of variable name and value
+   * @returns {GitConfigDocument} This document
+   */
+  appendSection(section, subsection, entries = []) {
+    const content = this.nodes.map((node) => node.raw).join("");
+    if (content !== "" && !content.endsWith("\n")) {
+      this.nodes[this.nodes.length - 1].raw += "\n";
+    }
+    if (content.trim() !== "" && !/\n[ \t]*\n$/.test(content)) {
+      this.nodes.push({ type: "blank", raw: "\n" });
+    }
+
+    this.nodes.push({
+      type: "section",
+      raw: `${formatSectionHeader(section, subsection)}\n`,
+      section,
+      subsection,
+    });
+    for (const [name, value] of entries) {
+      this.nodes.push(this._entryNode(section, subsection, name, value));
+    }
+    return this;
+  }
+
+  /**
+   * Get each section with the range of nodes it spans
+   * @returns {Array} Objects with the header node and the start and end index
+   * @private
+   */
+  _sectionRanges() {
+    const ranges = [];
+    this.nodes.forEach((node, index) => {
+      if (node.type === "section") {
+        if (ranges.length > 0) ranges[ranges.length - 1].end = index;
+        ranges.push({ header: node, start: index, end: this.nodes.length });
+      }
+    });
+    return ranges;
+  }
+
+  /**
+   * Make sure the node before an insertion point ends its line
+   * @param {number} index Insertion point
+   * @private
+   */
+  _ensureNewlineBefore(index) {
+    const previous = this.nodes[index - 1];
+    if (previous && !previous.raw.endsWith("\n")) {
+      previous.raw += "\n";
+    }
+  }
+
+  /**
+   * Create an entry node with the formatting this tool writes
+   * @param {string} section Section name
+   * @param {string|null} subsection Subsection name
+   * @param {string} name Variable name
+   * @param {*} value Value
+   * @returns {Object} Entry node
+   * @private
+   */
+  _entryNode(section, subsection, name, value) {
+    return {
+      type: "entry",
+      raw: `    ${name} = ${formatConfigValue(value)}\n`,
+      section,
+      subsection,
+      name,
+      key:
+        subsection === null
+          ? `${section}.${name}`
+          : `${section}.${subsection}.${name}`,
+      value: String(value),
+    };
+  }
+}
+
+/**
+ * Character-level git config parser behind GitConfigDocument.parse()
+ * @private
+ */
+class GitConfigParser {
+  constructor(content) {
+    this.content = content;
+    this.pos = 0;
+  }
+
+  /**
+   * Parse the whole content into nodes
+   * @returns {Array} Nodes covering every character of the content
+   */
+  parse() {
+    const nodes = [];
+    let current = null;
+
+    while (this.pos < this.content.length) {
+      const start = this.pos;
+      this._skipSpaces();
+      const ch = this._peek();
+
+      if (this._atEndOfLine()) {
+        this._nextLine();
+        nodes.push({ type: "blank", raw: this._raw(start) });
+      } else if (ch === "#" || ch === ";") {
+        this._skipToEndOfLine();
+        this._nextLine();
+        nodes.push({ type: "comment", raw: this._raw(start) });
+      } else if (ch === "[") {
+        current = this._parseHeader();
+        nodes.push({ type: "section", raw: this._raw(start), ...current });
+
+        // A variable can follow the header on the same line, otherwise the
+        // rest of the line belongs to the header
+        const afterHeader = this.pos;
+        this._skipSpaces();
+        const rest = this._peek();
+        if (rest === "#" || rest === ";") {
+          this._skipToEndOfLine();
+        }
+        if (this._atEndOfLine()) {
+          this._nextLine();
+          nodes[nodes.length - 1].raw = this._raw(start);
+        } else {
+          this.pos = afterHeader;
+        }
+      } else if (/[A-Za-z]/.test(ch)) {
+        if (!current) {
+          this._fail("variable outside of a section");
+        }
+        nodes.push({ type: "entry", ...this._parseEntry(current), raw: "" });
+        nodes[nodes.length - 1].raw = this._raw(start);
+      } else {
+        this._fail(`unexpected character "${ch}"`);
+      }
+    }
+
+    return nodes;
+  }
+
+  _peek() {
+    return this.content[this.pos];
+  }
+
+  _raw(start) {
+    return this.content.slice(start, this.pos);
+  }
+
+  _fail(message, at = this.pos) {
+    const line = this.content.slice(0, at).split("\n").length;
+    throw new Error(`Invalid git config at line ${line}: ${message}`);
+  }
+
+  /**
+   * Read the next character, treating CRLF as a newline
+   * @returns {string} The character, or "\n" at the end of the content
+   */
+  _next() {
+    if (this.pos >= this.content.length) return "\n";
+    let ch = this.content[this.pos++];
+    if (ch === "\r" && this.content[this.pos] === "\n") {
+      ch = this.content[this.pos++];
+    }
+    return ch;
+  }
+
+  _atEndOfLine() {
+    const ch = this._peek();
+    return (
+      ch === undefined ||
+      ch === "\n" ||
+      (ch === "\r" && this.content[this.pos + 1] === "\n")
+    );
+  }
+
+  _skipSpaces() {
+    while (this._peek() === " " || this._peek() === "\t") this.pos++;
+  }
+
+  _skipToEndOfLine() {
+    while (this.pos < this.content.length && this._peek() !== "\n") {
+      this.pos++;
+    }
+  }
+
+  _nextLine() {
+    if (this._peek() === "\r" && this.content[this.pos + 1] === "\n") {
+      this.pos++;
+    }
+    if (this.pos < this.content.length) {
+      this._next();
+    }
+  }
+
+  /**
+   * Parse `[section]`, `[section "subsection"]` or the deprecated
+   * `[section.subsection]`
+   * @returns {Object} Section and subsection names
+   */
+  _parseHeader() {
+    this.pos++; // [
+    let name = "";
+    while (/[A-Za-z0-9.-]/.test(this._peek() || "")) {
+      name += this.content[this.pos++];
+    }
+    if (name === "") this._fail("missing section name");
+
+    let subsection = null;
+    if (this._peek() === " " || this._peek() === "\t") {
+      this._skipSpaces();
+      if (this._peek() !== '"') this._fail("expected a quoted subsection");
+      this.pos++;
+      subsection = "";
+      for (;;) {
+        const ch = this._peek();
+        if (ch === undefined || ch === "\n") {
+          this._fail("unterminated subsection");
+        }
+        this.pos++;
+        if (ch === '"') break;
+        if (ch === "\\") {
+          const escaped = this._peek();
+          if (escaped === undefined || escaped === "\n") {
+            this._fail("unterminated subsection");
+          }
+          subsection += escaped;
+          this.pos++;
+        } else {
+          subsection += ch;
+        }
+      }
+    } else if (name.includes(".")) {
+      // git lowercases the deprecated form as a whole
+      const dot = name.indexOf(".");
+      subsection = name.slice(dot + 1).toLowerCase();
+      name = name.slice(0, dot);
+    }
+
+    if (this._peek() !== "]") this._fail("expected ]");
+    this.pos++;
+    return { section: name, subsection };
+  }
+
+  /**
+   * Parse a variable and its value up to and including the end of its line
+   * @param {Object} current Section the variable belongs to
+   * @returns {Object} Entry properties
+   */
+  _parseEntry(current) {
+    let name = "";
+    while (/[A-Za-z0-9-]/.test(this._peek() || "")) {
+      name += this.content[this.pos++];
+    }
+    this._skipSpaces();
+
+    let value = null;
+    const ch = this._peek();
+    if (ch === "=") {
+      this.pos++;
+      value = this._parseValue();
+    } else if (ch === "#" || ch === ";") {
+      this._skipToEndOfLine();
+      this._nextLine();
+    } else if (this._atEndOfLine()) {
+      this._nextLine();
+    } else {
+      this._fail(`unexpected "${ch}" after variable "${name}"`);
+    }
+
+    const { section, subsection } = current;
+    return {
+      section,
+      subsection,
+      name,
+      key:
+        subsection === null
+          ? `${section}.${name}`
+          : `${section}.${subsection}.${name}`,
+      value,
+    };
+  }
+
+  /**
+   * Parse a value the way git does, consuming the rest of the line
+   * @returns {string} Unquoted and unescaped value
+   */
+  _parseValue() {
+    let value = "";
+    let quoted = false;
+    let comment = false;
+    let spaces = 0;
+
+    for (;;) {
+      const ch = this._next();
+      if (ch === "\n") {
+        if (quoted) this._fail("unterminated quoted value", this.pos - 1);
+        return value;
+      }
+      if (comment) continue;
+      if ((ch === " " || ch === "\t" || ch === "\r") && !quoted) {
+        if (value !== "") spaces++;
+        continue;
+      }
+      if (!quoted && (ch === "#" || ch === ";")) {
+        comment = true;
+        continue;
+      }
+      value += " ".repeat(spaces);
+      spaces = 0;
+
+      if (ch === "\\") {
+        const escaped = this._next();
+        if (escaped === "\n") continue; // line continuation
+        if (!VALUE_ESCAPES.has(escaped)) {
+          this._fail(`bad escape "\\${escaped}" in value`);
+        }
+        value += VALUE_ESCAPES.get(escaped);
+      } else if (ch === '"') {
+        quoted = !quoted;
+      } else {
+        value += ch;
+      }
+    }
+  }
+}
+
+/**
+ * Serialize a map of dotted keys into git config file content
+ * Keys are grouped into sections in order of first appearance. Array values
+ * produce one line per element, for multi-valued variables.
+ * @param {Object} config Map of dotted keys to values
+ * @returns {string} Git config file content
+ */
+export function serializeGitConfig(config) {
+  const document = new GitConfigDocument();
+
+  for (const [key, value] of Object.entries(config || {})) {
+    if (!parseConfigKey(key)) {
+      continue;
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      document.add(key, item);
+    }
+  }
+
+  return document.toString();
+}
+
+// Prefixes of the [includeIf] conditions a context can use
+export const INCLUDE_CONDITION_TYPES = [
+  "gitdir:",
+  "gitdir/i:",
+  "onbranch:",
+  "hasconfig:remote.*.url:",
+];
+
+/**
+ * Split an include condition such as `onbranch:release/**` into its parts
+ * @param {string} condition Condition as written in `[includeIf "..."]`
+ * @returns {Object|null} Object with type and pattern, or null if git's
+ * condition type is not one of INCLUDE_CONDITION_TYPES or the pattern is empty
+ */
+export function parseIncludeCondition(condition) {
+  if (typeof condition !== "string") {
+    return null;
+  }
+
+  const prefix = INCLUDE_CONDITION_TYPES.find((type) =>
+    condition.startsWith(type)
+  );
+  if (!prefix || condition.length === prefix.length) {
+    return null;
+  }
+
+  return {
+    type: prefix.slice(0, -1),
+    pattern: condition.slice(prefix.length),
+  };
+}
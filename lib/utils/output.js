@@ -0,0 +1,181 @@
+/**
+ * Machine-readable output formats for Git Context Switcher
+ */
+
+// Formats read commands can print their result in; text is the decorated
+// output meant for people
+export const OUTPUT_FORMATS = ["text", "json", "yaml", "table"];
+
+// Plain YAML scalars that would be read back as something other than a string
+const YAML_RESERVED = new Set([
+  "",
+  "~",
+  "null",
+  "true",
+  "false",
+  "yes",
+  "no",
+  "on",
+  "off",
+]);
+
+// Plain scalars starting like a number may be read back as a number or a date,
+// e.g. 1_000, .inf or 2024-01-01
+const YAML_NUMBER_START = /^(\d|\.(\d|inf$|nan$))/i;
+
+/**
+ * Format data as indented JSON
+ * @param {any} data JSON-compatible data
+ * @returns {string} JSON text with a trailing newline
+ */
+export function formatJson(data) {
+  return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+/**
+ * Format a string as a YAML scalar, quoting it unless it reads back as the
+ * same string
+ * @param {string} value String to format
+ * @returns {string} Plain or double-quoted scalar
+ * @private
+ */
+function yamlString(value) {
+  const plain =
+    /^[\w./~][\w ./~@+-]*$/.test(value) &&
+    !value.endsWith(" ") &&
+    !YAML_RESERVED.has(value.toLowerCase()) &&
+    !YAML_NUMBER_START.test(value);
+  // A JSON string is also a valid double-quoted YAML scalar
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Format a value that fits on one line: a scalar or an empty collection
+ * @param {any} value Value to format
+ * @returns {string} YAML representation of the value
+ * @private
+ */
+function yamlInline(value) {
+  if (Array.isArray(value)) {
+    return "[]";
+  }
+  if (value !== null && typeof value === "object") {
+    return "{}";
+  }
+  return typeof value === "string" ? yamlString(value) : String(value);
+}
+
+/**
+ * Check whether a value needs lines of its own
+ * @param {any} value Value to check
+ * @returns {boolean} True for non-empty arrays and objects
+ * @private
+ */
+function isBlock(value) {
+  return (
+    value !== null && typeof value === "object" && Object.keys(value).length > 0
+  );
+}
+
+/**
+ * Format a non-empty array or object as block YAML
+ * @param {Array|Object} value Collection to format
+ * @param {string} indent Indentation of the collection's lines
+ * @returns {Array<string>} Lines of YAML
+ * @private
+ */
+function yamlBlock(value, indent) {
+  const lines = [];
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isBlock(item)) {
+        // The first line of the item goes after the dash
+        const [first, ...rest] = yamlBlock(item, `${indent}  `);
+        lines.push(`${indent}- ${first.trimStart()}`, ...rest);
+      } else {
+        lines.push(`${indent}- ${yamlInline(item)}`);
+      }
+    }
+    return lines;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    if (isBlock(item)) {
+      lines.push(
+        `${indent}${yamlString(key)}:`,
+        ...yamlBlock(item, `${indent}  `)
+      );
+    } else {
+      lines.push(`${indent}${yamlString(key)}: ${yamlInline(item)}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Format data as YAML. Values are converted the same way as for JSON first,
+ * so both formats hold the same data.
+ * @param {any} data JSON-compatible data
+ * @returns {string} YAML text with a trailing newline
+ */
+export function formatYaml(data) {
+  const value = JSON.parse(JSON.stringify(data === undefined ? null : data));
+  const lines = isBlock(value) ? yamlBlock(value, "") : [yamlInline(value)];
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Format a table cell
+ * @param {any} value Cell value
+ * @returns {string} Text of the cell
+ * @private
+ */
+function tableCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(tableCell).join(", ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value).replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Format rows as a table with aligned columns and a header of the column
+ * names in capitals
+ * @param {Array<Object>} rows Rows to format
+ * @param {Array<string>} [columns] Keys of the columns, by default every key
+ * found in the rows
+ * @returns {string} Table text with a trailing newline, or an empty string
+ * for no columns
+ */
+export function formatTable(rows, columns) {
+  const keys = columns || [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  if (keys.length === 0) {
+    return "";
+  }
+
+  const header = keys.map((key) =>
+    key.replace(/([a-z])([A-Z])/g, "$1 $2").toUpperCase()
+  );
+  const cells = rows.map((row) => {
+    const values = new Map(Object.entries(row));
+    return keys.map((key) => tableCell(values.get(key)));
+  });
+  const widths = header.map((title, index) =>
+    Math.max(title.length, ...cells.map((line) => line.at(index).length))
+  );
+
+  return [header, ...cells]
+    .map((line) =>
+      line
+        .map((cell, index) => cell.padEnd(widths.at(index)))
+        .join("  ")
+        .trimEnd()
+    )
+    .map((line) => `${line}\n`)
+    .join("");
+}
@@ -47,6 +47,71 @@ export function pathPatternToRegex(pattern) {
   return new RegExp(`^${regexPattern}`);
 }
 
+/**
+ * Get the directory a path pattern names before its first wildcard
+ * @param {string} pattern Path pattern
+ * @param {string} homeDir Home directory used to expand ~
+ * @returns {string} Literal directory ending in /, or an empty string for
+ * patterns that don't start with / or ~
+ * @private
+ */
+function literalDirectory(pattern, homeDir) {
+  const expanded = normalizePathPattern(pattern, homeDir).replace(/\\/g, '/');
+  if (!expanded.startsWith('/')) {
+    return '';
+  }
+
+  const wildcard = expanded.search(/[*?[]/);
+  const literal = wildcard === -1 ? expanded : expanded.slice(0, wildcard);
+
+  // Compare whole directory names, so ~/work doesn't contain ~/workshop
+  return literal.slice(0, literal.lastIndexOf('/') + 1);
+}
+
+/**
+ * Check whether two gitdir path patterns can match the same repository
+ * The check is conservative: patterns overlap when the directory before the
+ * first wildcard of one pattern contains that of the other. Patterns that
+ * don't start with / or ~ match anywhere, so they overlap with everything.
+ * @param {string} first First path pattern
+ * @param {string} second Second path pattern
+ * @param {string} [homeDir] Home directory used to expand ~
+ * @returns {boolean} True if the patterns may overlap
+ */
+export function patternsOverlap(first, second, homeDir = os.homedir()) {
+  const firstDir = literalDirectory(first, homeDir);
+  const secondDir = literalDirectory(second, homeDir);
+  return firstDir.startsWith(secondDir) || secondDir.startsWith(firstDir);
+}
+
+/**
+ * Measure how specific a path pattern is: the deeper the directory before
+ * its first wildcard, the fewer repositories it matches
+ * @param {string} pattern Path pattern
+ * @param {string} [homeDir] Home directory used to expand ~
+ * @returns {number} Length of the literal directory, 0 for patterns that
+ * match anywhere
+ */
+export function patternSpecificity(pattern, homeDir = os.homedir()) {
+  return literalDirectory(pattern, homeDir).length;
+}
+
+/**
+ * Compare two matches by precedence: priority first, then specificity
+ * Sorting with this puts the winning match last, which is where git needs
+ * it, since the include it reads last overrides the others. Ties keep their
+ * order, so the later context in the file wins.
+ * @param {Object} first First match
+ * @param {number} first.priority Priority of its context
+ * @param {number} first.specificity Specificity of its pattern
+ * @param {Object} second Second match, with the same properties
+ * @returns {number} Negative if the first match loses, positive if it wins,
+ * 0 for a tie
+ */
+export function comparePrecedence(first, second) {
+  return first.priority - second.priority || first.specificity - second.specificity;
+}
+
 /**
  * Get standard paths for git config files
  * @returns {Object} Object containing standard paths
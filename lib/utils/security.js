@@ -2,7 +2,9 @@
  * Security utilities for Git Context Switcher
  */
 import fs from "fs";
+import os from "os";
 import path from "path";
+import { parseConfigKey, parseIncludeCondition } from "./gitConfig.js";
 
 /**
  * Sanitize input to prevent command injection
@@ -107,6 +109,39 @@ export function validateUrlPattern(pattern) {
   return !/[;&|`$(){}[\]\\'"<>]/g.test(pattern);
 }
 
+/**
+ * Validate a dotted git config key such as `core.sshCommand`
+ * @param {string} key Config key to validate
+ * @returns {boolean} True if git would accept the key
+ */
+export function validateGitConfigKey(key) {
+  return parseConfigKey(key) !== null;
+}
+
+/**
+ * Validate an include condition such as `gitdir/i:~/Work/**`
+ * The pattern is checked by the rules of its condition type.
+ * @param {string} condition Include condition to validate
+ * @returns {boolean} True if the condition is supported and safe to write
+ */
+export function validateIncludeCondition(condition) {
+  const parsed = parseIncludeCondition(condition);
+  if (!parsed) {
+    return false;
+  }
+
+  switch (parsed.type) {
+    case "gitdir":
+    case "gitdir/i":
+      return validatePathPattern(parsed.pattern);
+    case "onbranch":
+      // Characters git doesn't allow in branch names, apart from glob ones
+      return !/[\s"\\~^:\0]/.test(parsed.pattern);
+    default:
+      return validateUrlPattern(parsed.pattern);
+  }
+}
+
 /**
  * Validate file path to prevent directory traversal attacks
  * @param {string} filePath Path to validate
@@ -157,3 +192,46 @@ export function checkFilePermissions(filePath, mode = fs.constants.R_OK) {
     throw error;
   }
 }
+
+/**
+ * Validate an SSH private key path for use in core.sshCommand
+ * Only characters that need no shell quoting are allowed, since git runs the
+ * command through the shell; a leading ~ is expanded by the shell as well.
+ * @param {string} keyPath Path to the private key
+ * @returns {boolean} True if the path is safe to use
+ */
+export function validateSshKeyPath(keyPath) {
+  if (typeof keyPath !== "string" || keyPath.trim() === "") {
+    return false;
+  }
+
+  return /^~?[A-Za-z0-9_@%+=:,./-]+$/.test(keyPath);
+}
+
+/**
+ * Check that an SSH private key exists and is only accessible by its owner
+ * @param {string} keyPath Path to the private key, may start with ~
+ * @param {string} [homeDir] Home directory used to expand ~
+ * @returns {boolean} True if the key file is usable
+ * @throws {Error} If the file is missing, unreadable or readable by others
+ */
+export function checkSshKeyFile(keyPath, homeDir = os.homedir()) {
+  const resolved = keyPath.replace(/^~(?=$|\/)/, homeDir);
+
+  checkFilePermissions(resolved, fs.constants.R_OK);
+
+  // File modes carry no meaning on Windows, and tests have no real key files
+  if (process.env.NODE_ENV === "test" || process.platform === "win32") {
+    return true;
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  const { mode } = fs.statSync(resolved);
+  if ((mode & 0o077) !== 0) {
+    throw new Error(
+      `SSH key ${keyPath} is accessible by other users, run: chmod 600 ${keyPath}`
+    );
+  }
+
+  return true;
+}